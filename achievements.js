@@ -0,0 +1,84 @@
+// achievements.js - Badge catalogue and the rules that unlock it
+
+// Each badge unlocks once its metric reaches the target; metrics come from getProgress below
+export const ACHIEVEMENTS = [
+  {
+    key: "first_session",
+    title: "Langkah Pertama",
+    description: "Selesaikan sesi belajar pertama Anda",
+    icon: "fa-seedling",
+    metric: "completed_sessions",
+    target: 1,
+  },
+  {
+    key: "ten_hours",
+    title: "10 Jam Fokus",
+    description: "Kumpulkan total 10 jam waktu belajar",
+    icon: "fa-hourglass-half",
+    metric: "focus_minutes",
+    target: 600,
+  },
+  {
+    key: "week_streak",
+    title: "Seminggu Penuh",
+    description: "Belajar 7 hari berturut-turut",
+    icon: "fa-fire",
+    metric: "longest_streak",
+    target: 7,
+  },
+  {
+    key: "five_books",
+    title: "Kutu Buku",
+    description: "Selesaikan 5 buku di rak buku",
+    icon: "fa-book-reader",
+    metric: "completed_books",
+    target: 5,
+  },
+  {
+    key: "fifty_notes",
+    title: "Pencatat Rajin",
+    description: "Tulis 50 catatan belajar",
+    icon: "fa-sticky-note",
+    metric: "notes",
+    target: 50,
+  },
+]
+
+const toPublic = ({ key, title, description, icon, target }) => ({ key, title, description, icon, target })
+
+const getProgress = async (db, userId) => {
+  const progress = await db.getAchievementProgress(userId)
+  const streak = await db.getStreak(userId)
+  return { ...progress, longest_streak: streak.longest }
+}
+
+// Runs after actions that can move a metric; returns the badges unlocked just now.
+// Failures are logged rather than thrown so they never fail the action that triggered them.
+export const evaluateAchievements = async (db, userId) => {
+  try {
+    const progress = await getProgress(db, userId)
+    const reached = ACHIEVEMENTS.filter((achievement) => progress[achievement.metric] >= achievement.target)
+    const unlockedKeys = await db.unlockAchievements(
+      userId,
+      reached.map((achievement) => achievement.key),
+    )
+
+    return reached.filter((achievement) => unlockedKeys.includes(achievement.key)).map(toPublic)
+  } catch (error) {
+    console.error("[Achievements] Evaluation failed:", error)
+    return []
+  }
+}
+
+// The whole catalogue with the user's progress toward each badge and when it unlocked
+export const listAchievements = async (db, userId) => {
+  const progress = await getProgress(db, userId)
+  const rows = await db.getUserAchievements(userId)
+  const unlocked = new Map(rows.map((row) => [row.achievement_key, row.unlocked_at]))
+
+  return ACHIEVEMENTS.map((achievement) => ({
+    ...toPublic(achievement),
+    progress: Math.min(progress[achievement.metric] || 0, achievement.target),
+    unlocked_at: unlocked.get(achievement.key) || null,
+  }))
+}
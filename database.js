@@ -1,10 +1,199 @@
 import pkg from "pg"
 const { Pool } = pkg
 import dotenv from "dotenv"
+import { computeStreak } from "./streak-engine.js"
+import { planStudySessions } from "./study-planner.js"
 
 // Load environment variables from .env file
 dotenv.config()
 
+// Name and colour of the subject a row references, for rows read or returned from the given table or alias
+const subjectColumns = (table) => `
+  (SELECT name FROM subjects WHERE subjects.id = ${table}.subject_id) AS subject,
+  (SELECT color FROM subjects WHERE subjects.id = ${table}.subject_id) AS subject_color
+`
+
+// Tags of a note row, sorted by name, as a JSON array of { id, name }
+const noteTagsColumn = (table) => `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY LOWER(t.name))
+    FROM note_tags nt 
+    JOIN tags t ON t.id = nt.tag_id 
+    WHERE nt.note_id = ${table}.id
+  ), '[]'::json) AS tags
+`
+
+// Dates and times of a recurrence are returned as plain strings so they never shift with the server timezone
+const RECURRENCE_COLUMNS = `
+  id, user_id, title, description, subject_id, ${subjectColumns("session_recurrences")}, duration, days_of_week,
+  TO_CHAR(start_time, 'HH24:MI') AS start_time, timezone,
+  TO_CHAR(starts_on, 'YYYY-MM-DD') AS starts_on,
+  TO_CHAR(ends_on, 'YYYY-MM-DD') AS ends_on,
+  ical_sequence, created_at, updated_at
+`
+
+// Match the user_settings column defaults
+const DEFAULT_TIMEZONE = "Asia/Jakarta"
+const DEFAULT_STREAK_MIN_MINUTES = 10
+const DEFAULT_DAILY_STUDY_MINUTES = 120
+const DEFAULT_STUDY_START_TIME = "16:00"
+
+// YYYY-MM-DD of the given instant on the user's own calendar
+const toLocalDate = (date, timezone) => {
+  const format = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+  return format.format(date)
+}
+
+// Local date and minutes past midnight of the given instant, for placing it on the user's own day
+const toLocalSlot = (date, timezone) => {
+  const format = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+  const parts = Object.fromEntries(format.formatToParts(date).map((part) => [part.type, part.value]))
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, start: Number(parts.hour) * 60 + Number(parts.minute) }
+}
+
+// Day a completed session counts for, in the timezone passed as $2; timestamps are stored in UTC
+const LOCAL_SESSION_DATE = "((COALESCE(completed_at, created_at) AT TIME ZONE 'UTC') AT TIME ZONE $2)::date"
+const LOCAL_TODAY = "(NOW() AT TIME ZONE $2)::date"
+
+// Tables behind the entities that go to the trash when deleted, named as the sync endpoint names them
+const TRASH_TABLES = { sessions: "study_sessions", notes: "notes", books: "books" }
+
+// Searched text is stemmed in both languages, so "belajar" also finds "pelajaran" and "studies" finds "study".
+// Weights rank title matches (A) above the other fields.
+const SEARCH_CONFIGS = ["indonesian", "english"]
+const SEARCH_FIELDS = {
+  study_sessions: { title: "A", description: "B" },
+  notes: { title: "A", content: "B" },
+  books: { title: "A", author: "B", description: "C" },
+}
+
+// tsvector of a row for full-text search. setup-database.js builds the GIN indexes on this same expression,
+// so queries have to use it unchanged for the indexes to apply.
+export const searchDocument = (table, alias = null) =>
+  Object.entries(SEARCH_FIELDS[table])
+    .map(([column, weight]) => {
+      const text = `COALESCE(${alias ? `${alias}.${column}` : column}, '')`
+      const vectors = SEARCH_CONFIGS.map((config) => `to_tsvector('${config}', ${text})`)
+      return `setweight(${vectors.join(" || ")}, '${weight}')`
+    })
+    .join(" || ")
+
+// Search text in $2, parsed like a web search box: quoted phrases, "or" and -excluded words
+const SEARCH_QUERY = `(${SEARCH_CONFIGS.map((config) => `websearch_to_tsquery('${config}', $2)`).join(" || ")})`
+
+// Where each searchable entity takes its snippet and date from, named as the trash and sync name them
+const SEARCH_SOURCES = {
+  notes: { snippet: "s.content", date: "s.updated_at" },
+  books: { snippet: "CONCAT_WS(' · ', s.author, s.description)", date: "s.updated_at" },
+  sessions: { snippet: "s.description", date: "COALESCE(s.scheduled_at, s.created_at)" },
+}
+
+// ts_headline wraps matches in these private-use characters, which are then split out so no HTML ever
+// comes from the database
+const SEARCH_MARK_START = "\ue000"
+const SEARCH_MARK_END = "\ue001"
+const SEARCH_MARKS = `StartSel="${SEARCH_MARK_START}", StopSel="${SEARCH_MARK_END}"`
+const SEARCH_SNIPPET_OPTIONS = `${SEARCH_MARKS}, MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "`
+const SEARCH_TITLE_OPTIONS = `${SEARCH_MARKS}, HighlightAll=true`
+
+// A headline as [{ text, match }] parts
+const splitHeadline = (headline) =>
+  (headline || "")
+    .split(SEARCH_MARK_START)
+    .flatMap((chunk, index) => {
+      if (index === 0) return [{ text: chunk, match: false }]
+      const [matched, rest = ""] = chunk.split(SEARCH_MARK_END)
+      return [
+        { text: matched, match: true },
+        { text: rest, match: false },
+      ]
+    })
+    .filter((part) => part.text)
+
+// Sessions still in progress this long after they started count as abandoned in analytics
+const ABANDONED_AFTER = "1 day"
+
+// Totals of one analytics period: average length, completion rate (percent of the sessions that ended)
+// and drift, the average minutes studied beyond the plan over sessions whose actual length is known
+const summarizePeriod = (totals = {}) => {
+  const { minutes = 0, sessions = 0, cancelled = 0, abandoned = 0, measured = 0 } = totals
+  const ended = sessions + cancelled + abandoned
+
+  return {
+    minutes,
+    sessions,
+    cancelled,
+    abandoned,
+    average_minutes: sessions ? Math.round(minutes / sessions) : 0,
+    completion_rate: ended ? Math.round((sessions / ended) * 100) : null,
+    drift: {
+      sessions: measured,
+      average_planned: measured ? Math.round(totals.planned_minutes / measured) : null,
+      average_actual: measured ? Math.round(totals.actual_minutes / measured) : null,
+      average_difference: measured
+        ? Math.round(((totals.actual_minutes - totals.planned_minutes) / measured) * 10) / 10
+        : null,
+    },
+  }
+}
+
+// Percent change against the previous period; null when there is nothing to compare with
+const percentChange = (current, previous) => (previous ? Math.round(((current - previous) / previous) * 100) : null)
+
+// Each topic's weighted share of the exam's study time, and what is still neither studied nor planned for it
+const shareExamTime = (exam) => {
+  const totalWeight = exam.topics.reduce((sum, topic) => sum + topic.weight, 0)
+  const topics = exam.topics.map((topic) => {
+    const target = totalWeight ? Math.round((exam.study_minutes * topic.weight) / totalWeight) : 0
+    return {
+      ...topic,
+      target_minutes: target,
+      unscheduled_minutes: Math.max(0, target - topic.completed_minutes - topic.planned_minutes),
+    }
+  })
+  const sum = (field) => topics.reduce((total, topic) => total + topic[field], 0)
+
+  return {
+    ...exam,
+    topics,
+    completed_minutes: sum("completed_minutes"),
+    planned_minutes: sum("planned_minutes"),
+    unscheduled_minutes: exam.days_left > 0 ? sum("unscheduled_minutes") : 0,
+    percent: Math.min(100, Math.round((sum("completed_minutes") / exam.study_minutes) * 100)),
+  }
+}
+
+// Completed-session minutes per subject as a JSON array, for the sessions matching the condition.
+// The condition may use LOCAL_SESSION_DATE and the columns of the outer row.
+const subjectBreakdown = (condition) => `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'subject_id', t.subject_id, 'subject', sub.name, 'color', sub.color,
+      'minutes', t.minutes, 'sessions', t.sessions
+    ) ORDER BY t.minutes DESC)
+    FROM (
+      SELECT subject_id, COALESCE(SUM(duration), 0)::int AS minutes, COUNT(*)::int AS sessions
+      FROM study_sessions
+      WHERE user_id = $1 AND status = 'completed' AND deleted_at IS NULL AND ${condition}
+      GROUP BY subject_id
+    ) t
+    LEFT JOIN subjects sub ON sub.id = t.subject_id
+  ), '[]'::json) AS by_subject
+`
+
 class Database {
   constructor() {
     this.pool = null
@@ -113,35 +302,151 @@ class Database {
     return users[0] || null
   }
 
+  // Subject operations
+  async getSubjectsByUserId(userId) {
+    const sql = `
+      SELECT sub.*,
+        (SELECT COUNT(*) FROM study_sessions WHERE subject_id = sub.id AND deleted_at IS NULL)::int AS session_count,
+        (SELECT COALESCE(SUM(duration), 0) FROM study_sessions 
+          WHERE subject_id = sub.id AND status = 'completed' AND deleted_at IS NULL)::int AS total_minutes
+      FROM subjects sub
+      WHERE sub.user_id = $1 
+      ORDER BY LOWER(sub.name) ASC
+    `
+    return await this.query(sql, [userId])
+  }
+
+  async getSubjectById(id, userId) {
+    const result = await this.query("SELECT * FROM subjects WHERE id = $1 AND user_id = $2", [id, userId])
+    return result[0] || null
+  }
+
+  // Names are unique per user regardless of case
+  async getSubjectByName(name, userId) {
+    const sql = "SELECT * FROM subjects WHERE user_id = $1 AND LOWER(name) = LOWER($2)"
+    const result = await this.query(sql, [userId, name])
+    return result[0] || null
+  }
+
+  async createSubject(subjectData) {
+    const { user_id, name, color, icon } = subjectData
+    const sql = `
+      INSERT INTO subjects (user_id, name, color, icon) 
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `
+    const result = await this.query(sql, [user_id, name, color, icon])
+    return result[0]
+  }
+
+  async updateSubject(id, subjectData, userId) {
+    const { name, color, icon } = subjectData
+    const sql = `
+      UPDATE subjects 
+      SET name = $1, color = $2, icon = $3 
+      WHERE id = $4 AND user_id = $5
+      RETURNING *
+    `
+    const result = await this.query(sql, [name, color, icon, id, userId])
+    return result[0] || null
+  }
+
+  // Rows that referenced the subject keep existing without one
+  async deleteSubject(id, userId) {
+    const sql = "DELETE FROM subjects WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Points every reference to the source subjects at the target, then deletes the sources, in one statement.
+  // Returns how many subjects were merged away.
+  async mergeSubjects(targetId, sourceIds, userId) {
+    const moveFrom = (table) => `
+      UPDATE ${table} SET subject_id = $1 
+      WHERE user_id = $3 AND subject_id = ANY($2::int[])
+    `
+    const sql = `
+      WITH sessions AS (${moveFrom("study_sessions")}),
+        recurrences AS (${moveFrom("session_recurrences")}),
+        notes AS (${moveFrom("notes")}),
+        books AS (${moveFrom("books")}),
+        timers AS (${moveFrom("focus_timers")}),
+        goals AS (${moveFrom("goals")}),
+        merged AS (
+          DELETE FROM subjects 
+          WHERE user_id = $3 AND id = ANY($2::int[]) AND id <> $1
+          RETURNING id
+        )
+      SELECT COUNT(*)::int AS merged FROM merged
+    `
+    const result = await this.query(sql, [targetId, sourceIds, userId])
+    return result[0].merged
+  }
+
   // Study Sessions operations
+  // Focus quality starts at 100 and loses the share of time spent away plus 5 points per interruption
   async getSessionsByUserId(userId) {
     const sql = `
-      SELECT * FROM study_sessions 
-      WHERE user_id = $1 
-      ORDER BY created_at DESC
+      SELECT s.*, ${subjectColumns("s")},
+        COALESCE(i.interruption_count, 0)::int AS interruption_count,
+        CASE WHEN s.duration > 0 THEN
+          GREATEST(0, LEAST(100, ROUND(
+            100 * (1 - COALESCE(i.away_seconds, 0)::numeric / (s.duration * 60))
+            - 5 * COALESCE(i.interruption_count, 0)
+          )))::int
+        END AS focus_quality
+      FROM study_sessions s
+      LEFT JOIN (
+        SELECT session_id, COUNT(*) AS interruption_count, SUM(duration_seconds) AS away_seconds
+        FROM session_interruptions
+        WHERE user_id = $1
+        GROUP BY session_id
+      ) i ON i.session_id = s.id
+      WHERE s.user_id = $1 AND s.deleted_at IS NULL 
+      ORDER BY s.created_at DESC
     `
     return await this.query(sql, [userId])
   }
 
   async createSession(sessionData) {
-    const { user_id, title, description, subject, duration, status = "planned" } = sessionData
+    const {
+      user_id,
+      title,
+      description,
+      subject_id = null,
+      duration,
+      status = "planned",
+      scheduled_at = null,
+      recurrence_id = null,
+      occurrence_date = null,
+    } = sessionData
     const sql = `
-      INSERT INTO study_sessions (user_id, title, description, subject, duration, status) 
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO study_sessions (user_id, title, description, subject_id, duration, status, scheduled_at, recurrence_id, occurrence_date) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING id
     `
-    const result = await this.query(sql, [user_id, title, description, subject, duration, status])
+    const result = await this.query(sql, [
+      user_id,
+      title,
+      description,
+      subject_id,
+      duration,
+      status,
+      scheduled_at,
+      recurrence_id,
+      occurrence_date,
+    ])
     return result[0].id
   }
 
   async updateSession(id, sessionData, userId = null) {
-    const { title, description, subject, duration, status } = sessionData
+    const { title, description, subject_id, duration, status } = sessionData
     let sql = `
       UPDATE study_sessions 
-      SET title = $1, description = $2, subject = $3, duration = $4, status = $5 
+      SET title = $1, description = $2, subject_id = $3, duration = $4, status = $5 
       WHERE id = $6
     `
-    const params = [title, description, subject, duration, status, id]
+    const params = [title, description, subject_id, duration, status, id]
 
     if (userId) {
       sql += " AND user_id = $7"
@@ -151,18 +456,6 @@ class Database {
     await this.query(sql, params)
   }
 
-  async deleteSession(id, userId = null) {
-    let sql = "DELETE FROM study_sessions WHERE id = $1"
-    const params = [id]
-
-    if (userId) {
-      sql += " AND user_id = $2"
-      params.push(userId)
-    }
-
-    await this.query(sql, params)
-  }
-
   async startSession(id, userId = null) {
     let sql = `
       UPDATE study_sessions 
@@ -179,30 +472,235 @@ class Database {
     await this.query(sql, params)
   }
 
-  async completeSession(id, userId = null) {
+  // actualDuration is the minutes really studied, when the client measured them
+  async completeSession(id, userId = null, actualDuration = null) {
     let sql = `
       UPDATE study_sessions 
-      SET status = 'completed', completed_at = NOW() 
+      SET status = 'completed', completed_at = NOW(), actual_duration = $2 
       WHERE id = $1
     `
-    const params = [id]
+    const params = [id, actualDuration]
 
     if (userId) {
-      sql += " AND user_id = $2"
+      sql += " AND user_id = $3"
       params.push(userId)
     }
 
     await this.query(sql, params)
   }
 
+  // Session interruptions operations
+  async getInterruptionsBySessionId(sessionId, userId) {
+    const sql = `
+      SELECT * FROM session_interruptions 
+      WHERE session_id = $1 AND user_id = $2 
+      ORDER BY occurred_at ASC
+    `
+    return await this.query(sql, [sessionId, userId])
+  }
+
+  async createInterruption(interruptionData) {
+    const { session_id, user_id, source, reason, duration_seconds = 0, occurred_at = null } = interruptionData
+    const sql = `
+      INSERT INTO session_interruptions (session_id, user_id, source, reason, duration_seconds, occurred_at) 
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
+      RETURNING *
+    `
+    const result = await this.query(sql, [session_id, user_id, source, reason, duration_seconds, occurred_at])
+    return result[0]
+  }
+
+  // Session schedule operations
+  async getScheduledSessions(userId, from, to) {
+    const sql = `
+      SELECT *, ${subjectColumns("study_sessions")} FROM study_sessions 
+      WHERE user_id = $1 AND deleted_at IS NULL AND scheduled_at >= $2 AND scheduled_at < $3 
+      ORDER BY scheduled_at ASC
+    `
+    return await this.query(sql, [userId, from, to])
+  }
+
+  async rescheduleSession(id, scheduledAt, userId) {
+    const sql = `
+      UPDATE study_sessions 
+      SET scheduled_at = $1 
+      WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL
+      RETURNING *, ${subjectColumns("study_sessions")}
+    `
+    const result = await this.query(sql, [scheduledAt, id, userId])
+    return result[0] || null
+  }
+
+  async getRecurrencesByUserId(userId) {
+    const sql = `
+      SELECT ${RECURRENCE_COLUMNS} FROM session_recurrences 
+      WHERE user_id = $1 
+      ORDER BY created_at DESC
+    `
+    return await this.query(sql, [userId])
+  }
+
+  async getRecurrenceById(id, userId) {
+    const sql = `
+      SELECT ${RECURRENCE_COLUMNS} FROM session_recurrences 
+      WHERE id = $1 AND user_id = $2
+    `
+    const result = await this.query(sql, [id, userId])
+    return result[0] || null
+  }
+
+  async createRecurrence(recurrenceData) {
+    const {
+      user_id,
+      title,
+      description,
+      subject_id,
+      duration,
+      days_of_week,
+      start_time,
+      timezone,
+      starts_on,
+      ends_on,
+    } = recurrenceData
+    const sql = `
+      INSERT INTO session_recurrences (user_id, title, description, subject_id, duration, days_of_week, start_time, timezone, starts_on, ends_on) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_DATE), $10)
+      RETURNING ${RECURRENCE_COLUMNS}
+    `
+    const result = await this.query(sql, [
+      user_id,
+      title,
+      description,
+      subject_id,
+      duration,
+      days_of_week,
+      start_time,
+      timezone,
+      starts_on,
+      ends_on,
+    ])
+    return result[0]
+  }
+
+  async updateRecurrence(id, recurrenceData, userId) {
+    const { title, description, subject_id, duration, days_of_week, start_time, timezone, starts_on, ends_on } =
+      recurrenceData
+    const sql = `
+      UPDATE session_recurrences 
+      SET title = $1, description = $2, subject_id = $3, duration = $4, days_of_week = $5, 
+        start_time = $6, timezone = $7, starts_on = COALESCE($8, starts_on), ends_on = $9 
+      WHERE id = $10 AND user_id = $11
+      RETURNING ${RECURRENCE_COLUMNS}
+    `
+    const result = await this.query(sql, [
+      title,
+      description,
+      subject_id,
+      duration,
+      days_of_week,
+      start_time,
+      timezone,
+      starts_on,
+      ends_on,
+      id,
+      userId,
+    ])
+    return result[0] || null
+  }
+
+  async deleteRecurrence(id, userId) {
+    const sql = "DELETE FROM session_recurrences WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Rules are kept in local wall-clock time; each occurrence is converted to UTC in its rule's timezone.
+  // Days that already have a session created from the rule are skipped, also while that session is in the trash.
+  async getRecurrenceOccurrences(userId, from, to) {
+    const sql = `
+      SELECT * FROM (
+        SELECT r.id AS recurrence_id, r.title, r.description, r.subject_id, ${subjectColumns("r")}, r.duration,
+          TO_CHAR(d, 'YYYY-MM-DD') AS occurrence_date,
+          ((d::date + r.start_time) AT TIME ZONE r.timezone) AT TIME ZONE 'UTC' AS scheduled_at
+        FROM session_recurrences r
+        CROSS JOIN generate_series($2::timestamp::date - 1, $3::timestamp::date + 1, interval '1 day') AS d
+        WHERE r.user_id = $1
+          AND EXTRACT(ISODOW FROM d)::int = ANY(r.days_of_week)
+          AND d::date >= r.starts_on
+          AND (r.ends_on IS NULL OR d::date <= r.ends_on)
+          AND NOT EXISTS (
+            SELECT 1 FROM study_sessions s 
+            WHERE s.recurrence_id = r.id AND s.occurrence_date = d::date
+          )
+      ) o
+      WHERE o.scheduled_at >= $2::timestamp AND o.scheduled_at < $3::timestamp
+      ORDER BY o.scheduled_at ASC
+    `
+    return await this.query(sql, [userId, from, to])
+  }
+
+  async getSessionByOccurrence(recurrenceId, occurrenceDate) {
+    const sql = `
+      SELECT * FROM study_sessions 
+      WHERE recurrence_id = $1 AND occurrence_date = $2
+    `
+    const result = await this.query(sql, [recurrenceId, occurrenceDate])
+    return result[0] || null
+  }
+
+  // Calendar feed operations
+  async getCalendarToken(userId) {
+    const result = await this.query("SELECT calendar_token FROM users WHERE id = $1", [userId])
+    return result[0]?.calendar_token || null
+  }
+
+  async setCalendarToken(userId, token) {
+    await this.query("UPDATE users SET calendar_token = $1 WHERE id = $2", [token, userId])
+  }
+
+  async getUserByCalendarToken(token) {
+    const sql = `
+      SELECT id, name FROM users 
+      WHERE calendar_token = $1 AND status = 'active'
+    `
+    const result = await this.query(sql, [token])
+    return result[0] || null
+  }
+
+  // Scheduled sessions, including cancelled ones, with the rule they override if any. Sessions in the trash are
+  // listed as cancelled, so subscribed calendars drop them and do not bring back the occurrence they replaced.
+  async getCalendarSessions(userId) {
+    const sql = `
+      SELECT s.id, s.title, s.description, s.subject_id, ${subjectColumns("s")}, s.duration, 
+        CASE WHEN s.deleted_at IS NULL THEN s.status ELSE 'cancelled' END AS status, s.scheduled_at,
+        s.recurrence_id, TO_CHAR(s.occurrence_date, 'YYYY-MM-DD') AS occurrence_date,
+        s.ical_sequence, s.updated_at,
+        TO_CHAR(r.start_time, 'HH24:MI') AS recurrence_start_time, r.timezone AS recurrence_timezone
+      FROM study_sessions s
+      LEFT JOIN session_recurrences r ON r.id = s.recurrence_id
+      WHERE s.user_id = $1 AND s.scheduled_at IS NOT NULL
+      ORDER BY s.scheduled_at ASC
+    `
+    return await this.query(sql, [userId])
+  }
+
   // Notes operations
-  async getNotesByUserId(userId, category = "all") {
-    let sql = "SELECT * FROM notes WHERE user_id = $1"
+  // tagIds narrows the list to notes carrying every one of those tags
+  async getNotesByUserId(userId, category = "all", tagIds = []) {
+    const columns = `*, ${subjectColumns("notes")}, ${noteTagsColumn("notes")}`
+    let sql = `SELECT ${columns} FROM notes WHERE user_id = $1 AND deleted_at IS NULL`
     const params = [userId]
 
     if (category !== "all") {
-      sql += " AND category = $2"
       params.push(category)
+      sql += ` AND category = $${params.length}`
+    }
+
+    if (tagIds.length > 0) {
+      params.push(tagIds)
+      sql += ` AND (
+        SELECT COUNT(*) FROM note_tags WHERE note_id = notes.id AND tag_id = ANY($${params.length}::int[])
+      ) = CARDINALITY($${params.length}::int[])`
     }
 
     sql += " ORDER BY created_at DESC"
@@ -210,85 +708,229 @@ class Database {
   }
 
   async createNote(noteData) {
-    const { user_id, title, content, category = "study" } = noteData
+    const { user_id, title, content, category = "study", subject_id = null, device = null } = noteData
     const sql = `
-      INSERT INTO notes (user_id, title, content, category) 
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO notes (user_id, title, content, category, subject_id, device) 
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING id
     `
-    const result = await this.query(sql, [user_id, title, content, category])
+    const result = await this.query(sql, [user_id, title, content, category, subject_id, device])
     return result[0].id
   }
 
-  async updateNote(id, noteData, userId = null) {
-    const { title, content, category } = noteData
-    let sql = `
-      UPDATE notes 
-      SET title = $1, content = $2, category = $3 
-      WHERE id = $4
-    `
-    const params = [title, content, category, id]
+  // Returns the updated note, or null when expectedVersion no longer matches. When the title or content changes,
+  // the version being replaced is kept in note_revisions, dated when it was saved and by the device that saved it
+  async updateNote(id, noteData, userId = null, expectedVersion = null) {
+    const { title, content, category, subject_id, device = null } = noteData
+    const params = [title, content, category, subject_id, id, device]
+    let where = "WHERE id = $5 AND deleted_at IS NULL"
 
     if (userId) {
-      sql += " AND user_id = $5"
       params.push(userId)
+      where += ` AND user_id = $${params.length}`
     }
 
-    await this.query(sql, params)
+    if (expectedVersion !== null) {
+      params.push(expectedVersion)
+      where += ` AND version = $${params.length}`
+    }
+
+    const sql = `
+      WITH revision AS (
+        INSERT INTO note_revisions (note_id, user_id, version, title, content, category, device, created_at)
+        SELECT id, user_id, version, title, content, category, device, updated_at 
+        FROM notes 
+        ${where} AND (title IS DISTINCT FROM $1 OR content IS DISTINCT FROM $2)
+      )
+      UPDATE notes 
+      SET title = $1, content = $2, category = $3, subject_id = $4, device = $6, version = version + 1 
+      ${where}
+      RETURNING *, ${subjectColumns("notes")}, ${noteTagsColumn("notes")}
+    `
+    const result = await this.query(sql, params)
+    return result[0] || null
   }
 
-  async deleteNote(id, userId = null) {
-    let sql = "DELETE FROM notes WHERE id = $1"
-    const params = [id]
+  // Newest first
+  async getNoteRevisions(noteId, userId) {
+    const sql = `
+      SELECT id, note_id, version, title, content, category, device, created_at 
+      FROM note_revisions 
+      WHERE note_id = $1 AND user_id = $2 
+      ORDER BY created_at DESC, id DESC
+    `
+    return await this.query(sql, [noteId, userId])
+  }
 
-    if (userId) {
-      sql += " AND user_id = $2"
-      params.push(userId)
-    }
+  async getNoteRevisionById(revisionId, noteId, userId) {
+    const sql = "SELECT * FROM note_revisions WHERE id = $1 AND note_id = $2 AND user_id = $3"
+    const result = await this.query(sql, [revisionId, noteId, userId])
+    return result[0] || null
+  }
 
-    await this.query(sql, params)
+  // Drops revisions older than days, but always leaves the newest keep of them
+  async pruneNoteRevisions(noteId, { days, keep }) {
+    const sql = `
+      DELETE FROM note_revisions 
+      WHERE note_id = $1 
+        AND created_at < NOW() - $2::int * INTERVAL '1 day' 
+        AND id NOT IN (
+          SELECT id FROM note_revisions WHERE note_id = $1 ORDER BY created_at DESC, id DESC LIMIT $3
+        )
+    `
+    await this.query(sql, [noteId, days, keep])
+  }
+
+  // Tag operations
+  // note_count leaves out notes in the trash
+  async getTagsByUserId(userId) {
+    const sql = `
+      SELECT t.*,
+        (SELECT COUNT(*) FROM note_tags nt JOIN notes n ON n.id = nt.note_id 
+          WHERE nt.tag_id = t.id AND n.deleted_at IS NULL)::int AS note_count
+      FROM tags t
+      WHERE t.user_id = $1 
+      ORDER BY LOWER(t.name) ASC
+    `
+    return await this.query(sql, [userId])
+  }
+
+  async getTagById(id, userId) {
+    const result = await this.query("SELECT * FROM tags WHERE id = $1 AND user_id = $2", [id, userId])
+    return result[0] || null
+  }
+
+  // Names are unique per user regardless of case
+  async getTagByName(name, userId) {
+    const sql = "SELECT * FROM tags WHERE user_id = $1 AND LOWER(name) = LOWER($2)"
+    const result = await this.query(sql, [userId, name])
+    return result[0] || null
+  }
+
+  async getNoteTags(noteId) {
+    const result = await this.query(`SELECT ${noteTagsColumn("notes")} FROM notes WHERE id = $1`, [noteId])
+    return result[0]?.tags || []
+  }
+
+  // Gives the note exactly the named tags, creating the ones the user does not have yet, matched regardless of
+  // case. Returns the note's tags.
+  async setNoteTags(noteId, userId, names) {
+    const sql = `
+      WITH input AS (
+        SELECT DISTINCT ON (LOWER(name)) name FROM UNNEST($3::text[]) AS name
+      ),
+      created AS (
+        INSERT INTO tags (user_id, name) 
+        SELECT $2, name FROM input 
+        ON CONFLICT (user_id, (LOWER(name))) DO NOTHING 
+        RETURNING id
+      ),
+      wanted AS (
+        SELECT id FROM created 
+        UNION 
+        SELECT t.id FROM tags t JOIN input i ON LOWER(t.name) = LOWER(i.name) WHERE t.user_id = $2
+      ),
+      removed AS (
+        DELETE FROM note_tags WHERE note_id = $1 AND tag_id NOT IN (SELECT id FROM wanted)
+      )
+      INSERT INTO note_tags (note_id, tag_id) 
+      SELECT $1, id FROM wanted 
+      ON CONFLICT DO NOTHING
+    `
+    await this.query(sql, [noteId, userId, names])
+    return await this.getNoteTags(noteId)
+  }
+
+  async renameTag(id, name, userId) {
+    const sql = "UPDATE tags SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING *"
+    const result = await this.query(sql, [name, id, userId])
+    return result[0] || null
+  }
+
+  // Notes keep existing without the tag
+  async deleteTag(id, userId) {
+    const sql = "DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Tags every note of the source tags with the target, then deletes the sources, in one statement.
+  // Returns how many tags were merged away.
+  async mergeTags(targetId, sourceIds, userId) {
+    const sql = `
+      WITH moved AS (
+        INSERT INTO note_tags (note_id, tag_id) 
+        SELECT DISTINCT nt.note_id, $1::int FROM note_tags nt 
+        JOIN tags t ON t.id = nt.tag_id 
+        WHERE t.user_id = $3 AND t.id = ANY($2::int[]) AND t.id <> $1 
+        ON CONFLICT DO NOTHING
+      ),
+      merged AS (
+        DELETE FROM tags 
+        WHERE user_id = $3 AND id = ANY($2::int[]) AND id <> $1
+        RETURNING id
+      )
+      SELECT COUNT(*)::int AS merged FROM merged
+    `
+    const result = await this.query(sql, [targetId, sourceIds, userId])
+    return result[0].merged
   }
 
   // Books operations
   async getBooksByUserId(userId) {
     const sql = `
-      SELECT * FROM books 
-      WHERE user_id = $1 
+      SELECT *, ${subjectColumns("books")} FROM books 
+      WHERE user_id = $1 AND deleted_at IS NULL 
       ORDER BY created_at DESC
     `
     return await this.query(sql, [userId])
   }
 
   async createBook(bookData) {
-    const { user_id, title, author, description, category = "academic", is_complete = false } = bookData
+    const {
+      user_id,
+      title,
+      author,
+      description,
+      category = "academic",
+      is_complete = false,
+      subject_id = null,
+    } = bookData
     const sql = `
-      INSERT INTO books (user_id, title, author, description, category, is_complete) 
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO books (user_id, title, author, description, category, is_complete, completed_at, subject_id) 
+      VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6 THEN NOW() END, $7)
       RETURNING id
     `
-    const result = await this.query(sql, [user_id, title, author, description, category, is_complete])
+    const result = await this.query(sql, [user_id, title, author, description, category, is_complete, subject_id])
     return result[0].id
   }
 
   async updateBook(id, bookData, userId = null) {
-    const { title, author, description, category, is_complete } = bookData
+    const { title, author, description, category, is_complete, subject_id } = bookData
     let sql = `
       UPDATE books 
-      SET title = $1, author = $2, description = $3, category = $4, is_complete = $5 
-      WHERE id = $6
+      SET title = $1, author = $2, description = $3, category = $4, is_complete = $5, 
+        completed_at = CASE WHEN $5 THEN COALESCE(completed_at, NOW()) END, subject_id = $6 
+      WHERE id = $7
     `
-    const params = [title, author, description, category, is_complete, id]
+    const params = [title, author, description, category, is_complete, subject_id, id]
 
     if (userId) {
-      sql += " AND user_id = $7"
+      sql += " AND user_id = $8"
       params.push(userId)
     }
 
     await this.query(sql, params)
   }
 
-  async deleteBook(id, userId = null) {
-    let sql = "DELETE FROM books WHERE id = $1"
+  async toggleBookStatus(id, userId = null) {
+    let sql = `
+      UPDATE books 
+      SET is_complete = NOT is_complete, 
+        completed_at = CASE WHEN is_complete THEN NULL ELSE NOW() END, 
+        updated_at = NOW() 
+      WHERE id = $1
+    `
     const params = [id]
 
     if (userId) {
@@ -299,51 +941,265 @@ class Database {
     await this.query(sql, params)
   }
 
-  async toggleBookStatus(id, userId = null) {
-    let sql = `
-      UPDATE books 
-      SET is_complete = NOT is_complete, updated_at = NOW() 
-      WHERE id = $1
+  // Search operations
+  // Notes, books and sessions matching the search text, best first. entity narrows it to one of them.
+  // Snippets are headlined in whichever language the row matched in, so the stemmed words get marked.
+  async search(userId, text, { entity = null, limit = 20 } = {}) {
+    const branches = Object.entries(SEARCH_SOURCES)
+      .filter(([name]) => !entity || name === entity)
+      .map(([name, { snippet, date }]) => {
+        const table = TRASH_TABLES[name]
+        const document = searchDocument(table, "s")
+        const config = `(CASE WHEN ${document} @@ websearch_to_tsquery('indonesian', $2) THEN 'indonesian' ELSE 'english' END)::regconfig`
+        return `
+          SELECT '${name}' AS entity, s.id, s.title, ${date} AS date,
+            ts_rank(${document}, ${SEARCH_QUERY}) AS rank,
+            ts_headline(${config}, s.title, ${SEARCH_QUERY}, $4) AS title_headline,
+            ts_headline(${config}, COALESCE(${snippet}, ''), ${SEARCH_QUERY}, $3) AS snippet_headline
+          FROM ${table} s
+          WHERE s.user_id = $1 AND s.deleted_at IS NULL AND ${document} @@ ${SEARCH_QUERY}
+        `
+      })
+
+    const sql = `${branches.join(" UNION ALL ")} ORDER BY rank DESC, date DESC LIMIT $5`
+    const rows = await this.query(sql, [userId, text, SEARCH_SNIPPET_OPTIONS, SEARCH_TITLE_OPTIONS, limit])
+
+    return rows.map(({ title_headline, snippet_headline, ...row }) => ({
+      ...row,
+      title_parts: splitHeadline(title_headline),
+      snippet: splitHeadline(snippet_headline),
+    }))
+  }
+
+  // Trash operations
+  // entity is sessions, notes or books. Rows in the trash are left out of every list and statistic, and a
+  // completed session leaves study_stats while it is there. Returns the trashed row, or null.
+  async moveToTrash(entity, id, userId) {
+    const sql = `
+      UPDATE ${TRASH_TABLES[entity]} SET deleted_at = NOW() 
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+      RETURNING *
     `
-    const params = [id]
+    const result = await this.query(sql, [id, userId])
+    if (result[0] && entity === "sessions") {
+      await this.shiftSessionStats(result[0], -1)
+    }
+    return result[0] || null
+  }
 
-    if (userId) {
-      sql += " AND user_id = $2"
-      params.push(userId)
+  async restoreFromTrash(entity, id, userId) {
+    const sql = `
+      UPDATE ${TRASH_TABLES[entity]} SET deleted_at = NULL 
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+      RETURNING *
+    `
+    const result = await this.query(sql, [id, userId])
+    if (result[0] && entity === "sessions") {
+      await this.shiftSessionStats(result[0], 1)
     }
+    return result[0] || null
+  }
 
-    await this.query(sql, params)
+  // Deletes for good; only rows already in the trash can go
+  async deleteFromTrash(entity, id, userId) {
+    const sql = `DELETE FROM ${TRASH_TABLES[entity]} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING id`
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Everything in the user's trash, most recently deleted first, with the date it will be purged
+  async getTrashByUserId(userId, days) {
+    const trashed = (entity) => `
+      SELECT '${entity}' AS entity, id, title, deleted_at, 
+        deleted_at + $2::int * INTERVAL '1 day' AS purge_at 
+      FROM ${TRASH_TABLES[entity]} 
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+    `
+    const sql = `
+      ${trashed("sessions")} 
+      UNION ALL ${trashed("notes")} 
+      UNION ALL ${trashed("books")} 
+      ORDER BY deleted_at DESC
+    `
+    return await this.query(sql, [userId, days])
+  }
+
+  async emptyTrash(userId) {
+    const sql = `
+      WITH sessions AS (DELETE FROM study_sessions WHERE user_id = $1 AND deleted_at IS NOT NULL RETURNING id),
+        notes AS (DELETE FROM notes WHERE user_id = $1 AND deleted_at IS NOT NULL RETURNING id),
+        books AS (DELETE FROM books WHERE user_id = $1 AND deleted_at IS NOT NULL RETURNING id)
+      SELECT (SELECT COUNT(*) FROM sessions) + (SELECT COUNT(*) FROM notes) + (SELECT COUNT(*) FROM books) AS deleted
+    `
+    const result = await this.query(sql, [userId])
+    return Number(result[0].deleted)
+  }
+
+  // Deletes every user's rows that have been in the trash longer than days
+  async purgeTrash(days) {
+    for (const table of Object.values(TRASH_TABLES)) {
+      await this.query(`DELETE FROM ${table} WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'`, [days])
+    }
+  }
+
+  // Takes a completed session out of the study_stats of the day it counted for (sign -1) or puts it back (sign 1),
+  // with the minutes completing it added
+  async shiftSessionStats(session, sign) {
+    const minutes = session.actual_duration ?? session.duration ?? 0
+    if (session.status !== "completed" || minutes <= 0) return
+
+    const timezone = await this.getUserTimezone(session.user_id)
+    const date = toLocalDate(new Date(session.completed_at || session.created_at), timezone)
+    const sql =
+      sign > 0
+        ? `
+          INSERT INTO study_stats (user_id, date, total_sessions, total_minutes, completed_sessions, streak_days) 
+          VALUES ($1, $2, 1, $3, 1, 0) 
+          ON CONFLICT (user_id, date) DO UPDATE 
+          SET total_sessions = study_stats.total_sessions + 1, total_minutes = study_stats.total_minutes + $3, 
+            completed_sessions = study_stats.completed_sessions + 1, updated_at = NOW()
+        `
+        : `
+          UPDATE study_stats 
+          SET total_sessions = GREATEST(0, total_sessions - 1), total_minutes = GREATEST(0, total_minutes - $3), 
+            completed_sessions = GREATEST(0, completed_sessions - 1), updated_at = NOW() 
+          WHERE user_id = $1 AND date = $2
+        `
+    await this.query(sql, [session.user_id, date, minutes])
+    await this.updateStreak(session.user_id, toLocalDate(new Date(), timezone))
   }
 
   // Statistics operations
   async getTodayStats(userId) {
+    const timezone = await this.getUserTimezone(userId)
     const sql = `
       SELECT 
         COALESCE(SUM(duration), 0) as total_minutes,
-        COUNT(*) as total_sessions
+        COUNT(*) as total_sessions,
+        ${subjectBreakdown(`${LOCAL_SESSION_DATE} = ${LOCAL_TODAY}`)}
       FROM study_sessions 
       WHERE user_id = $1 
-        AND DATE(created_at) = CURRENT_DATE 
-        AND status = 'completed'
+        AND ${LOCAL_SESSION_DATE} = ${LOCAL_TODAY} 
+        AND status = 'completed' 
+        AND deleted_at IS NULL
     `
-    const results = await this.query(sql, [userId])
-    return results[0] || { total_minutes: 0, total_sessions: 0 }
+    const results = await this.query(sql, [userId, timezone])
+    return results[0] || { total_minutes: 0, total_sessions: 0, by_subject: [] }
   }
 
   async getWeeklyReport(userId) {
+    const timezone = await this.getUserTimezone(userId)
     const sql = `
+      SELECT d.*, ${subjectBreakdown(`${LOCAL_SESSION_DATE} = d.study_date`)}
+      FROM (
+        SELECT 
+          ${LOCAL_SESSION_DATE} as study_date,
+          COUNT(*) as sessions_count,
+          COALESCE(SUM(duration), 0) as total_minutes
+        FROM study_sessions 
+        WHERE user_id = $1 
+          AND ${LOCAL_SESSION_DATE} >= ${LOCAL_TODAY} - 7
+          AND status = 'completed'
+          AND deleted_at IS NULL
+        GROUP BY study_date
+      ) d
+      ORDER BY d.study_date DESC
+    `
+    return await this.query(sql, [userId, timezone])
+  }
+
+  // Completed, cancelled and abandoned sessions of the last `days` days and of the days before them.
+  // Breakdowns cover the current period only; minutes are the actual ones where they were measured.
+  async getAnalytics(userId, days) {
+    const sql = `
+      WITH sessions AS (
+        SELECT subject_id, duration, actual_duration,
+          COALESCE(actual_duration, duration) AS minutes,
+          ((COALESCE(started_at, completed_at, created_at) AT TIME ZONE 'UTC') AT TIME ZONE $2) AS local_start,
+          CASE WHEN ${LOCAL_SESSION_DATE} > ${LOCAL_TODAY} - $3::int THEN 'current' ELSE 'previous' END AS period,
+          CASE
+            WHEN status IN ('completed', 'cancelled') THEN status
+            WHEN status = 'inprogress' AND started_at < (NOW() AT TIME ZONE 'UTC') - INTERVAL '${ABANDONED_AFTER}' 
+              THEN 'abandoned'
+          END AS outcome
+        FROM study_sessions 
+        WHERE user_id = $1 AND deleted_at IS NULL AND ${LOCAL_SESSION_DATE} > ${LOCAL_TODAY} - 2 * $3::int
+      ),
+      completed AS (
+        SELECT * FROM sessions WHERE period = 'current' AND outcome = 'completed'
+      )
       SELECT 
-        DATE(created_at) as study_date,
-        COUNT(*) as sessions_count,
-        COALESCE(SUM(duration), 0) as total_minutes
-      FROM study_sessions 
-      WHERE user_id = $1 
-        AND created_at >= CURRENT_DATE - INTERVAL '7 days'
-        AND status = 'completed'
-      GROUP BY DATE(created_at)
-      ORDER BY study_date DESC
+        (
+          SELECT json_object_agg(p.period, p.totals) FROM (
+            SELECT period, json_build_object(
+              'minutes', COALESCE(SUM(minutes) FILTER (WHERE outcome = 'completed'), 0),
+              'sessions', COUNT(*) FILTER (WHERE outcome = 'completed'),
+              'cancelled', COUNT(*) FILTER (WHERE outcome = 'cancelled'),
+              'abandoned', COUNT(*) FILTER (WHERE outcome = 'abandoned'),
+              'measured', COUNT(actual_duration) FILTER (WHERE outcome = 'completed'),
+              'planned_minutes', COALESCE(SUM(duration) FILTER (WHERE outcome = 'completed' AND actual_duration IS NOT NULL), 0),
+              'actual_minutes', COALESCE(SUM(actual_duration) FILTER (WHERE outcome = 'completed'), 0)
+            ) AS totals
+            FROM sessions 
+            GROUP BY period
+          ) p
+        ) AS periods,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'subject_id', t.subject_id, 'subject', sub.name, 'color', sub.color,
+            'minutes', t.minutes, 'sessions', t.sessions
+          ) ORDER BY t.minutes DESC)
+          FROM (
+            SELECT subject_id, SUM(minutes)::int AS minutes, COUNT(*)::int AS sessions 
+            FROM completed 
+            GROUP BY subject_id
+          ) t
+          LEFT JOIN subjects sub ON sub.id = t.subject_id
+        ), '[]'::json) AS by_subject,
+        (
+          SELECT json_agg(json_build_object(
+            'weekday', d.weekday, 'minutes', COALESCE(t.minutes, 0), 'sessions', COALESCE(t.sessions, 0)
+          ) ORDER BY d.weekday)
+          FROM generate_series(1, 7) AS d(weekday)
+          LEFT JOIN (
+            SELECT EXTRACT(ISODOW FROM local_start)::int AS weekday, SUM(minutes)::int AS minutes, COUNT(*)::int AS sessions 
+            FROM completed 
+            GROUP BY 1
+          ) t ON t.weekday = d.weekday
+        ) AS by_weekday,
+        (
+          SELECT json_agg(json_build_object(
+            'hour', h.hour, 'minutes', COALESCE(t.minutes, 0), 'sessions', COALESCE(t.sessions, 0)
+          ) ORDER BY h.hour)
+          FROM generate_series(0, 23) AS h(hour)
+          LEFT JOIN (
+            SELECT EXTRACT(HOUR FROM local_start)::int AS hour, SUM(minutes)::int AS minutes, COUNT(*)::int AS sessions 
+            FROM completed 
+            GROUP BY 1
+          ) t ON t.hour = h.hour
+        ) AS by_hour
     `
-    return await this.query(sql, [userId])
+    const [row] = await this.query(sql, [userId, await this.getUserTimezone(userId), days])
+    const current = summarizePeriod(row.periods?.current)
+    const previous = summarizePeriod(row.periods?.previous)
+
+    return {
+      days,
+      ...current,
+      previous,
+      trend: {
+        minutes: percentChange(current.minutes, previous.minutes),
+        sessions: percentChange(current.sessions, previous.sessions),
+        average_minutes: percentChange(current.average_minutes, previous.average_minutes),
+        completion_rate:
+          current.completion_rate === null || previous.completion_rate === null
+            ? null
+            : current.completion_rate - previous.completion_rate,
+      },
+      by_subject: row.by_subject,
+      by_weekday: row.by_weekday,
+      by_hour: row.by_hour,
+    }
   }
 
   async getDashboardData(userId) {
@@ -357,17 +1213,17 @@ class Database {
         (
           SELECT COUNT(*) 
           FROM study_sessions 
-          WHERE user_id = u.id AND status = 'completed'
+          WHERE user_id = u.id AND status = 'completed' AND deleted_at IS NULL
         ) as completed_sessions,
         (
           SELECT COUNT(*) 
           FROM notes 
-          WHERE user_id = u.id
+          WHERE user_id = u.id AND deleted_at IS NULL
         ) as total_notes,
         (
           SELECT COUNT(*) 
           FROM books 
-          WHERE user_id = u.id
+          WHERE user_id = u.id AND deleted_at IS NULL
         ) as total_books
       FROM users u
       LEFT JOIN user_settings us ON u.id = us.user_id
@@ -377,25 +1233,80 @@ class Database {
     return results[0] || null
   }
 
+  // Settings operations
+  async getUserTimezone(userId) {
+    const result = await this.query("SELECT timezone FROM user_settings WHERE user_id = $1", [userId])
+    return result[0]?.timezone || DEFAULT_TIMEZONE
+  }
+
+  async getUserSettings(userId) {
+    const sql = "SELECT * FROM user_settings WHERE user_id = $1"
+    const result = await this.query(sql, [userId])
+    return result[0] || null
+  }
+
+  // Updates only the given columns; callers must whitelist the keys
+  async updateUserSettings(userId, settings) {
+    const fields = Object.keys(settings)
+    if (fields.length === 0) {
+      return await this.getUserSettings(userId)
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`)
+    const sql = `
+      UPDATE user_settings 
+      SET ${assignments.join(", ")}, updated_at = NOW() 
+      WHERE user_id = $${fields.length + 1}
+      RETURNING *
+    `
+    const result = await this.query(sql, [...Object.values(settings), userId])
+    return result[0] || null
+  }
+
   // Focus timers operations
   async saveFocusTimer(timerData) {
-    const { user_id, timer_type, duration, completed = false, task_description } = timerData
+    const {
+      user_id,
+      timer_type,
+      duration,
+      completed = false,
+      task_description,
+      subject_id = null,
+      task_id = null,
+    } = timerData
     const sql = `
-      INSERT INTO focus_timers (user_id, timer_type, duration, completed, task_description) 
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO focus_timers (user_id, timer_type, duration, completed, task_description, subject_id, task_id) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id
     `
-    const result = await this.query(sql, [user_id, timer_type, duration, completed, task_description])
+    const result = await this.query(sql, [
+      user_id,
+      timer_type,
+      duration,
+      completed,
+      task_description,
+      subject_id,
+      task_id,
+    ])
     return result[0].id
   }
 
-  async completeFocusTimer(id) {
-    const sql = `
+  // Returns false when the timer does not exist or belongs to someone else
+  async completeFocusTimer(id, userId = null) {
+    let sql = `
       UPDATE focus_timers 
       SET completed = TRUE, completed_at = NOW() 
       WHERE id = $1
     `
-    await this.query(sql, [id])
+    const params = [id]
+
+    if (userId) {
+      sql += " AND user_id = $2"
+      params.push(userId)
+    }
+
+    const result = await this.query(sql + " RETURNING id", params)
+    return result.length > 0
   }
 
   async getFocusTimersByUserId(userId) {
@@ -410,7 +1321,7 @@ class Database {
 
   // Study Stats operations
   async updateStudyStats(userId, minutes, sessionCompleted = true) {
-    const today = new Date().toISOString().split("T")[0]
+    const today = toLocalDate(new Date(), await this.getUserTimezone(userId))
 
     // Check if stats exist for today
     const checkSql = `
@@ -442,71 +1353,237 @@ class Database {
     }
 
     // Update streak
-    await this.updateStreak(userId)
+    await this.updateStreak(userId, today)
   }
 
-  async updateStreak(userId) {
-    // Get yesterday's date
-    const yesterday = new Date()
-    yesterday.setDate(yesterday.getDate() - 1)
-    const yesterdayStr = yesterday.toISOString().split("T")[0]
+  // streak_days on today's row mirrors the streak engine; today is the user's local date
+  async updateStreak(userId, today) {
+    const { current } = await this.getStreak(userId)
+    const updateSql = `
+      UPDATE study_stats 
+      SET streak_days = $1, updated_at = NOW()
+      WHERE user_id = $2 AND date = $3
+    `
+    await this.query(updateSql, [current, userId, today])
+  }
 
-    // Check if user studied yesterday
-    const checkSql = `
-      SELECT streak_days 
+  // Daily minutes plus the user's local date and threshold, as computeStreak expects them
+  async getStreakHistory(userId) {
+    const settings = await this.query("SELECT timezone, streak_min_minutes FROM user_settings WHERE user_id = $1", [
+      userId,
+    ])
+    const sql = `
+      SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, total_minutes AS minutes 
       FROM study_stats 
-      WHERE user_id = $1 AND date = $2
+      WHERE user_id = $1 
+      ORDER BY date ASC
     `
-    const yesterdayStats = await this.query(checkSql, [userId, yesterdayStr])
+    const days = await this.query(sql, [userId])
 
-    if (yesterdayStats.length > 0) {
-      // Increment streak from yesterday
-      const newStreak = (yesterdayStats[0].streak_days || 0) + 1
-      const updateSql = `
-        UPDATE study_stats 
-        SET streak_days = $1, updated_at = NOW()
-        WHERE user_id = $2 AND date = CURRENT_DATE
-      `
-      await this.query(updateSql, [newStreak, userId])
+    return {
+      days,
+      today: toLocalDate(new Date(), settings[0]?.timezone || DEFAULT_TIMEZONE),
+      minMinutes: settings[0]?.streak_min_minutes ?? DEFAULT_STREAK_MIN_MINUTES,
     }
   }
 
+  async getStreak(userId) {
+    return computeStreak(await this.getStreakHistory(userId))
+  }
+
+  // One row per day with study_stats, up to a year of them. The subjects are aggregated in a single pass
+  // over the range instead of one lookup per day, and dates are returned as YYYY-MM-DD.
   async getStudyStats(userId, days = 30) {
+    const timezone = await this.getUserTimezone(userId)
     const sql = `
-      SELECT * FROM study_stats 
-      WHERE user_id = $1 
-        AND date >= CURRENT_DATE - INTERVAL '${days} days'
-      ORDER BY date DESC
+      WITH subject_days AS (
+        SELECT d.date, json_agg(json_build_object(
+          'subject_id', d.subject_id, 'subject', sub.name, 'color', sub.color,
+          'minutes', d.minutes, 'sessions', d.sessions
+        ) ORDER BY d.minutes DESC) AS by_subject
+        FROM (
+          SELECT ${LOCAL_SESSION_DATE} AS date, subject_id,
+            COALESCE(SUM(duration), 0)::int AS minutes, COUNT(*)::int AS sessions
+          FROM study_sessions 
+          WHERE user_id = $1 AND status = 'completed' AND deleted_at IS NULL 
+            AND ${LOCAL_SESSION_DATE} > ${LOCAL_TODAY} - $3::int
+          GROUP BY date, subject_id
+        ) d
+        LEFT JOIN subjects sub ON sub.id = d.subject_id
+        GROUP BY d.date
+      )
+      SELECT 
+        TO_CHAR(st.date, 'YYYY-MM-DD') AS date,
+        st.total_sessions, st.total_minutes, st.completed_sessions, st.streak_days,
+        COALESCE(sd.by_subject, '[]'::json) AS by_subject
+      FROM study_stats st
+      LEFT JOIN subject_days sd ON sd.date = st.date
+      WHERE st.user_id = $1 
+        AND st.date > ${LOCAL_TODAY} - $3::int
+      ORDER BY st.date DESC
     `
-    return await this.query(sql, [userId])
+    return await this.query(sql, [userId, timezone, days])
   }
 
   async getCurrentStreak(userId) {
+    const { current } = await this.getStreak(userId)
+    return current
+  }
+
+  async getMonthlyStats(userId) {
     const sql = `
-      SELECT streak_days 
-      FROM study_stats 
-      WHERE user_id = $1 
-      ORDER BY date DESC 
-      LIMIT 1
+      SELECT m.*, ${subjectBreakdown(`TO_CHAR(${LOCAL_SESSION_DATE}, 'YYYY-MM') = m.month`)}
+      FROM (
+        SELECT 
+          TO_CHAR(date, 'YYYY-MM') as month,
+          SUM(total_sessions) as sessions,
+          COALESCE(SUM(total_minutes), 0) as minutes,
+          SUM(completed_sessions) as completed
+        FROM study_stats 
+        WHERE user_id = $1 
+          AND date >= ${LOCAL_TODAY} - INTERVAL '12 months'
+        GROUP BY TO_CHAR(date, 'YYYY-MM')
+      ) m
+      ORDER BY m.month DESC
     `
-    const result = await this.query(sql, [userId])
-    return result[0]?.streak_days || 0
+    return await this.query(sql, [userId, await this.getUserTimezone(userId)])
   }
 
-  async getMonthlyStats(userId) {
+  async getUserIdsWithStudyHistory() {
     const sql = `
-      SELECT 
-        TO_CHAR(date, 'YYYY-MM') as month,
-        SUM(total_sessions) as sessions,
-        COALESCE(SUM(total_minutes), 0) as minutes,
-        SUM(completed_sessions) as completed
+      SELECT DISTINCT user_id FROM study_sessions WHERE status = 'completed' AND deleted_at IS NULL 
+      UNION 
+      SELECT DISTINCT user_id FROM study_stats 
+      ORDER BY user_id
+    `
+    const result = await this.query(sql)
+    return result.map((row) => row.user_id)
+  }
+
+  // Rebuilds a user's study_stats from completed sessions, bucketed in their timezone.
+  // Sessions count their actual minutes where known, as completing them did. Minutes credited without a
+  // session, like a focus timer completed with a duration, have no timestamp to re-bucket by and are dropped.
+  // Dry runs return the rows without writing them.
+  async rebuildStudyStats(userId, { apply = false } = {}) {
+    const days = `
+      WITH days AS (
+        SELECT user_id, ${LOCAL_SESSION_DATE} AS date,
+          COUNT(*)::int AS sessions,
+          COALESCE(SUM(COALESCE(actual_duration, duration)), 0)::int AS minutes
+        FROM study_sessions 
+        WHERE user_id = $1 AND status = 'completed' AND deleted_at IS NULL
+        GROUP BY user_id, date
+      ),
+      -- Consecutive days share the same date minus row number
+      runs AS (
+        SELECT *, date - (ROW_NUMBER() OVER (ORDER BY date))::int AS run FROM days
+      ),
+      streaks AS (
+        SELECT *, (ROW_NUMBER() OVER (PARTITION BY run ORDER BY date))::int AS streak FROM runs
+      )
+    `
+    const params = [userId, await this.getUserTimezone(userId)]
+
+    if (!apply) {
+      const sql = `${days} SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, sessions, minutes, streak FROM streaks ORDER BY date`
+      return await this.query(sql, params)
+    }
+
+    // One statement, so the old rows are never half replaced
+    const sql = `
+      ${days},
+      stale AS (
+        DELETE FROM study_stats 
+        WHERE user_id = $1 AND date NOT IN (SELECT date FROM days)
+      )
+      INSERT INTO study_stats (user_id, date, total_sessions, total_minutes, completed_sessions, streak_days)
+      SELECT user_id, date, sessions, minutes, sessions, streak FROM streaks
+      ON CONFLICT (user_id, date) DO UPDATE 
+      SET total_sessions = EXCLUDED.total_sessions, total_minutes = EXCLUDED.total_minutes,
+        completed_sessions = EXCLUDED.completed_sessions, streak_days = EXCLUDED.streak_days, updated_at = NOW()
+      RETURNING TO_CHAR(date, 'YYYY-MM-DD') AS date, total_sessions AS sessions, total_minutes AS minutes, streak_days AS streak
+    `
+    return await this.query(sql, params)
+  }
+
+  async getStudyStatsTotals(userId) {
+    const sql = `
+      SELECT COUNT(*)::int AS days, COALESCE(SUM(total_minutes), 0)::int AS minutes 
       FROM study_stats 
-      WHERE user_id = $1 
-        AND date >= CURRENT_DATE - INTERVAL '12 months'
-      GROUP BY TO_CHAR(date, 'YYYY-MM')
-      ORDER BY month DESC
+      WHERE user_id = $1
     `
-    return await this.query(sql, [userId])
+    const result = await this.query(sql, [userId])
+    return result[0]
+  }
+
+  // Delta sync operations
+  // Cursors are transaction ids, as text so they survive the round trip through JSON. The cursor handed out is
+  // the oldest transaction still running before the rows are read: everything older is in the response, and
+  // rows written from it on are sent again next time, so a transaction that commits late is never skipped.
+  // A cursor beyond every transaction, such as the timestamp cursors older clients hold, gets a full snapshot.
+  async getChangesSince(userId, since = null) {
+    const [snapshot] = await this.query(
+      `SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS cursor,
+         $1::xid8 > pg_snapshot_xmax(pg_current_snapshot()) AS unknown`,
+      [since ?? "0"],
+    )
+    if (snapshot.unknown) since = null
+
+    const params = since === null ? [userId] : [userId, since]
+    const sinceClause = since === null ? "" : " AND change_xid >= $2::xid8"
+
+    // A full snapshot leaves out the trash; a delta reports rows moved there as deleted, further down
+    const changesIn = (table) =>
+      this.query(
+        `SELECT *
+         FROM ${table}
+         WHERE user_id = $1${since === null ? " AND deleted_at IS NULL" : sinceClause}
+         ORDER BY change_xid ASC, id ASC`,
+        params,
+      )
+
+    const [allSessions, allNotes, allBooks, tombstones] = await Promise.all([
+      changesIn("study_sessions"),
+      changesIn("notes"),
+      changesIn("books"),
+      // A full snapshot already omits deleted rows, so tombstones only matter for deltas
+      since === null
+        ? []
+        : this.query(
+            `SELECT entity, entity_id AS id, deleted_at
+             FROM sync_tombstones
+             WHERE user_id = $1${sinceClause}
+             ORDER BY change_xid ASC, id ASC`,
+            params,
+          ),
+    ])
+
+    // Trashed rows come back as ordinary changes when restored, since restoring updates them
+    const trashed = (entity, rows) =>
+      rows.filter((row) => row.deleted_at !== null).map((row) => ({ entity, id: row.id, deleted_at: row.deleted_at }))
+    const live = (rows) => rows.filter((row) => row.deleted_at === null)
+    const sessions = live(allSessions)
+    const notes = live(allNotes)
+    const books = live(allBooks)
+    const deleted = [
+      ...tombstones,
+      ...trashed("sessions", allSessions),
+      ...trashed("notes", allNotes),
+      ...trashed("books", allBooks),
+    ]
+
+    for (const row of [...sessions, ...notes, ...books]) {
+      delete row.change_xid
+    }
+
+    return {
+      full: since === null,
+      sessions,
+      notes,
+      books,
+      deleted,
+      cursor: snapshot.cursor,
+    }
   }
 
   async getById(table, id, userId = null) {
@@ -592,15 +1669,20 @@ class Database {
   }
 
   // Push subscription methods
+  // Returns null when the endpoint belongs to another user, whose subscription is left alone
   async subscribeUserToPush(userId, subscription) {
     const { endpoint, keys } = subscription
     const sql = `
-      INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (endpoint) DO UPDATE
+      SET p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth, expires_at = EXCLUDED.expires_at
+      WHERE push_subscriptions.user_id = EXCLUDED.user_id
       RETURNING id
     `
-    const result = await this.query(sql, [userId, endpoint, keys.p256dh, keys.auth])
-    return result[0].id
+    const expiresAt = subscription.expirationTime ? new Date(subscription.expirationTime) : null
+    const result = await this.query(sql, [userId, endpoint, keys.p256dh, keys.auth, expiresAt])
+    return result[0]?.id ?? null
   }
 
   async getUserSubscriptions(userId) {
@@ -646,6 +1728,463 @@ class Database {
     `
     return await this.query(sql)
   }
+
+  // Achievement operations
+  async getAchievementProgress(userId) {
+    const sql = `
+      SELECT 
+        (SELECT COUNT(*) FROM study_sessions 
+          WHERE user_id = $1 AND status = 'completed' AND deleted_at IS NULL)::int AS completed_sessions,
+        (SELECT COALESCE(SUM(total_minutes), 0) FROM study_stats WHERE user_id = $1)::int AS focus_minutes,
+        (SELECT COUNT(*) FROM books WHERE user_id = $1 AND is_complete = TRUE AND deleted_at IS NULL)::int AS completed_books,
+        (SELECT COUNT(*) FROM notes WHERE user_id = $1 AND deleted_at IS NULL)::int AS notes
+    `
+    const result = await this.query(sql, [userId])
+    return result[0]
+  }
+
+  async getUserAchievements(userId) {
+    const sql = `
+      SELECT achievement_key, unlocked_at 
+      FROM user_achievements 
+      WHERE user_id = $1 
+      ORDER BY unlocked_at ASC
+    `
+    return await this.query(sql, [userId])
+  }
+
+  // Returns the keys that were not unlocked before
+  async unlockAchievements(userId, keys) {
+    if (keys.length === 0) return []
+
+    const sql = `
+      INSERT INTO user_achievements (user_id, achievement_key)
+      SELECT $1, UNNEST($2::text[])
+      ON CONFLICT (user_id, achievement_key) DO NOTHING
+      RETURNING achievement_key
+    `
+    const result = await this.query(sql, [userId, keys])
+    return result.map((row) => row.achievement_key)
+  }
+
+  // Goal operations
+  // Each goal comes with the dates of its current period and the progress made in it.
+  // Minutes come from study_stats unless the goal is scoped to a subject, which study_stats does not record.
+  async getGoals(userId, goalId = null) {
+    const sql = `
+      WITH periods AS (
+        SELECT g.*,
+          CASE g.period
+            WHEN 'daily' THEN t.today
+            WHEN 'weekly' THEN DATE_TRUNC('week', t.today)::date
+            WHEN 'monthly' THEN DATE_TRUNC('month', t.today)::date
+            ELSE g.starts_on
+          END AS period_start,
+          CASE g.period
+            WHEN 'daily' THEN t.today
+            WHEN 'weekly' THEN DATE_TRUNC('week', t.today)::date + 6
+            WHEN 'monthly' THEN (DATE_TRUNC('month', t.today) + INTERVAL '1 month - 1 day')::date
+            ELSE g.ends_on
+          END AS period_end
+        FROM goals g
+        CROSS JOIN (SELECT ${LOCAL_TODAY} AS today) t
+        WHERE g.user_id = $1 AND ($3::int IS NULL OR g.id = $3)
+      )
+      SELECT 
+        p.id, p.title, p.metric, p.target, p.period, p.subject_id, ${subjectColumns("p")},
+        TO_CHAR(p.period_start, 'YYYY-MM-DD') AS period_start,
+        TO_CHAR(p.period_end, 'YYYY-MM-DD') AS period_end,
+        (CASE
+          WHEN p.metric = 'minutes' AND p.subject_id IS NULL THEN (
+            SELECT COALESCE(SUM(total_minutes), 0) FROM study_stats 
+            WHERE user_id = $1 AND date BETWEEN p.period_start AND p.period_end
+          )
+          WHEN p.metric IN ('minutes', 'sessions') THEN (
+            SELECT CASE WHEN p.metric = 'minutes' THEN COALESCE(SUM(duration), 0) ELSE COUNT(*) END 
+            FROM study_sessions 
+            WHERE user_id = $1 AND status = 'completed' AND deleted_at IS NULL 
+              AND (p.subject_id IS NULL OR subject_id = p.subject_id)
+              AND ${LOCAL_SESSION_DATE} BETWEEN p.period_start AND p.period_end
+          )
+          WHEN p.metric = 'books' THEN (
+            SELECT COUNT(*) FROM books 
+            WHERE user_id = $1 AND is_complete = TRUE AND deleted_at IS NULL 
+              AND (p.subject_id IS NULL OR subject_id = p.subject_id)
+              AND ((completed_at AT TIME ZONE 'UTC') AT TIME ZONE $2)::date BETWEEN p.period_start AND p.period_end
+          )
+          ELSE (
+            SELECT COUNT(*) FROM notes 
+            WHERE user_id = $1 AND deleted_at IS NULL 
+              AND (p.subject_id IS NULL OR subject_id = p.subject_id)
+              AND ((created_at AT TIME ZONE 'UTC') AT TIME ZONE $2)::date BETWEEN p.period_start AND p.period_end
+          )
+        END)::int AS progress,
+        p.created_at, p.updated_at
+      FROM periods p
+      ORDER BY p.created_at DESC
+    `
+    const goals = await this.query(sql, [userId, await this.getUserTimezone(userId), goalId])
+
+    return goals.map((goal) => ({
+      ...goal,
+      percent: Math.min(100, Math.round((goal.progress / goal.target) * 100)),
+      completed: goal.progress >= goal.target,
+    }))
+  }
+
+  async getGoalById(id, userId) {
+    const goals = await this.getGoals(userId, id)
+    return goals[0] || null
+  }
+
+  async createGoal(goalData) {
+    const { user_id, title, metric, target, period, subject_id, starts_on, ends_on } = goalData
+    const sql = `
+      INSERT INTO goals (user_id, title, metric, target, period, subject_id, starts_on, ends_on) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `
+    const result = await this.query(sql, [user_id, title, metric, target, period, subject_id, starts_on, ends_on])
+    return result[0].id
+  }
+
+  async updateGoal(id, goalData, userId) {
+    const { title, metric, target, period, subject_id, starts_on, ends_on } = goalData
+    const sql = `
+      UPDATE goals 
+      SET title = $1, metric = $2, target = $3, period = $4, subject_id = $5, starts_on = $6, ends_on = $7 
+      WHERE id = $8 AND user_id = $9
+      RETURNING id
+    `
+    const result = await this.query(sql, [title, metric, target, period, subject_id, starts_on, ends_on, id, userId])
+    return result.length > 0
+  }
+
+  async deleteGoal(id, userId) {
+    const sql = "DELETE FROM goals WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Task operations
+  // Open tasks first, soonest due first. actual_pomodoros counts the completed focus rounds credited to a task.
+  async getTasks(userId, taskId = null) {
+    const sql = `
+      SELECT 
+        t.id, t.title, t.subject_id, ${subjectColumns("t")},
+        TO_CHAR(t.due_date, 'YYYY-MM-DD') AS due_date,
+        t.estimated_pomodoros,
+        (
+          SELECT COUNT(*) FROM focus_timers ft 
+          WHERE ft.task_id = t.id AND ft.timer_type = 'pomodoro' AND ft.completed = TRUE
+        )::int AS actual_pomodoros,
+        t.is_done, t.done_at, t.created_at, t.updated_at
+      FROM tasks t
+      WHERE t.user_id = $1 AND ($2::int IS NULL OR t.id = $2)
+      ORDER BY t.is_done ASC, t.due_date ASC NULLS LAST, t.created_at DESC
+    `
+    return await this.query(sql, [userId, taskId])
+  }
+
+  async getTaskById(id, userId) {
+    const tasks = await this.getTasks(userId, id)
+    return tasks[0] || null
+  }
+
+  async createTask(taskData) {
+    const { user_id, title, subject_id, due_date, estimated_pomodoros } = taskData
+    const sql = `
+      INSERT INTO tasks (user_id, title, subject_id, due_date, estimated_pomodoros) 
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `
+    const result = await this.query(sql, [user_id, title, subject_id, due_date, estimated_pomodoros])
+    return result[0].id
+  }
+
+  async updateTask(id, taskData, userId) {
+    const { title, subject_id, due_date, estimated_pomodoros } = taskData
+    const sql = `
+      UPDATE tasks 
+      SET title = $1, subject_id = $2, due_date = $3, estimated_pomodoros = $4 
+      WHERE id = $5 AND user_id = $6
+      RETURNING id
+    `
+    const result = await this.query(sql, [title, subject_id, due_date, estimated_pomodoros, id, userId])
+    return result.length > 0
+  }
+
+  // Flips the done state; returns the new state, or null when the task does not exist
+  async toggleTask(id, userId) {
+    const sql = `
+      UPDATE tasks 
+      SET is_done = NOT is_done, done_at = CASE WHEN is_done THEN NULL ELSE NOW() END 
+      WHERE id = $1 AND user_id = $2
+      RETURNING is_done
+    `
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0 ? result[0].is_done : null
+  }
+
+  async deleteTask(id, userId) {
+    const sql = "DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Exam operations
+  // Soonest exam first. Each topic carries the minutes completed and still planned or in progress for it.
+  async getExams(userId, examId = null) {
+    const sql = `
+      SELECT 
+        e.id, e.title, e.subject_id, ${subjectColumns("e")},
+        TO_CHAR(e.exam_date, 'YYYY-MM-DD') AS exam_date,
+        (e.exam_date - ${LOCAL_TODAY})::int AS days_left,
+        e.study_minutes,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', t.id, 'title', t.title, 'weight', t.weight,
+            'completed_minutes', s.completed_minutes, 'planned_minutes', s.planned_minutes
+          ) ORDER BY t.position)
+          FROM exam_topics t
+          CROSS JOIN LATERAL (
+            SELECT 
+              COALESCE(SUM(COALESCE(actual_duration, duration)) FILTER (WHERE status = 'completed'), 0)::int 
+                AS completed_minutes,
+              COALESCE(SUM(duration) FILTER (WHERE status IN ('planned', 'inprogress')), 0)::int AS planned_minutes
+            FROM study_sessions 
+            WHERE exam_topic_id = t.id AND deleted_at IS NULL
+          ) s
+          WHERE t.exam_id = e.id
+        ), '[]'::json) AS topics,
+        (
+          SELECT MIN(s.scheduled_at) FROM study_sessions s 
+          JOIN exam_topics t ON t.id = s.exam_topic_id 
+          WHERE t.exam_id = e.id AND s.status = 'planned' AND s.deleted_at IS NULL 
+            AND s.scheduled_at >= (NOW() AT TIME ZONE 'UTC')
+        ) AS next_session_at,
+        e.created_at, e.updated_at
+      FROM exams e
+      WHERE e.user_id = $1 AND ($3::int IS NULL OR e.id = $3)
+      ORDER BY e.exam_date ASC, e.created_at ASC
+    `
+    const exams = await this.query(sql, [userId, await this.getUserTimezone(userId), examId])
+    return exams.map(shareExamTime)
+  }
+
+  async getExamById(id, userId) {
+    const exams = await this.getExams(userId, id)
+    return exams[0] || null
+  }
+
+  async createExam(examData) {
+    const { user_id, title, subject_id, exam_date, study_minutes } = examData
+    const sql = `
+      INSERT INTO exams (user_id, title, subject_id, exam_date, study_minutes) 
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `
+    const result = await this.query(sql, [user_id, title, subject_id, exam_date, study_minutes])
+    return result[0].id
+  }
+
+  async updateExam(id, examData, userId) {
+    const { title, subject_id, exam_date, study_minutes } = examData
+    const sql = `
+      UPDATE exams 
+      SET title = $1, subject_id = $2, exam_date = $3, study_minutes = $4 
+      WHERE id = $5 AND user_id = $6
+      RETURNING id
+    `
+    const result = await this.query(sql, [title, subject_id, exam_date, study_minutes, id, userId])
+    return result.length > 0
+  }
+
+  // Topics keep their ids across edits so the sessions studied for them stay counted; topics left out are deleted
+  async saveExamTopics(examId, topics) {
+    const keptIds = topics.filter((topic) => topic.id).map((topic) => topic.id)
+    await this.query("DELETE FROM exam_topics WHERE exam_id = $1 AND NOT (id = ANY($2::int[]))", [examId, keptIds])
+
+    for (const [position, topic] of topics.entries()) {
+      if (topic.id) {
+        await this.query(
+          "UPDATE exam_topics SET title = $1, weight = $2, position = $3 WHERE id = $4 AND exam_id = $5",
+          [topic.title, topic.weight, position, topic.id, examId],
+        )
+      } else {
+        await this.query("INSERT INTO exam_topics (exam_id, title, weight, position) VALUES ($1, $2, $3, $4)", [
+          examId,
+          topic.title,
+          topic.weight,
+          position,
+        ])
+      }
+    }
+  }
+
+  // Sessions still planned for the exam go with it; the ones already studied stay in the history
+  async deleteExam(id, userId) {
+    const sessionsSql = `
+      DELETE FROM study_sessions 
+      WHERE user_id = $2 AND status = 'planned' 
+        AND exam_topic_id IN (SELECT id FROM exam_topics WHERE exam_id = $1)
+    `
+    await this.query(sessionsSql, [id, userId])
+
+    const sql = "DELETE FROM exams WHERE id = $1 AND user_id = $2 RETURNING id"
+    const result = await this.query(sql, [id, userId])
+    return result.length > 0
+  }
+
+  // Study plan operations
+  // Drops planned exam sessions whose time ran out before they were started; returns how many there were
+  async deleteMissedExamSessions(userId) {
+    const sql = `
+      DELETE FROM study_sessions 
+      WHERE user_id = $1 AND status = 'planned' AND exam_topic_id IS NOT NULL AND deleted_at IS NULL
+        AND scheduled_at + duration * INTERVAL '1 minute' < (NOW() AT TIME ZONE 'UTC')
+      RETURNING id
+    `
+    const result = await this.query(sql, [userId])
+    return result.length
+  }
+
+  // Users with planned exam sessions whose time ran out, for the server's re-planning loop
+  async getUserIdsWithMissedExamSessions() {
+    const sql = `
+      SELECT DISTINCT user_id FROM study_sessions 
+      WHERE status = 'planned' AND exam_topic_id IS NOT NULL AND deleted_at IS NULL
+        AND scheduled_at + duration * INTERVAL '1 minute' < (NOW() AT TIME ZONE 'UTC')
+    `
+    const result = await this.query(sql)
+    return result.map((row) => row.user_id)
+  }
+
+  // Re-plans when planned exam sessions were missed. Only the call that removed them re-plans,
+  // so overlapping runs do not plan the same time twice.
+  async replanMissedExamSessions(userId) {
+    if ((await this.deleteMissedExamSessions(userId)) === 0) return null
+    return await this.planExams(userId)
+  }
+
+  // Schedules the time upcoming exams still need around everything already on the calendar, including
+  // recurring sessions. rebuild first drops every planned exam session, for when exams or the budget changed.
+  // Planned sessions in the trash are left alone so they can still be restored.
+  async planExams(userId, { rebuild = false } = {}) {
+    await this.deleteMissedExamSessions(userId)
+    if (rebuild) {
+      const sql = `
+        DELETE FROM study_sessions 
+        WHERE user_id = $1 AND status = 'planned' AND exam_topic_id IS NOT NULL AND deleted_at IS NULL
+      `
+      await this.query(sql, [userId])
+    }
+
+    const exams = (await this.getExams(userId)).filter((exam) => exam.days_left > 0)
+    if (exams.length === 0) {
+      return { planned: 0, unscheduled: [] }
+    }
+
+    const settings = await this.getUserSettings(userId)
+    const timezone = settings?.timezone || DEFAULT_TIMEZONE
+    const now = new Date()
+    const lastExamDate = exams[exams.length - 1].exam_date
+    const from = new Date(now.getTime() - 24 * 60 * 60 * 1000)
+    const to = new Date(Date.parse(lastExamDate) + 2 * 24 * 60 * 60 * 1000)
+
+    const [scheduled, occurrences] = await Promise.all([
+      this.getScheduledSessions(userId, from, to),
+      this.getRecurrenceOccurrences(userId, from, to),
+    ])
+    const busy = [...scheduled.filter((session) => session.status !== "cancelled"), ...occurrences].map((entry) => ({
+      ...toLocalSlot(new Date(entry.scheduled_at), timezone),
+      duration: entry.duration,
+    }))
+    const clock = toLocalSlot(now, timezone)
+
+    const plan = planStudySessions({
+      exams: exams.map((exam) => ({
+        id: exam.id,
+        title: exam.title,
+        subject_id: exam.subject_id,
+        exam_date: exam.exam_date,
+        topics: exam.topics.map((topic) => ({
+          id: topic.id,
+          title: topic.title,
+          remaining: topic.unscheduled_minutes,
+        })),
+      })),
+      busy,
+      today: clock.date,
+      now: clock.start,
+      dailyMinutes: settings?.daily_study_minutes ?? DEFAULT_DAILY_STUDY_MINUTES,
+      startTime: settings?.study_start_time?.slice(0, 5) || DEFAULT_STUDY_START_TIME,
+    })
+
+    if (plan.sessions.length > 0) {
+      const sql = `
+        INSERT INTO study_sessions (user_id, title, subject_id, duration, status, scheduled_at, exam_topic_id) 
+        SELECT $1, LEFT(p.title, 200), p.subject_id, p.duration, 'planned', 
+          ((p.date + p.start_time) AT TIME ZONE $2) AT TIME ZONE 'UTC', p.exam_topic_id
+        FROM json_to_recordset($3::json) 
+          AS p(title TEXT, subject_id INTEGER, duration INTEGER, date DATE, start_time TIME, exam_topic_id INTEGER)
+      `
+      await this.query(sql, [userId, timezone, JSON.stringify(plan.sessions)])
+    }
+
+    return { planned: plan.sessions.length, unscheduled: plan.unscheduled }
+  }
+
+  // Push delivery operations
+  // Records a reminder as sent; false means it already went out
+  async claimPushDelivery(userId, deliveryKey) {
+    const sql = `
+      INSERT INTO push_deliveries (user_id, delivery_key)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, delivery_key) DO NOTHING
+      RETURNING id
+    `
+    const result = await this.query(sql, [userId, deliveryKey])
+    return result.length > 0
+  }
+
+  async deleteOldPushDeliveries(days = 7) {
+    await this.query(`DELETE FROM push_deliveries WHERE sent_at < NOW() - INTERVAL '${days} days'`)
+  }
+
+  // Users with push on and a subscription, with their local date and time
+  async getPushRecipients(flag) {
+    const sql = `
+      SELECT us.user_id, us.timezone,
+        TO_CHAR(us.daily_reminder_time, 'HH24:MI') AS daily_reminder_time,
+        TO_CHAR(NOW() AT TIME ZONE us.timezone, 'YYYY-MM-DD') AS local_date,
+        TO_CHAR(NOW() AT TIME ZONE us.timezone, 'HH24:MI') AS local_time
+      FROM user_settings us
+      JOIN users u ON u.id = us.user_id
+      WHERE us.push_enabled = TRUE AND us.${flag} = TRUE AND u.status = 'active'
+        AND EXISTS (
+          SELECT 1 FROM push_subscriptions ps 
+          WHERE ps.user_id = us.user_id AND (ps.expires_at IS NULL OR ps.expires_at > NOW())
+        )
+    `
+    return await this.query(sql)
+  }
+
+  // Planned sessions and recurrence occurrences starting within the window
+  async getUpcomingSessions(userId, from, to) {
+    const sessions = await this.getScheduledSessions(userId, from, to)
+    const occurrences = await this.getRecurrenceOccurrences(userId, from, to)
+
+    return [
+      ...sessions
+        .filter((session) => session.status === "planned")
+        .map((session) => ({ key: `session:${session.id}`, ...session })),
+      ...occurrences.map((occurrence) => ({
+        key: `occurrence:${occurrence.recurrence_id}:${occurrence.occurrence_date}`,
+        ...occurrence,
+      })),
+    ]
+  }
 }
 
 export default Database
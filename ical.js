@@ -0,0 +1,119 @@
+// ical.js - iCalendar (RFC 5545) export of scheduled study sessions
+const PRODID = "-//FocusMode//Sesi Belajar//ID"
+const UID_DOMAIN = "focusmode"
+
+// ISO weekday 1 (Monday) to 7 (Sunday), as stored in days_of_week
+const ICAL_DAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]
+
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = []
+  let current = ""
+  let currentBytes = 0
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char)
+    const limit = parts.length === 0 ? 75 : 74
+    if (currentBytes + bytes > limit) {
+      parts.push(current)
+      current = ""
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += bytes
+  }
+  parts.push(current)
+
+  return parts.join("\r\n ")
+}
+
+const formatUtc = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "")
+
+// Local wall-clock time, paired with a TZID parameter
+const formatLocal = (date, time) => `${date.replace(/-/g, "")}T${time.replace(":", "")}00`
+
+// First day on or after starts_on that the rule falls on, so DTSTART matches the RRULE
+const firstOccurrenceDate = (startsOn, daysOfWeek) => {
+  const date = new Date(`${startsOn}T00:00:00Z`)
+  while (!daysOfWeek.includes(((date.getUTCDay() + 6) % 7) + 1)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+  }
+  return date.toISOString().slice(0, 10)
+}
+
+const describe = ({ subject, description }) =>
+  [subject && `Mata pelajaran: ${subject}`, description].filter(Boolean).join("\n")
+
+const eventLines = (fields) => ["BEGIN:VEVENT", ...fields.filter(Boolean), "END:VEVENT"]
+
+const recurrenceEvent = (recurrence) => {
+  const firstDate = firstOccurrenceDate(recurrence.starts_on, recurrence.days_of_week)
+  const byDay = recurrence.days_of_week.map((day) => ICAL_DAYS[day - 1]).join(",")
+  // UNTIL must be UTC when DTSTART has a TZID; the end of the last day in UTC is close enough
+  const until = recurrence.ends_on ? `;UNTIL=${recurrence.ends_on.replace(/-/g, "")}T235959Z` : ""
+
+  return eventLines([
+    `UID:recurrence-${recurrence.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(recurrence.updated_at)}`,
+    `LAST-MODIFIED:${formatUtc(recurrence.updated_at)}`,
+    `SEQUENCE:${recurrence.ical_sequence || 0}`,
+    `DTSTART;TZID=${recurrence.timezone}:${formatLocal(firstDate, recurrence.start_time)}`,
+    `DURATION:PT${recurrence.duration}M`,
+    `RRULE:FREQ=WEEKLY;BYDAY=${byDay}${until}`,
+    `SUMMARY:${escapeText(recurrence.title)}`,
+    describe(recurrence) && `DESCRIPTION:${escapeText(describe(recurrence))}`,
+    "STATUS:CONFIRMED",
+  ])
+}
+
+// A session created from a recurrence overrides that occurrence of the recurring event
+const sessionEvent = (session) => {
+  const isOccurrence = session.recurrence_id && session.occurrence_date && session.recurrence_start_time
+
+  return eventLines([
+    isOccurrence ? `UID:recurrence-${session.recurrence_id}@${UID_DOMAIN}` : `UID:session-${session.id}@${UID_DOMAIN}`,
+    isOccurrence &&
+      `RECURRENCE-ID;TZID=${session.recurrence_timezone}:${formatLocal(
+        session.occurrence_date,
+        session.recurrence_start_time,
+      )}`,
+    `DTSTAMP:${formatUtc(session.updated_at)}`,
+    `LAST-MODIFIED:${formatUtc(session.updated_at)}`,
+    `SEQUENCE:${session.ical_sequence || 0}`,
+    `DTSTART:${formatUtc(session.scheduled_at)}`,
+    `DURATION:PT${session.duration}M`,
+    `SUMMARY:${escapeText(session.title)}`,
+    describe(session) && `DESCRIPTION:${escapeText(describe(session))}`,
+    `STATUS:${session.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+  ])
+}
+
+// TZIDs are IANA names without VTIMEZONE blocks, which calendar apps resolve themselves
+export const buildCalendar = ({ name, sessions, recurrences }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...recurrences.flatMap(recurrenceEvent),
+    ...sessions.flatMap(sessionEvent),
+    "END:VCALENDAR",
+  ]
+
+  return lines.map(foldLine).join("\r\n") + "\r\n"
+}
@@ -1,6 +1,66 @@
 // Import service worker dan notifikasi
+import { Api, announceAchievements } from './src/data/api.js';
+import {
+  HEATMAP_DAYS,
+  describeHeatmapDay,
+  renderHeatmap,
+} from './src/js/activity-heatmap.js';
 import { NotificationManager } from './src/js/notification.js';
 import { OfflineManager } from './src/js/offline.js';
+import {
+  DISTRACTION_REASONS,
+  summarizeFocusQuality,
+} from './src/js/distraction-tracker.js';
+import { FocusTimer } from './src/js/focus-timer.js';
+import {
+  GOAL_METRIC_LABELS,
+  GOAL_PERIOD_LABELS,
+  renderGoalRing,
+} from './src/js/goal-progress.js';
+import { PHASES, PHASE_LABELS } from './src/js/pomodoro.js';
+import {
+  SessionCalendar,
+  WEEKDAYS,
+  downloadCalendarExport,
+  toDateKey,
+  toLocalInputValue,
+  toWebcalUrl,
+} from './src/js/session-calendar.js';
+import {
+  ANALYTICS_RANGES,
+  renderAnalyticsCards,
+  renderHourChart,
+  renderSubjectBreakdown,
+  renderWeekdayChart,
+} from './src/js/study-analytics.js';
+import {
+  SUBJECT_COLORS,
+  SUBJECT_ICONS,
+  readSubjectSelect,
+  renderSubjectOptions,
+} from './src/js/subject-picker.js';
+import {
+  bindTagField,
+  renderTagChips,
+  renderTagCloud,
+  renderTagField,
+} from './src/js/note-tags.js';
+import {
+  SEARCH_ENTITIES,
+  renderSearchResult,
+  searchResultHref,
+} from './src/js/search-results.js';
+import { renderEstimateSummary, renderTaskItem } from './src/js/task-list.js';
+import {
+  readTopicFields,
+  renderExamCard,
+  renderExamCountdown,
+  renderTopicField,
+} from './src/js/exam-plan.js';
+import { formatRemaining } from './src/js/timer-clock.js';
+import { renderTrashItem } from './src/js/trash-list.js';
+import { renderWordDiff } from './src/js/word-diff.js';
+import escapeHtml from './src/utils/escape.js';
 import './src/styles/responsive.css';
 import './src/styles/styles.css';
 
@@ -29,9 +89,13 @@ async function apiCall(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'API request failed');
+      const error = new Error(data.error || 'API request failed');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
+    announceAchievements(data);
     return data;
   } catch (error) {
     console.error('API call failed:', error);
@@ -53,6 +117,23 @@ if ('serviceWorker' in navigator) {
         console.log('SW registration failed: ', registrationError);
       });
   });
+
+  // Notification buttons clicked while the app is open. Commands run right away when the page is
+  // already on the route, where setting the same hash again fires no hashchange, and for a snooze,
+  // which leaves the open page where it is; otherwise loadPage runs them.
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data?.type !== 'NOTIFICATION_ACTION') return;
+
+    const { url, command } = event.data;
+    const onRoute = window.location.hash.split('?')[0] === url;
+    if (command === 'snooze') {
+      FocusTimer.runCommand(command);
+    } else if (command && onRoute) {
+      TimerManager.runCommand(command);
+    } else {
+      window.location.hash = command ? `${url}?command=${command}` : url;
+    }
+  });
 }
 
 // Inisialisasi Notifikasi
@@ -68,6 +149,23 @@ async function initializeNotifications() {
 // Panggil inisialisasi notifikasi
 initializeNotifications();
 
+// Badges unlocked by any API call; the Beranda gallery refreshes when it is open
+window.addEventListener('achievements-unlocked', event => {
+  event.detail.forEach(achievement => {
+    showToast(`🏆 Pencapaian baru: ${achievement.title}`, 'success');
+    if (NotificationManager.getSettings().achievementAlerts) {
+      NotificationManager.showAchievement(
+        achievement.title,
+        achievement.description
+      );
+    }
+  });
+
+  if (document.getElementById('achievement-gallery')) {
+    loadAchievementGallery();
+  }
+});
+
 // Simple authentication state
 let currentUser = null;
 
@@ -240,6 +338,11 @@ function showAuthPage() {
         body: `Halo ${currentUser.name}, selamat belajar!`,
         icon: './icons/icon-192x192.png',
       });
+
+      // Server reminders go to this browser only once it is registered under the account
+      NotificationManager.loadSettings().then(settings => {
+        if (settings.isPushEnabled) NotificationManager.subscribeToPush();
+      });
     } catch (error) {
       console.warn('API login failed, trying local login:', error.message);
       // Fallback to local login
@@ -359,6 +462,22 @@ function switchAuthTab(tabName) {
 }
 
 // Show main application
+// Stats and streaks are bucketed into days in the timezone stored with the user's settings
+async function syncUserTimezone() {
+  if (!Api.auth.isLoggedIn()) return;
+
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const synced = `${currentUser.id}:${timezone}`;
+  if (localStorage.getItem('syncedTimezone') === synced) return;
+
+  try {
+    await Api.user.updateSettings({ timezone });
+    localStorage.setItem('syncedTimezone', synced);
+  } catch (error) {
+    console.warn('Failed to sync timezone:', error.message);
+  }
+}
+
 function showMainApp() {
   document.getElementById('auth-container').classList.add('hidden');
   document.getElementById('app').classList.remove('hidden');
@@ -372,6 +491,11 @@ function showMainApp() {
     ).innerHTML = `<span class="avatar-initial premium-avatar">${currentUser.avatar}</span>`;
   }
 
+  // A focus phase keeps counting down across reloads, on any page
+  FocusTimer.init();
+  syncUserTimezone();
+  initializeGlobalSearch();
+
   if (!isLoadingPage) {
     loadPage();
   }
@@ -391,17 +515,27 @@ function showMainApp() {
 // Data management with API integration
 const DataManager = {
   // Notes
-  async getNotes(category = 'all') {
+  // tagIds keeps only the notes carrying every one of those tags
+  async getNotes(category = 'all', tagIds = []) {
     try {
       if (authToken && currentUser) {
-        const query = category !== 'all' ? `?category=${category}` : '';
-        const notes = await apiCall(`/notes${query}`);
+        const query = new URLSearchParams();
+        if (category !== 'all') query.set('category', category);
+        if (tagIds.length > 0) query.set('tags', tagIds.join(','));
+        const notes = await apiCall(
+          query.toString() ? `/notes?${query}` : '/notes'
+        );
         // Map database fields to frontend format
         return notes.map(note => ({
           id: note.id,
           title: note.title,
           content: note.content,
           category: note.category,
+          subjectId: note.subject_id ?? null,
+          subject: note.subject,
+          subjectColor: note.subject_color,
+          tags: note.tags || [],
+          version: note.version,
           createdAt: note.created_at || note.createdAt,
           updatedAt: note.updated_at || note.updatedAt,
         }));
@@ -415,8 +549,11 @@ const DataManager = {
       const notes = JSON.parse(
         localStorage.getItem(`notes_${currentUser.id}`) || '[]'
       );
-      if (category === 'all') return notes;
-      return notes.filter(n => n.category === category);
+      return notes.filter(
+        n =>
+          (category === 'all' || n.category === category) &&
+          tagIds.every(id => n.tags?.some(tag => tag.id === id))
+      );
     } catch (e) {
       console.error('Error parsing localStorage notes:', e);
       return [];
@@ -431,13 +568,25 @@ const DataManager = {
           title: note.title,
           content: note.content,
           category: note.category || 'study',
+          subject_id: note.subjectId,
+          // Left out unless the form edited them, so other saves keep the tags
+          tags: note.tagNames,
         };
 
         if (note.id) {
-          // Update existing note
-          await apiCall(`/notes/${note.id}`, { method: 'PUT', body: noteData });
+          // Update existing note, rejected with 409 if it changed elsewhere
+          const result = await apiCall(`/notes/${note.id}`, {
+            method: 'PUT',
+            body: { ...noteData, version: note.version },
+          });
           console.log('✅ Note updated in database:', note.id);
-          return { ...note, ...noteData, updatedAt: new Date().toISOString() };
+          return {
+            ...note,
+            ...noteData,
+            tags: result.note?.tags ?? note.tags,
+            version: result.note?.version,
+            updatedAt: new Date().toISOString(),
+          };
         } else {
           // Create new note
           const result = await apiCall('/notes', {
@@ -448,6 +597,7 @@ const DataManager = {
           return {
             ...note,
             ...noteData,
+            tags: result.tags,
             id: result.id,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
@@ -455,6 +605,10 @@ const DataManager = {
         }
       }
     } catch (error) {
+      if (error.status === 409) {
+        // A conflict must be merged by the user, not hidden in localStorage
+        throw error;
+      }
       console.error('API saveNote failed:', error);
       console.warn('Falling back to localStorage');
     }
@@ -505,6 +659,26 @@ const DataManager = {
     localStorage.setItem(`notes_${currentUser.id}`, JSON.stringify(notes));
   },
 
+  // Revisions are kept only by the server, newest first
+  async getNoteRevisions(noteId) {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall(`/notes/${noteId}/revisions`);
+      }
+    } catch (error) {
+      console.warn('API getNoteRevisions failed:', error.message);
+    }
+    return [];
+  },
+
+  async restoreNoteRevision(noteId, revisionId) {
+    const result = await apiCall(
+      `/notes/${noteId}/revisions/${revisionId}/restore`,
+      { method: 'POST' }
+    );
+    return result.note;
+  },
+
   // Books
   async getBooks() {
     try {
@@ -517,6 +691,9 @@ const DataManager = {
           author: book.author,
           description: book.description || '',
           category: book.category,
+          subjectId: book.subject_id ?? null,
+          subject: book.subject,
+          subjectColor: book.subject_color,
           isComplete: book.is_complete === 1 || book.is_complete === true,
           createdAt: book.created_at || book.createdAt,
           updatedAt: book.updated_at || book.updatedAt,
@@ -546,6 +723,7 @@ const DataManager = {
           author: book.author,
           description: book.description || '',
           category: book.category || 'academic',
+          subject_id: book.subjectId,
           is_complete: book.isComplete || false,
         };
 
@@ -659,9 +837,14 @@ const DataManager = {
           id: session.id,
           title: session.title,
           description: session.description || '',
+          subjectId: session.subject_id ?? null,
           subject: session.subject,
+          subjectColor: session.subject_color,
           duration: session.duration,
           status: session.status,
+          interruptionCount: session.interruption_count,
+          focusQuality: session.focus_quality,
+          scheduledAt: session.scheduled_at,
           startedAt: session.started_at,
           completedAt: session.completed_at,
           createdAt: session.created_at,
@@ -693,17 +876,22 @@ const DataManager = {
         const sessionData = {
           title: session.title,
           description: session.description || '',
-          subject: session.subject,
+          subject_id: session.subjectId,
           duration: parseInt(session.duration) || 25,
           status: session.status || 'planned',
+          scheduled_at: session.scheduledAt || null,
         };
 
         if (session.id) {
-          // Update existing session
+          // Update existing session; the schedule has its own endpoint
           await apiCall(`/sessions/${session.id}`, {
             method: 'PUT',
             body: sessionData,
           });
+          await apiCall(`/sessions/${session.id}/schedule`, {
+            method: 'PATCH',
+            body: { scheduled_at: sessionData.scheduled_at },
+          });
           console.log('✅ Session updated in database:', session.id);
           return { ...session, ...sessionData };
         } else {
@@ -831,6 +1019,198 @@ const DataManager = {
     }
   },
 
+  // Recurring sessions live only on the server, which expands them
+  async getRecurrences() {
+    return await apiCall('/recurrences');
+  },
+
+  async saveRecurrence(recurrence) {
+    const { id, ...data } = recurrence;
+    return await apiCall(id ? `/recurrences/${id}` : '/recurrences', {
+      method: id ? 'PUT' : 'POST',
+      body: data,
+    });
+  },
+
+  async deleteRecurrence(id) {
+    await apiCall(`/recurrences/${id}`, { method: 'DELETE' });
+  },
+
+  // Subjects live only on the server; offline pickers simply show none
+  async getSubjects() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/subjects');
+      }
+    } catch (error) {
+      console.warn('API getSubjects failed:', error.message);
+    }
+    return [];
+  },
+
+  async saveSubject(subject) {
+    const { id, ...data } = subject;
+    return await apiCall(id ? `/subjects/${id}` : '/subjects', {
+      method: id ? 'PUT' : 'POST',
+      body: data,
+    });
+  },
+
+  async deleteSubject(id) {
+    await apiCall(`/subjects/${id}`, { method: 'DELETE' });
+  },
+
+  async mergeSubjects(targetId, sourceIds) {
+    return await apiCall(`/subjects/${targetId}/merge`, {
+      method: 'POST',
+      body: { source_ids: sourceIds },
+    });
+  },
+
+  // Tags live only on the server as well
+  async getTags() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/tags');
+      }
+    } catch (error) {
+      console.warn('API getTags failed:', error.message);
+    }
+    return [];
+  },
+
+  async renameTag(id, name) {
+    return await apiCall(`/tags/${id}`, { method: 'PUT', body: { name } });
+  },
+
+  async deleteTag(id) {
+    await apiCall(`/tags/${id}`, { method: 'DELETE' });
+  },
+
+  async mergeTags(targetId, sourceIds) {
+    return await apiCall(`/tags/${targetId}/merge`, {
+      method: 'POST',
+      body: { source_ids: sourceIds },
+    });
+  },
+
+  // Search runs on the server only; offline it finds nothing
+  async search(text) {
+    try {
+      if (authToken && currentUser) {
+        const query = new URLSearchParams({ q: text });
+        return await apiCall(`/search?${query}`);
+      }
+    } catch (error) {
+      console.warn('API search failed:', error.message);
+    }
+    return [];
+  },
+
+  // Tasks live only on the server, which counts the focus rounds credited to them
+  async getTasks() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/tasks');
+      }
+    } catch (error) {
+      console.warn('API getTasks failed:', error.message);
+    }
+    return [];
+  },
+
+  async saveTask(task) {
+    const { id, ...data } = task;
+    return await apiCall(id ? `/tasks/${id}` : '/tasks', {
+      method: id ? 'PUT' : 'POST',
+      body: data,
+    });
+  },
+
+  async toggleTask(id) {
+    return await apiCall(`/tasks/${id}/toggle`, { method: 'POST' });
+  },
+
+  async deleteTask(id) {
+    await apiCall(`/tasks/${id}`, { method: 'DELETE' });
+  },
+
+  // Exams live only on the server, which also schedules the sessions planned for them
+  async getExams() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/exams');
+      }
+    } catch (error) {
+      console.warn('API getExams failed:', error.message);
+    }
+    return [];
+  },
+
+  async saveExam(exam) {
+    const { id, ...data } = exam;
+    return await apiCall(id ? `/exams/${id}` : '/exams', {
+      method: id ? 'PUT' : 'POST',
+      body: data,
+    });
+  },
+
+  async deleteExam(id) {
+    await apiCall(`/exams/${id}`, { method: 'DELETE' });
+  },
+
+  async replanExams() {
+    return await apiCall('/exams/plan', { method: 'POST' });
+  },
+
+  // The trash is kept by the server; items deleted while offline are gone for good
+  async getTrash() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/trash');
+      }
+    } catch (error) {
+      console.warn('API getTrash failed:', error.message);
+    }
+    return [];
+  },
+
+  async restoreFromTrash(entity, id) {
+    return await apiCall(`/trash/${entity}/${id}/restore`, { method: 'POST' });
+  },
+
+  async deleteFromTrash(entity, id) {
+    await apiCall(`/trash/${entity}/${id}`, { method: 'DELETE' });
+  },
+
+  async emptyTrash() {
+    return await apiCall('/trash', { method: 'DELETE' });
+  },
+
+  // Goals live only on the server, which computes their progress
+  async getGoals() {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall('/goals');
+      }
+    } catch (error) {
+      console.warn('API getGoals failed:', error.message);
+    }
+    return [];
+  },
+
+  async saveGoal(goal) {
+    const { id, ...data } = goal;
+    return await apiCall(id ? `/goals/${id}` : '/goals', {
+      method: id ? 'PUT' : 'POST',
+      body: data,
+    });
+  },
+
+  async deleteGoal(id) {
+    await apiCall(`/goals/${id}`, { method: 'DELETE' });
+  },
+
   // Dashboard & Stats
   async getDashboard() {
     try {
@@ -909,6 +1289,43 @@ const DataManager = {
     return [];
   },
 
+  // Daily totals for the heatmap, newest first
+  async getStudyHistory(days) {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall(`/stats/history?days=${days}`);
+      }
+    } catch (error) {
+      console.warn('API getStudyHistory failed:', error.message);
+    }
+    return [];
+  },
+
+  // Analytics for the last `days` days, or null when they cannot be loaded
+  async getAnalytics(days) {
+    try {
+      if (authToken && currentUser) {
+        return await apiCall(`/stats/analytics?days=${days}`);
+      }
+    } catch (error) {
+      console.warn('API getAnalytics failed:', error.message);
+    }
+    return null;
+  },
+
+  // Achievements
+  async getAchievements() {
+    try {
+      if (authToken && currentUser) {
+        const data = await apiCall('/achievements');
+        return data.achievements || [];
+      }
+    } catch (error) {
+      console.warn('API getAchievements failed:', error.message);
+    }
+    return [];
+  },
+
   // Today Stats
   async getTodayStats() {
     try {
@@ -1004,169 +1421,87 @@ const DataManager = {
   },
 };
 
-// Focus Mode Timer
-let timerInterval;
-let timerMinutes = 25;
-let timerSeconds = 0;
-let isTimerRunning = false;
-let currentTimerType = 'pomodoro';
-
+// Focus Mode Timer - page controls for the shared FocusTimer service
 const TimerManager = {
-  startTimer(minutes = 25) {
-    if (isTimerRunning) return;
-
-    timerMinutes = minutes;
-    timerSeconds = 0;
-    isTimerRunning = true;
-    currentTimerType =
-      minutes === 25
-        ? 'pomodoro'
-        : minutes === 5
-        ? 'short-break'
-        : 'long-break';
-
-    this.updateTimerDisplay();
-
-    timerInterval = setInterval(() => {
-      if (timerSeconds === 0) {
-        if (timerMinutes === 0) {
-          this.timerComplete();
-          return;
-        }
-        timerMinutes--;
-        timerSeconds = 59;
-      } else {
-        timerSeconds--;
-      }
-      this.updateTimerDisplay();
-    }, 1000);
-
-    // Update UI
-    const startBtn = document.getElementById('start-timer');
-    const pauseBtn = document.getElementById('pause-timer');
-    const resetBtn = document.getElementById('reset-timer');
-
-    if (startBtn) startBtn.disabled = true;
-    if (pauseBtn) pauseBtn.disabled = false;
-    if (resetBtn) resetBtn.disabled = false;
-
-    // Show notification
-    NotificationManager.show('Timer Dimulai!', {
-      body: `Fokus selama ${minutes} menit dimulai sekarang!`,
-      icon: '/icons/icon-192x192.png',
-    });
+  startTimer() {
+    return FocusTimer.start(this.getSessionDetails());
   },
 
   pauseTimer() {
-    if (!isTimerRunning) return;
-
-    clearInterval(timerInterval);
-    isTimerRunning = false;
-
-    // Update UI
-    const startBtn = document.getElementById('start-timer');
-    const pauseBtn = document.getElementById('pause-timer');
+    return FocusTimer.pause();
+  },
 
-    if (startBtn) startBtn.disabled = false;
-    if (pauseBtn) pauseBtn.disabled = true;
+  resetTimer() {
+    return FocusTimer.reset();
+  },
 
-    // Show notification
-    NotificationManager.show('Timer Dijeda', {
-      body: 'Sesi fokus Anda telah dijeda.',
-      icon: '/icons/icon-192x192.png',
-    });
+  selectPhase(phase) {
+    return FocusTimer.selectPhase(phase);
   },
 
-  resetTimer() {
-    clearInterval(timerInterval);
-    isTimerRunning = false;
+  runCommand(command) {
+    return FocusTimer.runCommand(command, this.getSessionDetails());
+  },
 
-    // Reset to current timer type
-    if (currentTimerType === 'pomodoro') timerMinutes = 25;
-    else if (currentTimerType === 'short-break') timerMinutes = 5;
-    else timerMinutes = 15;
+  // What the focus page says is being studied, recorded on the timer and session
+  getSessionDetails() {
+    return {
+      taskDescription: document
+        .getElementById('current-task')
+        ?.textContent.trim(),
+      subjectId: readSubjectSelect(document.getElementById('current-subject')),
+      taskId: readSubjectSelect(document.getElementById('current-task-id')),
+    };
+  },
 
-    timerSeconds = 0;
+  refresh() {
     this.updateTimerDisplay();
+    this.updatePhaseDisplay();
+    this.updateControls();
+    this.updateInterruptionCount();
+  },
 
-    // Update UI
+  updateControls() {
     const startBtn = document.getElementById('start-timer');
     const pauseBtn = document.getElementById('pause-timer');
     const resetBtn = document.getElementById('reset-timer');
 
-    if (startBtn) startBtn.disabled = false;
-    if (pauseBtn) pauseBtn.disabled = true;
+    if (startBtn) startBtn.disabled = FocusTimer.isRunning;
+    if (pauseBtn) pauseBtn.disabled = !FocusTimer.isRunning;
     if (resetBtn) resetBtn.disabled = false;
+
+    const distractionBtn = document.getElementById('log-distraction');
+    if (distractionBtn) {
+      distractionBtn.disabled = !(
+        FocusTimer.isRunning && FocusTimer.phase === PHASES.FOCUS
+      );
+    }
+  },
+
+  updateInterruptionCount() {
+    const count = document.getElementById('interruption-count');
+    if (count) count.textContent = FocusTimer.interruptionCount;
   },
 
   updateTimerDisplay() {
     const display = document.querySelector('.timer-display');
     if (display) {
-      display.textContent = `${timerMinutes
-        .toString()
-        .padStart(2, '0')}:${timerSeconds.toString().padStart(2, '0')}`;
+      display.textContent = formatRemaining(FocusTimer.remainingMs);
     }
   },
 
-  async timerComplete() {
-    clearInterval(timerInterval);
-    isTimerRunning = false;
-
-    // Get the duration that was completed
-    const completedDuration =
-      currentTimerType === 'pomodoro'
-        ? 25
-        : currentTimerType === 'short-break'
-        ? 5
-        : 15;
-
-    // Show notification
-    showToast('Timer selesai!', 'success');
-    NotificationManager.showTimerComplete();
-
-    // Play sound (jika diperlukan)
-    this.playCompletionSound();
+  updatePhaseDisplay() {
+    const { cycle } = FocusTimer;
 
-    // Update UI
-    const startBtn = document.getElementById('start-timer');
-    const pauseBtn = document.getElementById('pause-timer');
-
-    if (startBtn) startBtn.disabled = false;
-    if (pauseBtn) pauseBtn.disabled = true;
-
-    // Sync stats to database if logged in (only for pomodoro sessions)
-    if (currentTimerType === 'pomodoro' && authToken && currentUser) {
-      try {
-        // Save timer to database
-        const response = await apiCall('/timers', {
-          method: 'POST',
-          body: JSON.stringify({
-            timer_type: currentTimerType,
-            duration: completedDuration,
-            task_description: 'Pomodoro Focus Session',
-          }),
-        });
-
-        if (response && response.id) {
-          // Complete the timer which will also update stats
-          await apiCall(`/timers/${response.id}/complete`, {
-            method: 'POST',
-            body: JSON.stringify({ duration: completedDuration }),
-          });
-          console.log('📊 Timer stats synced to database');
-        }
-      } catch (error) {
-        console.warn('Failed to sync timer stats:', error.message);
-      }
-    }
+    document.querySelectorAll('.timer-btn[data-phase]').forEach(btn => {
+      const phase = btn.getAttribute('data-phase');
+      btn.classList.toggle('active', phase === cycle.phase);
+      btn.textContent = `${PHASE_LABELS[phase]} (${cycle.getMinutes(phase)}m)`;
+    });
 
-    // Auto-start break if it was a pomodoro session
-    if (currentTimerType === 'pomodoro') {
-      setTimeout(() => {
-        if (confirm('Pomodoro selesai! Mulai istirahat pendek?')) {
-          this.startTimer(5);
-        }
-      }, 1000);
+    const cycleInfo = document.getElementById('pomodoro-cycle');
+    if (cycleInfo) {
+      cycleInfo.textContent = `Putaran ${cycle.round} dari ${cycle.settings.long_break_interval}`;
     }
   },
 
@@ -1176,6 +1511,56 @@ const TimerManager = {
   },
 };
 
+FocusTimer.on('tick', () => TimerManager.updateTimerDisplay());
+FocusTimer.on('change', () => TimerManager.refresh());
+FocusTimer.on('reset', () => TimerManager.refresh());
+
+FocusTimer.on('start', ({ phase, resumed }) => {
+  TimerManager.updateControls();
+  if (resumed) return;
+
+  // Show notification
+  NotificationManager.show('Timer Dimulai!', {
+    body: `${PHASE_LABELS[phase]} selama ${FocusTimer.cycle.getMinutes(
+      phase
+    )} menit dimulai sekarang!`,
+    icon: '/icons/icon-192x192.png',
+  });
+});
+
+FocusTimer.on('pause', () => {
+  TimerManager.updateControls();
+
+  // Show notification
+  NotificationManager.show('Timer Dijeda', {
+    body: 'Sesi fokus Anda telah dijeda.',
+    icon: '/icons/icon-192x192.png',
+  });
+});
+
+FocusTimer.on('interruption', ({ interruption }) => {
+  TimerManager.updateInterruptionCount();
+
+  if (interruption.source !== 'manual') {
+    showToast(
+      `Gangguan tercatat: ${interruption.duration_seconds} detik di luar sesi fokus`,
+      'warning'
+    );
+  }
+});
+
+FocusTimer.on('complete', ({ nextPhase, autoStart }) => {
+  showToast('Timer selesai!', 'success');
+  TimerManager.playCompletionSound();
+  TimerManager.refresh();
+  loadGoalRings();
+  fillTaskSelect();
+
+  if (!autoStart) {
+    showToast(`Berikutnya: ${PHASE_LABELS[nextPhase]}`, 'info');
+  }
+});
+
 // Session Manager - Updated to use API
 const SessionManager = {
   async getSessions() {
@@ -1233,8 +1618,11 @@ const ModalManager = {
     return modal;
   },
 
-  showNoteModal(note = null) {
+  async showNoteModal(note = null) {
     const isEdit = !!note;
+    const subjects = await DataManager.getSubjects();
+    const allTags = await DataManager.getTags();
+    const tagNames = (note?.tags || []).map(tag => tag.name);
     const content = `
       <form id="noteForm" class="premium-form">
         <div class="form-group">
@@ -1245,9 +1633,13 @@ const ModalManager = {
         </div>
         <div class="form-group">
           <label>Isi Catatan</label>
-          <textarea id="noteContent" rows="6" required class="premium-input">${
-            note?.content || ''
-          }</textarea>
+          <small class="form-hint">Mendukung Markdown: judul, daftar, checklist (- [ ]), tabel, kode, dan rumus LaTeX ($...$ atau $$...$$).</small>
+          <div class="markdown-editor">
+            <textarea id="noteContent" required class="premium-input">${escapeHtml(
+              note?.content || ''
+            )}</textarea>
+            <div class="markdown-preview markdown-body" id="notePreview"></div>
+          </div>
         </div>
         <div class="form-group">
           <label>Kategori</label>
@@ -1265,6 +1657,16 @@ const ModalManager = {
               .join('')}
           </select>
         </div>
+        <div class="form-group">
+          <label>Mata Pelajaran</label>
+          <select id="noteSubject" class="premium-input">
+            ${renderSubjectOptions(subjects, note?.subjectId ?? null)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Tag</label>
+          ${renderTagField(tagNames, allTags)}
+        </div>
         <div style="display: flex; gap: 1rem; margin-top: 2rem;">
           <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelNote">Batal</button>
           <button type="submit" class="btn premium-btn">${
@@ -1278,6 +1680,26 @@ const ModalManager = {
       isEdit ? 'Edit Catatan' : 'Tambah Catatan',
       content
     );
+    modal.querySelector('.modal-content').classList.add('modal-wide');
+
+    // The preview is redrawn at most once a frame while typing
+    const { renderMarkdown } = await loadMarkdown();
+    const editor = modal.querySelector('#noteContent');
+    const preview = modal.querySelector('#notePreview');
+    let previewFrame = null;
+    const updatePreview = () => {
+      previewFrame = null;
+      preview.innerHTML = renderMarkdown(editor.value);
+    };
+    editor.addEventListener('input', () => {
+      if (!previewFrame) previewFrame = requestAnimationFrame(updatePreview);
+    });
+    updatePreview();
+
+    const readTagNames = bindTagField(
+      modal.querySelector('.tag-field'),
+      tagNames
+    );
 
     // Add event listeners
     modal
@@ -1289,8 +1711,13 @@ const ModalManager = {
         title: document.getElementById('noteTitle').value.trim(),
         content: document.getElementById('noteContent').value.trim(),
         category: document.getElementById('noteCategory').value,
+        subjectId: readSubjectSelect(document.getElementById('noteSubject')),
+        tagNames: readTagNames(),
       };
-      if (isEdit) data.id = note.id;
+      if (isEdit) {
+        data.id = note.id;
+        data.version = note.version;
+      }
 
       try {
         await DataManager.saveNote(data);
@@ -1301,14 +1728,204 @@ const ModalManager = {
         );
         await reloadNotesPage();
       } catch (error) {
-        console.error('Error saving note:', error);
+        if (error.status === 409 && error.data?.current) {
+          this.showNoteConflictModal(data, error.data.current);
+          return;
+        }
+        console.error('Error saving note:', error);
+        showToast('Gagal menyimpan catatan', 'error');
+      }
+    });
+  },
+
+  // Side-by-side merge when the note was saved on another device meanwhile
+  showNoteConflictModal(local, server) {
+    const content = `
+      <p class="conflict-hint">
+        Catatan ini sudah diperbarui di perangkat lain sejak Anda mulai mengedit.
+        Bandingkan kedua versi, lalu pilih salah satu atau gabungkan isinya.
+      </p>
+      <div class="conflict-columns">
+        <div class="conflict-version">
+          <h4>Versi Anda</h4>
+          <div class="conflict-title" id="conflictLocalTitle"></div>
+          <pre id="conflictLocalContent"></pre>
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="useLocalVersion">Pakai Versi Ini</button>
+        </div>
+        <div class="conflict-version">
+          <h4>Versi di Server</h4>
+          <div class="conflict-title" id="conflictServerTitle"></div>
+          <pre id="conflictServerContent"></pre>
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="useServerVersion">Pakai Versi Ini</button>
+        </div>
+      </div>
+      <form id="conflictForm" class="premium-form">
+        <div class="form-group">
+          <label>Judul</label>
+          <input type="text" id="mergedTitle" required class="premium-input">
+        </div>
+        <div class="form-group">
+          <label>Hasil Gabungan</label>
+          <textarea id="mergedContent" rows="6" required class="premium-input"></textarea>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelConflict">Batal</button>
+          <button type="submit" class="btn premium-btn">Simpan Gabungan</button>
+        </div>
+      </form>
+    `;
+
+    const modal = this.showModal('Catatan Diubah di Perangkat Lain', content);
+    modal.querySelector('.modal-content').classList.add('modal-wide');
+
+    // Note text is user content, so it is never interpolated as HTML
+    modal.querySelector('#conflictLocalTitle').textContent = local.title;
+    modal.querySelector('#conflictLocalContent').textContent = local.content;
+    modal.querySelector('#conflictServerTitle').textContent = server.title;
+    modal.querySelector('#conflictServerContent').textContent = server.content;
+
+    const fillMergeForm = note => {
+      modal.querySelector('#mergedTitle').value = note.title;
+      modal.querySelector('#mergedContent').value = note.content;
+    };
+    fillMergeForm(local);
+
+    modal
+      .querySelector('#useLocalVersion')
+      .addEventListener('click', () => fillMergeForm(local));
+    modal
+      .querySelector('#useServerVersion')
+      .addEventListener('click', () => fillMergeForm(server));
+    modal.querySelector('#cancelConflict').addEventListener('click', () => {
+      modal.remove();
+      reloadNotesPage();
+    });
+
+    modal.querySelector('#conflictForm').addEventListener('submit', async e => {
+      e.preventDefault();
+      const merged = {
+        id: server.id,
+        title: modal.querySelector('#mergedTitle').value.trim(),
+        content: modal.querySelector('#mergedContent').value.trim(),
+        category: local.category || server.category,
+        tagNames: local.tagNames,
+        version: server.version,
+      };
+
+      try {
+        await DataManager.saveNote(merged);
+        modal.remove();
+        showToast('Catatan berhasil digabungkan!', 'success');
+        await reloadNotesPage();
+      } catch (error) {
+        if (error.status === 409 && error.data?.current) {
+          // Saved again elsewhere while merging: compare against the newest copy
+          this.showNoteConflictModal(merged, error.data.current);
+          showToast('Catatan berubah lagi, periksa versi terbaru', 'warning');
+          return;
+        }
+        console.error('Error merging note:', error);
         showToast('Gagal menyimpan catatan', 'error');
       }
     });
   },
 
-  showBookModal(book = null) {
+  // Earlier versions of a note, each compared word by word with the version that replaced it
+  async showNoteHistoryModal(note) {
+    const revisions = await DataManager.getNoteRevisions(note.id);
+    if (revisions.length === 0) {
+      showToast('Catatan ini belum pernah diubah', 'info');
+      return;
+    }
+
+    const formatTime = date =>
+      new Date(date).toLocaleString('id-ID', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+
+    const content = `
+      <div class="note-history">
+        <ul class="note-history-list">
+          ${revisions
+            .map(
+              (revision, index) => `
+            <li>
+              <button type="button" class="note-history-item" data-index="${index}">
+                <strong>Versi ${revision.version}</strong>
+                <small>${formatTime(revision.created_at)}</small>
+                <small><i class="fas fa-laptop"></i> ${escapeHtml(
+                  revision.device || 'Perangkat tidak dikenal'
+                )}</small>
+              </button>
+            </li>
+          `
+            )
+            .join('')}
+        </ul>
+        <div class="note-history-detail">
+          <p class="note-history-hint" id="historyHint"></p>
+          <h4 class="note-history-diff" id="historyTitle"></h4>
+          <div class="note-history-diff" id="historyContent"></div>
+          <button type="button" class="btn premium-btn" id="restoreRevision">
+            <i class="fas fa-undo"></i> Pulihkan versi ini
+          </button>
+        </div>
+      </div>
+    `;
+
+    const modal = this.showModal(`Riwayat: ${escapeHtml(note.title)}`, content);
+    modal.querySelector('.modal-content').classList.add('modal-wide');
+
+    let selected = null;
+    const selectRevision = index => {
+      selected = revisions[index];
+      // The newest revision was replaced by the note as it is now
+      const newer = index === 0 ? note : revisions[index - 1];
+      const newerLabel = index === 0 ? 'saat ini' : newer.version;
+      modal.querySelector(
+        '#historyHint'
+      ).textContent = `Perubahan dari versi ${selected.version} ke versi ${newerLabel}`;
+      modal.querySelector('#historyTitle').innerHTML = renderWordDiff(
+        selected.title,
+        newer.title
+      );
+      modal.querySelector('#historyContent').innerHTML = renderWordDiff(
+        selected.content,
+        newer.content
+      );
+      modal.querySelectorAll('.note-history-item').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.index) === index);
+      });
+    };
+    selectRevision(0);
+
+    modal.querySelector('.note-history-list').addEventListener('click', e => {
+      const item = e.target.closest('.note-history-item');
+      if (item) selectRevision(Number(item.dataset.index));
+    });
+
+    modal
+      .querySelector('#restoreRevision')
+      .addEventListener('click', async () => {
+        try {
+          await DataManager.restoreNoteRevision(note.id, selected.id);
+          modal.remove();
+          showToast(`Versi ${selected.version} dipulihkan!`, 'success');
+          await reloadNotesPage();
+        } catch (error) {
+          console.error('Error restoring note revision:', error);
+          showToast('Gagal memulihkan catatan', 'error');
+        }
+      });
+  },
+
+  async showBookModal(book = null) {
     const isEdit = !!book;
+    const subjects = await DataManager.getSubjects();
     const content = `
       <form id="bookForm" class="premium-form">
         <div class="form-group">
@@ -1345,6 +1962,12 @@ const ModalManager = {
               .join('')}
           </select>
         </div>
+        <div class="form-group">
+          <label>Mata Pelajaran</label>
+          <select id="bookSubject" class="premium-input">
+            ${renderSubjectOptions(subjects, book?.subjectId ?? null)}
+          </select>
+        </div>
         <div style="display: flex; gap: 1rem; margin-top: 2rem;">
           <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelBook">Batal</button>
           <button type="submit" class="btn premium-btn">${
@@ -1367,6 +1990,7 @@ const ModalManager = {
         author: document.getElementById('bookAuthor').value.trim(),
         description: document.getElementById('bookDescription').value.trim(),
         category: document.getElementById('bookCategory').value,
+        subjectId: readSubjectSelect(document.getElementById('bookSubject')),
       };
       if (isEdit) {
         data.id = book.id;
@@ -1385,8 +2009,9 @@ const ModalManager = {
     });
   },
 
-  showSessionModal(session = null) {
+  async showSessionModal(session = null) {
     const isEdit = !!session;
+    const subjects = await DataManager.getSubjects();
     const content = `
       <form id="sessionForm" class="premium-form">
         <div class="form-group">
@@ -1408,10 +2033,18 @@ const ModalManager = {
           }" min="5" max="180" required class="premium-input">
         </div>
         <div class="form-group">
-          <label>Mata Pelajaran/Topik</label>
-          <input type="text" id="sessionSubject" value="${
-            session?.subject || ''
-          }" required class="premium-input">
+          <label>Mata Pelajaran</label>
+          <select id="sessionSubject" class="premium-input">
+            ${renderSubjectOptions(subjects, session?.subjectId ?? null)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Jadwal Mulai</label>
+          <input type="datetime-local" id="sessionScheduledAt" value="${
+            session?.scheduledAt
+              ? toLocalInputValue(new Date(session.scheduledAt))
+              : ''
+          }" class="premium-input">
         </div>
         <div style="display: flex; gap: 1rem; margin-top: 2rem;">
           <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelSession">Batal</button>
@@ -1437,9 +2070,13 @@ const ModalManager = {
         title: document.getElementById('sessionTitle').value.trim(),
         description: document.getElementById('sessionDescription').value.trim(),
         duration: parseInt(document.getElementById('sessionDuration').value),
-        subject: document.getElementById('sessionSubject').value.trim(),
+        subjectId: readSubjectSelect(document.getElementById('sessionSubject')),
         status: session?.status || 'planned',
       };
+      const scheduledAt = document.getElementById('sessionScheduledAt').value;
+      data.scheduledAt = scheduledAt
+        ? new Date(scheduledAt).toISOString()
+        : null;
       if (isEdit) data.id = session.id;
 
       try {
@@ -1453,450 +2090,1965 @@ const ModalManager = {
       }
     });
   },
-};
 
-// Render Notification Settings Page
-function renderNotificationSettings() {
-  return `
-    <section class="settings-section premium-section">
-      <div class="container">
-        <h1 class="text-center premium-section-title">Pengaturan Notifikasi</h1>
-        <p class="text-center premium-section-subtitle">Kelola preferensi notifikasi Anda</p>
-       
-        <div class="settings-card premium-card" style="max-width: 600px; margin: 0 auto;">
-          <div class="form-group">
-            <label class="checkbox-label">
-              <input type="checkbox" id="push-enabled" ${
-                NotificationManager.getSettings().isPushEnabled ? 'checked' : ''
-              }>
-              <span>Web Push Notifications</span>
-            </label>
-            <small>Terima notifikasi bahkan ketika aplikasi tidak terbuka</small>
-          </div>
-         
+  showCalendarFeedModal(url) {
+    const content = `
+      <p>Tambahkan URL ini ke aplikasi kalender Anda. Perubahan jadwal dan pembatalan sesi akan ikut diperbarui.</p>
+      <div class="calendar-feed-url">
+        <input type="text" id="calendarFeedUrl" value="${url}" readonly class="premium-input">
+        <button type="button" class="btn premium-btn" id="copyFeedUrl">Salin</button>
+      </div>
+      <div class="calendar-feed-actions">
+        <a href="${toWebcalUrl(
+          url
+        )}" id="calendarFeedLink">Buka di aplikasi kalender</a>
+        <button type="button" class="btn btn-secondary premium-btn-secondary" id="resetFeedUrl">Buat URL Baru</button>
+      </div>
+    `;
+
+    const modal = this.showModal('Langganan Kalender', content);
+    const urlInput = modal.querySelector('#calendarFeedUrl');
+
+    modal.querySelector('#copyFeedUrl').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(urlInput.value);
+        showToast('URL kalender disalin!', 'success');
+      } catch (error) {
+        urlInput.select();
+      }
+    });
+    modal.querySelector('#resetFeedUrl').addEventListener('click', async () => {
+      if (
+        !confirm(
+          'Buat URL baru? Kalender yang berlangganan URL lama tidak akan diperbarui lagi.'
+        )
+      ) {
+        return;
+      }
+
+      try {
+        const result = await Api.calendar.resetFeed();
+        urlInput.value = result.url;
+        modal.querySelector('#calendarFeedLink').href = toWebcalUrl(result.url);
+        showToast('URL kalender baru dibuat!', 'success');
+      } catch (error) {
+        console.error('Error resetting calendar feed:', error);
+        showToast('Gagal membuat URL kalender baru', 'error');
+      }
+    });
+  },
+
+  // Sessions completed on one heatmap day, in the order they finished
+  async showDaySessionsModal(dateKey, entry) {
+    const sessions = (await DataManager.getSessions())
+      .filter(
+        session =>
+          session.status === 'completed' &&
+          toDateKey(new Date(session.completedAt || session.createdAt)) ===
+            dateKey
+      )
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+
+    const content = `
+      <div class="day-sessions-summary">${describeHeatmapDay(
+        dateKey,
+        entry
+      )}</div>
+      ${
+        sessions.length > 0
+          ? `<ul class="day-sessions">
+          ${sessions
+            .map(
+              session => `
+            <li>
+              <div>
+                <strong>${escapeHtml(session.title)}</strong>
+                ${
+                  session.subject
+                    ? `<span class="subject-chip" style="--subject-color: ${
+                        session.subjectColor
+                      }">${escapeHtml(session.subject)}</span>`
+                    : ''
+                }
+              </div>
+              <small>${new Date(session.completedAt).toLocaleTimeString(
+                'id-ID',
+                { hour: '2-digit', minute: '2-digit' }
+              )} · ${session.duration} menit</small>
+            </li>
+          `
+            )
+            .join('')}
+        </ul>`
+          : '<p class="heatmap-empty">Tidak ada sesi yang selesai pada hari ini.</p>'
+      }
+    `;
+
+    this.showModal('Sesi Belajar', content);
+  },
+
+  async showSubjectsModal() {
+    const content = `
+      <form id="subjectForm" class="premium-form">
+        <input type="hidden" id="subjectId">
+        <div class="recurrence-grid">
           <div class="form-group">
-            <label class="checkbox-label">
-              <input type="checkbox" id="daily-reminders" ${
-                NotificationManager.getSettings().dailyReminders
-                  ? 'checked'
-                  : ''
-              }>
-              <span>Pengingat Harian</span>
-            </label>
-            <small>Notifikasi pengingat belajar setiap hari</small>
+            <label>Nama</label>
+            <input type="text" id="subjectName" maxlength="100" placeholder="Contoh: Matematika" required class="premium-input">
           </div>
-         
           <div class="form-group">
-            <label class="checkbox-label">
-              <input type="checkbox" id="session-reminders" ${
-                NotificationManager.getSettings().sessionReminders
-                  ? 'checked'
-                  : ''
-              }>
-              <span>Pengingat Sesi</span>
-            </label>
-            <small>Pengingat sebelum sesi belajar dimulai</small>
+            <label>Warna</label>
+            <input type="color" id="subjectColor" value="${
+              SUBJECT_COLORS[0]
+            }" list="subjectColorList" class="premium-input">
+            <datalist id="subjectColorList">
+              ${SUBJECT_COLORS.map(color => `<option value="${color}">`).join(
+                ''
+              )}
+            </datalist>
           </div>
-         
           <div class="form-group">
-            <label class="checkbox-label">
-              <input type="checkbox" id="achievement-alerts" ${
-                NotificationManager.getSettings().achievementAlerts
-                  ? 'checked'
-                  : ''
-              }>
-              <span>Pencapaian & Laporan</span>
-            </label>
-            <small>Notifikasi pencapaian dan laporan mingguan</small>
-          </div>
-         
-          <div class="form-actions" style="margin-top: 2rem;">
-            <button class="btn premium-btn" id="save-notification-settings">
-              <i class="fas fa-save"></i> Simpan Pengaturan
-            </button>
-            <button class="btn premium-btn-secondary" id="test-notification">
-              <i class="fas fa-bell"></i> Test Notifikasi
-            </button>
-          </div>
-         
-          <div class="notification-status" style="margin-top: 1.5rem; padding: 1rem; background: var(--soft-blue); border-radius: var(--border-radius-md);">
-            <h4>Status Notifikasi:</h4>
-            <p>Permission: <strong>${Notification.permission}</strong></p>
-            <p>Service Worker: <strong>${
-              'serviceWorker' in navigator ? 'Supported' : 'Not Supported'
-            }</strong></p>
-            <p>Push Manager: <strong>${
-              'PushManager' in window ? 'Supported' : 'Not Supported'
-            }</strong></p>
+            <label>Ikon</label>
+            <select id="subjectIcon" class="premium-input">
+              ${SUBJECT_ICONS.map(
+                icon => `<option value="${icon}">${icon.slice(3)}</option>`
+              ).join('')}
+            </select>
           </div>
         </div>
+        <div style="display: flex; gap: 1rem;">
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="resetSubject">Batal</button>
+          <button type="submit" class="btn premium-btn" id="saveSubject">Tambah</button>
+        </div>
+      </form>
+      <ul class="subject-list" id="subjectList"></ul>
+      <div class="subject-merge">
+        <label for="subjectMergeTarget">Gabungkan yang dicentang ke:</label>
+        <select id="subjectMergeTarget" class="premium-input"></select>
+        <button type="button" class="btn premium-btn-secondary" id="mergeSubjects">Gabungkan</button>
       </div>
-    </section>
-  `;
-}
+    `;
 
-// Initialize Notification Settings Page
-function initializeNotificationSettings() {
-  const saveBtn = document.getElementById('save-notification-settings');
-  const testBtn = document.getElementById('test-notification');
+    const modal = this.showModal('Kelola Mata Pelajaran', content);
+    const form = modal.querySelector('#subjectForm');
+    let subjects = [];
 
-  if (saveBtn) {
-    saveBtn.addEventListener('click', () => {
-      const settings = {
-        pushEnabled: document.getElementById('push-enabled').checked,
-        dailyReminders: document.getElementById('daily-reminders').checked,
-        sessionReminders: document.getElementById('session-reminders').checked,
-        achievementAlerts:
-          document.getElementById('achievement-alerts').checked,
-      };
+    const resetForm = () => {
+      form.reset();
+      modal.querySelector('#subjectId').value = '';
+      modal.querySelector('#saveSubject').textContent = 'Tambah';
+    };
 
-      NotificationManager.updateSettings(settings);
-      showToast('Pengaturan notifikasi disimpan!', 'success');
+    const editSubject = subject => {
+      modal.querySelector('#subjectId').value = subject.id;
+      modal.querySelector('#subjectName').value = subject.name;
+      modal.querySelector('#subjectColor').value = subject.color;
+      modal.querySelector('#subjectIcon').value = subject.icon;
+      modal.querySelector('#saveSubject').textContent = 'Update';
+    };
 
-      // Jika daily reminders diaktifkan, jadwalkan pengingat
-      if (settings.dailyReminders) {
-        NotificationManager.scheduleDailyReminder(8, 0); // Setiap jam 8 pagi
-      }
-    });
-  }
+    const renderList = async () => {
+      subjects = await DataManager.getSubjects();
+      modal.querySelector('#subjectList').innerHTML = subjects.length
+        ? subjects
+            .map(
+              subject => `
+          <li class="subject-item" data-subject-id="${subject.id}">
+            <input type="checkbox" name="mergeSubject" value="${subject.id}">
+            <span class="subject-chip" style="--subject-color: ${
+              subject.color
+            }">
+              <i class="fas ${subject.icon}"></i> ${escapeHtml(subject.name)}
+            </span>
+            <small>${subject.session_count} sesi · ${
+                subject.total_minutes
+              } menit</small>
+            <button type="button" class="action-btn edit-btn premium-action-btn" data-action="edit">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button type="button" class="action-btn delete-btn premium-action-btn" data-action="delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </li>
+        `
+            )
+            .join('')
+        : '<li class="subject-empty">Belum ada mata pelajaran.</li>';
+      modal.querySelector('#subjectMergeTarget').innerHTML = subjects
+        .map(
+          subject =>
+            `<option value="${subject.id}">${escapeHtml(subject.name)}</option>`
+        )
+        .join('');
+    };
 
-  if (testBtn) {
-    testBtn.addEventListener('click', () => {
-      NotificationManager.testNotification();
-    });
-  }
-}
+    // Session cards show subject names, so they follow every change
+    const refresh = async () => {
+      await renderList();
+      await reloadSessionsPage();
+    };
 
-// Routing & Page Rendering
-let isLoadingPage = false;
-async function loadPage() {
-  // Prevent multiple simultaneous page loads
-  if (isLoadingPage) {
-    console.log('Page already loading, skipping...');
-    return;
-  }
+    modal.querySelector('#resetSubject').addEventListener('click', resetForm);
 
-  isLoadingPage = true;
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const id = modal.querySelector('#subjectId').value;
+      const data = {
+        name: modal.querySelector('#subjectName').value.trim(),
+        color: modal.querySelector('#subjectColor').value,
+        icon: modal.querySelector('#subjectIcon').value,
+      };
+      if (id) data.id = Number(id);
 
-  try {
-    const hash = window.location.hash.slice(2) || 'beranda';
-    const mainContent = document.getElementById('main-content');
+      try {
+        await DataManager.saveSubject(data);
+        showToast(
+          id ? 'Mata pelajaran diperbarui!' : 'Mata pelajaran ditambahkan!',
+          'success'
+        );
+        resetForm();
+        await refresh();
+      } catch (error) {
+        console.error('Error saving subject:', error);
+        showToast(
+          error.status === 409
+            ? 'Nama mata pelajaran sudah dipakai'
+            : 'Gagal menyimpan mata pelajaran',
+          'error'
+        );
+      }
+    });
 
-    if (!mainContent) {
-      console.error('Main content element not found');
-      return;
-    }
+    modal.querySelector('#subjectList').addEventListener('click', async e => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
 
-    const pages = {
-      beranda: renderHomePage(),
-      fitur: renderFeaturesPage(),
-      'focus-mode': renderFocusModePage(),
-      'sesi-belajar': renderSessionsPage(),
-      catatan: renderNotesPage(),
-      'rak-buku': renderBooksPage(),
-      'pengaturan-notifikasi': renderNotificationSettings(),
-    };
+      const id = Number(button.closest('.subject-item').dataset.subjectId);
+      const subject = subjects.find(s => s.id === id);
+      if (!subject) return;
 
-    mainContent.innerHTML = pages[hash] || pages.beranda;
+      if (button.dataset.action === 'edit') {
+        editSubject(subject);
+        return;
+      }
 
-    // Initialize specific page functionality
-    try {
-      if (hash === 'beranda' || hash === '') await initializeHomePage();
-      if (hash === 'focus-mode') initializeFocusModePage();
-      if (hash === 'sesi-belajar') await initializeSessionsPage();
+      if (
+        !confirm(
+          `Hapus "${subject.name}"? Sesi, catatan dan buku yang memakainya tetap tersimpan tanpa mata pelajaran.`
+        )
+      ) {
+        return;
+      }
+
+      try {
+        await DataManager.deleteSubject(id);
+        showToast('Mata pelajaran dihapus!', 'success');
+        resetForm();
+        await refresh();
+      } catch (error) {
+        console.error('Error deleting subject:', error);
+        showToast('Gagal menghapus mata pelajaran', 'error');
+      }
+    });
+
+    modal
+      .querySelector('#mergeSubjects')
+      .addEventListener('click', async () => {
+        const targetId = Number(
+          modal.querySelector('#subjectMergeTarget').value
+        );
+        const sourceIds = [
+          ...modal.querySelectorAll('[name="mergeSubject"]:checked'),
+        ]
+          .map(checkbox => Number(checkbox.value))
+          .filter(id => id !== targetId);
+
+        if (!targetId || sourceIds.length === 0) {
+          showToast('Centang mata pelajaran yang akan digabungkan', 'warning');
+          return;
+        }
+
+        try {
+          await DataManager.mergeSubjects(targetId, sourceIds);
+          showToast('Mata pelajaran digabungkan!', 'success');
+          await refresh();
+        } catch (error) {
+          console.error('Error merging subjects:', error);
+          showToast('Gagal menggabungkan mata pelajaran', 'error');
+        }
+      });
+
+    await renderList();
+  },
+
+  // Tags are created from the note form; here they are renamed, deleted and merged
+  async showTagsModal() {
+    const content = `
+      <form id="tagForm" class="premium-form" hidden>
+        <input type="hidden" id="tagId">
+        <div class="form-group">
+          <label>Nama Tag</label>
+          <input type="text" id="tagName" maxlength="50" required class="premium-input">
+        </div>
+        <div style="display: flex; gap: 1rem;">
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="resetTag">Batal</button>
+          <button type="submit" class="btn premium-btn">Ganti Nama</button>
+        </div>
+      </form>
+      <ul class="subject-list" id="tagList"></ul>
+      <div class="subject-merge">
+        <label for="tagMergeTarget">Gabungkan yang dicentang ke:</label>
+        <select id="tagMergeTarget" class="premium-input"></select>
+        <button type="button" class="btn premium-btn-secondary" id="mergeTags">Gabungkan</button>
+      </div>
+    `;
+
+    const modal = this.showModal('Kelola Tag', content);
+    const form = modal.querySelector('#tagForm');
+    let tags = [];
+
+    const resetForm = () => {
+      form.reset();
+      form.hidden = true;
+      modal.querySelector('#tagId').value = '';
+    };
+
+    const renderList = async () => {
+      tags = await DataManager.getTags();
+      modal.querySelector('#tagList').innerHTML = tags.length
+        ? tags
+            .map(
+              tag => `
+          <li class="subject-item" data-tag-id="${tag.id}">
+            <input type="checkbox" name="mergeTag" value="${tag.id}">
+            <span class="tag-chip">#${escapeHtml(tag.name)}</span>
+            <small>${tag.note_count} catatan</small>
+            <button type="button" class="action-btn edit-btn premium-action-btn" data-action="edit">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button type="button" class="action-btn delete-btn premium-action-btn" data-action="delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </li>
+        `
+            )
+            .join('')
+        : '<li class="subject-empty">Belum ada tag.</li>';
+      modal.querySelector('#tagMergeTarget').innerHTML = tags
+        .map(
+          tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`
+        )
+        .join('');
+    };
+
+    // Note cards and the tag cloud show tag names, so they follow every change
+    const refresh = async () => {
+      await renderList();
+      await reloadNotesPage();
+    };
+
+    modal.querySelector('#resetTag').addEventListener('click', resetForm);
+
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const id = Number(modal.querySelector('#tagId').value);
+      const name = modal.querySelector('#tagName').value.trim();
+
+      try {
+        await DataManager.renameTag(id, name);
+        showToast('Tag diganti nama!', 'success');
+        resetForm();
+        await refresh();
+      } catch (error) {
+        console.error('Error renaming tag:', error);
+        showToast(
+          error.status === 409
+            ? 'Nama tag sudah dipakai, gabungkan saja tagnya'
+            : 'Gagal mengganti nama tag',
+          'error'
+        );
+      }
+    });
+
+    modal.querySelector('#tagList').addEventListener('click', async e => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const id = Number(button.closest('.subject-item').dataset.tagId);
+      const tag = tags.find(t => t.id === id);
+      if (!tag) return;
+
+      if (button.dataset.action === 'edit') {
+        form.hidden = false;
+        modal.querySelector('#tagId').value = tag.id;
+        modal.querySelector('#tagName').value = tag.name;
+        modal.querySelector('#tagName').focus();
+        return;
+      }
+
+      if (!confirm(`Hapus tag "${tag.name}"? Catatannya tetap tersimpan.`)) {
+        return;
+      }
+
+      try {
+        await DataManager.deleteTag(id);
+        showToast('Tag dihapus!', 'success');
+        resetForm();
+        await refresh();
+      } catch (error) {
+        console.error('Error deleting tag:', error);
+        showToast('Gagal menghapus tag', 'error');
+      }
+    });
+
+    modal.querySelector('#mergeTags').addEventListener('click', async () => {
+      const targetId = Number(modal.querySelector('#tagMergeTarget').value);
+      const sourceIds = [...modal.querySelectorAll('[name="mergeTag"]:checked')]
+        .map(checkbox => Number(checkbox.value))
+        .filter(id => id !== targetId);
+
+      if (!targetId || sourceIds.length === 0) {
+        showToast('Centang tag yang akan digabungkan', 'warning');
+        return;
+      }
+
+      try {
+        await DataManager.mergeTags(targetId, sourceIds);
+        showToast('Tag digabungkan!', 'success');
+        await refresh();
+      } catch (error) {
+        console.error('Error merging tags:', error);
+        showToast('Gagal menggabungkan tag', 'error');
+      }
+    });
+
+    await renderList();
+  },
+
+  async showRecurrenceModal(recurrence = null) {
+    const isEdit = !!recurrence;
+    const subjects = await DataManager.getSubjects();
+    const content = `
+      <form id="recurrenceForm" class="premium-form">
+        <div class="form-group">
+          <label>Judul Sesi</label>
+          <input type="text" id="recurrenceTitle" value="${
+            recurrence?.title || ''
+          }" placeholder="Contoh: Kalkulus" required class="premium-input">
+        </div>
+        <div class="form-group">
+          <label>Mata Pelajaran</label>
+          <select id="recurrenceSubject" class="premium-input">
+            ${renderSubjectOptions(subjects, recurrence?.subject_id ?? null)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Hari</label>
+          <div class="recurrence-days">
+            ${WEEKDAYS.map(
+              weekday => `
+              <label class="recurrence-day">
+                <input type="checkbox" name="recurrenceDays" value="${
+                  weekday.value
+                }" ${
+                recurrence?.days_of_week.includes(weekday.value)
+                  ? 'checked'
+                  : ''
+              }>
+                <span>${weekday.label}</span>
+              </label>
+            `
+            ).join('')}
+          </div>
+        </div>
+        <div class="recurrence-grid">
+          <div class="form-group">
+            <label>Jam Mulai</label>
+            <input type="time" id="recurrenceTime" value="${
+              recurrence?.start_time || ''
+            }" required class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Durasi (menit)</label>
+            <input type="number" id="recurrenceDuration" value="${
+              recurrence?.duration || 25
+            }" min="5" max="180" required class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Mulai Tanggal</label>
+            <input type="date" id="recurrenceStartsOn" value="${
+              recurrence?.starts_on || ''
+            }" class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Sampai Tanggal</label>
+            <input type="date" id="recurrenceEndsOn" value="${
+              recurrence?.ends_on || ''
+            }" class="premium-input">
+          </div>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+          ${
+            isEdit
+              ? '<button type="button" class="btn btn-secondary premium-btn-secondary" id="deleteRecurrence">Hapus</button>'
+              : ''
+          }
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelRecurrence">Batal</button>
+          <button type="submit" class="btn premium-btn">Simpan</button>
+        </div>
+      </form>
+    `;
+
+    const modal = this.showModal(
+      isEdit ? 'Edit Jadwal Berulang' : 'Jadwal Berulang',
+      content
+    );
+
+    modal
+      .querySelector('#cancelRecurrence')
+      .addEventListener('click', () => modal.remove());
+    modal
+      .querySelector('#deleteRecurrence')
+      ?.addEventListener('click', async () => {
+        if (!confirm('Hapus jadwal berulang ini?')) return;
+        try {
+          await DataManager.deleteRecurrence(recurrence.id);
+          modal.remove();
+          showToast('Jadwal berulang dihapus!', 'success');
+          await reloadSessionsPage();
+        } catch (error) {
+          console.error('Error deleting recurrence:', error);
+          showToast('Gagal menghapus jadwal berulang', 'error');
+        }
+      });
+    modal
+      .querySelector('#recurrenceForm')
+      .addEventListener('submit', async e => {
+        e.preventDefault();
+        const daysOfWeek = [
+          ...modal.querySelectorAll('[name="recurrenceDays"]:checked'),
+        ].map(checkbox => Number(checkbox.value));
+
+        if (daysOfWeek.length === 0) {
+          showToast('Pilih minimal satu hari', 'warning');
+          return;
+        }
+
+        const data = {
+          title: document.getElementById('recurrenceTitle').value.trim(),
+          subject_id: readSubjectSelect(
+            document.getElementById('recurrenceSubject')
+          ),
+          duration: parseInt(
+            document.getElementById('recurrenceDuration').value
+          ),
+          days_of_week: daysOfWeek,
+          start_time: document.getElementById('recurrenceTime').value,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          starts_on:
+            document.getElementById('recurrenceStartsOn').value || null,
+          ends_on: document.getElementById('recurrenceEndsOn').value || null,
+        };
+        if (isEdit) data.id = recurrence.id;
+
+        try {
+          await DataManager.saveRecurrence(data);
+          modal.remove();
+          showToast('Jadwal berulang disimpan!', 'success');
+          await reloadSessionsPage();
+        } catch (error) {
+          console.error('Error saving recurrence:', error);
+          showToast(
+            error.data?.message || 'Gagal menyimpan jadwal berulang',
+            'error'
+          );
+        }
+      });
+  },
+
+  async showTaskModal(task = null) {
+    const isEdit = !!task;
+    const subjects = await DataManager.getSubjects();
+    const content = `
+      <form id="taskForm" class="premium-form">
+        <div class="form-group">
+          <label>Judul Tugas</label>
+          <input type="text" id="taskTitle" value="${
+            task?.title || ''
+          }" placeholder="Contoh: Latihan soal integral bab 3" required class="premium-input">
+        </div>
+        <div class="recurrence-grid">
+          <div class="form-group">
+            <label>Mata Pelajaran</label>
+            <select id="taskSubject" class="premium-input">
+              ${renderSubjectOptions(subjects, task?.subject_id ?? null)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Tenggat</label>
+            <input type="date" id="taskDueDate" value="${
+              task?.due_date || ''
+            }" class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Perkiraan Pomodoro</label>
+            <input type="number" id="taskEstimate" value="${
+              task?.estimated_pomodoros || 1
+            }" min="1" max="50" required class="premium-input">
+          </div>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+          ${
+            isEdit
+              ? '<button type="button" class="btn btn-secondary premium-btn-secondary" id="deleteTask">Hapus</button>'
+              : ''
+          }
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelTask">Batal</button>
+          <button type="submit" class="btn premium-btn">Simpan</button>
+        </div>
+      </form>
+    `;
+
+    const modal = this.showModal(isEdit ? 'Edit Tugas' : 'Tugas Baru', content);
+
+    modal
+      .querySelector('#cancelTask')
+      .addEventListener('click', () => modal.remove());
+    modal.querySelector('#deleteTask')?.addEventListener('click', async () => {
+      if (!confirm('Hapus tugas ini?')) return;
+      try {
+        await DataManager.deleteTask(task.id);
+        modal.remove();
+        showToast('Tugas dihapus!', 'success');
+        await loadTaskList();
+      } catch (error) {
+        console.error('Error deleting task:', error);
+        showToast('Gagal menghapus tugas', 'error');
+      }
+    });
+    modal.querySelector('#taskForm').addEventListener('submit', async e => {
+      e.preventDefault();
+      const data = {
+        title: document.getElementById('taskTitle').value.trim(),
+        subject_id: readSubjectSelect(document.getElementById('taskSubject')),
+        due_date: document.getElementById('taskDueDate').value || null,
+        estimated_pomodoros: parseInt(
+          document.getElementById('taskEstimate').value
+        ),
+      };
+      if (isEdit) data.id = task.id;
+
+      try {
+        await DataManager.saveTask(data);
+        modal.remove();
+        showToast('Tugas disimpan!', 'success');
+        await loadTaskList();
+      } catch (error) {
+        console.error('Error saving task:', error);
+        showToast(error.data?.message || 'Gagal menyimpan tugas', 'error');
+      }
+    });
+  },
+
+  async showExamModal(exam = null) {
+    const isEdit = !!exam;
+    const subjects = await DataManager.getSubjects();
+    const topics = exam?.topics.length ? exam.topics : [{}];
+    const content = `
+      <form id="examForm" class="premium-form">
+        <div class="form-group">
+          <label>Nama Ujian</label>
+          <input type="text" id="examTitle" value="${
+            exam?.title || ''
+          }" placeholder="Contoh: UTS Matematika" required class="premium-input">
+        </div>
+        <div class="recurrence-grid">
+          <div class="form-group">
+            <label>Mata Pelajaran</label>
+            <select id="examSubject" class="premium-input">
+              ${renderSubjectOptions(subjects, exam?.subject_id ?? null)}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Tanggal Ujian</label>
+            <input type="date" id="examDate" value="${
+              exam?.exam_date || ''
+            }" required class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Total Waktu Belajar (jam)</label>
+            <input type="number" id="examHours" value="${
+              exam ? exam.study_minutes / 60 : 10
+            }" min="0.5" max="200" step="0.5" required class="premium-input">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Topik dan Bobot</label>
+          <small class="form-hint">Waktu belajar dibagi ke setiap topik sesuai bobotnya (1-10).</small>
+          <div id="examTopics">${topics.map(renderTopicField).join('')}</div>
+          <button type="button" class="btn premium-btn-secondary" id="addExamTopic">Tambah Topik</button>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+          ${
+            isEdit
+              ? '<button type="button" class="btn btn-secondary premium-btn-secondary" id="deleteExam">Hapus</button>'
+              : ''
+          }
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelExam">Batal</button>
+          <button type="submit" class="btn premium-btn">Simpan & Susun Jadwal</button>
+        </div>
+      </form>
+    `;
+
+    const modal = this.showModal(isEdit ? 'Edit Ujian' : 'Ujian Baru', content);
+    const topicList = modal.querySelector('#examTopics');
+
+    modal.querySelector('#addExamTopic').addEventListener('click', () => {
+      topicList.insertAdjacentHTML('beforeend', renderTopicField());
+    });
+    topicList.addEventListener('click', e => {
+      const remove = e.target.closest('[data-action="remove-topic"]');
+      if (remove && topicList.children.length > 1) {
+        remove.closest('.exam-topic-field').remove();
+      }
+    });
+    modal
+      .querySelector('#cancelExam')
+      .addEventListener('click', () => modal.remove());
+    modal.querySelector('#deleteExam')?.addEventListener('click', async () => {
+      if (!confirm('Hapus ujian ini beserta sesi yang belum dijalankan?')) {
+        return;
+      }
+      try {
+        await DataManager.deleteExam(exam.id);
+        modal.remove();
+        showToast('Ujian dihapus!', 'success');
+        await loadExamList();
+      } catch (error) {
+        console.error('Error deleting exam:', error);
+        showToast('Gagal menghapus ujian', 'error');
+      }
+    });
+    modal.querySelector('#examForm').addEventListener('submit', async e => {
+      e.preventDefault();
+      const data = {
+        title: document.getElementById('examTitle').value.trim(),
+        subject_id: readSubjectSelect(document.getElementById('examSubject')),
+        exam_date: document.getElementById('examDate').value,
+        study_minutes: Math.round(
+          parseFloat(document.getElementById('examHours').value) * 60
+        ),
+        topics: readTopicFields(topicList),
+      };
+      if (isEdit) data.id = exam.id;
+
+      try {
+        const result = await DataManager.saveExam(data);
+        modal.remove();
+        showToast(
+          `Ujian disimpan, ${result.planned_sessions} sesi belajar dijadwalkan`,
+          'success'
+        );
+        await loadExamList();
+      } catch (error) {
+        console.error('Error saving exam:', error);
+        showToast(error.data?.message || 'Gagal menyimpan ujian', 'error');
+      }
+    });
+  },
+
+  async showGoalModal(goal = null) {
+    const isEdit = !!goal;
+    const subjects = await DataManager.getSubjects();
+    const content = `
+      <form id="goalForm" class="premium-form">
+        <div class="form-group">
+          <label>Nama Target</label>
+          <input type="text" id="goalTitle" value="${
+            goal?.title || ''
+          }" placeholder="Contoh: 10 jam Fisika minggu ini" required class="premium-input">
+        </div>
+        <div class="recurrence-grid">
+          <div class="form-group">
+            <label>Jenis Target</label>
+            <select id="goalMetric" class="premium-input">
+              ${Object.entries(GOAL_METRIC_LABELS)
+                .map(
+                  ([metric, label]) =>
+                    `<option value="${metric}" ${
+                      goal?.metric === metric ? 'selected' : ''
+                    }>${label}</option>`
+                )
+                .join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Jumlah</label>
+            <input type="number" id="goalTarget" value="${
+              goal?.target || ''
+            }" min="1" required class="premium-input">
+          </div>
+          <div class="form-group">
+            <label>Periode</label>
+            <select id="goalPeriod" class="premium-input">
+              ${Object.entries(GOAL_PERIOD_LABELS)
+                .map(
+                  ([period, label]) =>
+                    `<option value="${period}" ${
+                      goal?.period === period ? 'selected' : ''
+                    }>${label}</option>`
+                )
+                .join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Mata Pelajaran (opsional)</label>
+            <select id="goalSubject" class="premium-input">
+              ${renderSubjectOptions(subjects, goal?.subject_id ?? null)}
+            </select>
+          </div>
+          <div class="form-group goal-custom-range">
+            <label>Mulai Tanggal</label>
+            <input type="date" id="goalStartsOn" value="${
+              goal?.period === 'custom' ? goal.period_start : ''
+            }" class="premium-input">
+          </div>
+          <div class="form-group goal-custom-range">
+            <label>Sampai Tanggal</label>
+            <input type="date" id="goalEndsOn" value="${
+              goal?.period === 'custom' ? goal.period_end : ''
+            }" class="premium-input">
+          </div>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+          ${
+            isEdit
+              ? '<button type="button" class="btn btn-secondary premium-btn-secondary" id="deleteGoal">Hapus</button>'
+              : ''
+          }
+          <button type="button" class="btn btn-secondary premium-btn-secondary" id="cancelGoal">Batal</button>
+          <button type="submit" class="btn premium-btn">Simpan</button>
+        </div>
+      </form>
+    `;
+
+    const modal = this.showModal(
+      isEdit ? 'Edit Target Belajar' : 'Target Belajar Baru',
+      content
+    );
+
+    // Dates only apply to custom ranges
+    const periodSelect = modal.querySelector('#goalPeriod');
+    const updateFields = () => {
+      modal.querySelectorAll('.goal-custom-range').forEach(group => {
+        group.hidden = periodSelect.value !== 'custom';
+      });
+    };
+    periodSelect.addEventListener('change', updateFields);
+    updateFields();
+
+    modal
+      .querySelector('#cancelGoal')
+      .addEventListener('click', () => modal.remove());
+    modal.querySelector('#deleteGoal')?.addEventListener('click', async () => {
+      if (!confirm('Hapus target ini?')) return;
+      try {
+        await DataManager.deleteGoal(goal.id);
+        modal.remove();
+        showToast('Target dihapus!', 'success');
+        await loadGoalRings();
+      } catch (error) {
+        console.error('Error deleting goal:', error);
+        showToast('Gagal menghapus target', 'error');
+      }
+    });
+    modal.querySelector('#goalForm').addEventListener('submit', async e => {
+      e.preventDefault();
+      const period = periodSelect.value;
+
+      const data = {
+        title: document.getElementById('goalTitle').value.trim(),
+        metric: document.getElementById('goalMetric').value,
+        target: parseInt(document.getElementById('goalTarget').value),
+        period,
+        subject_id: readSubjectSelect(document.getElementById('goalSubject')),
+        starts_on:
+          period === 'custom'
+            ? document.getElementById('goalStartsOn').value
+            : null,
+        ends_on:
+          period === 'custom'
+            ? document.getElementById('goalEndsOn').value
+            : null,
+      };
+      if (isEdit) data.id = goal.id;
+
+      try {
+        await DataManager.saveGoal(data);
+        modal.remove();
+        showToast('Target disimpan!', 'success');
+        await loadGoalRings();
+      } catch (error) {
+        console.error('Error saving goal:', error);
+        showToast(error.data?.message || 'Gagal menyimpan target', 'error');
+      }
+    });
+  },
+};
+
+// Render Notification Settings Page
+function renderNotificationSettings() {
+  return `
+    <section class="settings-section premium-section">
+      <div class="container">
+        <h1 class="text-center premium-section-title">Pengaturan Notifikasi</h1>
+        <p class="text-center premium-section-subtitle">Kelola preferensi notifikasi Anda</p>
+       
+        <div class="settings-card premium-card" style="max-width: 600px; margin: 0 auto;">
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="push-enabled" ${
+                NotificationManager.getSettings().isPushEnabled ? 'checked' : ''
+              }>
+              <span>Web Push Notifications</span>
+            </label>
+            <small>Terima notifikasi bahkan ketika aplikasi tidak terbuka</small>
+          </div>
+         
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="daily-reminders" ${
+                NotificationManager.getSettings().dailyReminders
+                  ? 'checked'
+                  : ''
+              }>
+              <span>Pengingat Harian</span>
+            </label>
+            <small>Notifikasi pengingat belajar setiap hari</small>
+          </div>
+
+          <div class="form-group">
+            <label for="daily-reminder-time">Jam Pengingat Harian</label>
+            <input type="time" id="daily-reminder-time" value="${
+              NotificationManager.getSettings().dailyReminderTime
+            }">
+            <small>Dikirim dari server sesuai zona waktu perangkat ini</small>
+          </div>
+         
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="session-reminders" ${
+                NotificationManager.getSettings().sessionReminders
+                  ? 'checked'
+                  : ''
+              }>
+              <span>Pengingat Sesi</span>
+            </label>
+            <small>Pengingat sebelum sesi belajar dimulai</small>
+          </div>
+         
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="achievement-alerts" ${
+                NotificationManager.getSettings().achievementAlerts
+                  ? 'checked'
+                  : ''
+              }>
+              <span>Pencapaian & Laporan</span>
+            </label>
+            <small>Notifikasi pencapaian dan laporan mingguan</small>
+          </div>
+         
+          <div class="form-actions" style="margin-top: 2rem;">
+            <button class="btn premium-btn" id="save-notification-settings">
+              <i class="fas fa-save"></i> Simpan Pengaturan
+            </button>
+            <button class="btn premium-btn-secondary" id="test-notification">
+              <i class="fas fa-bell"></i> Test Notifikasi
+            </button>
+          </div>
+         
+          <div class="notification-status" style="margin-top: 1.5rem; padding: 1rem; background: var(--soft-blue); border-radius: var(--border-radius-md);">
+            <h4>Status Notifikasi:</h4>
+            <p>Permission: <strong>${Notification.permission}</strong></p>
+            <p>Service Worker: <strong>${
+              'serviceWorker' in navigator ? 'Supported' : 'Not Supported'
+            }</strong></p>
+            <p>Push Manager: <strong>${
+              'PushManager' in window ? 'Supported' : 'Not Supported'
+            }</strong></p>
+          </div>
+        </div>
+      </div>
+    </section>
+  `;
+}
+
+// Initialize Notification Settings Page
+function initializeNotificationSettings() {
+  const saveBtn = document.getElementById('save-notification-settings');
+  const testBtn = document.getElementById('test-notification');
+
+  // The page renders from localStorage; refresh it with what the server has
+  NotificationManager.loadSettings().then(settings => {
+    const fields = {
+      'push-enabled': settings.isPushEnabled,
+      'daily-reminders': settings.dailyReminders,
+      'session-reminders': settings.sessionReminders,
+      'achievement-alerts': settings.achievementAlerts,
+    };
+    Object.entries(fields).forEach(([id, checked]) => {
+      const input = document.getElementById(id);
+      if (input) input.checked = checked;
+    });
+
+    const timeInput = document.getElementById('daily-reminder-time');
+    if (timeInput) timeInput.value = settings.dailyReminderTime;
+  });
+
+  if (saveBtn) {
+    saveBtn.addEventListener('click', async () => {
+      const settings = {
+        pushEnabled: document.getElementById('push-enabled').checked,
+        dailyReminders: document.getElementById('daily-reminders').checked,
+        sessionReminders: document.getElementById('session-reminders').checked,
+        achievementAlerts:
+          document.getElementById('achievement-alerts').checked,
+        dailyReminderTime:
+          document.getElementById('daily-reminder-time').value || '08:00',
+      };
+
+      try {
+        await NotificationManager.updateSettings(settings);
+        showToast('Pengaturan notifikasi disimpan!', 'success');
+      } catch (error) {
+        showToast(
+          error.data?.message || 'Gagal menyimpan pengaturan ke server',
+          'error'
+        );
+      }
+    });
+  }
+
+  if (testBtn) {
+    testBtn.addEventListener('click', async () => {
+      try {
+        const result = await NotificationManager.testNotification();
+        if (result) {
+          showToast(
+            result.delivered > 0
+              ? `Push dari server terkirim ke ${result.delivered} perangkat`
+              : 'Belum ada perangkat yang terdaftar untuk push',
+            result.delivered > 0 ? 'success' : 'warning'
+          );
+        }
+      } catch (error) {
+        showToast(
+          error.data?.message || 'Gagal mengirim push dari server',
+          'error'
+        );
+      }
+    });
+  }
+}
+
+// Routing & Page Rendering
+let isLoadingPage = false;
+async function loadPage() {
+  // Prevent multiple simultaneous page loads
+  if (isLoadingPage) {
+    console.log('Page already loading, skipping...');
+    return;
+  }
+
+  isLoadingPage = true;
+
+  try {
+    // Notification buttons open routes like #/focus-mode?command=restart,
+    // search results routes like #/catatan?focus=12
+    const [path, query] = window.location.hash.slice(2).split('?');
+    const hash = path || 'beranda';
+    const command = new URLSearchParams(query).get('command');
+    const focus = new URLSearchParams(query).get('focus');
+    if (query) history.replaceState(null, '', `#/${path}`);
+
+    const mainContent = document.getElementById('main-content');
+
+    if (!mainContent) {
+      console.error('Main content element not found');
+      return;
+    }
+
+    const pages = {
+      beranda: renderHomePage(),
+      fitur: renderFeaturesPage(),
+      'focus-mode': renderFocusModePage(),
+      'sesi-belajar': renderSessionsPage(),
+      catatan: renderNotesPage(),
+      'rak-buku': renderBooksPage(),
+      tugas: renderTasksPage(),
+      ujian: renderExamsPage(),
+      analitik: renderAnalyticsPage(),
+      sampah: renderTrashPage(),
+      'pengaturan-notifikasi': renderNotificationSettings(),
+    };
+
+    mainContent.innerHTML = pages[hash] || pages.beranda;
+
+    // Initialize specific page functionality
+    try {
+      if (hash === 'beranda' || hash === '') await initializeHomePage();
+      if (hash === 'focus-mode') initializeFocusModePage();
+      if (hash === 'sesi-belajar') await initializeSessionsPage();
       if (hash === 'catatan') await initializeNotesPage();
       if (hash === 'rak-buku') await initializeBooksPage();
+      if (hash === 'tugas') await initializeTasksPage();
+      if (hash === 'ujian') await initializeExamsPage();
+      if (hash === 'analitik') await initializeAnalyticsPage();
+      if (hash === 'sampah') await initializeTrashPage();
       if (hash === 'pengaturan-notifikasi') initializeNotificationSettings();
+      if (command) await TimerManager.runCommand(command);
+      if (focus) focusSearchResult(hash, focus);
+    } catch (error) {
+      console.error('Error initializing page:', error);
+      showToast('Terjadi kesalahan saat memuat halaman', 'error');
+    }
+
+    injectComponentStyles();
+    updateActiveNav();
+  } catch (error) {
+    console.error('Error loading page:', error);
+    showToast('Gagal memuat halaman', 'error');
+  } finally {
+    isLoadingPage = false;
+  }
+}
+
+// Render functions - Enhanced with premium styling
+function renderHomePage() {
+  return `
+    <section class="hero premium-hero">
+      <div class="container">
+        <h1 class="premium-title">Selamat Datang di FocusMode</h1>
+        <p class="premium-subtitle">Platform pembelajaran premium untuk meningkatkan produktivitas belajar dengan teknik Pomodoro, manajemen waktu, dan pencatatan yang efektif.</p>
+        <div class="hero-actions">
+          <a href="#/focus-mode" class="btn premium-btn">Mulai Fokus</a>
+          <a href="#/fitur" class="btn premium-btn-secondary">Pelajari Fitur</a>
+        </div>
+      </div>
+    </section>
+
+    <section class="stats-overview premium-stats">
+      <div class="container">
+        <h2 class="text-center premium-section-title">Statistik Belajar Anda</h2>
+        <div class="stats-grid" id="stats-grid">
+          <div class="stat-card premium-card">
+            <div class="stat-icon">
+              <i class="fas fa-clock"></i>
+            </div>
+            <div class="stat-info">
+              <h3 id="stat-total-minutes">-</h3>
+              <p>Menit Belajar Hari Ini</p>
+            </div>
+          </div>
+          <div class="stat-card premium-card">
+            <div class="stat-icon">
+              <i class="fas fa-check-circle"></i>
+            </div>
+            <div class="stat-info">
+              <h3 id="stat-completed-sessions">-</h3>
+              <p>Sesi Selesai</p>
+            </div>
+          </div>
+          <div class="stat-card premium-card">
+            <div class="stat-icon" style="background: linear-gradient(135deg, #fd79a8, #e84393);">
+              <i class="fas fa-fire"></i>
+            </div>
+            <div class="stat-info">
+              <h3 id="stat-streak">-</h3>
+              <p>Streak Hari</p>
+              <small id="stat-streak-detail"></small>
+            </div>
+          </div>
+          <div class="stat-card premium-card">
+            <div class="stat-icon">
+              <i class="fas fa-sticky-note"></i>
+            </div>
+            <div class="stat-info">
+              <h3 id="stat-total-notes">-</h3>
+              <p>Total Catatan</p>
+            </div>
+          </div>
+          <div class="stat-card premium-card">
+            <div class="stat-icon">
+              <i class="fas fa-book"></i>
+            </div>
+            <div class="stat-info">
+              <h3 id="stat-total-books">-</h3>
+              <p>Total Buku</p>
+            </div>
+          </div>
+        </div>
+        
+        <div class="weekly-stats-container" style="margin-top: 2rem;">
+          <h3 class="text-center" style="margin-bottom: 1rem;">Aktivitas 7 Hari Terakhir</h3>
+          <div class="weekly-chart" id="weekly-chart">
+            <div class="chart-loading">Memuat data...</div>
+          </div>
+        </div>
+
+        <div class="heatmap-container" style="margin-top: 2rem;">
+          <h3 class="text-center" style="margin-bottom: 1rem;">Aktivitas Setahun Terakhir</h3>
+          <div class="activity-heatmap" id="activity-heatmap">
+            <div class="chart-loading">Memuat aktivitas...</div>
+          </div>
+          <div class="heatmap-tooltip" id="heatmap-tooltip" hidden></div>
+        </div>
+
+        <div class="goals-container" style="margin-top: 2rem;">
+          <div class="goals-header">
+            <h3>Ujian Mendatang</h3>
+            <a href="#/ujian" class="btn premium-btn-secondary">Kelola Ujian</a>
+          </div>
+          <div class="exam-countdowns" id="exam-countdowns">
+            <div class="chart-loading">Memuat ujian...</div>
+          </div>
+        </div>
+
+        <div class="goals-container" style="margin-top: 2rem;">
+          <div class="goals-header">
+            <h3>Target Belajar</h3>
+            <button class="btn premium-btn-secondary" id="add-goal">Tambah Target</button>
+          </div>
+          <div class="goal-rings" id="goal-rings">
+            <div class="chart-loading">Memuat target...</div>
+          </div>
+        </div>
+
+        <div class="achievements-container" style="margin-top: 2rem;">
+          <h3 class="text-center" style="margin-bottom: 1rem;">Pencapaian</h3>
+          <div class="achievement-gallery" id="achievement-gallery">
+            <div class="chart-loading">Memuat pencapaian...</div>
+          </div>
+        </div>
+      </div>
+    </section>
+    
+    <section class="features premium-features">
+      <div class="container">
+        <h2 class="text-center premium-section-title">Fitur Unggulan</h2>
+        <div class="features-grid">
+          <div class="feature-card premium-card">
+            <i class="fas fa-clock feature-icon"></i>
+            <h3>Timer Pomodoro</h3>
+            <p>Teknik 25 menit fokus, 5 menit istirahat untuk meningkatkan konsentrasi belajar.</p>
+          </div>
+          <div class="feature-card premium-card">
+            <i class="fas fa-book feature-icon"></i>
+            <h3>Manajemen Catatan</h3>
+            <p>Buat dan kelola catatan belajar dengan kategori yang terorganisir.</p>
+          </div>
+          <div class="feature-card premium-card">
+            <i class="fas fa-tasks feature-icon"></i>
+            <h3>Sesi Belajar</h3>
+            <p>Jadwalkan dan pantau sesi belajar Anda dengan sistem pelacakan waktu.</p>
+          </div>
+          <div class="feature-card premium-card">
+            <i class="fas fa-books feature-icon"></i>
+            <h3>Rak Buku Digital</h3>
+            <p>Kelola daftar bacaan dan progress belajar dari berbagai sumber.</p>
+          </div>
+        </div>
+      </div>
+    </section>
+  `;
+}
+
+// Longest streak and freezes under the streak count, or a warning while today still needs study
+function renderStreakDetail(status) {
+  const detail = document.getElementById('stat-streak-detail');
+  if (!detail || !status) return;
+
+  detail.classList.toggle('at-risk', status.at_risk);
+  detail.textContent = status.at_risk
+    ? `Belajar ${status.min_minutes} menit hari ini agar streak berlanjut`
+    : `Terpanjang ${status.longest} hari · ${status.freezes_available} streak freeze`;
+}
+
+// Initialize Home Page with Stats
+async function initializeHomePage() {
+  document
+    .getElementById('add-goal')
+    ?.addEventListener('click', () => ModalManager.showGoalModal());
+
+  try {
+    // Check if user is logged in
+    if (!currentUser || !authToken) {
+      // Show default values for non-logged in users
+      const statsElements = [
+        'stat-total-minutes',
+        'stat-completed-sessions',
+        'stat-streak',
+        'stat-total-notes',
+        'stat-total-books',
+      ];
+      statsElements.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = '0';
+      });
+
+      // Show login prompt in chart
+      const chartContainer = document.getElementById('weekly-chart');
+      if (chartContainer) {
+        chartContainer.innerHTML = `
+          <div style="text-align: center; padding: 2rem; color: #666;">
+            <i class="fas fa-sign-in-alt" style="font-size: 2rem; margin-bottom: 1rem; color: var(--primary);"></i>
+            <p>Login untuk melihat statistik belajar Anda</p>
+            <a href="#/login" class="btn premium-btn" style="margin-top: 1rem;">Login Sekarang</a>
+          </div>
+        `;
+      }
+      await loadActivityHeatmap();
+      await loadExamCountdowns();
+      await loadGoalRings();
+      await loadAchievementGallery();
+      return;
+    }
+
+    // Load stats summary (combines dashboard + weekly + streak in one call)
+    const statsSummary = await DataManager.getStatsSummary();
+
+    // Update stats display
+    const totalMinutesEl = document.getElementById('stat-total-minutes');
+    const completedSessionsEl = document.getElementById(
+      'stat-completed-sessions'
+    );
+    const streakEl = document.getElementById('stat-streak');
+    const totalNotesEl = document.getElementById('stat-total-notes');
+    const totalBooksEl = document.getElementById('stat-total-books');
+
+    if (totalMinutesEl) {
+      totalMinutesEl.textContent = `${
+        statsSummary.today?.total_minutes ||
+        statsSummary.todayStats?.total_minutes ||
+        0
+      } menit`;
+    }
+    if (completedSessionsEl) {
+      completedSessionsEl.textContent =
+        statsSummary.overview?.completed_sessions ||
+        statsSummary.dashboard?.completed_sessions ||
+        0;
+    }
+    if (streakEl) {
+      streakEl.textContent = statsSummary.streak || 0;
+    }
+    renderStreakDetail(statsSummary.streak_status);
+    if (totalNotesEl) {
+      totalNotesEl.textContent =
+        statsSummary.overview?.total_notes ||
+        statsSummary.dashboard?.total_notes ||
+        0;
+    }
+    if (totalBooksEl) {
+      totalBooksEl.textContent =
+        statsSummary.overview?.total_books ||
+        statsSummary.dashboard?.total_books ||
+        0;
+    }
+
+    // Load weekly stats for chart
+    const weeklyData =
+      statsSummary.weekly?.daily_breakdown ||
+      (await DataManager.getWeeklyStats());
+    renderWeeklyChart(weeklyData);
+    await loadActivityHeatmap();
+    await loadExamCountdowns();
+    await loadGoalRings();
+    await loadAchievementGallery();
+
+    console.log('📊 Home page stats loaded:', statsSummary);
+  } catch (error) {
+    console.error('Error initializing home page:', error);
+  }
+}
+
+// Yearly heatmap on Beranda: hovering a day shows its totals, clicking it lists its sessions
+async function loadActivityHeatmap() {
+  const heatmap = document.getElementById('activity-heatmap');
+  const tooltip = document.getElementById('heatmap-tooltip');
+  if (!heatmap || !tooltip) return;
+
+  if (!currentUser || !authToken) {
+    heatmap.innerHTML =
+      '<p class="heatmap-empty">Masuk untuk melihat aktivitas belajar Anda.</p>';
+    return;
+  }
+
+  const history = await DataManager.getStudyHistory(HEATMAP_DAYS);
+  const byDate = new Map(history.map(entry => [entry.date, entry]));
+  heatmap.innerHTML = renderHeatmap(history);
+
+  const showTooltip = cell => {
+    tooltip.innerHTML = describeHeatmapDay(
+      cell.dataset.date,
+      byDate.get(cell.dataset.date)
+    );
+    const left = cell.offsetLeft - heatmap.scrollLeft + cell.offsetWidth / 2;
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${cell.offsetTop}px`;
+    tooltip.hidden = false;
+  };
+  const hideTooltip = () => {
+    tooltip.hidden = true;
+  };
+
+  heatmap.querySelectorAll('.heatmap-cell[data-date]').forEach(cell => {
+    cell.addEventListener('mouseenter', () => showTooltip(cell));
+    cell.addEventListener('focus', () => showTooltip(cell));
+    cell.addEventListener('mouseleave', hideTooltip);
+    cell.addEventListener('blur', hideTooltip);
+    cell.addEventListener('click', () =>
+      ModalManager.showDaySessionsModal(
+        cell.dataset.date,
+        byDate.get(cell.dataset.date)
+      )
+    );
+  });
+}
+
+// Countdowns to the exams still ahead, soonest first
+async function loadExamCountdowns() {
+  const container = document.getElementById('exam-countdowns');
+  if (!container) return;
+
+  if (!currentUser || !authToken) {
+    container.innerHTML =
+      '<p class="goal-empty">Masuk untuk merencanakan belajar menjelang ujian.</p>';
+    return;
+  }
+
+  const exams = (await DataManager.getExams()).filter(
+    exam => exam.days_left >= 0
+  );
+  container.innerHTML =
+    exams.length > 0
+      ? exams.map(renderExamCountdown).join('')
+      : '<p class="goal-empty">Belum ada ujian. Tambahkan ujian agar jadwal belajar disusun otomatis.</p>';
+}
+
+// Goal rings on Beranda (click to edit) and, read-only, on the focus page
+async function loadGoalRings() {
+  const homeRings = document.getElementById('goal-rings');
+  const focusRings = document.getElementById('focus-goal-rings');
+  if (!homeRings && !focusRings) return;
+
+  const loggedIn = !!(currentUser && authToken);
+  const goals = loggedIn ? await DataManager.getGoals() : [];
+  const html =
+    goals.length > 0
+      ? goals.map(renderGoalRing).join('')
+      : `<p class="goal-empty">${
+          loggedIn
+            ? 'Belum ada target. Tambahkan di Beranda.'
+            : 'Masuk untuk menetapkan target belajar.'
+        }</p>`;
+
+  const addButton = document.getElementById('add-goal');
+  if (addButton) addButton.hidden = !loggedIn;
+
+  if (focusRings) focusRings.innerHTML = html;
+  if (homeRings) {
+    homeRings.innerHTML = html;
+    homeRings.querySelectorAll('.goal-ring').forEach(ring => {
+      ring.addEventListener('click', () => {
+        const goal = goals.find(g => g.id === Number(ring.dataset.goalId));
+        ModalManager.showGoalModal(goal);
+      });
+    });
+  }
+}
+
+// Badge gallery: unlocked badges show their date, locked ones their progress
+async function loadAchievementGallery() {
+  const gallery = document.getElementById('achievement-gallery');
+  if (!gallery) return;
+
+  const achievements = await DataManager.getAchievements();
+  if (achievements.length === 0) {
+    gallery.innerHTML =
+      '<p class="achievement-empty">Masuk untuk mulai mengumpulkan pencapaian.</p>';
+    return;
+  }
+
+  gallery.innerHTML = achievements
+    .map(achievement => {
+      const unlocked = !!achievement.unlocked_at;
+      const percent = Math.round(
+        (achievement.progress / achievement.target) * 100
+      );
+      const status = unlocked
+        ? `Diraih ${new Date(achievement.unlocked_at).toLocaleDateString(
+            'id-ID'
+          )}`
+        : `${achievement.progress} / ${achievement.target}`;
+
+      return `
+        <div class="achievement-badge ${
+          unlocked ? 'unlocked' : 'locked'
+        }" title="${achievement.description}">
+          <div class="achievement-icon"><i class="fas ${
+            achievement.icon
+          }"></i></div>
+          <h4>${achievement.title}</h4>
+          <p>${achievement.description}</p>
+          ${
+            unlocked
+              ? ''
+              : `<div class="achievement-progress"><div style="width: ${percent}%;"></div></div>`
+          }
+          <small>${status}</small>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+// Render Weekly Chart
+function renderWeeklyChart(weeklyData) {
+  const chartContainer = document.getElementById('weekly-chart');
+  if (!chartContainer) return;
+
+  // Get last 7 days
+  const days = [];
+  const dayNames = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+
+  for (let i = 6; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    days.push({
+      date: date.toISOString().split('T')[0],
+      dayName: dayNames[date.getDay()],
+      dateStr: date.getDate(),
+    });
+  }
+
+  // Map weekly data to days
+  const dataMap = {};
+  if (weeklyData && Array.isArray(weeklyData)) {
+    weeklyData.forEach(item => {
+      const dateKey = new Date(item.study_date).toISOString().split('T')[0];
+      dataMap[dateKey] = {
+        sessions: item.sessions_count || 0,
+        minutes: item.total_minutes || 0,
+      };
+    });
+  }
+
+  // Find max value for scaling
+  const maxMinutes = Math.max(
+    ...days.map(d => dataMap[d.date]?.minutes || 0),
+    60
+  );
+
+  chartContainer.innerHTML = `
+    <div class="chart-bars" style="display: flex; justify-content: space-around; align-items: flex-end; height: 150px; padding: 10px 0;">
+      ${days
+        .map(day => {
+          const data = dataMap[day.date] || { sessions: 0, minutes: 0 };
+          const height = maxMinutes > 0 ? (data.minutes / maxMinutes) * 100 : 0;
+          const isToday = day.date === new Date().toISOString().split('T')[0];
+
+          return `
+          <div class="chart-bar-container" style="display: flex; flex-direction: column; align-items: center; flex: 1;">
+            <div class="chart-value" style="font-size: 0.75rem; color: var(--primary); margin-bottom: 4px;">
+              ${data.minutes > 0 ? data.minutes + 'm' : ''}
+            </div>
+            <div class="chart-bar" style="
+              width: 30px;
+              height: ${Math.max(height, 5)}%;
+              min-height: 4px;
+              background: ${
+                isToday
+                  ? 'linear-gradient(135deg, #0984e3, #74b9ff)'
+                  : 'linear-gradient(135deg, #74b9ff, #a29bfe)'
+              };
+              border-radius: 4px 4px 0 0;
+              transition: height 0.3s ease;
+            " title="${data.sessions} sesi, ${data.minutes} menit"></div>
+            <div class="chart-label" style="margin-top: 8px; font-size: 0.75rem; color: ${
+              isToday ? 'var(--primary)' : '#666'
+            }; font-weight: ${isToday ? '600' : '400'};">
+              ${day.dayName}
+            </div>
+            <div class="chart-date" style="font-size: 0.65rem; color: #999;">
+              ${day.dateStr}
+            </div>
+          </div>
+        `;
+        })
+        .join('')}
+    </div>
+    <div class="chart-summary" style="text-align: center; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 0.9rem;">
+        Total minggu ini: <strong style="color: var(--primary);">${
+          weeklyData?.reduce((sum, d) => sum + (d.total_minutes || 0), 0) || 0
+        } menit</strong> 
+        dalam <strong style="color: var(--primary);">${
+          weeklyData?.reduce((sum, d) => sum + (d.sessions_count || 0), 0) || 0
+        } sesi</strong>
+      </p>
+    </div>
+  `;
+}
+
+function renderTasksPage() {
+  return `
+    <section class="tasks premium-section">
+      <div class="container">
+        <h1 class="text-center premium-section-title">Daftar Tugas</h1>
+        <p class="text-center premium-section-subtitle">Perkirakan berapa Pomodoro setiap tugas, lalu bandingkan dengan kenyataannya</p>
+
+        <div class="session-actions">
+          <button class="btn premium-btn" id="add-task">Tambah Tugas</button>
+        </div>
+
+        <p class="text-center task-estimate-summary" id="task-estimate-summary"></p>
+
+        <ul class="task-list premium-card" id="task-list">
+          <li class="chart-loading">Memuat tugas...</li>
+        </ul>
+      </div>
+    </section>
+  `;
+}
+
+async function initializeTasksPage() {
+  const addButton = document.getElementById('add-task');
+  if (!currentUser || !authToken) {
+    if (addButton) addButton.hidden = true;
+    document.getElementById('task-list').innerHTML =
+      '<li class="task-empty">Masuk untuk membuat daftar tugas.</li>';
+    return;
+  }
+
+  addButton?.addEventListener('click', () => ModalManager.showTaskModal());
+  document.getElementById('task-list').addEventListener('click', async e => {
+    const control = e.target.closest('[data-action]');
+    if (!control) return;
+
+    const id = Number(control.closest('.task-item').dataset.taskId);
+    if (control.dataset.action === 'edit') {
+      const tasks = await DataManager.getTasks();
+      ModalManager.showTaskModal(tasks.find(task => task.id === id));
+      return;
+    }
+
+    try {
+      await DataManager.toggleTask(id);
+      await loadTaskList();
     } catch (error) {
-      console.error('Error initializing page:', error);
-      showToast('Terjadi kesalahan saat memuat halaman', 'error');
+      console.error('Error toggling task:', error);
+      showToast('Gagal memperbarui tugas', 'error');
     }
+  });
 
-    injectComponentStyles();
-    updateActiveNav();
-  } catch (error) {
-    console.error('Error loading page:', error);
-    showToast('Gagal memuat halaman', 'error');
-  } finally {
-    isLoadingPage = false;
-  }
+  await loadTaskList();
 }
 
-// Render functions - Enhanced with premium styling
-function renderHomePage() {
+async function loadTaskList() {
+  const list = document.getElementById('task-list');
+  if (!list) return;
+
+  const tasks = await DataManager.getTasks();
+  list.innerHTML =
+    tasks.length > 0
+      ? tasks.map(renderTaskItem).join('')
+      : '<li class="task-empty">Belum ada tugas. Tambahkan tugas pertama Anda!</li>';
+  document.getElementById('task-estimate-summary').innerHTML =
+    renderEstimateSummary(tasks);
+}
+
+function renderTrashPage() {
   return `
-    <section class="hero premium-hero">
+    <section class="trash premium-section">
       <div class="container">
-        <h1 class="premium-title">Selamat Datang di FocusMode</h1>
-        <p class="premium-subtitle">Platform pembelajaran premium untuk meningkatkan produktivitas belajar dengan teknik Pomodoro, manajemen waktu, dan pencatatan yang efektif.</p>
-        <div class="hero-actions">
-          <a href="#/focus-mode" class="btn premium-btn">Mulai Fokus</a>
-          <a href="#/fitur" class="btn premium-btn-secondary">Pelajari Fitur</a>
+        <h1 class="text-center premium-section-title">Sampah</h1>
+        <p class="text-center premium-section-subtitle">Sesi, catatan, dan buku yang dihapus disimpan di sini selama 30 hari sebelum dihapus permanen</p>
+
+        <div class="session-actions">
+          <button class="btn premium-btn-secondary" id="empty-trash" hidden>Kosongkan Sampah</button>
         </div>
+
+        <ul class="trash-list premium-card" id="trash-list">
+          <li class="chart-loading">Memuat sampah...</li>
+        </ul>
       </div>
     </section>
+  `;
+}
 
-    <section class="stats-overview premium-stats">
+async function initializeTrashPage() {
+  const list = document.getElementById('trash-list');
+  if (!currentUser || !authToken) {
+    list.innerHTML =
+      '<li class="trash-empty">Masuk untuk melihat item yang dihapus.</li>';
+    return;
+  }
+
+  document.getElementById('empty-trash').addEventListener('click', async () => {
+    if (!confirm('Hapus permanen semua item di Sampah?')) return;
+    try {
+      await DataManager.emptyTrash();
+      showToast('Sampah dikosongkan', 'success');
+      await loadTrashList();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      showToast('Gagal mengosongkan sampah', 'error');
+    }
+  });
+
+  list.addEventListener('click', async e => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const { entity, id } = button.closest('.trash-item').dataset;
+    try {
+      if (button.dataset.action === 'restore') {
+        await DataManager.restoreFromTrash(entity, id);
+        showToast('Item dipulihkan!', 'success');
+      } else {
+        if (!confirm('Hapus permanen item ini? Tidak bisa dibatalkan.')) return;
+        await DataManager.deleteFromTrash(entity, id);
+        showToast('Item dihapus permanen', 'success');
+      }
+      await loadTrashList();
+    } catch (error) {
+      console.error('Error updating trash:', error);
+      showToast('Gagal memperbarui sampah', 'error');
+    }
+  });
+
+  await loadTrashList();
+}
+
+async function loadTrashList() {
+  const list = document.getElementById('trash-list');
+  if (!list) return;
+
+  const items = await DataManager.getTrash();
+  list.innerHTML =
+    items.length > 0
+      ? items.map(item => renderTrashItem(item)).join('')
+      : '<li class="trash-empty">Sampah kosong.</li>';
+  document.getElementById('empty-trash').hidden = items.length === 0;
+}
+
+function renderExamsPage() {
+  return `
+    <section class="exams premium-section">
       <div class="container">
-        <h2 class="text-center premium-section-title">Statistik Belajar Anda</h2>
-        <div class="stats-grid" id="stats-grid">
-          <div class="stat-card premium-card">
-            <div class="stat-icon">
-              <i class="fas fa-clock"></i>
-            </div>
-            <div class="stat-info">
-              <h3 id="stat-total-minutes">-</h3>
-              <p>Menit Belajar Hari Ini</p>
-            </div>
-          </div>
-          <div class="stat-card premium-card">
-            <div class="stat-icon">
-              <i class="fas fa-check-circle"></i>
-            </div>
-            <div class="stat-info">
-              <h3 id="stat-completed-sessions">-</h3>
-              <p>Sesi Selesai</p>
-            </div>
-          </div>
-          <div class="stat-card premium-card">
-            <div class="stat-icon" style="background: linear-gradient(135deg, #fd79a8, #e84393);">
-              <i class="fas fa-fire"></i>
-            </div>
-            <div class="stat-info">
-              <h3 id="stat-streak">-</h3>
-              <p>Streak Hari</p>
-            </div>
-          </div>
-          <div class="stat-card premium-card">
-            <div class="stat-icon">
-              <i class="fas fa-sticky-note"></i>
-            </div>
-            <div class="stat-info">
-              <h3 id="stat-total-notes">-</h3>
-              <p>Total Catatan</p>
-            </div>
-          </div>
-          <div class="stat-card premium-card">
-            <div class="stat-icon">
-              <i class="fas fa-book"></i>
-            </div>
-            <div class="stat-info">
-              <h3 id="stat-total-books">-</h3>
-              <p>Total Buku</p>
-            </div>
-          </div>
-        </div>
-        
-        <div class="weekly-stats-container" style="margin-top: 2rem;">
-          <h3 class="text-center" style="margin-bottom: 1rem;">Aktivitas 7 Hari Terakhir</h3>
-          <div class="weekly-chart" id="weekly-chart">
-            <div class="chart-loading">Memuat data...</div>
-          </div>
+        <h1 class="text-center premium-section-title">Ujian & Rencana Belajar</h1>
+        <p class="text-center premium-section-subtitle">Masukkan tanggal ujian dan topiknya, jadwal belajar disusun mundur sampai hari ini</p>
+
+        <div class="session-actions">
+          <button class="btn premium-btn" id="add-exam">Tambah Ujian</button>
+          <button class="btn premium-btn-secondary" id="replan-exams">Susun Ulang Jadwal</button>
         </div>
-      </div>
-    </section>
-    
-    <section class="features premium-features">
-      <div class="container">
-        <h2 class="text-center premium-section-title">Fitur Unggulan</h2>
-        <div class="features-grid">
-          <div class="feature-card premium-card">
-            <i class="fas fa-clock feature-icon"></i>
-            <h3>Timer Pomodoro</h3>
-            <p>Teknik 25 menit fokus, 5 menit istirahat untuk meningkatkan konsentrasi belajar.</p>
-          </div>
-          <div class="feature-card premium-card">
-            <i class="fas fa-book feature-icon"></i>
-            <h3>Manajemen Catatan</h3>
-            <p>Buat dan kelola catatan belajar dengan kategori yang terorganisir.</p>
-          </div>
-          <div class="feature-card premium-card">
-            <i class="fas fa-tasks feature-icon"></i>
-            <h3>Sesi Belajar</h3>
-            <p>Jadwalkan dan pantau sesi belajar Anda dengan sistem pelacakan waktu.</p>
+
+        <form class="exam-budget premium-card" id="exam-budget-form">
+          <div class="form-group">
+            <label for="daily-study-minutes">Anggaran belajar harian (menit)</label>
+            <input type="number" id="daily-study-minutes" min="15" max="720" step="5" class="premium-input" required>
           </div>
-          <div class="feature-card premium-card">
-            <i class="fas fa-books feature-icon"></i>
-            <h3>Rak Buku Digital</h3>
-            <p>Kelola daftar bacaan dan progress belajar dari berbagai sumber.</p>
+          <div class="form-group">
+            <label for="study-start-time">Mulai belajar pukul</label>
+            <input type="time" id="study-start-time" class="premium-input" required>
           </div>
+          <button type="submit" class="btn premium-btn">Simpan</button>
+        </form>
+
+        <div class="exam-list" id="exam-list">
+          <div class="chart-loading">Memuat ujian...</div>
         </div>
       </div>
     </section>
   `;
 }
 
-// Initialize Home Page with Stats
-async function initializeHomePage() {
-  try {
-    // Check if user is logged in
-    if (!currentUser || !authToken) {
-      // Show default values for non-logged in users
-      const statsElements = [
-        'stat-total-minutes',
-        'stat-completed-sessions',
-        'stat-streak',
-        'stat-total-notes',
-        'stat-total-books',
-      ];
-      statsElements.forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.textContent = '0';
-      });
+async function initializeExamsPage() {
+  const list = document.getElementById('exam-list');
+  if (!currentUser || !authToken) {
+    document.getElementById('add-exam').hidden = true;
+    document.getElementById('replan-exams').hidden = true;
+    document.getElementById('exam-budget-form').hidden = true;
+    list.innerHTML =
+      '<p class="goal-empty">Masuk untuk merencanakan belajar menjelang ujian.</p>';
+    return;
+  }
 
-      // Show login prompt in chart
-      const chartContainer = document.getElementById('weekly-chart');
-      if (chartContainer) {
-        chartContainer.innerHTML = `
-          <div style="text-align: center; padding: 2rem; color: #666;">
-            <i class="fas fa-sign-in-alt" style="font-size: 2rem; margin-bottom: 1rem; color: var(--primary);"></i>
-            <p>Login untuk melihat statistik belajar Anda</p>
-            <a href="#/login" class="btn premium-btn" style="margin-top: 1rem;">Login Sekarang</a>
-          </div>
-        `;
+  document
+    .getElementById('add-exam')
+    .addEventListener('click', () => ModalManager.showExamModal());
+  document
+    .getElementById('replan-exams')
+    .addEventListener('click', async () => {
+      try {
+        const result = await DataManager.replanExams();
+        showToast(
+          `Jadwal disusun ulang, ${result.planned_sessions} sesi belajar dijadwalkan`,
+          'success'
+        );
+        await loadExamList();
+      } catch (error) {
+        console.error('Error replanning exams:', error);
+        showToast('Gagal menyusun ulang jadwal', 'error');
       }
-      return;
-    }
-
-    // Load stats summary (combines dashboard + weekly + streak in one call)
-    const statsSummary = await DataManager.getStatsSummary();
+    });
+  list.addEventListener('click', async e => {
+    const edit = e.target.closest('[data-action="edit"]');
+    if (!edit) return;
 
-    // Update stats display
-    const totalMinutesEl = document.getElementById('stat-total-minutes');
-    const completedSessionsEl = document.getElementById(
-      'stat-completed-sessions'
-    );
-    const streakEl = document.getElementById('stat-streak');
-    const totalNotesEl = document.getElementById('stat-total-notes');
-    const totalBooksEl = document.getElementById('stat-total-books');
+    const id = Number(edit.closest('.exam-card').dataset.examId);
+    const exams = await DataManager.getExams();
+    ModalManager.showExamModal(exams.find(exam => exam.id === id));
+  });
 
-    if (totalMinutesEl) {
-      totalMinutesEl.textContent = `${
-        statsSummary.today?.total_minutes ||
-        statsSummary.todayStats?.total_minutes ||
-        0
-      } menit`;
-    }
-    if (completedSessionsEl) {
-      completedSessionsEl.textContent =
-        statsSummary.overview?.completed_sessions ||
-        statsSummary.dashboard?.completed_sessions ||
-        0;
-    }
-    if (streakEl) {
-      streakEl.textContent = statsSummary.streak || 0;
-    }
-    if (totalNotesEl) {
-      totalNotesEl.textContent =
-        statsSummary.overview?.total_notes ||
-        statsSummary.dashboard?.total_notes ||
-        0;
-    }
-    if (totalBooksEl) {
-      totalBooksEl.textContent =
-        statsSummary.overview?.total_books ||
-        statsSummary.dashboard?.total_books ||
-        0;
-    }
+  await initializeExamBudgetForm();
+  await loadExamList();
+}
 
-    // Load weekly stats for chart
-    const weeklyData =
-      statsSummary.weekly?.daily_breakdown ||
-      (await DataManager.getWeeklyStats());
-    renderWeeklyChart(weeklyData);
+// The daily budget and start time the planner fills; saving them rebuilds the plan
+async function initializeExamBudgetForm() {
+  const form = document.getElementById('exam-budget-form');
+  const minutesInput = document.getElementById('daily-study-minutes');
+  const startInput = document.getElementById('study-start-time');
 
-    console.log('📊 Home page stats loaded:', statsSummary);
+  try {
+    const settings = await Api.user.getSettings();
+    minutesInput.value = settings.daily_study_minutes;
+    startInput.value = settings.study_start_time?.slice(0, 5);
   } catch (error) {
-    console.error('Error initializing home page:', error);
+    console.warn('Could not load study budget:', error.message);
   }
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await Api.user.updateSettings({
+        daily_study_minutes: parseInt(minutesInput.value),
+        study_start_time: startInput.value,
+      });
+      showToast('Anggaran disimpan, jadwal disusun ulang', 'success');
+      await loadExamList();
+    } catch (error) {
+      console.error('Error saving study budget:', error);
+      showToast(error.data?.message || 'Gagal menyimpan anggaran', 'error');
+    }
+  });
+}
+
+async function loadExamList() {
+  const list = document.getElementById('exam-list');
+  if (!list) return;
+
+  const exams = await DataManager.getExams();
+  list.innerHTML =
+    exams.length > 0
+      ? exams.map(renderExamCard).join('')
+      : '<p class="goal-empty">Belum ada ujian. Tambahkan ujian pertama Anda!</p>';
+}
+
+function renderAnalyticsPage() {
+  return `
+    <section class="analytics premium-section">
+      <div class="container">
+        <h1 class="text-center premium-section-title">Analitik Belajar</h1>
+        <p class="text-center premium-section-subtitle">Kapan Anda paling fokus dan mata pelajaran mana yang mulai tertinggal</p>
+
+        <div class="analytics-ranges" id="analytics-ranges">
+          ${ANALYTICS_RANGES.map(
+            days =>
+              `<button class="btn premium-btn-secondary" data-days="${days}">${days} Hari</button>`
+          ).join('')}
+        </div>
+
+        <div class="stats-grid" id="analytics-cards">
+          <div class="chart-loading">Memuat analitik...</div>
+        </div>
+
+        <div class="analytics-grid">
+          <div class="weekly-stats-container">
+            <h3>Aktivitas 7 Hari Terakhir</h3>
+            <div class="weekly-chart" id="weekly-chart">
+              <div class="chart-loading">Memuat data...</div>
+            </div>
+          </div>
+          <div class="weekly-stats-container">
+            <h3>Per Mata Pelajaran</h3>
+            <div id="analytics-subjects"></div>
+          </div>
+          <div class="weekly-stats-container">
+            <h3>Per Hari</h3>
+            <div id="analytics-weekdays"></div>
+          </div>
+          <div class="weekly-stats-container">
+            <h3>Per Jam Mulai</h3>
+            <div id="analytics-hours"></div>
+          </div>
+        </div>
+      </div>
+    </section>
+  `;
 }
 
-// Render Weekly Chart
-function renderWeeklyChart(weeklyData) {
-  const chartContainer = document.getElementById('weekly-chart');
-  if (!chartContainer) return;
+async function initializeAnalyticsPage() {
+  if (!currentUser || !authToken) {
+    document.getElementById('analytics-cards').innerHTML = `
+      <div class="analytics-empty">
+        <p>Login untuk melihat analitik belajar Anda</p>
+        <a href="#/login" class="btn premium-btn" style="margin-top: 1rem;">Login Sekarang</a>
+      </div>
+    `;
+    document.querySelector('.analytics-grid').hidden = true;
+    return;
+  }
+
+  document.querySelectorAll('#analytics-ranges [data-days]').forEach(button => {
+    button.addEventListener('click', () =>
+      loadAnalytics(Number(button.dataset.days))
+    );
+  });
 
-  // Get last 7 days
-  const days = [];
-  const dayNames = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+  renderWeeklyChart(await DataManager.getWeeklyStats());
+  await loadAnalytics(30);
+}
 
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    days.push({
-      date: date.toISOString().split('T')[0],
-      dayName: dayNames[date.getDay()],
-      dateStr: date.getDate(),
-    });
-  }
+// Cards and breakdowns for the chosen range; the weekly chart stays as it is
+async function loadAnalytics(days) {
+  document.querySelectorAll('#analytics-ranges [data-days]').forEach(button => {
+    button.classList.toggle('active', Number(button.dataset.days) === days);
+  });
 
-  // Map weekly data to days
-  const dataMap = {};
-  if (weeklyData && Array.isArray(weeklyData)) {
-    weeklyData.forEach(item => {
-      const dateKey = new Date(item.study_date).toISOString().split('T')[0];
-      dataMap[dateKey] = {
-        sessions: item.sessions_count || 0,
-        minutes: item.total_minutes || 0,
-      };
-    });
+  const analytics = await DataManager.getAnalytics(days);
+  const cards = document.getElementById('analytics-cards');
+  if (!cards) return;
+
+  if (!analytics) {
+    cards.innerHTML =
+      '<p class="analytics-empty">Gagal memuat analitik. Coba lagi nanti.</p>';
+    return;
   }
 
-  // Find max value for scaling
-  const maxMinutes = Math.max(
-    ...days.map(d => dataMap[d.date]?.minutes || 0),
-    60
+  cards.innerHTML = renderAnalyticsCards(analytics);
+  document.getElementById('analytics-subjects').innerHTML =
+    renderSubjectBreakdown(analytics.by_subject);
+  document.getElementById('analytics-weekdays').innerHTML = renderWeekdayChart(
+    analytics.by_weekday
+  );
+  document.getElementById('analytics-hours').innerHTML = renderHourChart(
+    analytics.by_hour
   );
-
-  chartContainer.innerHTML = `
-    <div class="chart-bars" style="display: flex; justify-content: space-around; align-items: flex-end; height: 150px; padding: 10px 0;">
-      ${days
-        .map(day => {
-          const data = dataMap[day.date] || { sessions: 0, minutes: 0 };
-          const height = maxMinutes > 0 ? (data.minutes / maxMinutes) * 100 : 0;
-          const isToday = day.date === new Date().toISOString().split('T')[0];
-
-          return `
-          <div class="chart-bar-container" style="display: flex; flex-direction: column; align-items: center; flex: 1;">
-            <div class="chart-value" style="font-size: 0.75rem; color: var(--primary); margin-bottom: 4px;">
-              ${data.minutes > 0 ? data.minutes + 'm' : ''}
-            </div>
-            <div class="chart-bar" style="
-              width: 30px;
-              height: ${Math.max(height, 5)}%;
-              min-height: 4px;
-              background: ${
-                isToday
-                  ? 'linear-gradient(135deg, #0984e3, #74b9ff)'
-                  : 'linear-gradient(135deg, #74b9ff, #a29bfe)'
-              };
-              border-radius: 4px 4px 0 0;
-              transition: height 0.3s ease;
-            " title="${data.sessions} sesi, ${data.minutes} menit"></div>
-            <div class="chart-label" style="margin-top: 8px; font-size: 0.75rem; color: ${
-              isToday ? 'var(--primary)' : '#666'
-            }; font-weight: ${isToday ? '600' : '400'};">
-              ${day.dayName}
-            </div>
-            <div class="chart-date" style="font-size: 0.65rem; color: #999;">
-              ${day.dateStr}
-            </div>
-          </div>
-        `;
-        })
-        .join('')}
-    </div>
-    <div class="chart-summary" style="text-align: center; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #eee;">
-      <p style="color: #666; font-size: 0.9rem;">
-        Total minggu ini: <strong style="color: var(--primary);">${
-          weeklyData?.reduce((sum, d) => sum + (d.total_minutes || 0), 0) || 0
-        } menit</strong> 
-        dalam <strong style="color: var(--primary);">${
-          weeklyData?.reduce((sum, d) => sum + (d.sessions_count || 0), 0) || 0
-        } sesi</strong>
-      </p>
-    </div>
-  `;
 }
 
 function renderFeaturesPage() {
@@ -1953,11 +4105,21 @@ function renderFocusModePage() {
         <p class="text-center premium-section-subtitle">Gunakan teknik Pomodoro premium untuk meningkatkan fokus belajar</p>
         
         <div class="timer-controls premium-timer-controls">
-          <button class="timer-btn premium-timer-btn active" data-minutes="25">Pomodoro (25m)</button>
-          <button class="timer-btn premium-timer-btn" data-minutes="5">Istirahat Pendek (5m)</button>
-          <button class="timer-btn premium-timer-btn" data-minutes="15">Istirahat Panjang (15m)</button>
+          ${Object.values(PHASES)
+            .map(
+              phase => `
+            <button class="timer-btn premium-timer-btn ${
+              phase === FocusTimer.phase ? 'active' : ''
+            }" data-phase="${phase}">
+              ${PHASE_LABELS[phase]} (${FocusTimer.cycle.getMinutes(phase)}m)
+            </button>
+          `
+            )
+            .join('')}
         </div>
         
+        <p class="text-center pomodoro-cycle" id="pomodoro-cycle"></p>
+        
         <div class="timer-display premium-timer-display">25:00</div>
         
         <div class="timer-actions">
@@ -1969,7 +4131,62 @@ function renderFocusModePage() {
         <div class="session-info mt-2 premium-session-info">
           <h3>Sesi Saat Ini</h3>
           <p>Fokus pada: <span id="current-task" contenteditable="true">Belajar</span></p>
+          <div class="current-subject">
+            <label for="current-task-id">Tugas:</label>
+            <select id="current-task-id" class="premium-input"></select>
+          </div>
+          <div class="current-subject">
+            <label for="current-subject">Mata pelajaran:</label>
+            <select id="current-subject" class="premium-input"></select>
+          </div>
+          <div class="distraction-log">
+            <p>Gangguan sesi ini: <strong id="interruption-count">0</strong></p>
+            <div class="distraction-form">
+              <select id="distraction-reason" class="premium-input">
+                ${DISTRACTION_REASONS.map(
+                  reason => `<option value="${reason}">${reason}</option>`
+                ).join('')}
+              </select>
+              <button class="btn premium-btn-secondary" id="log-distraction" disabled>Saya Terdistraksi</button>
+            </div>
+          </div>
         </div>
+        
+        <div class="session-info mt-2 premium-session-info">
+          <h3>Target Belajar</h3>
+          <div class="goal-rings" id="focus-goal-rings"></div>
+        </div>
+        
+        <details class="session-info pomodoro-settings mt-2">
+          <summary>Pengaturan Pomodoro</summary>
+          <form id="pomodoro-settings-form" class="premium-form">
+            <div class="pomodoro-settings-grid">
+              <div class="form-group">
+                <label for="focus-minutes">Fokus (menit)</label>
+                <input type="number" id="focus-minutes" min="1" max="180" required class="premium-input">
+              </div>
+              <div class="form-group">
+                <label for="short-break-minutes">Istirahat pendek (menit)</label>
+                <input type="number" id="short-break-minutes" min="1" max="60" required class="premium-input">
+              </div>
+              <div class="form-group">
+                <label for="long-break-minutes">Istirahat panjang (menit)</label>
+                <input type="number" id="long-break-minutes" min="1" max="120" required class="premium-input">
+              </div>
+              <div class="form-group">
+                <label for="long-break-interval">Istirahat panjang setiap</label>
+                <input type="number" id="long-break-interval" min="1" max="12" required class="premium-input">
+              </div>
+            </div>
+            <label class="pomodoro-toggle">
+              <input type="checkbox" id="auto-start-breaks"> Mulai istirahat otomatis
+            </label>
+            <label class="pomodoro-toggle">
+              <input type="checkbox" id="auto-start-focus"> Mulai fokus otomatis setelah istirahat
+            </label>
+            <button type="submit" class="btn premium-btn mt-2">Simpan Pengaturan</button>
+          </form>
+        </details>
       </div>
     </section>
   `;
@@ -1984,8 +4201,16 @@ function renderSessionsPage() {
         
         <div class="session-actions">
           <button class="btn premium-btn" id="add-session">Tambah Sesi Baru</button>
+          <button class="btn premium-btn-secondary" id="add-recurrence">Jadwal Berulang</button>
+          <button class="btn premium-btn-secondary" id="export-calendar">Ekspor .ics</button>
+          <button class="btn premium-btn-secondary" id="calendar-feed">Langganan Kalender</button>
+          <button class="btn premium-btn-secondary" id="manage-subjects">Kelola Mata Pelajaran</button>
         </div>
         
+        <p class="text-center focus-quality-summary" id="focus-quality-summary"></p>
+        
+        <div class="session-calendar premium-card" id="session-calendar"></div>
+        
         <div class="session-list" id="session-list">
           <!-- Sessions will be populated by JavaScript -->
         </div>
@@ -2014,6 +4239,14 @@ function renderNotesPage() {
             <option value="other">Lainnya</option>
           </select>
         </div>
+
+        <div class="tag-cloud-panel">
+          <div class="tag-cloud-header">
+            <span>Filter tag <small>(catatan harus memiliki semua tag yang dipilih)</small></span>
+            <button class="btn premium-btn-secondary" id="manage-tags">Kelola Tag</button>
+          </div>
+          <div class="tag-cloud" id="note-tag-cloud"></div>
+        </div>
         
         <div class="notes-grid">
           <!-- Notes will be populated by JavaScript -->
@@ -2055,21 +4288,12 @@ function renderBooksPage() {
 }
 
 // Initialize Focus Mode Page
-function initializeFocusModePage() {
+async function initializeFocusModePage() {
   // Timer controls
   const timerButtons = document.querySelectorAll('.timer-btn');
   timerButtons.forEach(btn => {
     btn.addEventListener('click', () => {
-      // Remove active class from all buttons
-      timerButtons.forEach(b => b.classList.remove('active'));
-      // Add active class to clicked button
-      btn.classList.add('active');
-
-      // Reset timer dengan durasi baru
-      const minutes = parseInt(btn.getAttribute('data-minutes'));
-      TimerManager.resetTimer();
-      timerMinutes = minutes;
-      TimerManager.updateTimerDisplay();
+      TimerManager.selectPhase(btn.getAttribute('data-phase'));
     });
   });
 
@@ -2079,14 +4303,46 @@ function initializeFocusModePage() {
   const resetBtn = document.getElementById('reset-timer');
 
   if (startBtn)
-    startBtn.addEventListener('click', () =>
-      TimerManager.startTimer(timerMinutes)
-    );
+    startBtn.addEventListener('click', () => TimerManager.startTimer());
   if (pauseBtn)
     pauseBtn.addEventListener('click', () => TimerManager.pauseTimer());
   if (resetBtn)
     resetBtn.addEventListener('click', () => TimerManager.resetTimer());
 
+  const settingsForm = document.getElementById('pomodoro-settings-form');
+  if (settingsForm) {
+    settingsForm.addEventListener('submit', async e => {
+      e.preventDefault();
+
+      await FocusTimer.updateSettings({
+        focus_minutes: parseInt(document.getElementById('focus-minutes').value),
+        short_break_minutes: parseInt(
+          document.getElementById('short-break-minutes').value
+        ),
+        long_break_minutes: parseInt(
+          document.getElementById('long-break-minutes').value
+        ),
+        long_break_interval: parseInt(
+          document.getElementById('long-break-interval').value
+        ),
+        auto_start_breaks: document.getElementById('auto-start-breaks').checked,
+        auto_start_focus: document.getElementById('auto-start-focus').checked,
+      });
+
+      showToast('Pengaturan Pomodoro disimpan!', 'success');
+    });
+  }
+
+  const distractionBtn = document.getElementById('log-distraction');
+  if (distractionBtn) {
+    distractionBtn.addEventListener('click', async () => {
+      const reason = document.getElementById('distraction-reason').value;
+      if (await FocusTimer.logDistraction(reason)) {
+        showToast('Gangguan dicatat. Kembali fokus!', 'info');
+      }
+    });
+  }
+
   // Task input
   const currentTask = document.getElementById('current-task');
   if (currentTask) {
@@ -2096,10 +4352,98 @@ function initializeFocusModePage() {
       }
     });
   }
+
+  // Pick up settings changed on another device; a running phase keeps its end time
+  await FocusTimer.init();
+  TimerManager.refresh();
+  fillPomodoroSettingsForm();
+  await fillSubjectSelect();
+  await fillTaskSelect();
+  await loadGoalRings();
+}
+
+async function fillSubjectSelect() {
+  const select = document.getElementById('current-subject');
+  if (!select) return;
+
+  const subjects = await DataManager.getSubjects();
+  select.innerHTML = renderSubjectOptions(subjects, FocusTimer.subjectId);
+}
+
+// Open tasks to credit focus rounds to; picking one also fills in its title and subject
+async function fillTaskSelect() {
+  const select = document.getElementById('current-task-id');
+  if (!select) return;
+
+  const tasks = (await DataManager.getTasks()).filter(
+    task => !task.is_done || task.id === FocusTimer.taskId
+  );
+  select.innerHTML = [
+    '<option value="">Tanpa tugas</option>',
+    ...tasks.map(
+      task =>
+        `<option value="${task.id}" ${
+          task.id === FocusTimer.taskId ? 'selected' : ''
+        }>${escapeHtml(task.title)} (${task.actual_pomodoros}/${
+          task.estimated_pomodoros
+        } Pomodoro)</option>`
+    ),
+  ].join('');
+
+  select.onchange = () => {
+    const task = tasks.find(t => t.id === Number(select.value));
+    if (!task) return;
+
+    document.getElementById('current-task').textContent = task.title;
+    const subjectSelect = document.getElementById('current-subject');
+    if (subjectSelect && task.subject_id) {
+      subjectSelect.value = task.subject_id;
+    }
+  };
+}
+
+function fillPomodoroSettingsForm() {
+  const { settings } = FocusTimer.cycle;
+  const fields = {
+    'focus-minutes': settings.focus_minutes,
+    'short-break-minutes': settings.short_break_minutes,
+    'long-break-minutes': settings.long_break_minutes,
+    'long-break-interval': settings.long_break_interval,
+  };
+
+  for (const [id, value] of Object.entries(fields)) {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  }
+
+  const autoBreaks = document.getElementById('auto-start-breaks');
+  const autoFocus = document.getElementById('auto-start-focus');
+  if (autoBreaks) autoBreaks.checked = settings.auto_start_breaks;
+  if (autoFocus) autoFocus.checked = settings.auto_start_focus;
 }
 
 // Initialize Sessions Page - FIXED VERSION
 let sessionsPageInitialized = false;
+// Average focus quality of recent sessions and how it moved
+function renderFocusQualitySummary(sessions) {
+  const summary = document.getElementById('focus-quality-summary');
+  if (!summary) return;
+
+  const { recent, change, sessions: count } = summarizeFocusQuality(sessions);
+  if (recent === null) {
+    summary.textContent = '';
+    return;
+  }
+
+  const trend =
+    change === null
+      ? ''
+      : change >= 0
+      ? ` (naik ${change} poin)`
+      : ` (turun ${Math.abs(change)} poin)`;
+  summary.textContent = `Kualitas fokus ${count} sesi terakhir: ${recent}%${trend}`;
+}
+
 async function initializeSessionsPage() {
   const sessionList = document.getElementById('session-list');
   if (!sessionList) return;
@@ -2114,6 +4458,7 @@ async function initializeSessionsPage() {
 
   try {
     const sessions = await SessionManager.getSessions();
+    renderFocusQualitySummary(sessions);
 
     if (sessions.length === 0) {
       sessionList.innerHTML = `
@@ -2141,12 +4486,33 @@ async function initializeSessionsPage() {
           </span>
         </div>
         <div class="session-details">
-          <p><strong>Topik:</strong> ${session.subject}</p>
+          <p><strong>Mata Pelajaran:</strong> ${
+            session.subject
+              ? `<span class="subject-chip" style="--subject-color: ${
+                  session.subjectColor
+                }">${escapeHtml(session.subject)}</span>`
+              : '-'
+          }</p>
           <p><strong>Durasi:</strong> ${session.duration} menit</p>
           <p><strong>Deskripsi:</strong> ${session.description || '-'}</p>
           <p><strong>Dibuat:</strong> ${new Date(
             session.createdAt || session.created_at
           ).toLocaleDateString('id-ID')}</p>
+          ${
+            session.scheduledAt
+              ? `<p><strong>Jadwal:</strong> ${new Date(
+                  session.scheduledAt
+                ).toLocaleString('id-ID', {
+                  dateStyle: 'medium',
+                  timeStyle: 'short',
+                })}</p>`
+              : ''
+          }
+          ${
+            session.status === 'completed' && session.focusQuality != null
+              ? `<p class="focus-quality"><strong>Gangguan:</strong> ${session.interruptionCount} · <strong>Kualitas fokus:</strong> ${session.focusQuality}%</p>`
+              : ''
+          }
         </div>
         <div class="session-actions">
           ${
@@ -2198,6 +4564,15 @@ async function initializeSessionsPage() {
         ModalManager.showSessionModal();
       });
     }
+
+    bindSessionPageButton('add-recurrence', () =>
+      ModalManager.showRecurrenceModal()
+    );
+    bindSessionPageButton('export-calendar', exportCalendar);
+    bindSessionPageButton('calendar-feed', showCalendarFeed);
+    bindSessionPageButton('manage-subjects', manageSubjects);
+
+    await initializeSessionCalendar();
   } catch (error) {
     console.error('Error initializing sessions page:', error);
     const sessionListElement = document.getElementById('session-list');
@@ -2216,6 +4591,105 @@ async function initializeSessionsPage() {
   }
 }
 
+// Replaces the button so reloading the page does not stack click handlers
+function bindSessionPageButton(id, handler) {
+  const button = document.getElementById(id);
+  if (!button) return;
+
+  const newBtn = button.cloneNode(true);
+  button.parentNode.replaceChild(newBtn, button);
+  newBtn.addEventListener('click', handler);
+}
+
+async function exportCalendar() {
+  if (!authToken) {
+    showToast('Masuk terlebih dahulu untuk mengekspor jadwal', 'warning');
+    return;
+  }
+
+  try {
+    await downloadCalendarExport();
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    showToast('Gagal mengekspor jadwal', 'error');
+  }
+}
+
+function manageSubjects() {
+  if (!authToken) {
+    showToast(
+      'Masuk terlebih dahulu untuk mengelola mata pelajaran',
+      'warning'
+    );
+    return;
+  }
+
+  ModalManager.showSubjectsModal();
+}
+
+function manageTags() {
+  if (!authToken) {
+    showToast('Masuk terlebih dahulu untuk mengelola tag', 'warning');
+    return;
+  }
+
+  ModalManager.showTagsModal();
+}
+
+async function showCalendarFeed() {
+  if (!authToken) {
+    showToast('Masuk terlebih dahulu untuk berlangganan kalender', 'warning');
+    return;
+  }
+
+  try {
+    const { url } = await Api.calendar.getFeed();
+    ModalManager.showCalendarFeedModal(url);
+  } catch (error) {
+    console.error('Error loading calendar feed:', error);
+    showToast('Gagal memuat URL kalender', 'error');
+  }
+}
+
+// One calendar per rendered sessions page; reloads only refresh its entries
+let sessionCalendar = null;
+async function initializeSessionCalendar() {
+  const container = document.getElementById('session-calendar');
+  if (!container || !authToken) return;
+
+  if (sessionCalendar?.container !== container) {
+    sessionCalendar = new SessionCalendar(container, {
+      onSelect: selectCalendarEntry,
+      onRescheduled: async () => {
+        showToast('Jadwal sesi dipindahkan!', 'success');
+        await reloadSessionsPage();
+      },
+      onError: error => {
+        console.error('Calendar error:', error);
+        showToast('Gagal memperbarui kalender', 'error');
+      },
+    });
+  }
+
+  await sessionCalendar.load();
+}
+
+async function selectCalendarEntry(entry) {
+  if (entry.sessionId) {
+    await editSession(entry.sessionId);
+    return;
+  }
+
+  try {
+    const recurrences = await DataManager.getRecurrences();
+    const recurrence = recurrences.find(r => r.id === entry.recurrenceId);
+    if (recurrence) ModalManager.showRecurrenceModal(recurrence);
+  } catch (error) {
+    console.error('Error loading recurrence:', error);
+    showToast('Gagal memuat jadwal berulang', 'error');
+  }
+}
+
 // Helper function to reload sessions page
 async function reloadSessionsPage() {
   if (window.location.hash.slice(2) === 'sesi-belajar') {
@@ -2225,6 +4699,8 @@ async function reloadSessionsPage() {
 
 // Initialize Notes Page - ASYNC VERSION
 let notesPageInitialized = false;
+// Tags picked in the cloud; notes must carry all of them
+let activeNoteTagIds = [];
 async function initializeNotesPage() {
   const notesGrid = document.querySelector('.notes-grid');
   if (!notesGrid) return;
@@ -2240,7 +4716,16 @@ async function initializeNotesPage() {
   try {
     const filter =
       document.getElementById('note-category-filter')?.value || 'all';
-    const notes = await DataManager.getNotes(filter);
+    // Tags deleted or merged away since they were picked no longer filter
+    const tags = await DataManager.getTags();
+    activeNoteTagIds = activeNoteTagIds.filter(id =>
+      tags.some(tag => tag.id === id)
+    );
+    const notes = await DataManager.getNotes(filter, activeNoteTagIds);
+    const { renderMarkdown } = await loadMarkdown();
+
+    const tagCloud = document.getElementById('note-tag-cloud');
+    if (tagCloud) tagCloud.innerHTML = renderTagCloud(tags, activeNoteTagIds);
 
     if (notes.length === 0) {
       notesGrid.innerHTML = `
@@ -2256,7 +4741,7 @@ async function initializeNotesPage() {
           note => `
         <div class="note-card premium-card" data-note-id="${note.id}">
           <div class="note-header">
-            <h3>${note.title}</h3>
+            <h3>${escapeHtml(note.title)}</h3>
             <span class="note-category ${note.category}">${getCategoryLabel(
             note.category
           )}</span>
@@ -2264,11 +4749,17 @@ async function initializeNotesPage() {
           <div class="note-date">${new Date(
             note.createdAt || note.created_at
           ).toLocaleDateString('id-ID')}</div>
-          <div class="note-body">${note.content}</div>
+          <div class="note-body markdown-body">${renderMarkdown(
+            note.content
+          )}</div>
+          ${renderTagChips(note.tags)}
           <div class="note-actions">
             <button class="action-btn edit-btn premium-action-btn" data-action="edit">
               <i class="fas fa-edit"></i> Edit
             </button>
+            <button class="action-btn premium-action-btn" data-action="history">
+              <i class="fas fa-history"></i> Riwayat
+            </button>
             <button class="action-btn delete-btn premium-action-btn" data-action="delete">
               <i class="fas fa-trash"></i> Hapus
             </button>
@@ -2301,6 +4792,30 @@ async function initializeNotesPage() {
         });
     }
 
+    // Tag cloud - a click adds the tag to the filter or takes it out again
+    if (tagCloud) {
+      const newTagCloud = tagCloud.cloneNode(true);
+      tagCloud.parentNode.replaceChild(newTagCloud, tagCloud);
+      newTagCloud.addEventListener('click', async e => {
+        const item = e.target.closest('[data-tag-id]');
+        if (!item) return;
+
+        const id = Number(item.dataset.tagId);
+        activeNoteTagIds = activeNoteTagIds.includes(id)
+          ? activeNoteTagIds.filter(active => active !== id)
+          : [...activeNoteTagIds, id];
+        notesPageInitialized = false;
+        await initializeNotesPage();
+      });
+    }
+
+    const manageTagsBtn = document.getElementById('manage-tags');
+    if (manageTagsBtn) {
+      const newManageTagsBtn = manageTagsBtn.cloneNode(true);
+      manageTagsBtn.parentNode.replaceChild(newManageTagsBtn, manageTagsBtn);
+      newManageTagsBtn.addEventListener('click', manageTags);
+    }
+
     // FIXED: Event listener untuk tombol tambah catatan
     const addNoteBtn = document.getElementById('add-note');
     if (addNoteBtn) {
@@ -2490,6 +5005,7 @@ function handleNoteAction(event) {
   const action = button.getAttribute('data-action');
 
   if (action === 'edit') editNote(noteId);
+  if (action === 'history') showNoteHistory(noteId);
   if (action === 'delete') deleteNote(noteId);
 }
 
@@ -2536,11 +5052,22 @@ async function editNote(id) {
   }
 }
 
+async function showNoteHistory(id) {
+  try {
+    const notes = await DataManager.getNotes();
+    const note = notes.find(n => n.id === id);
+    if (note) await ModalManager.showNoteHistoryModal(note);
+  } catch (error) {
+    console.error('Error loading note history:', error);
+    showToast('Gagal memuat riwayat catatan', 'error');
+  }
+}
+
 async function deleteNote(id) {
-  if (confirm('Hapus catatan ini?')) {
+  if (confirm('Pindahkan catatan ini ke Sampah?')) {
     try {
       await DataManager.deleteNote(id);
-      showToast('Catatan dihapus!', 'success');
+      showToast('Catatan dipindahkan ke Sampah', 'success');
       await reloadNotesPage();
     } catch (error) {
       console.error('Error deleting note:', error);
@@ -2561,10 +5088,10 @@ async function editBook(id) {
 }
 
 async function deleteBook(id) {
-  if (confirm('Hapus buku ini?')) {
+  if (confirm('Pindahkan buku ini ke Sampah?')) {
     try {
       await DataManager.deleteBook(id);
-      showToast('Buku dihapus!', 'success');
+      showToast('Buku dipindahkan ke Sampah', 'success');
       await reloadBooksPage();
     } catch (error) {
       console.error('Error deleting book:', error);
@@ -2613,10 +5140,10 @@ async function editSession(id) {
 }
 
 async function deleteSession(id) {
-  if (confirm('Hapus sesi ini?')) {
+  if (confirm('Pindahkan sesi ini ke Sampah?')) {
     try {
       await SessionManager.deleteSession(id);
-      showToast('Sesi dihapus!', 'success');
+      showToast('Sesi dipindahkan ke Sampah', 'success');
       await reloadSessionsPage();
     } catch (error) {
       console.error('Error deleting session:', error);
@@ -2625,6 +5152,11 @@ async function deleteSession(id) {
   }
 }
 
+// Markdown rendering (marked, DOMPurify and KaTeX) is a separate chunk, fetched the first time notes are shown
+function loadMarkdown() {
+  return import('./src/js/markdown.js');
+}
+
 function getCategoryLabel(cat) {
   const map = {
     study: 'Studi',
@@ -2714,12 +5246,185 @@ function injectComponentStyles() {
     .stat-icon i { font-size: 1.5rem; color: white; }
     .stat-info h3 { font-size: 1.8rem; font-weight: 700; color: #2d3436; margin: 0; }
     .stat-info p { font-size: 0.9rem; color: #636e72; margin: 0.25rem 0 0 0; }
+    .stat-info small { display: block; font-size: 0.75rem; color: #636e72; margin-top: 0.25rem; }
+    .stat-info small.at-risk { color: #e17055; font-weight: 600; }
     
     /* Weekly Chart Styles */
     .weekly-stats-container { background: white; border-radius: 16px; padding: 1.5rem; box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
     .weekly-chart { min-height: 180px; }
     .chart-loading { text-align: center; padding: 2rem; color: #636e72; }
     .chart-bar:hover { opacity: 0.9; transform: scaleY(1.05); }
+
+    /* Goal Ring Styles */
+    .goals-container { background: white; border-radius: 16px; padding: 1.5rem; box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
+    .goals-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; }
+    .goal-rings { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 1rem; }
+    .goal-ring { text-align: center; padding: 0.75rem; border-radius: 12px; cursor: pointer; }
+    #goal-rings .goal-ring:hover { background: #f8f9fa; }
+    #focus-goal-rings .goal-ring { cursor: default; }
+    .goal-ring svg { width: 80px; height: 80px; }
+    .goal-ring circle { fill: none; stroke-width: 8; }
+    .goal-ring-track { stroke: #dfe6e9; }
+    .goal-ring-value { stroke: #0984e3; stroke-linecap: round; transform: rotate(-90deg); transform-origin: 40px 40px; transition: stroke-dashoffset 0.5s ease; }
+    .goal-ring.completed .goal-ring-value { stroke: #00b894; }
+    .goal-ring text { font-size: 0.9rem; font-weight: 600; fill: #2d3436; }
+    .goal-ring h4 { font-size: 0.9rem; margin: 0.5rem 0 0.25rem; }
+    .goal-ring p { font-size: 0.75rem; color: #636e72; margin: 0; }
+    .goal-ring small { font-size: 0.7rem; color: #b2bec3; }
+    .goal-empty { text-align: center; color: #636e72; grid-column: 1 / -1; }
+
+    /* Achievement Gallery Styles */
+    .achievements-container { background: white; border-radius: 16px; padding: 1.5rem; box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
+    .achievement-gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 1rem; }
+    .achievement-badge { text-align: center; padding: 1rem; border-radius: 12px; background: #f8f9fa; }
+    .achievement-badge h4 { font-size: 0.95rem; margin: 0.5rem 0 0.25rem; }
+    .achievement-badge p { font-size: 0.75rem; color: #636e72; margin-bottom: 0.5rem; }
+    .achievement-badge small { font-size: 0.7rem; color: #636e72; }
+    .achievement-icon { width: 56px; height: 56px; margin: 0 auto; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 1.5rem; color: white; background: linear-gradient(135deg, #fdcb6e, #e17055); }
+    .achievement-badge.locked .achievement-icon { background: #dfe6e9; color: #b2bec3; }
+    .achievement-badge.locked h4 { color: #636e72; }
+    .achievement-progress { height: 6px; border-radius: 3px; background: #dfe6e9; overflow: hidden; margin-bottom: 0.25rem; }
+    .achievement-progress div { height: 100%; background: linear-gradient(135deg, #74b9ff, #a29bfe); }
+    .achievement-empty { text-align: center; color: #636e72; grid-column: 1 / -1; }
+
+    /* Exam Styles */
+    .exam-countdowns { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+    .exam-countdown { display: flex; flex-direction: column; gap: 0.25rem; padding: 1rem; border-radius: 12px; background: #f8f9fa; color: inherit; text-decoration: none; }
+    .exam-countdown:hover { background: #f1f2f6; }
+    .exam-countdown small { color: #636e72; font-size: 0.75rem; }
+    .exam-countdown-days { font-size: 1.5rem; font-weight: 700; color: #0984e3; }
+    .exam-countdown.urgent .exam-countdown-days, .exam-card:not(.past) .exam-warning { color: #e17055; }
+    .exam-progress { display: flex; height: 8px; background: #dfe6e9; border-radius: 4px; overflow: hidden; }
+    .exam-progress div { background: #00b894; }
+    .exam-progress div.planned { background: #81ecec; }
+    .exam-budget { display: flex; flex-wrap: wrap; align-items: flex-end; gap: 1rem; padding: 1.5rem; margin-bottom: 1.5rem; background: white; border-radius: 16px; }
+    .exam-budget .form-group { margin: 0; }
+    .exam-list { display: grid; gap: 1.5rem; }
+    .exam-card { background: white; border-radius: 16px; padding: 1.5rem; }
+    .exam-card.past { opacity: 0.6; }
+    .exam-card-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem; }
+    .exam-card-header h3 { margin: 0 0 0.5rem; }
+    .exam-meta { display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; font-size: 0.8rem; color: #636e72; }
+    .exam-topics { list-style: none; padding: 0; margin: 1rem 0; display: grid; gap: 0.75rem; }
+    .exam-topic { display: grid; grid-template-columns: minmax(120px, 1fr) 2fr auto; align-items: center; gap: 1rem; font-size: 0.9rem; }
+    .exam-topic small { color: #636e72; }
+    .exam-warning { font-size: 0.85rem; margin: 0 0 1rem; }
+    .exam-card-actions { display: flex; justify-content: space-between; align-items: center; color: #636e72; }
+    .exam-topic-field { display: grid; grid-template-columns: 1fr 80px auto; gap: 0.5rem; margin-bottom: 0.5rem; }
+    .form-hint { display: block; color: #636e72; margin-bottom: 0.5rem; }
+
+    /* Task Styles */
+    .task-list { list-style: none; padding: 0.5rem 1.5rem; margin: 0; background: white; border-radius: 16px; }
+    .task-item { display: flex; align-items: center; gap: 1rem; padding: 1rem 0; border-bottom: 1px solid #dfe6e9; }
+    .task-item:last-child { border-bottom: none; }
+    .task-item input[type="checkbox"] { width: 18px; height: 18px; flex-shrink: 0; }
+    .task-item.done .task-body strong { text-decoration: line-through; color: #b2bec3; }
+    .task-body { flex: 1; min-width: 0; }
+    .task-meta { display: flex; align-items: center; gap: 0.5rem; flex-wrap: wrap; margin-top: 0.25rem; font-size: 0.8rem; color: #636e72; }
+    .task-due.overdue { color: #e17055; font-weight: 600; }
+    .task-estimate { text-align: right; }
+    .task-estimate small { color: #636e72; }
+    .task-estimate.over small { color: #e17055; font-weight: 600; }
+    .task-pomodoros { display: flex; justify-content: flex-end; flex-wrap: wrap; gap: 3px; max-width: 160px; }
+    .task-pomodoro { width: 10px; height: 10px; border-radius: 50%; border: 2px solid #fab1a0; }
+    .task-pomodoro.done { background: #e17055; border-color: #e17055; }
+    .task-pomodoro.extra { background: #d63031; border-color: #d63031; opacity: 0.6; }
+    .task-estimate-summary { color: #636e72; margin-bottom: 1.5rem; }
+    .task-empty { text-align: center; color: #636e72; padding: 1.5rem 0; }
+
+    /* Trash Styles */
+    .trash-list { list-style: none; padding: 0.5rem 1.5rem; margin: 0; background: white; border-radius: 16px; }
+    .trash-item { display: flex; align-items: center; gap: 1rem; padding: 1rem 0; border-bottom: 1px solid #dfe6e9; }
+    .trash-item:last-child { border-bottom: none; }
+    .trash-icon { width: 1.5rem; text-align: center; color: #636e72; }
+    .trash-body { flex: 1; min-width: 0; }
+    .trash-body strong { display: block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .trash-meta { display: flex; gap: 0.75rem; flex-wrap: wrap; margin-top: 0.25rem; font-size: 0.8rem; color: #636e72; }
+    .trash-expiring { color: #e17055; font-weight: 600; }
+    .trash-empty { text-align: center; color: #636e72; padding: 1.5rem 0; }
+
+    /* Activity Heatmap Styles */
+    .heatmap-container { position: relative; background: white; border-radius: 16px; padding: 1.5rem; box-shadow: 0 4px 15px rgba(0,0,0,0.08); }
+    .activity-heatmap { overflow-x: auto; padding-bottom: 0.5rem; }
+    .heatmap-months, .heatmap-grid { display: grid; grid-auto-columns: 12px; gap: 3px; width: max-content; margin: 0 auto; }
+    .heatmap-months { grid-auto-flow: column; height: 1rem; font-size: 0.65rem; color: #636e72; }
+    .heatmap-months span { white-space: nowrap; }
+    .heatmap-grid { grid-auto-flow: column; grid-template-rows: repeat(7, 12px); }
+    .heatmap-cell { width: 12px; height: 12px; padding: 0; border: none; border-radius: 2px; background: #ebedf0; }
+    button.heatmap-cell { cursor: pointer; }
+    button.heatmap-cell:hover, button.heatmap-cell:focus { outline: 2px solid #2d3436; outline-offset: -1px; }
+    .heatmap-cell.outside { visibility: hidden; }
+    .heatmap-cell.level-1 { background: #c6e2ff; }
+    .heatmap-cell.level-2 { background: #74b9ff; }
+    .heatmap-cell.level-3 { background: #0984e3; }
+    .heatmap-cell.level-4 { background: #055a9e; }
+    .heatmap-legend { display: flex; justify-content: flex-end; align-items: center; gap: 3px; margin-top: 0.5rem; font-size: 0.7rem; color: #636e72; }
+    .heatmap-legend span:first-child { margin-right: 0.25rem; }
+    .heatmap-legend span:last-child { margin-left: 0.25rem; }
+    .heatmap-tooltip { position: absolute; z-index: 10; transform: translate(-50%, calc(-100% - 6px)); display: flex; flex-direction: column; gap: 2px; padding: 0.5rem 0.75rem; border-radius: 8px; background: #2d3436; color: white; font-size: 0.75rem; white-space: nowrap; pointer-events: none; }
+    .heatmap-tooltip[hidden] { display: none; }
+    .heatmap-empty { text-align: center; color: #636e72; }
+    .day-sessions-summary { display: flex; flex-direction: column; gap: 0.25rem; margin-bottom: 1rem; }
+    .day-sessions { list-style: none; padding: 0; margin: 0; }
+    .day-sessions li { padding: 0.75rem 0; border-bottom: 1px solid #dfe6e9; }
+    .day-sessions li div { display: flex; align-items: center; gap: 0.5rem; flex-wrap: wrap; }
+    .day-sessions small { color: #636e72; }
+
+    /* Analytics Styles */
+    .analytics-ranges { display: flex; justify-content: center; gap: 0.75rem; margin-bottom: 2rem; }
+    .analytics-ranges .active { background: var(--primary); color: white; }
+    .analytics-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem; }
+    .analytics-grid h3 { margin-bottom: 1rem; }
+    .analytics-trend { font-weight: 600; }
+    .analytics-trend.up { color: #00b894; }
+    .analytics-trend.down { color: #e17055; }
+    .analytics-trend.flat { color: #636e72; }
+    .analytics-empty { text-align: center; color: #636e72; grid-column: 1 / -1; }
+    .analytics-subject { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.75rem; font-size: 0.85rem; }
+    .analytics-subject-name { width: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .analytics-subject-track { flex: 1; height: 10px; border-radius: 5px; background: #dfe6e9; overflow: hidden; }
+    .analytics-subject-track div { height: 100%; border-radius: 5px; }
+    .analytics-subject-value { width: 48px; text-align: right; color: #636e72; }
+    .analytics-columns { display: flex; align-items: flex-end; gap: 4px; height: 160px; }
+    .analytics-column { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; }
+    .analytics-column-bar { width: 100%; min-height: 2px; border-radius: 4px 4px 0 0; background: linear-gradient(135deg, #74b9ff, #a29bfe); }
+    .analytics-column.best .analytics-column-bar { background: linear-gradient(135deg, #0984e3, #74b9ff); }
+    .analytics-column span { height: 1rem; margin-top: 6px; font-size: 0.7rem; color: #636e72; }
+
+    /* Subject Styles */
+    .subject-chip { display: inline-flex; align-items: center; gap: 0.35rem; padding: 0.15rem 0.6rem; border-radius: 999px; font-size: 0.8rem; color: white; background: var(--subject-color, #0984e3); }
+    .subject-list { list-style: none; padding: 0; margin: 1.5rem 0 1rem; max-height: 280px; overflow-y: auto; }
+    .subject-item { display: flex; align-items: center; gap: 0.75rem; padding: 0.5rem 0; border-bottom: 1px solid #dfe6e9; }
+    .subject-item small { flex: 1; color: #636e72; }
+    .subject-empty { text-align: center; color: #636e72; padding: 1rem 0; }
+    .subject-merge { display: flex; align-items: center; gap: 0.75rem; flex-wrap: wrap; }
+    .subject-merge select { flex: 1; min-width: 140px; }
+    .current-subject { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 1rem; }
+    .current-subject select { flex: 1; }
+
+    /* Search Styles */
+    .search-focus { outline: 3px solid #fdcb6e; outline-offset: 4px; transition: outline-color 0.3s ease; }
+
+    /* Tag Styles */
+    .tag-chip { display: inline-flex; align-items: center; gap: 0.25rem; padding: 0.1rem 0.55rem; border-radius: 999px; font-size: 0.8rem; color: #0984e3; background: #e8f4fd; }
+    .tag-chip button { border: none; background: none; color: inherit; cursor: pointer; padding: 0; font-size: 1rem; line-height: 1; }
+    .note-tags { display: flex; flex-wrap: wrap; gap: 0.35rem; margin: 0.75rem 0; }
+    .tag-field { display: flex; flex-wrap: wrap; align-items: center; gap: 0.35rem; padding: 0.4rem 0.6rem; border: 2px solid #dfe6e9; border-radius: 10px; background: white; }
+    .tag-field:focus-within { border-color: #0984e3; }
+    .tag-field-chips { display: contents; }
+    .tag-field-input { flex: 1; min-width: 120px; border: none; outline: none; padding: 0.3rem 0; font: inherit; }
+    .tag-cloud-panel { margin-bottom: 2rem; padding: 1rem 1.5rem; background: white; border-radius: 16px; }
+    .tag-cloud-header { display: flex; align-items: center; justify-content: space-between; gap: 1rem; margin-bottom: 0.75rem; }
+    .tag-cloud-header small { color: #636e72; }
+    .tag-cloud { display: flex; flex-wrap: wrap; align-items: baseline; gap: 0.4rem 0.9rem; }
+    .tag-cloud-item { border: none; background: none; color: #0984e3; cursor: pointer; padding: 0.1rem 0.4rem; border-radius: 8px; }
+    .tag-cloud-item.active { color: white; background: #0984e3; }
+    .tag-level-1 { font-size: 0.85rem; opacity: 0.75; }
+    .tag-level-2 { font-size: 0.95rem; }
+    .tag-level-3 { font-size: 1.1rem; }
+    .tag-level-4 { font-size: 1.3rem; font-weight: 600; }
+    .tag-level-5 { font-size: 1.5rem; font-weight: 700; }
+    .tag-cloud-empty { color: #636e72; margin: 0; }
     
     @media (max-width: 768px) {
       .stats-grid { grid-template-columns: repeat(2, 1fr); gap: 1rem; }
@@ -2734,6 +5439,123 @@ function injectComponentStyles() {
   document.head.appendChild(styles);
 }
 
+// Header search: results are fetched as the user types and open the page holding them
+let globalSearchInitialized = false;
+const SEARCH_DELAY = 250;
+function initializeGlobalSearch() {
+  const input = document.getElementById('global-search-input');
+  const results = document.getElementById('global-search-results');
+  if (!input || !results || globalSearchInitialized) return;
+  globalSearchInitialized = true;
+
+  let found = [];
+  let activeIndex = -1;
+  let searchTimeout = null;
+  // Only the answer to the latest keystroke is shown, however the requests overtake each other
+  let latestSearch = 0;
+
+  const close = () => {
+    results.classList.add('hidden');
+    activeIndex = -1;
+  };
+
+  const render = () => {
+    results.innerHTML = found.length
+      ? found
+          .map((result, index) =>
+            renderSearchResult(result, index === activeIndex)
+          )
+          .join('')
+      : '<li class="search-empty">Tidak ada hasil</li>';
+    results.classList.remove('hidden');
+  };
+
+  const open = result => {
+    // The tag filter of the notes page could hide the note
+    if (result.entity === 'notes') activeNoteTagIds = [];
+    close();
+    input.blur();
+    window.location.hash = searchResultHref(result);
+  };
+
+  const runSearch = async () => {
+    const text = input.value.trim();
+    if (!text) {
+      close();
+      return;
+    }
+
+    const searchId = ++latestSearch;
+    const matches = await DataManager.search(text);
+    if (searchId !== latestSearch) return;
+
+    found = matches;
+    activeIndex = -1;
+    render();
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(runSearch, SEARCH_DELAY);
+  });
+
+  input.addEventListener('focus', () => {
+    if (input.value.trim()) render();
+  });
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (results.classList.contains('hidden') || found.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + found.length) % found.length;
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      open(found[Math.max(activeIndex, 0)]);
+    }
+  });
+
+  results.addEventListener('click', e => {
+    const link = e.target.closest('.search-result');
+    if (!link) return;
+    e.preventDefault();
+    const index = [...results.querySelectorAll('.search-result')].indexOf(link);
+    open(found[index]);
+  });
+
+  document.addEventListener('click', e => {
+    if (!e.target.closest('#global-search')) close();
+  });
+}
+
+// Scrolls to the card a search result opened and flashes it. The id comes from the query string,
+// so it is parsed before going into the selector and anything but a number finds no card
+function focusSearchResult(hash, focus) {
+  const id = Number.parseInt(focus, 10);
+  const entity = Object.values(SEARCH_ENTITIES).find(
+    ({ page }) => page === hash
+  );
+  const card =
+    entity &&
+    !Number.isNaN(id) &&
+    document.querySelector(`[data-${entity.card}-id="${id}"]`);
+
+  if (!card) {
+    showToast('Item tidak ditemukan di halaman ini', 'warning');
+    return;
+  }
+
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.classList.add('search-focus');
+  setTimeout(() => card.classList.remove('search-focus'), 2000);
+}
+
 // Navigation active state
 function updateActiveNav() {
   document.querySelectorAll('nav a').forEach(a => a.classList.remove('active'));
@@ -2774,11 +5596,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize notifications (non-blocking)
     try {
+      // Reminders are pushed by the server; this registers the subscription
       await NotificationManager.requestPermission();
-      const settings = NotificationManager.getSettings();
-      if (settings.dailyReminders) {
-        NotificationManager.scheduleDailyReminder(8, 0);
-      }
       console.log('Notification system initialized');
     } catch (notifError) {
       console.warn('Notification setup failed:', notifError);
@@ -0,0 +1,229 @@
+// push-scheduler.js - Sends reminder pushes from the server so they arrive while the app is closed
+import { lookup } from "dns/promises"
+import net from "net"
+import webpush from "web-push"
+
+const CHECK_INTERVAL = 60 * 1000
+// Session reminders go out this many minutes before the start
+const SESSION_REMINDER_MINUTES = 10
+// Streak warnings wait until this local time for the day's study to happen
+const STREAK_WARNING_TIME = "20:00"
+// Reminders missed while the server was down are still sent within this many minutes
+const CATCH_UP_MINUTES = 60
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+const isDue = (localTime, dueTime) => {
+  const late = toMinutes(localTime) - toMinutes(dueTime)
+  return late >= 0 && late < CATCH_UP_MINUTES
+}
+
+export const configureWebPush = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return false
+
+  webpush.setVapidDetails(VAPID_SUBJECT || "mailto:admin@focusmode.app", VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY)
+  return true
+}
+
+// Push services are public hosts; endpoints resolving anywhere else would let users make the server call
+// into its own network
+const PRIVATE_NETWORKS = new net.BlockList()
+PRIVATE_NETWORKS.addSubnet("0.0.0.0", 8)
+PRIVATE_NETWORKS.addSubnet("10.0.0.0", 8)
+PRIVATE_NETWORKS.addSubnet("100.64.0.0", 10)
+PRIVATE_NETWORKS.addSubnet("127.0.0.0", 8)
+PRIVATE_NETWORKS.addSubnet("169.254.0.0", 16)
+PRIVATE_NETWORKS.addSubnet("172.16.0.0", 12)
+PRIVATE_NETWORKS.addSubnet("192.168.0.0", 16)
+PRIVATE_NETWORKS.addSubnet("224.0.0.0", 3)
+PRIVATE_NETWORKS.addAddress("::", "ipv6")
+PRIVATE_NETWORKS.addAddress("::1", "ipv6")
+PRIVATE_NETWORKS.addSubnet("fc00::", 7, "ipv6")
+PRIVATE_NETWORKS.addSubnet("fe80::", 10, "ipv6")
+PRIVATE_NETWORKS.addSubnet("ff00::", 8, "ipv6")
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) return PRIVATE_NETWORKS.check(mapped[1], "ipv4")
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4")
+}
+
+// The dev server's mock push service, the only endpoint allowed over http:// and on a local host
+const isMockEndpoint = (url) =>
+  process.env.NODE_ENV !== "production" &&
+  ["http:", "https:"].includes(url.protocol) &&
+  url.pathname.startsWith("/api/dev/mock-push/")
+
+// Returns why the endpoint may not be pushed to, or null when it may. Checked when subscribing and again
+// before each send, since a host can resolve elsewhere later.
+export const checkPushEndpoint = async (endpoint) => {
+  let url
+  try {
+    url = new URL(endpoint)
+  } catch {
+    return "Endpoint must be a URL"
+  }
+
+  if (isMockEndpoint(url)) return null
+
+  if (url.protocol !== "https:") {
+    return "Endpoint must use https"
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "")
+  let addresses
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true })
+  } catch {
+    return "Endpoint host cannot be resolved"
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return "Endpoint must be a public push service"
+  }
+
+  return null
+}
+
+// web-push encrypts and signs the request; fetch sends it, so http:// mock endpoints work too.
+// Redirects are not followed, as they could lead to a host the endpoint check never saw.
+const sendEncrypted = async (subscription, payload) => {
+  const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+    JSON.stringify(payload),
+    { TTL: CATCH_UP_MINUTES * 60 },
+  )
+  const response = await fetch(endpoint, { method, headers, body, redirect: "manual" })
+  return response.status
+}
+
+// Sends to every subscription of the user; ones the push service reports as gone are removed
+export const sendPushToUser = async (db, userId, payload) => {
+  const subscriptions = await db.getUserSubscriptions(userId)
+  let delivered = 0
+
+  for (const subscription of subscriptions) {
+    try {
+      const endpointError = await checkPushEndpoint(subscription.endpoint)
+      if (endpointError) {
+        console.error(`[Push] Skipped a subscription of user ${userId}: ${endpointError}`)
+        continue
+      }
+
+      const status = await sendEncrypted(subscription, payload)
+
+      if (status === 404 || status === 410) {
+        await db.deleteSubscription(subscription.id, userId)
+      } else if (status >= 200 && status < 300) {
+        delivered++
+      } else {
+        console.error(`[Push] Delivery to user ${userId} failed with status ${status}`)
+      }
+    } catch (error) {
+      console.error(`[Push] Delivery to user ${userId} failed:`, error.message)
+    }
+  }
+
+  return delivered
+}
+
+// The delivery is claimed before sending so overlapping cycles or restarts never repeat it
+const deliverOnce = async (db, userId, deliveryKey, payload) => {
+  if (await db.claimPushDelivery(userId, deliveryKey)) {
+    await sendPushToUser(db, userId, payload)
+  }
+}
+
+const sendDailyReminders = async (db) => {
+  const recipients = await db.getPushRecipients("daily_reminders")
+
+  for (const recipient of recipients) {
+    if (!isDue(recipient.local_time, recipient.daily_reminder_time)) continue
+
+    await deliverOnce(db, recipient.user_id, `daily:${recipient.local_date}`, {
+      title: "📖 FocusMode - Pengingat Harian",
+      body: "Sudah siap belajar hari ini? Ayo mulai sesi fokus Anda!",
+      tag: "daily-reminder",
+      url: "#/focus-mode",
+    })
+  }
+}
+
+const sendSessionReminders = async (db, now) => {
+  const recipients = await db.getPushRecipients("session_reminders")
+  const until = new Date(now.getTime() + SESSION_REMINDER_MINUTES * 60 * 1000)
+
+  for (const recipient of recipients) {
+    const sessions = await db.getUpcomingSessions(recipient.user_id, now.toISOString(), until.toISOString())
+
+    for (const session of sessions) {
+      const startsAt = new Date(session.scheduled_at)
+      const minutes = Math.max(1, Math.round((startsAt - now) / 60000))
+
+      // The start time is part of the key so a rescheduled session is reminded again
+      await deliverOnce(db, recipient.user_id, `${session.key}:${startsAt.toISOString()}`, {
+        title: "📚 Focus Mode - Pengingat Sesi",
+        body: `Sesi "${session.title}" akan dimulai dalam ${minutes} menit. Siapkan diri Anda!`,
+        tag: `session-${session.key}`,
+        url: "#/sesi-belajar",
+      })
+    }
+  }
+}
+
+// Warns in the evening when a running streak still needs today's study
+const sendStreakWarnings = async (db) => {
+  const recipients = await db.getPushRecipients("achievement_alerts")
+
+  for (const recipient of recipients) {
+    if (!isDue(recipient.local_time, STREAK_WARNING_TIME)) continue
+
+    const streak = await db.getStreak(recipient.user_id)
+    if (!streak.at_risk) continue
+
+    await deliverOnce(db, recipient.user_id, `streak:${recipient.local_date}`, {
+      title: "🔥 Streak Belajar Terancam!",
+      body:
+        streak.freezes_available > 0
+          ? `Belajar sebentar hari ini agar streak ${streak.current} hari Anda tidak memakai streak freeze.`
+          : `Streak ${streak.current} hari Anda akan terputus. Belajar sebentar hari ini untuk mempertahankannya!`,
+      tag: "streak-warning",
+      url: "#/focus-mode",
+    })
+  }
+}
+
+export const runPushCycle = async (db, now = new Date()) => {
+  await sendDailyReminders(db)
+  await sendSessionReminders(db, now)
+  await sendStreakWarnings(db)
+  await db.deleteOldPushDeliveries()
+}
+
+export const startPushScheduler = (db) => {
+  if (!configureWebPush()) {
+    console.warn("[Push] VAPID keys not set, reminder pushes are disabled")
+    return null
+  }
+
+  let running = false
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      await runPushCycle(db)
+    } catch (error) {
+      console.error("[Push] Reminder cycle failed:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  tick()
+  return setInterval(tick, CHECK_INTERVAL)
+}
@@ -0,0 +1,57 @@
+import Database from './database.js';
+
+// One-off: study_stats rows written before stats were timezone-aware are bucketed by UTC day.
+// This rebuilds every user's rows from their completed sessions in their own timezone.
+// Minutes come from the sessions' actual or planned durations, so the totals are printed for review first.
+// WARNING: only completed sessions are counted. Minutes credited without a session row, such as focus
+// timers completed with a duration, cannot be re-bucketed and are DROPPED from study_stats by --apply.
+// The dry run lists, per user, how many minutes that is.
+// Usage: node rebucket-study-stats.js [--apply]
+async function rebucketStudyStats() {
+  const apply = process.argv.includes('--apply');
+
+  try {
+    console.log(`📅 Rebucketing study stats by user timezone${apply ? '' : ' (dry run)'}...`);
+
+    const db = new Database();
+    await db.connect();
+
+    const userIds = await db.getUserIdsWithStudyHistory();
+    let changedUsers = 0;
+    let droppedMinutes = 0;
+
+    for (const userId of userIds) {
+      const before = await db.getStudyStatsTotals(userId);
+      const rows = await db.rebuildStudyStats(userId, { apply });
+      const minutes = rows.reduce((sum, row) => sum + row.minutes, 0);
+
+      if (rows.length !== before.days || minutes !== before.minutes) changedUsers++;
+      console.log(
+        `  • user ${userId}: ${before.days} days / ${before.minutes} min → ${rows.length} days / ${minutes} min`
+      );
+      if (minutes < before.minutes) {
+        const dropped = before.minutes - minutes;
+        droppedMinutes += dropped;
+        console.log(`    ⚠️ ${dropped} min not backed by a completed session ${apply ? 'dropped' : 'would be dropped'}`);
+      }
+    }
+
+    await db.disconnect();
+
+    console.log(`\n✅ ${userIds.length} users checked, ${changedUsers} with different totals`);
+    if (droppedMinutes > 0) {
+      console.log(`⚠️ ${droppedMinutes} min without a completed session ${apply ? 'were' : 'would be'} dropped`);
+    }
+    if (!apply) {
+      console.log('ℹ️ Nothing was written. Run again with --apply to replace the rows.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Rebucketing failed!');
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+rebucketStudyStats();
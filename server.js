@@ -1,9 +1,13 @@
 // api-server.js - Express API Server untuk FocusMode
 import bcrypt from "bcryptjs"
 import cors from "cors"
+import crypto from "crypto"
 import express from "express"
 import jwt from "jsonwebtoken"
+import { evaluateAchievements, listAchievements } from "./achievements.js"
 import Database from "./database.js"
+import { buildCalendar } from "./ical.js"
+import { checkPushEndpoint, sendPushToUser, startPushScheduler } from "./push-scheduler.js"
 import helmet from "helmet"
 import path from "path"
 import { fileURLToPath } from "url"
@@ -101,9 +105,47 @@ const authenticateToken = (req, res, next) => {
 }
 
 // Input sanitization helper function
-const sanitizeInput = (input) => {
+const sanitizeInput = (input, maxLength = 500) => {
   if (typeof input !== "string") return input
-  return input.trim().slice(0, 500) // Limit to 500 chars to prevent overflow
+  return input.trim().slice(0, maxLength) // Limit the length to prevent overflow
+}
+
+// Markdown notes run far longer than the other free-text fields
+const MAX_NOTE_LENGTH = 20000
+
+// Note revisions older than NOTE_REVISION_DAYS are pruned, though every note keeps its NOTE_REVISION_KEEP newest
+const NOTE_REVISION_DAYS = Number.parseInt(process.env.NOTE_REVISION_DAYS) || 90
+const NOTE_REVISION_KEEP = Number.parseInt(process.env.NOTE_REVISION_KEEP) || 20
+
+// Deleted sessions, notes and books wait in the trash this long, checked every TRASH_PURGE_INTERVAL
+const TRASH_RETENTION_DAYS = 30
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000
+const TRASH_ENTITIES = ["sessions", "notes", "books"]
+
+// Planned exam sessions whose time ran out are dropped and their study time re-planned this often
+const EXAM_REPLAN_INTERVAL = 5 * 60 * 1000
+
+const USER_AGENT_BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Firefox/", "Firefox"],
+  ["Chrome/", "Chrome"],
+  ["Safari/", "Safari"],
+]
+const USER_AGENT_SYSTEMS = [
+  ["Android", "Android"],
+  ["iPhone", "iOS"],
+  ["iPad", "iPadOS"],
+  ["Windows", "Windows"],
+  ["Mac OS X", "macOS"],
+  ["CrOS", "ChromeOS"],
+  ["Linux", "Linux"],
+]
+
+// Short label such as "Chrome · Android" for the device a note was saved from, or null when it is not recognised
+const describeDevice = (userAgent = "") => {
+  const match = (names) => names.find(([token]) => userAgent.includes(token))?.[1]
+  return [match(USER_AGENT_BROWSERS), match(USER_AGENT_SYSTEMS)].filter(Boolean).join(" · ") || null
 }
 
 const validateEmail = (email) => {
@@ -324,6 +366,216 @@ app.get("/api/user/dashboard", authenticateToken, async (req, res) => {
   }
 })
 
+// Subject routes
+const SUBJECT_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/
+const SUBJECT_ICON_PATTERN = /^fa-[a-z0-9-]+$/
+
+// Validates a subject body; returns either { error } or { subject }
+const parseSubject = (body) => {
+  const { name, color, icon } = body
+  const trimmed = typeof name === "string" ? name.trim() : ""
+
+  if (!trimmed) {
+    return { error: "Name is required" }
+  }
+
+  if (trimmed.length > 100) {
+    return { error: "Name cannot exceed 100 characters" }
+  }
+
+  if (color !== undefined && !SUBJECT_COLOR_PATTERN.test(color)) {
+    return { error: "color must be a hex colour such as #0984e3" }
+  }
+
+  if (icon !== undefined && !SUBJECT_ICON_PATTERN.test(icon)) {
+    return { error: "icon must be a Font Awesome class such as fa-book" }
+  }
+
+  return {
+    subject: {
+      name: trimmed,
+      color: color || "#0984e3",
+      icon: icon || "fa-book",
+    },
+  }
+}
+
+// Checks the subject_id of a request body. undefined is passed through so updates can keep the
+// current subject; null or "" clears it.
+const resolveSubjectId = async (userId, subjectId) => {
+  if (subjectId === undefined) return { subjectId }
+  if (subjectId === null || subjectId === "") return { subjectId: null }
+
+  const id = Number.parseInt(subjectId)
+  if (isNaN(id) || !(await db.getSubjectById(id, userId))) {
+    return { error: "Subject not found" }
+  }
+
+  return { subjectId: id }
+}
+
+app.get("/api/subjects", authenticateToken, async (req, res) => {
+  try {
+    const subjects = await db.getSubjectsByUserId(req.user.id)
+    res.json(subjects)
+  } catch (error) {
+    console.error("Get subjects error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve subjects",
+    })
+  }
+})
+
+app.post("/api/subjects", authenticateToken, async (req, res) => {
+  try {
+    const { error, subject } = parseSubject(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error,
+      })
+    }
+
+    const existing = await db.getSubjectByName(subject.name, req.user.id)
+    if (existing) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A subject with this name already exists",
+        current: existing,
+      })
+    }
+
+    const created = await db.createSubject({ ...subject, user_id: req.user.id })
+
+    res.status(201).json({
+      message: "Subject created successfully",
+      subject: created,
+    })
+  } catch (error) {
+    console.error("Create subject error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create subject",
+    })
+  }
+})
+
+app.put("/api/subjects/:id", authenticateToken, async (req, res) => {
+  try {
+    const subjectId = Number.parseInt(req.params.id)
+    if (isNaN(subjectId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid subject ID",
+      })
+    }
+
+    const { error, subject } = parseSubject(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error,
+      })
+    }
+
+    const existing = await db.getSubjectByName(subject.name, req.user.id)
+    if (existing && existing.id !== subjectId) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A subject with this name already exists",
+        current: existing,
+      })
+    }
+
+    const updated = await db.updateSubject(subjectId, subject, req.user.id)
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Subject not found",
+      })
+    }
+
+    res.json({
+      message: "Subject updated successfully",
+      subject: updated,
+    })
+  } catch (error) {
+    console.error("Update subject error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to update subject",
+    })
+  }
+})
+
+// Sessions, notes, books and the rest that used the subject keep existing without one
+app.delete("/api/subjects/:id", authenticateToken, async (req, res) => {
+  try {
+    const subjectId = Number.parseInt(req.params.id)
+    const deleted = isNaN(subjectId) ? false : await db.deleteSubject(subjectId, req.user.id)
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Subject not found",
+      })
+    }
+
+    res.json({
+      message: "Subject deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete subject error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete subject",
+    })
+  }
+})
+
+// Folds aliases such as "MTK" into this subject: everything that used them moves here
+app.post("/api/subjects/:id/merge", authenticateToken, async (req, res) => {
+  try {
+    const subjectId = Number.parseInt(req.params.id)
+    const { source_ids } = req.body
+
+    const sourceIds = Array.isArray(source_ids) ? [...new Set(source_ids.map(Number))] : []
+    if (sourceIds.length === 0 || sourceIds.some((id) => !Number.isInteger(id) || id === subjectId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "source_ids must list the IDs of other subjects",
+      })
+    }
+
+    const target = isNaN(subjectId) ? null : await db.getSubjectById(subjectId, req.user.id)
+
+    if (!target) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Subject not found",
+      })
+    }
+
+    const merged = await db.mergeSubjects(subjectId, sourceIds, req.user.id)
+
+    res.json({
+      message: "Subjects merged successfully",
+      merged,
+      subject: target,
+    })
+  } catch (error) {
+    console.error("Merge subjects error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to merge subjects",
+    })
+  }
+})
+
 // Study Sessions routes
 app.get("/api/sessions", authenticateToken, async (req, res) => {
   try {
@@ -340,7 +592,7 @@ app.get("/api/sessions", authenticateToken, async (req, res) => {
 
 app.post("/api/sessions", authenticateToken, async (req, res) => {
   try {
-    let { title, description, subject, duration, status } = req.body
+    let { title, description, subject_id, duration, status, scheduled_at } = req.body
 
     if (!title) {
       return res.status(400).json({
@@ -351,7 +603,6 @@ app.post("/api/sessions", authenticateToken, async (req, res) => {
 
     title = sanitizeInput(title)
     description = description ? sanitizeInput(description) : ""
-    subject = subject ? sanitizeInput(subject) : ""
     duration = Number.parseInt(duration) || 25
     status = status ? sanitizeInput(status) : "planned"
 
@@ -372,13 +623,29 @@ app.post("/api/sessions", authenticateToken, async (req, res) => {
       })
     }
 
+    if (scheduled_at && isNaN(Date.parse(scheduled_at))) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid scheduled_at timestamp",
+      })
+    }
+
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
     const sessionId = await db.createSession({
       user_id: req.user.id,
       title,
       description,
-      subject,
+      subject_id: subjectId ?? null,
       duration,
       status,
+      scheduled_at: scheduled_at ? new Date(scheduled_at) : null,
     })
 
     const sessions = await db.getSessionsByUserId(req.user.id)
@@ -401,7 +668,7 @@ app.post("/api/sessions", authenticateToken, async (req, res) => {
 app.put("/api/sessions/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params
-    let { title, description, subject, duration, status } = req.body
+    let { title, description, subject_id, duration, status } = req.body
 
     const sessionId = Number.parseInt(id)
     if (isNaN(sessionId)) {
@@ -413,7 +680,6 @@ app.put("/api/sessions/:id", authenticateToken, async (req, res) => {
 
     if (title) title = sanitizeInput(title)
     if (description) description = sanitizeInput(description)
-    if (subject) subject = sanitizeInput(subject)
     if (duration) {
       duration = Number.parseInt(duration)
       if (duration <= 0) {
@@ -445,18 +711,31 @@ app.put("/api/sessions/:id", authenticateToken, async (req, res) => {
       })
     }
 
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
     await db.updateSession(
       sessionId,
       {
         title,
         description,
-        subject,
+        subject_id: subjectId === undefined ? session.subject_id : subjectId,
         duration,
         status,
       },
       req.user.id,
     )
 
+    // A cancelled exam session leaves its topic short, which the planner makes up on other days
+    if (status === "cancelled" && session.exam_topic_id) {
+      await db.planExams(req.user.id)
+    }
+
     res.json({
       message: "Session updated successfully",
     })
@@ -484,10 +763,14 @@ app.delete("/api/sessions/:id", authenticateToken, async (req, res) => {
       })
     }
 
-    await db.deleteSession(id, req.user.id)
+    await db.moveToTrash("sessions", session.id, req.user.id)
+
+    if (session.exam_topic_id && session.status === "planned") {
+      await db.planExams(req.user.id)
+    }
 
     res.json({
-      message: "Session deleted successfully",
+      message: "Session moved to trash",
     })
   } catch (error) {
     console.error("Delete session error:", error)
@@ -549,12 +832,11 @@ app.post("/api/sessions/:id/complete", authenticateToken, async (req, res) => {
       })
     }
 
-    await db.completeSession(sessionId, req.user.id)
+    // A duration sent by the client is what was actually studied; without one the plan counts
+    const actualDuration = duration && !isNaN(duration) ? Math.max(0, Number.parseInt(duration)) : null
+    const sessionDuration = actualDuration ?? (session.duration || 0)
 
-    let sessionDuration = session.duration || 0
-    if (duration && !isNaN(duration)) {
-      sessionDuration = Math.max(0, Number.parseInt(duration))
-    }
+    await db.completeSession(sessionId, req.user.id, actualDuration)
 
     if (sessionDuration > 0) {
       await db.updateStudyStats(req.user.id, sessionDuration, true)
@@ -562,6 +844,7 @@ app.post("/api/sessions/:id/complete", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Session completed successfully",
+      unlocked_achievements: await evaluateAchievements(db, req.user.id),
     })
   } catch (error) {
     console.error("Complete session error:", error)
@@ -572,490 +855,2225 @@ app.post("/api/sessions/:id/complete", authenticateToken, async (req, res) => {
   }
 })
 
-// Notes routes
-app.get("/api/notes", authenticateToken, async (req, res) => {
+// Session interruptions routes
+const INTERRUPTION_SOURCES = ["visibility", "blur", "manual"]
+// Longer than any session, and far below what the INTEGER column holds
+const MAX_INTERRUPTION_SECONDS = 24 * 60 * 60
+
+app.get("/api/sessions/:id/interruptions", authenticateToken, async (req, res) => {
   try {
-    const { category = "all" } = req.query
-    const notes = await db.getNotesByUserId(req.user.id, category)
-    res.json(notes)
+    const sessionId = Number.parseInt(req.params.id)
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid session ID",
+      })
+    }
+
+    const sessions = await db.getSessionsByUserId(req.user.id)
+    const session = sessions.find((s) => s.id === sessionId)
+
+    if (!session) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Session not found",
+      })
+    }
+
+    const interruptions = await db.getInterruptionsBySessionId(sessionId, req.user.id)
+    res.json(interruptions)
   } catch (error) {
-    console.error("Get notes error:", error)
+    console.error("Get interruptions error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve notes",
+      message: "Failed to retrieve interruptions",
     })
   }
 })
 
-app.post("/api/notes", authenticateToken, async (req, res) => {
+app.post("/api/sessions/:id/interruptions", authenticateToken, async (req, res) => {
   try {
-    let { title, content, category } = req.body
+    const sessionId = Number.parseInt(req.params.id)
+    let { source, reason, duration_seconds, occurred_at } = req.body
 
-    if (!title || !content) {
+    if (isNaN(sessionId)) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Title and content are required",
+        message: "Invalid session ID",
       })
     }
 
-    title = sanitizeInput(title)
-    content = sanitizeInput(content)
-    category = category ? sanitizeInput(category) : "study"
+    if (!INTERRUPTION_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: `Source must be one of: ${INTERRUPTION_SOURCES.join(", ")}`,
+      })
+    }
 
-    if (title.length < 1) {
+    duration_seconds = duration_seconds === undefined ? 0 : Number.parseInt(duration_seconds)
+    if (isNaN(duration_seconds) || duration_seconds < 0 || duration_seconds > MAX_INTERRUPTION_SECONDS) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Title cannot be empty",
+        message: `Duration must be between 0 and ${MAX_INTERRUPTION_SECONDS} seconds`,
       })
     }
 
-    if (content.length < 1) {
+    if (occurred_at && isNaN(Date.parse(occurred_at))) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Content cannot be empty",
+        message: "Invalid occurred_at timestamp",
       })
     }
 
-    const noteId = await db.createNote({
+    const sessions = await db.getSessionsByUserId(req.user.id)
+    const session = sessions.find((s) => s.id === sessionId)
+
+    if (!session) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Session not found",
+      })
+    }
+
+    const interruption = await db.createInterruption({
+      session_id: sessionId,
       user_id: req.user.id,
-      title,
-      content,
-      category,
+      source,
+      reason: reason ? sanitizeInput(reason) : null,
+      duration_seconds,
+      occurred_at: occurred_at || null,
     })
 
     res.status(201).json({
-      message: "Note created successfully",
-      id: noteId,
+      message: "Interruption recorded successfully",
+      interruption,
     })
   } catch (error) {
-    console.error("Create note error:", error)
+    console.error("Create interruption error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to create note",
+      message: "Failed to record interruption",
     })
   }
 })
 
-app.put("/api/notes/:id", authenticateToken, async (req, res) => {
+// Session schedule routes
+const MAX_SCHEDULE_DAYS = 62
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const isValidTimezone = (timezone) => {
   try {
-    const { id } = req.params
-    const { title, content, category } = req.body
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
 
-    const notes = await db.getNotesByUserId(req.user.id)
-    const note = notes.find((n) => n.id === Number.parseInt(id))
+// Validates a recurrence body; returns either { error } or { recurrence }. subject_id is checked by the routes.
+const parseRecurrence = (body) => {
+  const { title, description, duration, days_of_week, start_time, timezone, starts_on, ends_on } = body
 
-    if (!note) {
-      return res.status(404).json({
-        error: "Not found",
-        message: "Note not found",
+  if (!title) {
+    return { error: "Title is required" }
+  }
+
+  const days = Array.isArray(days_of_week) ? [...new Set(days_of_week.map(Number))] : []
+  if (days.length === 0 || days.some((day) => !Number.isInteger(day) || day < 1 || day > 7)) {
+    return { error: "days_of_week must list ISO weekdays from 1 (Monday) to 7 (Sunday)" }
+  }
+
+  if (!TIME_PATTERN.test(start_time || "")) {
+    return { error: "start_time must use the HH:MM format" }
+  }
+
+  const minutes = duration === undefined ? 25 : Number.parseInt(duration)
+  if (isNaN(minutes) || minutes <= 0) {
+    return { error: "Duration must be greater than 0" }
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: "Invalid timezone" }
+  }
+
+  if ((starts_on && !DATE_PATTERN.test(starts_on)) || (ends_on && !DATE_PATTERN.test(ends_on))) {
+    return { error: "starts_on and ends_on must use the YYYY-MM-DD format" }
+  }
+
+  if (starts_on && ends_on && ends_on < starts_on) {
+    return { error: "ends_on cannot be before starts_on" }
+  }
+
+  return {
+    recurrence: {
+      title: sanitizeInput(title),
+      description: description ? sanitizeInput(description) : "",
+      duration: minutes,
+      days_of_week: days.sort((a, b) => a - b),
+      start_time,
+      timezone: timezone || "UTC",
+      starts_on: starts_on || null,
+      ends_on: ends_on || null,
+    },
+  }
+}
+
+// One-off scheduled sessions plus recurrence occurrences in [from, to)
+app.get("/api/schedule", authenticateToken, async (req, res) => {
+  try {
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "from and to must be timestamps with from before to",
       })
     }
 
-    await db.updateNote(
-      id,
-      {
-        title,
-        content,
-        category,
-      },
-      req.user.id,
-    )
+    if (to - from > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: `The schedule range cannot exceed ${MAX_SCHEDULE_DAYS} days`,
+      })
+    }
 
-    res.json({
-      message: "Note updated successfully",
-    })
+    const [sessions, occurrences] = await Promise.all([
+      db.getScheduledSessions(req.user.id, from, to),
+      db.getRecurrenceOccurrences(req.user.id, from, to),
+    ])
+
+    res.json({ sessions, occurrences })
   } catch (error) {
-    console.error("Update note error:", error)
+    console.error("Get schedule error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to update note",
+      message: "Failed to retrieve schedule",
     })
   }
 })
 
-app.delete("/api/notes/:id", authenticateToken, async (req, res) => {
+// Moves a session on the calendar; a null scheduled_at unschedules it
+app.patch("/api/sessions/:id/schedule", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
+    const sessionId = Number.parseInt(req.params.id)
+    const { scheduled_at } = req.body
 
-    const notes = await db.getNotesByUserId(req.user.id)
-    const note = notes.find((n) => n.id === Number.parseInt(id))
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid session ID",
+      })
+    }
 
-    if (!note) {
+    if (scheduled_at === undefined || (scheduled_at !== null && isNaN(Date.parse(scheduled_at)))) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "scheduled_at must be a timestamp or null",
+      })
+    }
+
+    const session = await db.rescheduleSession(
+      sessionId,
+      scheduled_at === null ? null : new Date(scheduled_at),
+      req.user.id,
+    )
+
+    if (!session) {
       return res.status(404).json({
         error: "Not found",
-        message: "Note not found",
+        message: "Session not found",
+      })
+    }
+
+    res.json({
+      message: "Session rescheduled successfully",
+      session,
+    })
+  } catch (error) {
+    console.error("Reschedule session error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to reschedule session",
+    })
+  }
+})
+
+// Recurring session routes
+app.get("/api/recurrences", authenticateToken, async (req, res) => {
+  try {
+    const recurrences = await db.getRecurrencesByUserId(req.user.id)
+    res.json(recurrences)
+  } catch (error) {
+    console.error("Get recurrences error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve recurring sessions",
+    })
+  }
+})
+
+app.post("/api/recurrences", authenticateToken, async (req, res) => {
+  try {
+    const { error, recurrence } = parseRecurrence(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const created = await db.createRecurrence({ ...recurrence, subject_id: subjectId ?? null, user_id: req.user.id })
+
+    res.status(201).json({
+      message: "Recurring session created successfully",
+      recurrence: created,
+    })
+  } catch (error) {
+    console.error("Create recurrence error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create recurring session",
+    })
+  }
+})
+
+app.put("/api/recurrences/:id", authenticateToken, async (req, res) => {
+  try {
+    const recurrenceId = Number.parseInt(req.params.id)
+    if (isNaN(recurrenceId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid recurrence ID",
+      })
+    }
+
+    const { error, recurrence } = parseRecurrence(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
       })
     }
 
-    await db.deleteNote(id, req.user.id)
+    const updated = await db.updateRecurrence(
+      recurrenceId,
+      { ...recurrence, subject_id: subjectId ?? null },
+      req.user.id,
+    )
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Recurring session not found",
+      })
+    }
 
     res.json({
-      message: "Note deleted successfully",
-      id: Number.parseInt(id),
+      message: "Recurring session updated successfully",
+      recurrence: updated,
     })
   } catch (error) {
-    console.error("Delete note error:", error)
+    console.error("Update recurrence error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to delete note",
+      message: "Failed to update recurring session",
     })
   }
 })
 
-// Books routes (similar pattern as notes)
-app.get("/api/books", authenticateToken, async (req, res) => {
+// Sessions already created from the rule are kept
+app.delete("/api/recurrences/:id", authenticateToken, async (req, res) => {
   try {
-    const books = await db.getBooksByUserId(req.user.id)
-    res.json(books)
+    const deleted = await db.deleteRecurrence(Number.parseInt(req.params.id), req.user.id)
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Recurring session not found",
+      })
+    }
+
+    res.json({
+      message: "Recurring session deleted successfully",
+    })
   } catch (error) {
-    console.error("Get books error:", error)
+    console.error("Delete recurrence error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve books",
+      message: "Failed to delete recurring session",
     })
   }
 })
 
-app.post("/api/books", authenticateToken, async (req, res) => {
+// Turns one occurrence into a real session, e.g. when it is moved, started or skipped
+app.post("/api/recurrences/:id/occurrences", authenticateToken, async (req, res) => {
   try {
-    const { title, author, description, category, is_complete } = req.body
+    const recurrenceId = Number.parseInt(req.params.id)
+    const { occurrence_date, scheduled_at, status = "planned" } = req.body
 
-    if (!title) {
+    if (isNaN(recurrenceId)) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Title is required",
+        message: "Invalid recurrence ID",
       })
     }
 
-    const bookId = await db.createBook({
+    if (!DATE_PATTERN.test(occurrence_date || "") || isNaN(Date.parse(scheduled_at))) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "occurrence_date (YYYY-MM-DD) and scheduled_at are required",
+      })
+    }
+
+    if (!["planned", "inprogress", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid status value",
+      })
+    }
+
+    const recurrence = await db.getRecurrenceById(recurrenceId, req.user.id)
+
+    if (!recurrence) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Recurring session not found",
+      })
+    }
+
+    const existing = await db.getSessionByOccurrence(recurrenceId, occurrence_date)
+
+    if (existing) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "This occurrence already has a session",
+        current: existing,
+      })
+    }
+
+    const sessionId = await db.createSession({
       user_id: req.user.id,
-      title,
-      author,
-      description,
-      category: category || "academic",
-      is_complete: is_complete || false,
+      title: recurrence.title,
+      description: recurrence.description,
+      subject_id: recurrence.subject_id,
+      duration: recurrence.duration,
+      status,
+      scheduled_at: new Date(scheduled_at),
+      recurrence_id: recurrenceId,
+      occurrence_date,
     })
 
+    const sessions = await db.getSessionsByUserId(req.user.id)
+
     res.status(201).json({
-      message: "Book created successfully",
-      id: bookId,
+      message: "Session created from recurrence successfully",
+      id: sessionId,
+      session: sessions.find((s) => s.id === sessionId),
     })
   } catch (error) {
-    console.error("Create book error:", error)
+    console.error("Create occurrence error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to create book",
+      message: "Failed to create session from recurrence",
     })
   }
 })
 
-app.put("/api/books/:id", authenticateToken, async (req, res) => {
+// Calendar export routes
+const sendCalendar = async (res, user, disposition) => {
+  const [sessions, recurrences] = await Promise.all([
+    db.getCalendarSessions(user.id),
+    db.getRecurrencesByUserId(user.id),
+  ])
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8")
+  res.setHeader("Content-Disposition", `${disposition}; filename="sesi-belajar.ics"`)
+  res.send(buildCalendar({ name: `FocusMode - ${user.name}`, sessions, recurrences }))
+}
+
+const getCalendarFeedUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  return `${baseUrl}/api/calendar/feed/${token}.ics`
+}
+
+app.get("/api/calendar/export.ics", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
-    const { title, author, description, category, is_complete } = req.body
+    const user = await db.getUserById(req.user.id)
+    await sendCalendar(res, user, "attachment")
+  } catch (error) {
+    console.error("Export calendar error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to export calendar",
+    })
+  }
+})
 
-    const books = await db.getBooksByUserId(req.user.id)
-    const book = books.find((b) => b.id === Number.parseInt(id))
+// The token is created on first request and stays the same until it is reset
+app.get("/api/calendar/feed", authenticateToken, async (req, res) => {
+  try {
+    let token = await db.getCalendarToken(req.user.id)
 
-    if (!book) {
+    if (!token) {
+      token = crypto.randomBytes(24).toString("hex")
+      await db.setCalendarToken(req.user.id, token)
+    }
+
+    res.json({ url: getCalendarFeedUrl(req, token) })
+  } catch (error) {
+    console.error("Get calendar feed error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve calendar feed",
+    })
+  }
+})
+
+// Replacing the token stops every calendar subscribed to the old URL
+app.post("/api/calendar/feed/reset", authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("hex")
+    await db.setCalendarToken(req.user.id, token)
+
+    res.json({
+      message: "Calendar feed URL reset successfully",
+      url: getCalendarFeedUrl(req, token),
+    })
+  } catch (error) {
+    console.error("Reset calendar feed error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to reset calendar feed",
+    })
+  }
+})
+
+// Public feed for calendar apps; the secret token in the URL is the only credential
+app.get("/api/calendar/feed/:token.ics", async (req, res) => {
+  try {
+    const user = await db.getUserByCalendarToken(req.params.token)
+
+    if (!user) {
       return res.status(404).json({
         error: "Not found",
-        message: "Book not found",
+        message: "Calendar feed not found",
       })
     }
 
-    await db.updateBook(
-      id,
-      {
-        title,
-        author,
-        description,
-        category,
-        is_complete,
-      },
-      req.user.id,
-    )
+    await sendCalendar(res, user, "inline")
+  } catch (error) {
+    console.error("Calendar feed error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to build calendar feed",
+    })
+  }
+})
+
+// Notes routes
+const MAX_TAG_LENGTH = 50
+const MAX_NOTE_TAGS = 20
+
+// Validates the tags of a note body; returns either { error } or { names }. A leading # is dropped
+// and names differing only in case count once.
+const parseTagNames = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { error: "tags must be a list of tag names" }
+  }
+
+  const names = []
+  for (const tag of tags) {
+    const name = typeof tag === "string" ? tag.trim().replace(/^#+/, "").trim() : ""
+
+    if (!name) {
+      return { error: "Tag names cannot be empty" }
+    }
+
+    if (name.length > MAX_TAG_LENGTH) {
+      return { error: `Tag names cannot exceed ${MAX_TAG_LENGTH} characters` }
+    }
+
+    if (!names.some((existing) => existing.toLowerCase() === name.toLowerCase())) {
+      names.push(name)
+    }
+  }
+
+  if (names.length > MAX_NOTE_TAGS) {
+    return { error: `A note cannot have more than ${MAX_NOTE_TAGS} tags` }
+  }
+
+  return { names }
+}
+
+// ?tags=3,7 keeps the notes carrying both tags
+app.get("/api/notes", authenticateToken, async (req, res) => {
+  try {
+    const { category = "all", tags } = req.query
+
+    const tagIds = tags ? [...new Set(String(tags).split(",").map(Number))] : []
+    if (tagIds.some((id) => !Number.isInteger(id))) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "tags must be a comma-separated list of tag IDs",
+      })
+    }
+
+    const notes = await db.getNotesByUserId(req.user.id, category, tagIds)
+    res.json(notes)
+  } catch (error) {
+    console.error("Get notes error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve notes",
+    })
+  }
+})
+
+app.post("/api/notes", authenticateToken, async (req, res) => {
+  try {
+    let { title, content, category, subject_id, tags } = req.body
+
+    if (!title || !content) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Title and content are required",
+      })
+    }
+
+    title = sanitizeInput(title)
+    content = sanitizeInput(content, MAX_NOTE_LENGTH)
+    category = category ? sanitizeInput(category) : "study"
+
+    if (title.length < 1) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Title cannot be empty",
+      })
+    }
+
+    if (content.length < 1) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Content cannot be empty",
+      })
+    }
+
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
+    const { error: tagError, names: tagNames = [] } = tags === undefined ? {} : parseTagNames(tags)
+    if (tagError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: tagError,
+      })
+    }
+
+    const noteId = await db.createNote({
+      user_id: req.user.id,
+      title,
+      content,
+      category,
+      subject_id: subjectId ?? null,
+      device: describeDevice(req.get("user-agent")),
+    })
+
+    const noteTags = tagNames.length > 0 ? await db.setNoteTags(noteId, req.user.id, tagNames) : []
+
+    res.status(201).json({
+      message: "Note created successfully",
+      id: noteId,
+      tags: noteTags,
+      unlocked_achievements: await evaluateAchievements(db, req.user.id),
+    })
+  } catch (error) {
+    console.error("Create note error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create note",
+    })
+  }
+})
+
+app.put("/api/notes/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { title, content, category, subject_id, version, tags } = req.body
+
+    const notes = await db.getNotesByUserId(req.user.id)
+    const note = notes.find((n) => n.id === Number.parseInt(id))
+
+    if (!note) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Note not found",
+      })
+    }
+
+    // Clients send the version they edited from; omitting it keeps last-write-wins
+    let expectedVersion = null
+    if (version !== undefined && version !== null) {
+      expectedVersion = Number.parseInt(version)
+      if (isNaN(expectedVersion)) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: "Invalid note version",
+        })
+      }
+    }
+
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
+    // Omitting tags leaves them as they are
+    const { error: tagError, names: tagNames } = tags === undefined ? {} : parseTagNames(tags)
+    if (tagError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: tagError,
+      })
+    }
+
+    const updatedNote = await db.updateNote(
+      id,
+      {
+        title,
+        content,
+        category,
+        subject_id: subjectId === undefined ? note.subject_id : subjectId,
+        device: describeDevice(req.get("user-agent")),
+      },
+      req.user.id,
+      expectedVersion,
+    )
+
+    if (!updatedNote) {
+      const currentNote = await db.getById("notes", id, req.user.id)
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Note was changed on another device",
+        current: currentNote,
+      })
+    }
+
+    await db.pruneNoteRevisions(updatedNote.id, { days: NOTE_REVISION_DAYS, keep: NOTE_REVISION_KEEP })
+
+    if (tagNames) {
+      updatedNote.tags = await db.setNoteTags(updatedNote.id, req.user.id, tagNames)
+    }
+
+    res.json({
+      message: "Note updated successfully",
+      note: updatedNote,
+    })
+  } catch (error) {
+    console.error("Update note error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to update note",
+    })
+  }
+})
+
+app.delete("/api/notes/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const notes = await db.getNotesByUserId(req.user.id)
+    const note = notes.find((n) => n.id === Number.parseInt(id))
+
+    if (!note) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Note not found",
+      })
+    }
+
+    await db.moveToTrash("notes", note.id, req.user.id)
+
+    res.json({
+      message: "Note moved to trash",
+      id: Number.parseInt(id),
+    })
+  } catch (error) {
+    console.error("Delete note error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete note",
+    })
+  }
+})
+
+app.get("/api/notes/:id/revisions", authenticateToken, async (req, res) => {
+  try {
+    const note = await db.getById("notes", req.params.id, req.user.id)
+    if (!note || note.deleted_at) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Note not found",
+      })
+    }
+
+    const revisions = await db.getNoteRevisions(note.id, req.user.id)
+    res.json(revisions)
+  } catch (error) {
+    console.error("Get note revisions error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve note revisions",
+    })
+  }
+})
+
+// Restoring is itself an edit, so the version it replaces becomes a revision and can be restored in turn
+app.post("/api/notes/:id/revisions/:revisionId/restore", authenticateToken, async (req, res) => {
+  try {
+    const note = await db.getById("notes", req.params.id, req.user.id)
+    const revision =
+      note && !note.deleted_at && (await db.getNoteRevisionById(req.params.revisionId, note.id, req.user.id))
+    if (!revision) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Note revision not found",
+      })
+    }
+
+    const restoredNote = await db.updateNote(
+      note.id,
+      {
+        title: revision.title,
+        content: revision.content,
+        category: revision.category || note.category,
+        subject_id: note.subject_id,
+        device: describeDevice(req.get("user-agent")),
+      },
+      req.user.id,
+    )
+
+    await db.pruneNoteRevisions(note.id, { days: NOTE_REVISION_DAYS, keep: NOTE_REVISION_KEEP })
+
+    res.json({
+      message: "Note revision restored successfully",
+      note: restoredNote,
+    })
+  } catch (error) {
+    console.error("Restore note revision error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to restore note revision",
+    })
+  }
+})
+
+// Tag routes
+// Validates a tag rename body; returns either { error } or { name }
+const parseTagName = (body) => {
+  const { error, names } = parseTagNames([body.name])
+  return error ? { error } : { name: names[0] }
+}
+
+// note_count of each tag, for the tag cloud
+app.get("/api/tags", authenticateToken, async (req, res) => {
+  try {
+    const tags = await db.getTagsByUserId(req.user.id)
+    res.json(tags)
+  } catch (error) {
+    console.error("Get tags error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve tags",
+    })
+  }
+})
+
+app.put("/api/tags/:id", authenticateToken, async (req, res) => {
+  try {
+    const tagId = Number.parseInt(req.params.id)
+    if (isNaN(tagId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid tag ID",
+      })
+    }
+
+    const { error, name } = parseTagName(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error,
+      })
+    }
+
+    const existing = await db.getTagByName(name, req.user.id)
+    if (existing && existing.id !== tagId) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A tag with this name already exists",
+        current: existing,
+      })
+    }
+
+    const updated = await db.renameTag(tagId, name, req.user.id)
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Tag not found",
+      })
+    }
+
+    res.json({
+      message: "Tag renamed successfully",
+      tag: updated,
+    })
+  } catch (error) {
+    console.error("Rename tag error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to rename tag",
+    })
+  }
+})
+
+// The notes that carried the tag keep existing without it
+app.delete("/api/tags/:id", authenticateToken, async (req, res) => {
+  try {
+    const tagId = Number.parseInt(req.params.id)
+    const deleted = isNaN(tagId) ? false : await db.deleteTag(tagId, req.user.id)
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Tag not found",
+      })
+    }
+
+    res.json({
+      message: "Tag deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete tag error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete tag",
+    })
+  }
+})
+
+// Folds tags such as "kalkulus" and "calculus" into this one: their notes are tagged with it instead
+app.post("/api/tags/:id/merge", authenticateToken, async (req, res) => {
+  try {
+    const tagId = Number.parseInt(req.params.id)
+    const { source_ids } = req.body
+
+    const sourceIds = Array.isArray(source_ids) ? [...new Set(source_ids.map(Number))] : []
+    if (sourceIds.length === 0 || sourceIds.some((id) => !Number.isInteger(id) || id === tagId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "source_ids must list the IDs of other tags",
+      })
+    }
+
+    const target = isNaN(tagId) ? null : await db.getTagById(tagId, req.user.id)
+
+    if (!target) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Tag not found",
+      })
+    }
+
+    const merged = await db.mergeTags(tagId, sourceIds, req.user.id)
+
+    res.json({
+      message: "Tags merged successfully",
+      merged,
+      tag: target,
+    })
+  } catch (error) {
+    console.error("Merge tags error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to merge tags",
+    })
+  }
+})
+
+// Books routes (similar pattern as notes)
+app.get("/api/books", authenticateToken, async (req, res) => {
+  try {
+    const books = await db.getBooksByUserId(req.user.id)
+    res.json(books)
+  } catch (error) {
+    console.error("Get books error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve books",
+    })
+  }
+})
+
+app.post("/api/books", authenticateToken, async (req, res) => {
+  try {
+    const { title, author, description, category, is_complete, subject_id } = req.body
+
+    if (!title) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Title is required",
+      })
+    }
+
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
+    const bookId = await db.createBook({
+      user_id: req.user.id,
+      title,
+      author,
+      description,
+      category: category || "academic",
+      is_complete: is_complete || false,
+      subject_id: subjectId ?? null,
+    })
+
+    res.status(201).json({
+      message: "Book created successfully",
+      id: bookId,
+    })
+  } catch (error) {
+    console.error("Create book error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create book",
+    })
+  }
+})
+
+app.put("/api/books/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { title, author, description, category, is_complete, subject_id } = req.body
+
+    const books = await db.getBooksByUserId(req.user.id)
+    const book = books.find((b) => b.id === Number.parseInt(id))
+
+    if (!book) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Book not found",
+      })
+    }
+
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    if (subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError,
+      })
+    }
+
+    await db.updateBook(
+      id,
+      {
+        title,
+        author,
+        description,
+        category,
+        is_complete,
+        subject_id: subjectId === undefined ? book.subject_id : subjectId,
+      },
+      req.user.id,
+    )
+
+    res.json({
+      message: "Book updated successfully",
+    })
+  } catch (error) {
+    console.error("Update book error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to update book",
+    })
+  }
+})
+
+app.delete("/api/books/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const books = await db.getBooksByUserId(req.user.id)
+    const book = books.find((b) => b.id === Number.parseInt(id))
+
+    if (!book) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Book not found",
+      })
+    }
+
+    await db.moveToTrash("books", book.id, req.user.id)
+
+    res.json({
+      message: "Book moved to trash",
+      id: Number.parseInt(id),
+    })
+  } catch (error) {
+    console.error("Delete book error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete book",
+    })
+  }
+})
+
+// PATCH endpoint to toggle book completion status
+app.patch("/api/books/:id/toggle", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const books = await db.getBooksByUserId(req.user.id)
+    const book = books.find((b) => b.id === Number.parseInt(id))
+
+    if (!book) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Book not found",
+      })
+    }
+
+    await db.toggleBookStatus(id, req.user.id)
+
+    res.json({
+      message: "Book status toggled successfully",
+      id: Number.parseInt(id),
+      is_complete: !book.is_complete,
+      unlocked_achievements: await evaluateAchievements(db, req.user.id),
+    })
+  } catch (error) {
+    console.error("Toggle book status error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to toggle book status",
+    })
+  }
+})
+
+// Search routes
+const MAX_SEARCH_LENGTH = 200
+const MAX_SEARCH_RESULTS = 50
+
+// Validates the search query string; returns either { error } or { text, entity, limit }
+const parseSearch = (query) => {
+  const text = typeof query.q === "string" ? query.q.trim() : ""
+
+  if (!text) {
+    return { error: "q is required" }
+  }
+
+  if (text.length > MAX_SEARCH_LENGTH) {
+    return { error: `q cannot exceed ${MAX_SEARCH_LENGTH} characters` }
+  }
+
+  // Sessions, notes and books are the same entities the trash holds
+  if (query.type !== undefined && !TRASH_ENTITIES.includes(query.type)) {
+    return { error: "type must be sessions, notes or books" }
+  }
+
+  const limit = query.limit === undefined ? 20 : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+    return { error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}` }
+  }
+
+  return { text, entity: query.type ?? null, limit }
+}
+
+// ?q=integral parsiel&type=notes, ranked with title matches first. Snippets come as [{ text, match }]
+// parts so the client can mark the matched words without trusting any HTML.
+app.get("/api/search", authenticateToken, async (req, res) => {
+  try {
+    const { error, text, entity, limit } = parseSearch(req.query)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error,
+      })
+    }
+
+    const results = await db.search(req.user.id, text, { entity, limit })
+    res.json(results)
+  } catch (error) {
+    console.error("Search error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to search",
+    })
+  }
+})
+
+// Trash routes
+// Validates the entity and id of a trash route; returns either { error } or { entity, id }
+const parseTrashItem = (params) => {
+  if (!TRASH_ENTITIES.includes(params.entity)) {
+    return { error: "Unknown trash entity" }
+  }
+
+  const id = Number.parseInt(params.id)
+  if (isNaN(id)) {
+    return { error: "Invalid ID" }
+  }
+
+  return { entity: params.entity, id }
+}
+
+app.get("/api/trash", authenticateToken, async (req, res) => {
+  try {
+    const items = await db.getTrashByUserId(req.user.id, TRASH_RETENTION_DAYS)
+    res.json(items)
+  } catch (error) {
+    console.error("Get trash error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve trash",
+    })
+  }
+})
+
+app.post("/api/trash/:entity/:id/restore", authenticateToken, async (req, res) => {
+  try {
+    const { error: itemError, entity, id } = parseTrashItem(req.params)
+    if (itemError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: itemError,
+      })
+    }
+
+    const restored = await db.restoreFromTrash(entity, id, req.user.id)
+    if (!restored) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Item not found in trash",
+      })
+    }
+
+    res.json({
+      message: "Item restored successfully",
+      entity,
+      item: restored,
+    })
+  } catch (error) {
+    console.error("Restore from trash error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to restore item",
+    })
+  }
+})
+
+app.delete("/api/trash/:entity/:id", authenticateToken, async (req, res) => {
+  try {
+    const { error: itemError, entity, id } = parseTrashItem(req.params)
+    if (itemError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: itemError,
+      })
+    }
+
+    const deleted = await db.deleteFromTrash(entity, id, req.user.id)
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Item not found in trash",
+      })
+    }
+
+    res.json({
+      message: "Item deleted permanently",
+      entity,
+      id,
+    })
+  } catch (error) {
+    console.error("Delete from trash error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete item",
+    })
+  }
+})
+
+app.delete("/api/trash", authenticateToken, async (req, res) => {
+  try {
+    const deleted = await db.emptyTrash(req.user.id)
+    res.json({
+      message: "Trash emptied successfully",
+      deleted,
+    })
+  } catch (error) {
+    console.error("Empty trash error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to empty trash",
+    })
+  }
+})
+
+// Focus timers routes
+app.post("/api/timers", authenticateToken, async (req, res) => {
+  try {
+    let { timer_type, duration, task_description, subject_id, task_id } = req.body
+
+    if (!timer_type || !duration) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Timer type and duration are required",
+      })
+    }
+
+    timer_type = sanitizeInput(timer_type)
+    duration = Number.parseInt(duration)
+    task_description = task_description ? sanitizeInput(task_description) : ""
+
+    if (isNaN(duration) || duration <= 0) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Duration must be a positive number",
+      })
+    }
+
+    // Completed focus rounds with a task_id count as that task's actual Pomodoros
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, subject_id)
+    const { error: taskError, taskId } = await resolveTaskId(req.user.id, task_id)
+    if (subjectError || taskError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: subjectError || taskError,
+      })
+    }
+
+    const timerId = await db.saveFocusTimer({
+      user_id: req.user.id,
+      timer_type,
+      duration,
+      task_description,
+      subject_id: subjectId ?? null,
+      task_id: taskId,
+    })
+
+    res.status(201).json({
+      message: "Timer saved successfully",
+      id: timerId,
+    })
+  } catch (error) {
+    console.error("Save timer error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to save timer",
+    })
+  }
+})
+
+app.post("/api/timers/:id/complete", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { duration } = req.body
+
+    const timerId = Number.parseInt(id)
+    if (isNaN(timerId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid timer ID",
+      })
+    }
+
+    const completed = await db.completeFocusTimer(timerId, req.user.id)
+    if (!completed) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Timer not found",
+      })
+    }
+
+    if (duration && !isNaN(duration)) {
+      const timerDuration = Math.max(0, Number.parseInt(duration))
+      if (timerDuration > 0) {
+        await db.updateStudyStats(req.user.id, timerDuration, true)
+      }
+    }
+
+    res.json({
+      message: "Timer completed successfully",
+      unlocked_achievements: await evaluateAchievements(db, req.user.id),
+    })
+  } catch (error) {
+    console.error("Complete timer error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to complete timer",
+    })
+  }
+})
+
+// Statistics routes dengan PostgreSQL syntax
+// Each day or month also carries by_subject: completed-session minutes and sessions per subject
+app.get("/api/stats/today", authenticateToken, async (req, res) => {
+  try {
+    const todayStats = await db.getTodayStats(req.user.id)
+    res.json(todayStats)
+  } catch (error) {
+    console.error("Get today stats error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve today's stats",
+    })
+  }
+})
+
+app.get("/api/stats/weekly", authenticateToken, async (req, res) => {
+  try {
+    const weeklyReport = await db.getWeeklyReport(req.user.id)
+    res.json(weeklyReport)
+  } catch (error) {
+    console.error("Get weekly stats error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve weekly stats",
+    })
+  }
+})
+
+// Adds up the by_subject arrays of several stats rows, largest first
+const sumSubjectBreakdowns = (rows) => {
+  const totals = new Map()
+
+  for (const entry of rows.flatMap((row) => row.by_subject || [])) {
+    const total = totals.get(entry.subject_id) || { ...entry, minutes: 0, sessions: 0 }
+    total.minutes += entry.minutes
+    total.sessions += entry.sessions
+    totals.set(entry.subject_id, total)
+  }
+
+  return [...totals.values()].sort((a, b) => b.minutes - a.minutes)
+}
+
+app.get("/api/stats/summary", authenticateToken, async (req, res) => {
+  try {
+    const dashboardData = await db.getDashboardData(req.user.id)
+    const todayStats = await db.getTodayStats(req.user.id)
+    const weeklyReport = await db.getWeeklyReport(req.user.id)
+    const streak = await db.getStreak(req.user.id)
+
+    const weeklyTotalMinutes = weeklyReport.reduce((sum, day) => sum + (Number.parseInt(day.total_minutes) || 0), 0)
+    const weeklyTotalSessions = weeklyReport.reduce((sum, day) => sum + (Number.parseInt(day.sessions_count) || 0), 0)
+
+    res.json({
+      user: {
+        name: dashboardData?.name,
+        email: dashboardData?.email,
+      },
+      overview: {
+        completed_sessions: Number.parseInt(dashboardData?.completed_sessions) || 0,
+        total_notes: Number.parseInt(dashboardData?.total_notes) || 0,
+        total_books: Number.parseInt(dashboardData?.total_books) || 0,
+      },
+      today: {
+        total_minutes: Number.parseInt(todayStats?.total_minutes) || 0,
+        total_sessions: Number.parseInt(todayStats?.total_sessions) || 0,
+        by_subject: todayStats?.by_subject || [],
+      },
+      weekly: {
+        total_minutes: weeklyTotalMinutes,
+        total_sessions: weeklyTotalSessions,
+        by_subject: sumSubjectBreakdowns(weeklyReport),
+        daily_breakdown: weeklyReport,
+      },
+      streak: streak.current,
+      streak_status: {
+        longest: streak.longest,
+        at_risk: streak.at_risk,
+        freezes_available: streak.freezes_available,
+        today_qualified: streak.today_qualified,
+        min_minutes: streak.min_minutes,
+      },
+    })
+  } catch (error) {
+    console.error("Get stats summary error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve stats summary",
+    })
+  }
+})
+
+// Current and longest streak, at-risk status and the last ?days= days (default 90) of the calendar
+app.get("/api/stats/streak", authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(Number.parseInt(req.query.days) || 90, 1), 366)
+    const streak = await db.getStreak(req.user.id)
+
+    res.json({
+      ...streak,
+      streak_days: streak.current,
+      calendar: streak.calendar.slice(-days),
+    })
+  } catch (error) {
+    console.error("Get streak error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve streak data",
+    })
+  }
+})
+
+app.get("/api/stats/monthly", authenticateToken, async (req, res) => {
+  try {
+    const monthlyStats = await db.getMonthlyStats(req.user.id)
+    res.json(monthlyStats)
+  } catch (error) {
+    console.error("Get monthly stats error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve monthly stats",
+    })
+  }
+})
+
+const ANALYTICS_RANGES = [7, 30, 90]
+
+// Minutes by subject, weekday and hour, completion rate and planned-vs-actual drift over the last ?days=
+// days (7, 30 or 90; default 30), with the trend against the same number of days before them
+app.get("/api/stats/analytics", authenticateToken, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days)
+
+    if (!ANALYTICS_RANGES.includes(days)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: `days must be one of ${ANALYTICS_RANGES.join(", ")}`,
+      })
+    }
+
+    const analytics = await db.getAnalytics(req.user.id, days)
+    res.json(analytics)
+  } catch (error) {
+    console.error("Get analytics error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve analytics",
+    })
+  }
+})
+
+// Daily totals with their by_subject breakdown for the last ?days= days (default 30, at most a year),
+// enough for the yearly activity heatmap in one request
+app.get("/api/stats/history", authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(Number.parseInt(req.query.days) || 30, 1), 366)
+    const studyStats = await db.getStudyStats(req.user.id, days)
+    res.json(studyStats)
+  } catch (error) {
+    console.error("Get study history error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve study history",
+    })
+  }
+})
+
+// Achievement routes
+// Evaluates first, so badges earned before achievements existed unlock on the first visit
+app.get("/api/achievements", authenticateToken, async (req, res) => {
+  try {
+    const unlocked = await evaluateAchievements(db, req.user.id)
+    const achievements = await listAchievements(db, req.user.id)
+
+    res.json({
+      achievements,
+      unlocked_achievements: unlocked,
+    })
+  } catch (error) {
+    console.error("Get achievements error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve achievements",
+    })
+  }
+})
+
+// Goal routes
+const GOAL_METRICS = ["minutes", "sessions", "books", "notes"]
+const GOAL_PERIODS = ["daily", "weekly", "monthly", "custom"]
+
+// Validates a goal body; returns either { error } or { goal }. subject_id is checked by the routes.
+const parseGoal = (body) => {
+  const { title, metric, target, period, starts_on, ends_on } = body
+
+  if (!title) {
+    return { error: "Title is required" }
+  }
+
+  if (!GOAL_METRICS.includes(metric)) {
+    return { error: `metric must be one of: ${GOAL_METRICS.join(", ")}` }
+  }
+
+  if (!GOAL_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${GOAL_PERIODS.join(", ")}` }
+  }
+
+  const amount = Number(target)
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: "target must be a whole number greater than 0" }
+  }
+
+  if (period === "custom") {
+    if (!DATE_PATTERN.test(starts_on || "") || !DATE_PATTERN.test(ends_on || "")) {
+      return { error: "Custom goals need starts_on and ends_on in the YYYY-MM-DD format" }
+    }
+
+    if (ends_on < starts_on) {
+      return { error: "ends_on cannot be before starts_on" }
+    }
+  }
+
+  return {
+    goal: {
+      title: sanitizeInput(title),
+      metric,
+      target: amount,
+      period,
+      starts_on: period === "custom" ? starts_on : null,
+      ends_on: period === "custom" ? ends_on : null,
+    },
+  }
+}
+
+app.get("/api/goals", authenticateToken, async (req, res) => {
+  try {
+    const goals = await db.getGoals(req.user.id)
+    res.json(goals)
+  } catch (error) {
+    console.error("Get goals error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve goals",
+    })
+  }
+})
+
+app.post("/api/goals", authenticateToken, async (req, res) => {
+  try {
+    const { error, goal } = parseGoal(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const goalId = await db.createGoal({ ...goal, subject_id: subjectId ?? null, user_id: req.user.id })
+
+    res.status(201).json({
+      message: "Goal created successfully",
+      goal: await db.getGoalById(goalId, req.user.id),
+    })
+  } catch (error) {
+    console.error("Create goal error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create goal",
+    })
+  }
+})
+
+app.put("/api/goals/:id", authenticateToken, async (req, res) => {
+  try {
+    const goalId = Number.parseInt(req.params.id)
+    if (isNaN(goalId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid goal ID",
+      })
+    }
+
+    const { error, goal } = parseGoal(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const updated = await db.updateGoal(goalId, { ...goal, subject_id: subjectId ?? null }, req.user.id)
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Goal not found",
+      })
+    }
+
+    res.json({
+      message: "Goal updated successfully",
+      goal: await db.getGoalById(goalId, req.user.id),
+    })
+  } catch (error) {
+    console.error("Update goal error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to update goal",
+    })
+  }
+})
+
+app.delete("/api/goals/:id", authenticateToken, async (req, res) => {
+  try {
+    const goalId = Number.parseInt(req.params.id)
+    const deleted = isNaN(goalId) ? false : await db.deleteGoal(goalId, req.user.id)
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Goal not found",
+      })
+    }
+
+    res.json({
+      message: "Goal deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete goal error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to delete goal",
+    })
+  }
+})
+
+// Task routes
+const MAX_ESTIMATED_POMODOROS = 50
+
+// Validates a task body; returns either { error } or { task }. subject_id is checked by the routes.
+const parseTask = (body) => {
+  const { title, due_date, estimated_pomodoros } = body
+
+  if (!title) {
+    return { error: "Title is required" }
+  }
+
+  if (due_date && !DATE_PATTERN.test(due_date)) {
+    return { error: "due_date must be in the YYYY-MM-DD format" }
+  }
+
+  const estimate = estimated_pomodoros === undefined ? 1 : Number(estimated_pomodoros)
+  if (!Number.isInteger(estimate) || estimate <= 0 || estimate > MAX_ESTIMATED_POMODOROS) {
+    return { error: `estimated_pomodoros must be a whole number from 1 to ${MAX_ESTIMATED_POMODOROS}` }
+  }
+
+  return {
+    task: {
+      title: sanitizeInput(title),
+      due_date: due_date || null,
+      estimated_pomodoros: estimate,
+    },
+  }
+}
+
+// Checks the task_id of a timer body the same way resolveSubjectId checks subject_id
+const resolveTaskId = async (userId, taskId) => {
+  if (taskId === undefined || taskId === null || taskId === "") return { taskId: null }
+
+  const id = Number.parseInt(taskId)
+  if (isNaN(id) || !(await db.getTaskById(id, userId))) {
+    return { error: "Task not found" }
+  }
+
+  return { taskId: id }
+}
+
+app.get("/api/tasks", authenticateToken, async (req, res) => {
+  try {
+    const tasks = await db.getTasks(req.user.id)
+    res.json(tasks)
+  } catch (error) {
+    console.error("Get tasks error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to retrieve tasks",
+    })
+  }
+})
+
+app.post("/api/tasks", authenticateToken, async (req, res) => {
+  try {
+    const { error, task } = parseTask(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const taskId = await db.createTask({ ...task, subject_id: subjectId ?? null, user_id: req.user.id })
+
+    res.status(201).json({
+      message: "Task created successfully",
+      task: await db.getTaskById(taskId, req.user.id),
+    })
+  } catch (error) {
+    console.error("Create task error:", error)
+    res.status(500).json({
+      error: "Server error",
+      message: "Failed to create task",
+    })
+  }
+})
+
+app.put("/api/tasks/:id", authenticateToken, async (req, res) => {
+  try {
+    const taskId = Number.parseInt(req.params.id)
+    if (isNaN(taskId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid task ID",
+      })
+    }
+
+    const { error, task } = parseTask(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const updated = await db.updateTask(taskId, { ...task, subject_id: subjectId ?? null }, req.user.id)
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Task not found",
+      })
+    }
 
     res.json({
-      message: "Book updated successfully",
+      message: "Task updated successfully",
+      task: await db.getTaskById(taskId, req.user.id),
     })
   } catch (error) {
-    console.error("Update book error:", error)
+    console.error("Update task error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to update book",
+      message: "Failed to update task",
     })
   }
 })
 
-app.delete("/api/books/:id", authenticateToken, async (req, res) => {
+app.post("/api/tasks/:id/toggle", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
+    const taskId = Number.parseInt(req.params.id)
+    const isDone = isNaN(taskId) ? null : await db.toggleTask(taskId, req.user.id)
 
-    const books = await db.getBooksByUserId(req.user.id)
-    const book = books.find((b) => b.id === Number.parseInt(id))
-
-    if (!book) {
+    if (isDone === null) {
       return res.status(404).json({
         error: "Not found",
-        message: "Book not found",
+        message: "Task not found",
       })
     }
 
-    await db.deleteBook(id, req.user.id)
-
     res.json({
-      message: "Book deleted successfully",
-      id: Number.parseInt(id),
+      message: "Task status toggled successfully",
+      id: taskId,
+      is_done: isDone,
     })
   } catch (error) {
-    console.error("Delete book error:", error)
+    console.error("Toggle task error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to delete book",
+      message: "Failed to toggle task",
     })
   }
 })
 
-// PATCH endpoint to toggle book completion status
-app.patch("/api/books/:id/toggle", authenticateToken, async (req, res) => {
+// Focus rounds already credited to the task keep their time, only the link is dropped
+app.delete("/api/tasks/:id", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
+    const taskId = Number.parseInt(req.params.id)
+    const deleted = isNaN(taskId) ? false : await db.deleteTask(taskId, req.user.id)
 
-    const books = await db.getBooksByUserId(req.user.id)
-    const book = books.find((b) => b.id === Number.parseInt(id))
-
-    if (!book) {
+    if (!deleted) {
       return res.status(404).json({
         error: "Not found",
-        message: "Book not found",
+        message: "Task not found",
       })
     }
 
-    await db.toggleBookStatus(id, req.user.id)
-
     res.json({
-      message: "Book status toggled successfully",
-      id: Number.parseInt(id),
-      is_complete: !book.is_complete,
+      message: "Task deleted successfully",
     })
   } catch (error) {
-    console.error("Toggle book status error:", error)
+    console.error("Delete task error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to toggle book status",
+      message: "Failed to delete task",
     })
   }
 })
 
-// Focus timers routes
-app.post("/api/timers", authenticateToken, async (req, res) => {
-  try {
-    let { timer_type, duration, task_description } = req.body
+// Exam routes
+const MAX_EXAM_TOPICS = 30
+const MAX_EXAM_STUDY_MINUTES = 200 * 60
+const MAX_TOPIC_WEIGHT = 10
 
-    if (!timer_type || !duration) {
-      return res.status(400).json({
-        error: "Validation error",
-        message: "Timer type and duration are required",
-      })
+// Validates an exam body; returns either { error } or { exam, topics }. subject_id is checked by the routes.
+// Topics sent with their id are updated in place, the others are added.
+const parseExam = (body) => {
+  const { title, exam_date, study_minutes, topics } = body
+
+  if (!title) {
+    return { error: "Title is required" }
+  }
+
+  if (!exam_date || !DATE_PATTERN.test(exam_date)) {
+    return { error: "exam_date must be in the YYYY-MM-DD format" }
+  }
+
+  const minutes = Number(study_minutes)
+  if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_EXAM_STUDY_MINUTES) {
+    return { error: `study_minutes must be a whole number from 1 to ${MAX_EXAM_STUDY_MINUTES}` }
+  }
+
+  if (!Array.isArray(topics) || topics.length === 0 || topics.length > MAX_EXAM_TOPICS) {
+    return { error: `topics must list from 1 to ${MAX_EXAM_TOPICS} topics` }
+  }
+
+  const parsedTopics = []
+  for (const topic of topics) {
+    if (!topic?.title) {
+      return { error: "Every topic needs a title" }
     }
 
-    timer_type = sanitizeInput(timer_type)
-    duration = Number.parseInt(duration)
-    task_description = task_description ? sanitizeInput(task_description) : ""
+    const weight = topic.weight === undefined ? 1 : Number(topic.weight)
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_TOPIC_WEIGHT) {
+      return { error: `Topic weights must be whole numbers from 1 to ${MAX_TOPIC_WEIGHT}` }
+    }
 
-    if (isNaN(duration) || duration <= 0) {
-      return res.status(400).json({
-        error: "Validation error",
-        message: "Duration must be a positive number",
-      })
+    const id = topic.id ? Number.parseInt(topic.id) : null
+    if (Number.isNaN(id)) {
+      return { error: "Invalid topic ID" }
     }
 
-    const timerId = await db.saveFocusTimer({
-      user_id: req.user.id,
-      timer_type,
-      duration,
-      task_description,
-    })
+    parsedTopics.push({ id, title: sanitizeInput(topic.title), weight })
+  }
 
-    res.status(201).json({
-      message: "Timer saved successfully",
-      id: timerId,
-    })
+  return {
+    exam: {
+      title: sanitizeInput(title),
+      exam_date,
+      study_minutes: minutes,
+    },
+    topics: parsedTopics,
+  }
+}
+
+app.get("/api/exams", authenticateToken, async (req, res) => {
+  try {
+    const exams = await db.getExams(req.user.id)
+    res.json(exams)
   } catch (error) {
-    console.error("Save timer error:", error)
+    console.error("Get exams error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to save timer",
+      message: "Failed to retrieve exams",
     })
   }
 })
 
-app.post("/api/timers/:id/complete", authenticateToken, async (req, res) => {
+app.post("/api/exams", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
-    const { duration } = req.body
+    const { error, exam, topics } = parseExam(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
 
-    const timerId = Number.parseInt(id)
-    if (isNaN(timerId)) {
+    if (error || subjectError) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Invalid timer ID",
+        message: error || subjectError,
       })
     }
 
-    await db.completeFocusTimer(timerId)
-
-    if (duration && !isNaN(duration)) {
-      const timerDuration = Math.max(0, Number.parseInt(duration))
-      if (timerDuration > 0) {
-        await db.updateStudyStats(req.user.id, timerDuration, true)
-      }
-    }
+    const examId = await db.createExam({ ...exam, subject_id: subjectId ?? null, user_id: req.user.id })
+    await db.saveExamTopics(
+      examId,
+      topics.map((topic) => ({ ...topic, id: null })),
+    )
+    const plan = await db.planExams(req.user.id, { rebuild: true })
 
-    res.json({
-      message: "Timer completed successfully",
+    res.status(201).json({
+      message: "Exam created successfully",
+      exam: await db.getExamById(examId, req.user.id),
+      planned_sessions: plan.planned,
     })
   } catch (error) {
-    console.error("Complete timer error:", error)
+    console.error("Create exam error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to complete timer",
+      message: "Failed to create exam",
     })
   }
 })
 
-// Statistics routes dengan PostgreSQL syntax
-app.get("/api/stats/today", authenticateToken, async (req, res) => {
+app.put("/api/exams/:id", authenticateToken, async (req, res) => {
   try {
-    const todayStats = await db.getTodayStats(req.user.id)
-    res.json(todayStats)
-  } catch (error) {
-    console.error("Get today stats error:", error)
-    res.status(500).json({
-      error: "Server error",
-      message: "Failed to retrieve today's stats",
-    })
-  }
-})
+    const examId = Number.parseInt(req.params.id)
+    if (isNaN(examId)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid exam ID",
+      })
+    }
 
-app.get("/api/stats/weekly", authenticateToken, async (req, res) => {
-  try {
-    const weeklyReport = await db.getWeeklyReport(req.user.id)
-    res.json(weeklyReport)
+    const { error, exam, topics } = parseExam(req.body)
+    const { error: subjectError, subjectId } = await resolveSubjectId(req.user.id, req.body.subject_id)
+
+    if (error || subjectError) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error || subjectError,
+      })
+    }
+
+    const updated = await db.updateExam(examId, { ...exam, subject_id: subjectId ?? null }, req.user.id)
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Exam not found",
+      })
+    }
+
+    await db.saveExamTopics(examId, topics)
+    const plan = await db.planExams(req.user.id, { rebuild: true })
+
+    res.json({
+      message: "Exam updated successfully",
+      exam: await db.getExamById(examId, req.user.id),
+      planned_sessions: plan.planned,
+    })
   } catch (error) {
-    console.error("Get weekly stats error:", error)
+    console.error("Update exam error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve weekly stats",
+      message: "Failed to update exam",
     })
   }
 })
 
-app.get("/api/stats/summary", authenticateToken, async (req, res) => {
+// The time freed by the exam's planned sessions goes to the remaining exams
+app.delete("/api/exams/:id", authenticateToken, async (req, res) => {
   try {
-    const dashboardData = await db.getDashboardData(req.user.id)
-    const todayStats = await db.getTodayStats(req.user.id)
-    const weeklyReport = await db.getWeeklyReport(req.user.id)
-    const currentStreak = await db.getCurrentStreak(req.user.id)
+    const examId = Number.parseInt(req.params.id)
+    const deleted = isNaN(examId) ? false : await db.deleteExam(examId, req.user.id)
 
-    const weeklyTotalMinutes = weeklyReport.reduce((sum, day) => sum + (Number.parseInt(day.total_minutes) || 0), 0)
-    const weeklyTotalSessions = weeklyReport.reduce((sum, day) => sum + (Number.parseInt(day.sessions_count) || 0), 0)
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Exam not found",
+      })
+    }
+
+    await db.planExams(req.user.id, { rebuild: true })
 
     res.json({
-      user: {
-        name: dashboardData?.name,
-        email: dashboardData?.email,
-      },
-      overview: {
-        completed_sessions: Number.parseInt(dashboardData?.completed_sessions) || 0,
-        total_notes: Number.parseInt(dashboardData?.total_notes) || 0,
-        total_books: Number.parseInt(dashboardData?.total_books) || 0,
-      },
-      today: {
-        total_minutes: Number.parseInt(todayStats?.total_minutes) || 0,
-        total_sessions: Number.parseInt(todayStats?.total_sessions) || 0,
-      },
-      weekly: {
-        total_minutes: weeklyTotalMinutes,
-        total_sessions: weeklyTotalSessions,
-        daily_breakdown: weeklyReport,
-      },
-      streak: currentStreak,
+      message: "Exam deleted successfully",
     })
   } catch (error) {
-    console.error("Get stats summary error:", error)
+    console.error("Delete exam error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve stats summary",
+      message: "Failed to delete exam",
     })
   }
 })
 
-app.get("/api/stats/streak", authenticateToken, async (req, res) => {
+// Rebuilds the whole plan on request, dropping every exam session that is still only planned
+app.post("/api/exams/plan", authenticateToken, async (req, res) => {
   try {
-    const streak = await db.getCurrentStreak(req.user.id)
-    res.json({ streak_days: streak })
+    const plan = await db.planExams(req.user.id, { rebuild: true })
+
+    res.json({
+      message: "Study plan rebuilt successfully",
+      planned_sessions: plan.planned,
+      unscheduled: plan.unscheduled,
+    })
   } catch (error) {
-    console.error("Get streak error:", error)
+    console.error("Plan exams error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve streak data",
+      message: "Failed to rebuild study plan",
     })
   }
 })
 
-app.get("/api/stats/monthly", authenticateToken, async (req, res) => {
+// Delta sync route - returns rows changed and deleted since the given cursor
+app.get("/api/sync", authenticateToken, async (req, res) => {
   try {
-    const monthlyStats = await db.getMonthlyStats(req.user.id)
-    res.json(monthlyStats)
+    const { since } = req.query
+
+    if (since !== undefined && !/^\d+$/.test(since)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "Invalid sync cursor",
+      })
+    }
+
+    const changes = await db.getChangesSince(req.user.id, since === undefined ? null : since)
+    res.json(changes)
   } catch (error) {
-    console.error("Get monthly stats error:", error)
+    console.error("Sync changes error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve monthly stats",
+      message: "Failed to retrieve changes",
     })
   }
 })
 
-app.get("/api/stats/history", authenticateToken, async (req, res) => {
+// Settings routes
+// Columns clients may change through PUT /api/settings: booleans, "HH:MM" times, IANA timezones,
+// or integer [min, max] ranges
+const SETTINGS_FIELDS = {
+  push_enabled: "boolean",
+  daily_reminders: "boolean",
+  session_reminders: "boolean",
+  achievement_alerts: "boolean",
+  focus_minutes: [1, 180],
+  short_break_minutes: [1, 60],
+  long_break_minutes: [1, 120],
+  long_break_interval: [1, 12],
+  auto_start_breaks: "boolean",
+  auto_start_focus: "boolean",
+  pomodoro_cycle: [0, 1000],
+  daily_reminder_time: "time",
+  timezone: "timezone",
+  streak_min_minutes: [1, 240],
+  daily_study_minutes: [15, 720],
+  study_start_time: "time",
+}
+
+app.get("/api/settings", authenticateToken, async (req, res) => {
   try {
-    const days = Number.parseInt(req.query.days) || 30
-    const studyStats = await db.getStudyStats(req.user.id, days)
-    res.json(studyStats)
+    const settings = await db.getUserSettings(req.user.id)
+
+    if (!settings) {
+      return res.status(404).json({
+        error: "Not found",
+        message: "Settings not found",
+      })
+    }
+
+    res.json(settings)
   } catch (error) {
-    console.error("Get study history error:", error)
+    console.error("Get settings error:", error)
     res.status(500).json({
       error: "Server error",
-      message: "Failed to retrieve study history",
+      message: "Failed to retrieve settings",
     })
   }
 })
 
-// Settings routes
+// Partial update: fields missing from the body keep their stored value
 app.put("/api/settings", authenticateToken, async (req, res) => {
   try {
-    const { push_enabled, daily_reminders, session_reminders, achievement_alerts } = req.body
-
-    const validateBool = (value) => (typeof value === "boolean" ? value : false)
-
-    await db.query(
-      `UPDATE user_settings 
-       SET push_enabled = $1, daily_reminders = $2, 
-           session_reminders = $3, achievement_alerts = $4,
-           updated_at = NOW()
-       WHERE user_id = $5`,
-      [
-        validateBool(push_enabled),
-        validateBool(daily_reminders),
-        validateBool(session_reminders),
-        validateBool(achievement_alerts),
-        req.user.id,
-      ],
-    )
+    const updates = {}
+
+    for (const [field, rule] of Object.entries(SETTINGS_FIELDS)) {
+      const value = req.body[field]
+      if (value === undefined) continue
+
+      if (rule === "boolean") {
+        if (typeof value !== "boolean") {
+          return res.status(400).json({
+            error: "Validation error",
+            message: `${field} must be a boolean`,
+          })
+        }
+        updates[field] = value
+        continue
+      }
+
+      if (rule === "time") {
+        if (!TIME_PATTERN.test(value)) {
+          return res.status(400).json({
+            error: "Validation error",
+            message: `${field} must be a time in HH:MM format`,
+          })
+        }
+        updates[field] = value
+        continue
+      }
+
+      if (rule === "timezone") {
+        if (typeof value !== "string" || !isValidTimezone(value)) {
+          return res.status(400).json({
+            error: "Validation error",
+            message: `${field} must be a valid IANA timezone`,
+          })
+        }
+        updates[field] = value
+        continue
+      }
+
+      const [min, max] = rule
+      const number = Number(value)
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: `${field} must be a whole number between ${min} and ${max}`,
+        })
+      }
+      updates[field] = number
+    }
+
+    const settings = await db.updateUserSettings(req.user.id, updates)
+
+    // The exam plan was laid out for the old budget
+    if (updates.daily_study_minutes !== undefined || updates.study_start_time !== undefined) {
+      await db.planExams(req.user.id, { rebuild: true })
+    }
 
     res.json({
       message: "Settings updated successfully",
+      settings,
     })
   } catch (error) {
     console.error("Update settings error:", error)
@@ -1089,16 +3107,31 @@ app.post("/api/push-subscriptions", authenticateToken, async (req, res) => {
     const subscription = req.body
 
     // Validate subscription data
-    if (!subscription || !subscription.endpoint || !subscription.keys) {
+    if (!subscription || !subscription.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
       return res.status(400).json({
         success: false,
         message: "Invalid subscription data",
       })
     }
 
+    const endpointError = await checkPushEndpoint(subscription.endpoint)
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        message: endpointError,
+      })
+    }
+
     // Save subscription to database
     const subscriptionId = await db.subscribeUserToPush(userId, subscription)
 
+    if (!subscriptionId) {
+      return res.status(409).json({
+        success: false,
+        message: "Endpoint is subscribed by another user",
+      })
+    }
+
     res.status(201).json({
       success: true,
       message: "Successfully subscribed to push notifications",
@@ -1114,6 +3147,37 @@ app.post("/api/push-subscriptions", authenticateToken, async (req, res) => {
   }
 })
 
+// Sends a test push to every subscription of the user
+app.post("/api/push-subscriptions/test", authenticateToken, async (req, res) => {
+  try {
+    if (!process.env.VAPID_PRIVATE_KEY) {
+      return res.status(503).json({
+        success: false,
+        message: "Push notifications not configured",
+      })
+    }
+
+    const delivered = await sendPushToUser(db, req.user.id, {
+      title: "🧪 Test Notifikasi",
+      body: "Notifikasi dari server berhasil dikirim!",
+      tag: "test-notification",
+      url: "#/pengaturan-notifikasi",
+    })
+
+    res.status(200).json({
+      success: delivered > 0,
+      delivered,
+    })
+  } catch (error) {
+    console.error("Test push error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send test push notification",
+      error: error.message,
+    })
+  }
+})
+
 // GET user's push subscriptions
 app.get("/api/push-subscriptions", authenticateToken, async (req, res) => {
   try {
@@ -1189,6 +3253,34 @@ app.delete("/api/push-subscriptions/endpoint/:endpoint", authenticateToken, asyn
   }
 })
 
+// Local stand-in for a browser push service, so deliveries can be checked without a browser.
+// Subscribe with an endpoint pointing here; the id "gone" answers 410 like an expired subscription.
+if (process.env.NODE_ENV !== "production") {
+  const mockPushInbox = new Map()
+
+  app.post("/api/dev/mock-push/:id", express.raw({ type: "*/*" }), (req, res) => {
+    if (req.params.id === "gone") {
+      return res.status(410).end()
+    }
+
+    const messages = mockPushInbox.get(req.params.id) || []
+    messages.push({
+      received_at: new Date().toISOString(),
+      ttl: req.get("TTL"),
+      encoding: req.get("Content-Encoding"),
+      authorization: Boolean(req.get("Authorization")),
+      bytes: req.body?.length || 0,
+    })
+    mockPushInbox.set(req.params.id, messages)
+
+    res.status(201).end()
+  })
+
+  app.get("/api/dev/mock-push/:id", (req, res) => {
+    res.json(mockPushInbox.get(req.params.id) || [])
+  })
+}
+
 // 404 handler
 app.use("*", (req, res) => {
   res.status(404).json({
@@ -1224,6 +3316,27 @@ async function startServer() {
       console.log("──────────────────────────────────────")
       console.log("✅ Server is ready to accept requests!")
     })
+
+    if (startPushScheduler(db)) {
+      console.log("⏰ Push reminder scheduler started")
+    }
+
+    const purgeTrash = () =>
+      db.purgeTrash(TRASH_RETENTION_DAYS).catch((error) => console.error("Trash purge error:", error))
+    purgeTrash()
+    setInterval(purgeTrash, TRASH_PURGE_INTERVAL)
+
+    const replanMissedExamSessions = async () => {
+      try {
+        for (const userId of await db.getUserIdsWithMissedExamSessions()) {
+          await db.replanMissedExamSessions(userId)
+        }
+      } catch (error) {
+        console.error("Exam re-planning error:", error)
+      }
+    }
+    replanMissedExamSessions()
+    setInterval(replanMissedExamSessions, EXAM_REPLAN_INTERVAL)
   } catch (error) {
     console.error("❌ Failed to start server:", error)
     process.exit(1)
@@ -1,4 +1,4 @@
-import Database from './database.js';
+import Database, { searchDocument } from './database.js';
 
 async function setupDatabase() {
   try {
@@ -22,6 +22,9 @@ async function setupDatabase() {
         last_login TIMESTAMP
       );
 
+      -- Secret token for the subscribable iCalendar feed
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+
       -- User settings
       CREATE TABLE IF NOT EXISTS user_settings (
         id SERIAL PRIMARY KEY,
@@ -30,6 +33,50 @@ async function setupDatabase() {
         daily_reminders BOOLEAN DEFAULT TRUE,
         session_reminders BOOLEAN DEFAULT TRUE,
         achievement_alerts BOOLEAN DEFAULT TRUE,
+        focus_minutes INTEGER DEFAULT 25,
+        short_break_minutes INTEGER DEFAULT 5,
+        long_break_minutes INTEGER DEFAULT 15,
+        long_break_interval INTEGER DEFAULT 4,
+        auto_start_breaks BOOLEAN DEFAULT FALSE,
+        auto_start_focus BOOLEAN DEFAULT FALSE,
+        pomodoro_cycle INTEGER DEFAULT 0,
+        daily_reminder_time TIME DEFAULT '08:00',
+        timezone VARCHAR(64) DEFAULT 'Asia/Jakarta',
+        streak_min_minutes INTEGER DEFAULT 10,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Pomodoro preferences for settings rows created before they existed
+      ALTER TABLE user_settings
+        ADD COLUMN IF NOT EXISTS focus_minutes INTEGER DEFAULT 25,
+        ADD COLUMN IF NOT EXISTS short_break_minutes INTEGER DEFAULT 5,
+        ADD COLUMN IF NOT EXISTS long_break_minutes INTEGER DEFAULT 15,
+        ADD COLUMN IF NOT EXISTS long_break_interval INTEGER DEFAULT 4,
+        ADD COLUMN IF NOT EXISTS auto_start_breaks BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS auto_start_focus BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS pomodoro_cycle INTEGER DEFAULT 0;
+
+      -- Server-sent reminders run on the user's own clock
+      ALTER TABLE user_settings
+        ADD COLUMN IF NOT EXISTS daily_reminder_time TIME DEFAULT '08:00',
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'Asia/Jakarta';
+
+      -- Minutes a day needs before it counts toward the study streak
+      ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS streak_min_minutes INTEGER DEFAULT 10;
+
+      -- Daily study budget the exam planner fills, and the time of day its sessions start from
+      ALTER TABLE user_settings
+        ADD COLUMN IF NOT EXISTS daily_study_minutes INTEGER DEFAULT 120,
+        ADD COLUMN IF NOT EXISTS study_start_time TIME DEFAULT '16:00';
+
+      -- Subjects, referenced by sessions, recurrences, notes, books, timers and goals
+      CREATE TABLE IF NOT EXISTS subjects (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        color VARCHAR(7) DEFAULT '#0984e3',
+        icon VARCHAR(50) DEFAULT 'fa-book',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
@@ -40,7 +87,6 @@ async function setupDatabase() {
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         title VARCHAR(200) NOT NULL,
         description TEXT,
-        subject VARCHAR(100),
         duration INTEGER DEFAULT 25,
         status VARCHAR(20) DEFAULT 'planned',
         started_at TIMESTAMP,
@@ -49,6 +95,35 @@ async function setupDatabase() {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Recurring session rules, expanded into occurrences by the schedule endpoint
+      CREATE TABLE IF NOT EXISTS session_recurrences (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        duration INTEGER DEFAULT 25,
+        days_of_week SMALLINT[] NOT NULL,
+        start_time TIME NOT NULL,
+        timezone VARCHAR(64) DEFAULT 'UTC',
+        starts_on DATE NOT NULL DEFAULT CURRENT_DATE,
+        ends_on DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- A session created from a recurrence replaces that day's occurrence
+      ALTER TABLE study_sessions
+        ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS recurrence_id INTEGER REFERENCES session_recurrences(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+      -- iCalendar SEQUENCE, raised on every change so subscribed calendars apply updates
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS ical_sequence INTEGER DEFAULT 0;
+      ALTER TABLE session_recurrences ADD COLUMN IF NOT EXISTS ical_sequence INTEGER DEFAULT 0;
+
+      -- Minutes actually studied, as reported when the session is completed, while duration is the plan
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS actual_duration INTEGER;
+
       -- Notes
       CREATE TABLE IF NOT EXISTS notes (
         id SERIAL PRIMARY KEY,
@@ -56,10 +131,45 @@ async function setupDatabase() {
         title VARCHAR(200) NOT NULL,
         content TEXT NOT NULL,
         category VARCHAR(50) DEFAULT 'study',
+        version INTEGER DEFAULT 1,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Optimistic concurrency for notes created before versioning existed
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+
+      -- Browser and system the note was last saved from
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS device VARCHAR(100);
+
+      -- Earlier versions of a note, one row each time its title or content was replaced
+      CREATE TABLE IF NOT EXISTS note_revisions (
+        id SERIAL PRIMARY KEY,
+        note_id INTEGER REFERENCES notes(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        content TEXT NOT NULL,
+        category VARCHAR(50),
+        device VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Tags the user gives notes, any number per note. Names are unique per user regardless of case
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS note_tags (
+        note_id INTEGER REFERENCES notes(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (note_id, tag_id)
+      );
+
       -- Books
       CREATE TABLE IF NOT EXISTS books (
         id SERIAL PRIMARY KEY,
@@ -73,6 +183,10 @@ async function setupDatabase() {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- When a book was finished, for goals counted per period. Older books use their last update
+      ALTER TABLE books ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+      UPDATE books SET completed_at = updated_at WHERE is_complete = TRUE AND completed_at IS NULL;
+
       -- Focus timers
       CREATE TABLE IF NOT EXISTS focus_timers (
         id SERIAL PRIMARY KEY,
@@ -105,9 +219,130 @@ async function setupDatabase() {
         id SERIAL PRIMARY KEY,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
         endpoint TEXT NOT NULL,
-        keys JSONB NOT NULL,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        expires_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      -- The first version stored keys as JSON, which no query ever read
+      ALTER TABLE push_subscriptions
+        ADD COLUMN IF NOT EXISTS p256dh TEXT,
+        ADD COLUMN IF NOT EXISTS auth TEXT,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+      ALTER TABLE push_subscriptions DROP COLUMN IF EXISTS keys;
+
+      -- Badges each user has unlocked, the catalogue itself lives in achievements.js
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        achievement_key VARCHAR(50) NOT NULL,
+        unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, achievement_key)
+      );
+
+      -- Study goals. Progress is computed on read for the current daily, weekly or monthly period,
+      -- or for the starts_on..ends_on range of a custom goal
+      CREATE TABLE IF NOT EXISTS goals (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        metric VARCHAR(20) NOT NULL CHECK (metric IN ('minutes', 'sessions', 'books', 'notes')),
+        target INTEGER NOT NULL CHECK (target > 0),
+        period VARCHAR(20) NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly', 'custom')),
+        starts_on DATE,
+        ends_on DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Tasks worked on in focus rounds, their actual Pomodoros being the completed focus timers credited to them
+      CREATE TABLE IF NOT EXISTS tasks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+        due_date DATE,
+        estimated_pomodoros INTEGER NOT NULL DEFAULT 1 CHECK (estimated_pomodoros > 0),
+        is_done BOOLEAN DEFAULT FALSE,
+        done_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE focus_timers ADD COLUMN IF NOT EXISTS task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+
+      -- Exams to plan study time for. study_minutes is the total preparation time, shared out over the topics by weight
+      CREATE TABLE IF NOT EXISTS exams (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+        exam_date DATE NOT NULL,
+        study_minutes INTEGER NOT NULL CHECK (study_minutes > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS exam_topics (
+        id SERIAL PRIMARY KEY,
+        exam_id INTEGER REFERENCES exams(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        weight INTEGER NOT NULL DEFAULT 1 CHECK (weight BETWEEN 1 AND 10),
+        position INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- Sessions proposed by the exam planner, which replaces the ones still planned when it re-plans
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS exam_topic_id INTEGER REFERENCES exam_topics(id) ON DELETE SET NULL;
+
+      -- Subject references. The free-text subject columns they replace are merged after the indexes
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+      ALTER TABLE session_recurrences ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+      ALTER TABLE books ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+      ALTER TABLE focus_timers ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+      ALTER TABLE goals ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;
+
+      -- Trash. Deleted sessions, notes and books keep their row until restored or purged after 30 days
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE books ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+      -- Reminders already pushed, so each one goes out once per user
+      CREATE TABLE IF NOT EXISTS push_deliveries (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        delivery_key VARCHAR(120) NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, delivery_key)
+      );
+
+      -- Tombstones for deleted rows, read by the delta sync endpoint
+      CREATE TABLE IF NOT EXISTS sync_tombstones (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        entity VARCHAR(20) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Transaction that last wrote each synced row, which sync cursors are built on. updated_at is the
+      -- transaction start time, so a slow write can land behind a cursor a client already holds
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS change_xid XID8 DEFAULT pg_current_xact_id();
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS change_xid XID8 DEFAULT pg_current_xact_id();
+      ALTER TABLE books ADD COLUMN IF NOT EXISTS change_xid XID8 DEFAULT pg_current_xact_id();
+      ALTER TABLE sync_tombstones ADD COLUMN IF NOT EXISTS change_xid XID8 DEFAULT pg_current_xact_id();
+
+      -- Distractions logged while a focus session was running
+      CREATE TABLE IF NOT EXISTS session_interruptions (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER REFERENCES study_sessions(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('visibility', 'blur', 'manual')),
+        reason TEXT,
+        duration_seconds INTEGER DEFAULT 0,
+        occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
     `;
     
     // Execute table creation
@@ -139,7 +374,39 @@ async function setupDatabase() {
       { sql: 'CREATE INDEX IF NOT EXISTS idx_notes_user ON notes(user_id)', name: 'idx_notes_user' },
       { sql: 'CREATE INDEX IF NOT EXISTS idx_books_user ON books(user_id)', name: 'idx_books_user' },
       { sql: 'CREATE INDEX IF NOT EXISTS idx_stats_user_date ON study_stats(user_id, date)', name: 'idx_stats_user_date' },
-      { sql: 'CREATE INDEX IF NOT EXISTS idx_stats_date ON study_stats(date)', name: 'idx_stats_date' }
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_stats_date ON study_stats(date)', name: 'idx_stats_date' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_user_updated ON study_sessions(user_id, updated_at)', name: 'idx_sessions_user_updated' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_notes_user_updated ON notes(user_id, updated_at)', name: 'idx_notes_user_updated' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_note_revisions_note ON note_revisions(note_id, created_at)', name: 'idx_note_revisions_note' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_trash ON study_sessions(user_id, deleted_at) WHERE deleted_at IS NOT NULL', name: 'idx_sessions_trash' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_notes_trash ON notes(user_id, deleted_at) WHERE deleted_at IS NOT NULL', name: 'idx_notes_trash' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_books_trash ON books(user_id, deleted_at) WHERE deleted_at IS NOT NULL', name: 'idx_books_trash' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_books_user_updated ON books(user_id, updated_at)', name: 'idx_books_user_updated' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_tombstones_user_deleted ON sync_tombstones(user_id, deleted_at)', name: 'idx_tombstones_user_deleted' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_user_change ON study_sessions(user_id, change_xid)', name: 'idx_sessions_user_change' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_notes_user_change ON notes(user_id, change_xid)', name: 'idx_notes_user_change' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_books_user_change ON books(user_id, change_xid)', name: 'idx_books_user_change' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_tombstones_user_change ON sync_tombstones(user_id, change_xid)', name: 'idx_tombstones_user_change' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_interruptions_session ON session_interruptions(session_id)', name: 'idx_interruptions_session' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_user_scheduled ON study_sessions(user_id, scheduled_at)', name: 'idx_sessions_user_scheduled' },
+      { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_occurrence ON study_sessions(recurrence_id, occurrence_date) WHERE recurrence_id IS NOT NULL', name: 'idx_sessions_occurrence' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_recurrences_user ON session_recurrences(user_id)', name: 'idx_recurrences_user' },
+      { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_push_subscriptions_endpoint ON push_subscriptions(endpoint)', name: 'idx_push_subscriptions_endpoint' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_push_deliveries_sent ON push_deliveries(sent_at)', name: 'idx_push_deliveries_sent' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_goals_user ON goals(user_id)', name: 'idx_goals_user' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_tasks_user ON tasks(user_id, is_done)', name: 'idx_tasks_user' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_timers_task ON focus_timers(task_id)', name: 'idx_timers_task' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_exams_user_date ON exams(user_id, exam_date)', name: 'idx_exams_user_date' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_exam_topics_exam ON exam_topics(exam_id)', name: 'idx_exam_topics_exam' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_exam_topic ON study_sessions(exam_topic_id)', name: 'idx_sessions_exam_topic' },
+      { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_user_name ON subjects(user_id, LOWER(name))', name: 'idx_subjects_user_name' },
+      { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name))', name: 'idx_tags_user_name' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_note_tags_tag ON note_tags(tag_id)', name: 'idx_note_tags_tag' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_subject ON study_sessions(subject_id)', name: 'idx_sessions_subject' },
+      // Full-text search, on the exact expression the search queries use
+      { sql: `CREATE INDEX IF NOT EXISTS idx_sessions_search ON study_sessions USING GIN ((${searchDocument('study_sessions')}))`, name: 'idx_sessions_search' },
+      { sql: `CREATE INDEX IF NOT EXISTS idx_notes_search ON notes USING GIN ((${searchDocument('notes')}))`, name: 'idx_notes_search' },
+      { sql: `CREATE INDEX IF NOT EXISTS idx_books_search ON books USING GIN ((${searchDocument('books')}))`, name: 'idx_books_search' }
     ];
     
     for (const { sql, name } of indexes) {
@@ -151,9 +418,51 @@ async function setupDatabase() {
       }
     }
     
+    // Replace the old free-text subject columns with subjects rows, one per user and case-insensitive name.
+    // The most used spelling names the subject; aliases such as "MTK" are merged from the app.
+    console.log('\n🏷️ Merging free-text subjects...');
+    let subjectTables = [];
+    try {
+      const subjectColumns = await db.query(`
+        SELECT table_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND column_name = 'subject'
+          AND table_name IN ('study_sessions', 'session_recurrences', 'goals')
+      `);
+      subjectTables = subjectColumns.map(row => row.table_name);
+
+      if (subjectTables.length === 0) {
+        console.log('  ✓ No free-text subjects left');
+      } else {
+        const names = subjectTables
+          .map(table => `SELECT user_id, TRIM(subject) AS name FROM ${table} WHERE TRIM(subject) <> ''`)
+          .join(' UNION ALL ');
+        const created = await db.query(`
+          INSERT INTO subjects (user_id, name)
+          SELECT DISTINCT ON (user_id, LOWER(name)) user_id, name
+          FROM (SELECT user_id, name, COUNT(*) AS uses FROM (${names}) n GROUP BY user_id, name) counted
+          ORDER BY user_id, LOWER(name), uses DESC
+          ON CONFLICT (user_id, (LOWER(name))) DO NOTHING
+          RETURNING id
+        `);
+        console.log(`  ✓ ${created.length} subjects created`);
+
+        for (const table of subjectTables) {
+          await db.query(`
+            UPDATE ${table} t SET subject_id = s.id
+            FROM subjects s
+            WHERE s.user_id = t.user_id AND LOWER(s.name) = LOWER(TRIM(t.subject)) AND t.subject_id IS NULL
+          `);
+          await db.query(`ALTER TABLE ${table} DROP COLUMN subject`);
+          console.log(`  ✓ ${table}.subject merged into subject_id`);
+        }
+      }
+    } catch (error) {
+      console.warn(`  ⚠️ Subject merge: ${error.message}`);
+    }
+
     // Create trigger for updated_at timestamp
     console.log('\n🔄 Creating update triggers...');
-    const tablesWithUpdatedAt = ['users', 'user_settings', 'study_sessions', 'notes', 'books', 'study_stats'];
+    const tablesWithUpdatedAt = ['users', 'user_settings', 'study_sessions', 'session_recurrences', 'notes', 'books', 'study_stats', 'goals', 'subjects', 'tasks', 'exams', 'tags'];
     
     for (const table of tablesWithUpdatedAt) {
       try {
@@ -180,14 +489,106 @@ async function setupDatabase() {
       }
     }
     
+    // Record a tombstone whenever a synced row is deleted
+    console.log('\n🪦 Creating sync tombstone triggers...');
+    const syncedTables = { study_sessions: 'sessions', notes: 'notes', books: 'books' };
+
+    for (const [table, entity] of Object.entries(syncedTables)) {
+      try {
+        const tombstoneSql = `
+          CREATE OR REPLACE FUNCTION record_sync_tombstone()
+          RETURNS TRIGGER AS $$
+          BEGIN
+            IF EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+              INSERT INTO sync_tombstones (user_id, entity, entity_id)
+              VALUES (OLD.user_id, TG_ARGV[0], OLD.id);
+            END IF;
+            RETURN OLD;
+          END;
+          $$ language 'plpgsql';
+
+          DROP TRIGGER IF EXISTS record_${table}_tombstone ON ${table};
+          CREATE TRIGGER record_${table}_tombstone
+          AFTER DELETE ON ${table}
+          FOR EACH ROW
+          EXECUTE FUNCTION record_sync_tombstone('${entity}');
+        `;
+
+        await db.query(tombstoneSql);
+        console.log(`  ✓ ${table} tombstone trigger`);
+      } catch (error) {
+        console.warn(`  ⚠️ ${table} tombstone trigger: ${error.message}`);
+      }
+    }
+
+    // Stamp synced rows with the transaction of every update, as inserts are by the column default
+    console.log('\n🔁 Creating sync change triggers...');
+
+    for (const table of Object.keys(syncedTables)) {
+      try {
+        const changeSql = `
+          CREATE OR REPLACE FUNCTION record_sync_change()
+          RETURNS TRIGGER AS $$
+          BEGIN
+            NEW.change_xid = pg_current_xact_id();
+            RETURN NEW;
+          END;
+          $$ language 'plpgsql';
+
+          DROP TRIGGER IF EXISTS record_${table}_change ON ${table};
+          CREATE TRIGGER record_${table}_change
+          BEFORE UPDATE ON ${table}
+          FOR EACH ROW
+          EXECUTE FUNCTION record_sync_change();
+        `;
+
+        await db.query(changeSql);
+        console.log(`  ✓ ${table} change trigger`);
+      } catch (error) {
+        console.warn(`  ⚠️ ${table} change trigger: ${error.message}`);
+      }
+    }
+
+    // Raise the iCalendar SEQUENCE of calendar rows on every update
+    console.log('\n📅 Creating calendar sequence triggers...');
+    const calendarTables = ['study_sessions', 'session_recurrences'];
+
+    for (const table of calendarTables) {
+      try {
+        const sequenceSql = `
+          CREATE OR REPLACE FUNCTION bump_ical_sequence()
+          RETURNS TRIGGER AS $$
+          BEGIN
+            NEW.ical_sequence = COALESCE(OLD.ical_sequence, 0) + 1;
+            RETURN NEW;
+          END;
+          $$ language 'plpgsql';
+
+          DROP TRIGGER IF EXISTS bump_${table}_ical_sequence ON ${table};
+          CREATE TRIGGER bump_${table}_ical_sequence
+          BEFORE UPDATE ON ${table}
+          FOR EACH ROW
+          EXECUTE FUNCTION bump_ical_sequence();
+        `;
+
+        await db.query(sequenceSql);
+        console.log(`  ✓ ${table} sequence trigger`);
+      } catch (error) {
+        console.warn(`  ⚠️ ${table} sequence trigger: ${error.message}`);
+      }
+    }
+
     await db.disconnect();
     
     console.log('\n✅ Database setup completed successfully!');
     console.log('🎉 You can now start the API with: npm run api');
     console.log('\n📋 Summary:');
-    console.log('  • 7 tables created/verified');
-    console.log('  • 7 indexes created');
-    console.log('  • 6 update triggers configured');
+    console.log(`  • ${statements.filter(stmt => /CREATE TABLE/i.test(stmt)).length} tables created/verified`);
+    console.log(`  • ${indexes.length} indexes created`);
+    console.log(`  • ${tablesWithUpdatedAt.length} update triggers configured`);
+    console.log(`  • ${Object.keys(syncedTables).length} sync tombstone triggers configured`);
+    console.log(`  • ${calendarTables.length} calendar sequence triggers configured`);
+    console.log(`  • ${subjectTables.length} free-text subject columns merged`);
     
     process.exit(0);
   } catch (error) {
@@ -20,15 +20,31 @@ const getHeaders = (includeAuth = true) => {
   return headers;
 };
 
+// Responses that unlocked badges are announced to whoever listens, whatever the caller
+export const announceAchievements = data => {
+  if (data?.unlocked_achievements?.length) {
+    window.dispatchEvent(
+      new CustomEvent('achievements-unlocked', {
+        detail: data.unlocked_achievements,
+      })
+    );
+  }
+};
+
 // Handle API response
 const handleResponse = async response => {
   if (!response.ok) {
-    const error = await response
+    const data = await response
       .json()
       .catch(() => ({ error: 'Network error' }));
-    throw new Error(error.error || error.message || 'Request failed');
+    const error = new Error(data.error || data.message || 'Request failed');
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
-  return response.json();
+  const data = await response.json();
+  announceAchievements(data);
+  return data;
 };
 
 export const Api = {
@@ -71,6 +87,16 @@ export const Api = {
     return handleResponse(response);
   },
 
+  // Generic PATCH request
+  async patch(endpoint, data, requireAuth = true) {
+    const response = await fetch(`${BASE_URL}${endpoint}`, {
+      method: 'PATCH',
+      headers: getHeaders(requireAuth),
+      body: JSON.stringify(data),
+    });
+    return handleResponse(response);
+  },
+
   // Generic DELETE request
   async delete(endpoint, requireAuth = true) {
     const response = await fetch(`${BASE_URL}${endpoint}`, {
@@ -137,6 +163,10 @@ export const Api = {
       return Api.get('/user/dashboard');
     },
 
+    async getSettings() {
+      return Api.get('/settings');
+    },
+
     async updateSettings(settings) {
       return Api.put('/settings', settings);
     },
@@ -167,13 +197,85 @@ export const Api = {
     async complete(id, duration) {
       return Api.post(`/sessions/${id}/complete`, { duration });
     },
+
+    async getInterruptions(id) {
+      return Api.get(`/sessions/${id}/interruptions`);
+    },
+
+    async addInterruption(id, interruption) {
+      return Api.post(`/sessions/${id}/interruptions`, interruption);
+    },
+
+    async reschedule(id, scheduledAt) {
+      return Api.patch(`/sessions/${id}/schedule`, {
+        scheduled_at: scheduledAt,
+      });
+    },
+  },
+
+  // ==================== SCHEDULE ENDPOINTS ====================
+  schedule: {
+    async get(from, to) {
+      const query = new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+      return Api.get(`/schedule?${query}`);
+    },
+  },
+
+  recurrences: {
+    async getAll() {
+      return Api.get('/recurrences');
+    },
+
+    async create(recurrenceData) {
+      return Api.post('/recurrences', recurrenceData);
+    },
+
+    async update(id, recurrenceData) {
+      return Api.put(`/recurrences/${id}`, recurrenceData);
+    },
+
+    async delete(id) {
+      return Api.delete(`/recurrences/${id}`);
+    },
+
+    // Creates the real session behind one occurrence of the rule
+    async createOccurrence(id, occurrenceData) {
+      return Api.post(`/recurrences/${id}/occurrences`, occurrenceData);
+    },
+  },
+
+  // ==================== CALENDAR ENDPOINTS ====================
+  calendar: {
+    // Resolves with the .ics file as a Blob
+    async exportIcs() {
+      const response = await fetch(`${BASE_URL}/calendar/export.ics`, {
+        method: 'GET',
+        headers: getHeaders(true),
+      });
+      if (!response.ok) return handleResponse(response);
+      return response.blob();
+    },
+
+    async getFeed() {
+      return Api.get('/calendar/feed');
+    },
+
+    async resetFeed() {
+      return Api.post('/calendar/feed/reset', {});
+    },
   },
 
   // ==================== NOTES ENDPOINTS ====================
   notes: {
-    async getAll(category = 'all') {
-      const query = category !== 'all' ? `?category=${category}` : '';
-      return Api.get(`/notes${query}`);
+    // Only notes carrying every one of tagIds are returned
+    async getAll(category = 'all', tagIds = []) {
+      const query = new URLSearchParams();
+      if (category !== 'all') query.set('category', category);
+      if (tagIds.length > 0) query.set('tags', tagIds.join(','));
+      return Api.get(query.toString() ? `/notes?${query}` : '/notes');
     },
 
     async create(noteData) {
@@ -187,6 +289,35 @@ export const Api = {
     async delete(id) {
       return Api.delete(`/notes/${id}`);
     },
+
+    async getRevisions(id) {
+      return Api.get(`/notes/${id}/revisions`);
+    },
+
+    // The version being replaced becomes a revision too, so a restore can be undone
+    async restoreRevision(id, revisionId) {
+      return Api.post(`/notes/${id}/revisions/${revisionId}/restore`, {});
+    },
+  },
+
+  // ==================== TAGS ENDPOINTS ====================
+  tags: {
+    async getAll() {
+      return Api.get('/tags');
+    },
+
+    async rename(id, name) {
+      return Api.put(`/tags/${id}`, { name });
+    },
+
+    async delete(id) {
+      return Api.delete(`/tags/${id}`);
+    },
+
+    // Tags the notes of the source tags with this one and deletes them
+    async merge(id, sourceIds) {
+      return Api.post(`/tags/${id}/merge`, { source_ids: sourceIds });
+    },
   },
 
   // ==================== BOOKS ENDPOINTS ====================
@@ -222,8 +353,9 @@ export const Api = {
       return Api.post('/timers', timerData);
     },
 
-    async complete(id) {
-      return Api.post(`/timers/${id}/complete`, {});
+    // Passing a duration also adds it to today's study stats
+    async complete(id, duration) {
+      return Api.post(`/timers/${id}/complete`, { duration });
     },
   },
 
@@ -232,6 +364,167 @@ export const Api = {
     async getWeekly() {
       return Api.get('/stats/weekly');
     },
+
+    async getAnalytics(days = 30) {
+      return Api.get(`/stats/analytics?days=${days}`);
+    },
+  },
+
+  // ==================== SUBJECTS ENDPOINTS ====================
+  subjects: {
+    async getAll() {
+      return Api.get('/subjects');
+    },
+
+    async create(subjectData) {
+      return Api.post('/subjects', subjectData);
+    },
+
+    async update(id, subjectData) {
+      return Api.put(`/subjects/${id}`, subjectData);
+    },
+
+    async delete(id) {
+      return Api.delete(`/subjects/${id}`);
+    },
+
+    // Moves everything from the source subjects onto this one and deletes them
+    async merge(id, sourceIds) {
+      return Api.post(`/subjects/${id}/merge`, { source_ids: sourceIds });
+    },
+  },
+
+  // ==================== GOALS ENDPOINTS ====================
+  goals: {
+    async getAll() {
+      return Api.get('/goals');
+    },
+
+    async create(goalData) {
+      return Api.post('/goals', goalData);
+    },
+
+    async update(id, goalData) {
+      return Api.put(`/goals/${id}`, goalData);
+    },
+
+    async delete(id) {
+      return Api.delete(`/goals/${id}`);
+    },
+  },
+
+  // ==================== TASKS ENDPOINTS ====================
+  tasks: {
+    async getAll() {
+      return Api.get('/tasks');
+    },
+
+    async create(taskData) {
+      return Api.post('/tasks', taskData);
+    },
+
+    async update(id, taskData) {
+      return Api.put(`/tasks/${id}`, taskData);
+    },
+
+    async delete(id) {
+      return Api.delete(`/tasks/${id}`);
+    },
+
+    async toggle(id) {
+      return Api.post(`/tasks/${id}/toggle`, {});
+    },
+  },
+
+  // ==================== EXAMS ENDPOINTS ====================
+  exams: {
+    async getAll() {
+      return Api.get('/exams');
+    },
+
+    async create(examData) {
+      return Api.post('/exams', examData);
+    },
+
+    async update(id, examData) {
+      return Api.put(`/exams/${id}`, examData);
+    },
+
+    async delete(id) {
+      return Api.delete(`/exams/${id}`);
+    },
+
+    // Drops every exam session still only planned and schedules them again
+    async replan() {
+      return Api.post('/exams/plan', {});
+    },
+  },
+
+  // ==================== SEARCH ENDPOINTS ====================
+  search: {
+    // type narrows the results to sessions, notes or books
+    async query(text, { type, limit } = {}) {
+      const query = new URLSearchParams({ q: text });
+      if (type) query.set('type', type);
+      if (limit) query.set('limit', limit);
+      return Api.get(`/search?${query}`);
+    },
+  },
+
+  // ==================== TRASH ENDPOINTS ====================
+  trash: {
+    async getAll() {
+      return Api.get('/trash');
+    },
+
+    // entity is sessions, notes or books
+    async restore(entity, id) {
+      return Api.post(`/trash/${entity}/${id}/restore`, {});
+    },
+
+    async delete(entity, id) {
+      return Api.delete(`/trash/${entity}/${id}`);
+    },
+
+    async empty() {
+      return Api.delete('/trash');
+    },
+  },
+
+  // ==================== ACHIEVEMENTS ENDPOINTS ====================
+  achievements: {
+    async getAll() {
+      return Api.get('/achievements');
+    },
+  },
+
+  // ==================== SYNC ENDPOINTS ====================
+  sync: {
+    async getChanges(since = null) {
+      const query = since ? `?since=${encodeURIComponent(since)}` : '';
+      return Api.get(`/sync${query}`);
+    },
+  },
+
+  // ==================== PUSH ENDPOINTS ====================
+  push: {
+    async getPublicKey() {
+      return Api.get('/vapid-public-key', false);
+    },
+
+    async subscribe(subscription) {
+      return Api.post('/push-subscriptions', subscription);
+    },
+
+    async unsubscribe(endpoint) {
+      return Api.delete(
+        `/push-subscriptions/endpoint/${encodeURIComponent(endpoint)}`
+      );
+    },
+
+    async test() {
+      return Api.post('/push-subscriptions/test', {});
+    },
   },
 
   // ==================== HEALTH CHECK ====================
@@ -0,0 +1,107 @@
+// activity-heatmap.js - A year of focus minutes per day, one cell per day and one column per week
+import escapeHtml from '../utils/escape.js';
+import {
+  addDays,
+  fromDateKey,
+  startOfWeek,
+  toDateKey,
+} from './session-calendar.js';
+
+export const HEATMAP_DAYS = 365;
+
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'Mei',
+  'Jun',
+  'Jul',
+  'Agu',
+  'Sep',
+  'Okt',
+  'Nov',
+  'Des',
+];
+
+// Four shades relative to the busiest day, so light and heavy users both see contrast
+const getLevel = (minutes, max) =>
+  minutes > 0 ? Math.min(4, Math.ceil((minutes / max) * 4)) : 0;
+
+// Tooltip content for one day; entry is its /stats/history row, if any
+export function describeHeatmapDay(dateKey, entry) {
+  const title = fromDateKey(dateKey).toLocaleDateString('id-ID', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  if (!entry || entry.total_minutes === 0) {
+    return `<strong>${title}</strong><span>Tidak ada sesi belajar</span>`;
+  }
+
+  const subjects = entry.by_subject
+    .map(
+      subject =>
+        `${escapeHtml(subject.subject || 'Tanpa mata pelajaran')} ${
+          subject.minutes
+        }m`
+    )
+    .join(' · ');
+
+  return `
+    <strong>${title}</strong>
+    <span>${entry.total_minutes} menit · ${entry.total_sessions} sesi</span>
+    ${subjects ? `<span>${subjects}</span>` : ''}
+  `;
+}
+
+// Weeks run Monday to Sunday; days before the range are left blank so the first column lines up
+export function renderHeatmap(history, today = new Date()) {
+  const byDate = new Map(history.map(entry => [entry.date, entry]));
+  const max = Math.max(...history.map(entry => entry.total_minutes), 1);
+  const last = fromDateKey(toDateKey(today));
+  const first = addDays(last, -(HEATMAP_DAYS - 1));
+  const start = startOfWeek(first);
+
+  const cells = [];
+  const months = [];
+  for (let day = 0, date = start; date <= last; date = addDays(start, ++day)) {
+    // A month is labelled above the first week that starts in it
+    const week = Math.floor(day / 7);
+    if (day % 7 === 0 && date.getDate() <= 7) {
+      months.push(
+        `<span style="grid-column: ${week + 1};">${
+          MONTHS[date.getMonth()]
+        }</span>`
+      );
+    }
+
+    if (date < first) {
+      cells.push('<span class="heatmap-cell outside"></span>');
+      continue;
+    }
+
+    const key = toDateKey(date);
+    const minutes = byDate.get(key)?.total_minutes || 0;
+    cells.push(
+      `<button type="button" class="heatmap-cell level-${getLevel(
+        minutes,
+        max
+      )}" data-date="${key}" aria-label="${key}: ${minutes} menit"></button>`
+    );
+  }
+
+  return `
+    <div class="heatmap-months">${months.join('')}</div>
+    <div class="heatmap-grid">${cells.join('')}</div>
+    <div class="heatmap-legend">
+      <span>Sedikit</span>
+      ${[0, 1, 2, 3, 4]
+        .map(level => `<span class="heatmap-cell level-${level}"></span>`)
+        .join('')}
+      <span>Banyak</span>
+    </div>
+  `;
+}
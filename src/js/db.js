@@ -2,9 +2,19 @@
 import { openDB } from 'idb';
 
 let dbPromise;
-const DB_VERSION = 2;
+const DB_VERSION = 3;
 const DB_NAME = 'FocusModeDB';
 
+// Stores whose writes are recorded in the outbox and replayed to the REST API
+export const SYNCED_STORES = ['sessions', 'notes', 'books'];
+
+let tempIdCounter = 0;
+
+// Records created offline get a negative id so they never collide with server ids
+export const createTempId = () => -(Date.now() * 100 + (tempIdCounter++ % 100));
+
+export const isTempId = id => typeof id === 'number' && id < 0;
+
 export const initDB = async () => {
   try {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
@@ -48,6 +58,21 @@ export const initDB = async () => {
           console.log('Running migration for version 2');
           // Example: Add new index or store if needed
         }
+
+        // Version 3: outbox of pending changes and local -> server id map
+        if (oldVersion < 3) {
+          if (!db.objectStoreNames.contains('outbox')) {
+            const outboxStore = db.createObjectStore('outbox', {
+              keyPath: 'id',
+              autoIncrement: true,
+            });
+            outboxStore.createIndex('store', 'store');
+          }
+
+          if (!db.objectStoreNames.contains('idMap')) {
+            db.createObjectStore('idMap', { keyPath: 'id' });
+          }
+        }
       },
     });
     
@@ -103,26 +128,60 @@ export const DB = {
     }
   },
 
-  async set(storeName, value) {
+  // Pass { track: false } when writing data that already matches the server
+  async set(storeName, value, { track = true } = {}) {
+    const tracked = track && SYNCED_STORES.includes(storeName);
+
+    if (tracked) {
+      if (value.id === undefined || value.id === null) {
+        value.id = createTempId();
+      } else {
+        value.id = await Outbox.resolveId(storeName, value.id);
+      }
+    }
+
+    let result;
     try {
       if (!dbPromise) await initDB();
       const db = await dbPromise;
-      return db.put(storeName, value);
+      result = await db.put(storeName, value);
     } catch (error) {
       console.warn('IndexedDB error, using localStorage fallback for set:', error);
-      return this.saveToLocalStorage(storeName, value);
+      result = this.saveToLocalStorage(storeName, value);
+    }
+
+    if (tracked) {
+      await Outbox.record(
+        storeName,
+        isTempId(value.id) ? 'create' : 'update',
+        value
+      );
     }
+
+    return result;
   },
 
-  async delete(storeName, id) {
+  async delete(storeName, id, { track = true } = {}) {
+    const tracked = track && SYNCED_STORES.includes(storeName);
+    if (tracked) {
+      id = await Outbox.resolveId(storeName, id);
+    }
+
+    let result;
     try {
       if (!dbPromise) await initDB();
       const db = await dbPromise;
-      return db.delete(storeName, id);
+      result = await db.delete(storeName, id);
     } catch (error) {
       console.warn('IndexedDB error, using localStorage fallback for delete:', error);
-      return this.deleteFromLocalStorage(storeName, id);
+      result = this.deleteFromLocalStorage(storeName, id);
     }
+
+    if (tracked) {
+      await Outbox.record(storeName, 'delete', { id });
+    }
+
+    return result;
   },
 
   async clear(storeName) {
@@ -173,4 +232,93 @@ export const DB = {
     const filteredItems = items.filter(item => item.id !== id);
     localStorage.setItem(`focusmode_${storeName}`, JSON.stringify(filteredItems));
   }
-};
\ No newline at end of file
+};
+
+// Outbox of create/update/delete operations waiting to be replayed to the API
+export const Outbox = {
+  async getAll(storeName = null) {
+    const operations = await DB.getAll('outbox');
+    return operations
+      .filter(op => !storeName || op.store === storeName)
+      .sort((a, b) => a.id - b.id);
+  },
+
+  async count() {
+    const operations = await DB.getAll('outbox');
+    return operations.length;
+  },
+
+  async remove(operationId) {
+    return DB.delete('outbox', operationId, { track: false });
+  },
+
+  // Collapse operations on the same record so the replay stays minimal
+  async record(storeName, action, value) {
+    const pending = (await this.getAll(storeName)).filter(
+      op => op.recordId === value.id
+    );
+    const pendingCreate = pending.find(op => op.action === 'create');
+
+    if (action === 'delete') {
+      for (const op of pending) {
+        await this.remove(op.id);
+      }
+      // Never reached the server, nothing to delete there
+      if (pendingCreate) return;
+    } else if (pendingCreate || pending.length > 0) {
+      const op = pendingCreate || pending[pending.length - 1];
+      op.payload = { ...op.payload, ...value };
+      op.updatedAt = new Date().toISOString();
+      await DB.set('outbox', op, { track: false });
+      this.notifyChange();
+      return;
+    }
+
+    const operation = {
+      store: storeName,
+      action,
+      recordId: value.id,
+      payload: action === 'delete' ? null : { ...value },
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+    };
+    await DB.set('outbox', operation, { track: false });
+    this.notifyChange();
+  },
+
+  // Called once the server has assigned a real id to a record created offline
+  async remapId(storeName, tempId, serverId) {
+    const record = await DB.get(storeName, tempId);
+    await DB.delete(storeName, tempId, { track: false });
+    if (record) {
+      await DB.set(storeName, { ...record, id: serverId }, { track: false });
+    }
+
+    await DB.set(
+      'idMap',
+      { id: `${storeName}:${tempId}`, store: storeName, tempId, serverId },
+      { track: false }
+    );
+
+    const pending = (await this.getAll(storeName)).filter(
+      op => op.recordId === tempId
+    );
+    for (const op of pending) {
+      op.recordId = serverId;
+      if (op.payload) op.payload.id = serverId;
+      await DB.set('outbox', op, { track: false });
+    }
+  },
+
+  async resolveId(storeName, id) {
+    if (!isTempId(id)) return id;
+    const mapping = await DB.get('idMap', `${storeName}:${id}`);
+    return mapping ? mapping.serverId : id;
+  },
+
+  notifyChange() {
+    if (typeof document !== 'undefined') {
+      document.dispatchEvent(new CustomEvent('outbox-changed'));
+    }
+  },
+};
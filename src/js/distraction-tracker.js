@@ -0,0 +1,125 @@
+// distraction-tracker.js - Detects attention leaving a running focus session
+
+// Shorter absences, like answering a permission prompt, are not counted
+const MIN_AWAY_MS = 3000;
+
+// The server rejects longer absences, such as a device left asleep for days
+const MAX_AWAY_SECONDS = 24 * 60 * 60;
+
+export const DISTRACTION_REASONS = [
+  'Ponsel / notifikasi',
+  'Media sosial',
+  'Suara / lingkungan',
+  'Diajak bicara',
+  'Lapar atau haus',
+  'Melamun',
+  'Lainnya',
+];
+
+export class DistractionTracker {
+  constructor(onInterruption) {
+    this.onInterruption = onInterruption;
+    this.isTracking = false;
+    this.awaySince = null;
+    this.awaySource = null;
+
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.leave('visibility');
+      } else {
+        this.comeBack();
+      }
+    };
+    this.handleBlur = () => this.leave('blur');
+    this.handleFocus = () => this.comeBack();
+  }
+
+  start() {
+    if (this.isTracking) return;
+    this.isTracking = true;
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('blur', this.handleBlur);
+    window.addEventListener('focus', this.handleFocus);
+  }
+
+  // Returns the absence still in progress, if any, instead of reporting it
+  stop() {
+    if (!this.isTracking) return null;
+    this.isTracking = false;
+
+    document.removeEventListener(
+      'visibilitychange',
+      this.handleVisibilityChange
+    );
+    window.removeEventListener('blur', this.handleBlur);
+    window.removeEventListener('focus', this.handleFocus);
+
+    return this.endAbsence();
+  }
+
+  leave(source) {
+    if (this.awaySince) {
+      // Switching tabs blurs the window first; the tab switch is the real cause
+      if (source === 'visibility') this.awaySource = source;
+      return;
+    }
+
+    this.awaySince = Date.now();
+    this.awaySource = source;
+  }
+
+  comeBack() {
+    const interruption = this.endAbsence();
+    if (interruption) {
+      this.onInterruption(interruption);
+    }
+  }
+
+  endAbsence() {
+    if (!this.awaySince) return null;
+
+    const awayMs = Date.now() - this.awaySince;
+    const interruption = {
+      source: this.awaySource,
+      duration_seconds: Math.min(Math.round(awayMs / 1000), MAX_AWAY_SECONDS),
+      occurred_at: new Date(this.awaySince).toISOString(),
+    };
+    this.awaySince = null;
+    this.awaySource = null;
+
+    return awayMs >= MIN_AWAY_MS ? interruption : null;
+  }
+}
+
+// Average focus quality of the latest completed sessions against the ones before
+export const summarizeFocusQuality = (sessions, windowSize = 7) => {
+  const scored = sessions
+    .filter(
+      session =>
+        session.status === 'completed' &&
+        Number.isFinite(session.focus_quality ?? session.focusQuality)
+    )
+    .sort(
+      (a, b) =>
+        new Date(b.completed_at || b.completedAt) -
+        new Date(a.completed_at || a.completedAt)
+    )
+    .map(session => session.focus_quality ?? session.focusQuality);
+
+  const average = scores =>
+    scores.length
+      ? Math.round(
+          scores.reduce((sum, score) => sum + score, 0) / scores.length
+        )
+      : null;
+
+  const recent = average(scored.slice(0, windowSize));
+  const previous = average(scored.slice(windowSize, windowSize * 2));
+
+  return {
+    recent,
+    change: recent !== null && previous !== null ? recent - previous : null,
+    sessions: Math.min(scored.length, windowSize),
+  };
+};
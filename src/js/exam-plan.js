@@ -0,0 +1,150 @@
+// exam-plan.js - Exam countdowns for Beranda, exam cards with topic progress, and the topic rows of the exam form
+import escapeHtml from '../utils/escape.js';
+
+export const MAX_TOPIC_WEIGHT = 10;
+
+const formatDate = dateKey =>
+  new Date(`${dateKey}T00:00`).toLocaleDateString('id-ID', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'long',
+  });
+
+const formatMinutes = minutes =>
+  minutes >= 60
+    ? `${Math.floor(minutes / 60)}j ${minutes % 60}m`
+    : `${minutes}m`;
+
+// Counted the Indonesian way: H-3 is three days before the exam
+export const formatCountdown = daysLeft => {
+  if (daysLeft > 0) return `H-${daysLeft}`;
+  return daysLeft === 0 ? 'Hari ini' : 'Selesai';
+};
+
+const renderSubjectChip = exam =>
+  exam.subject
+    ? `<span class="subject-chip" style="--subject-color: ${
+        exam.subject_color
+      }">${escapeHtml(exam.subject)}</span>`
+    : '';
+
+const renderNextSession = exam =>
+  exam.next_session_at
+    ? `Sesi berikutnya ${new Date(exam.next_session_at).toLocaleString(
+        'id-ID',
+        {
+          weekday: 'short',
+          hour: '2-digit',
+          minute: '2-digit',
+        }
+      )}`
+    : 'Belum ada sesi terjadwal';
+
+export function renderExamCountdown(exam) {
+  const urgent = exam.days_left <= 3 ? 'urgent' : '';
+
+  return `
+    <a href="#/ujian" class="exam-countdown ${urgent}">
+      <span class="exam-countdown-days">${formatCountdown(
+        exam.days_left
+      )}</span>
+      <strong>${escapeHtml(exam.title)}</strong>
+      <small>${formatDate(exam.exam_date)}</small>
+      <div class="exam-progress" title="${exam.percent}% dipelajari">
+        <div style="width: ${exam.percent}%;"></div>
+      </div>
+      <small>${renderNextSession(exam)}</small>
+    </a>
+  `;
+}
+
+// Studied minutes fill the bar, minutes still planned are shaded after them
+const renderTopic = topic => {
+  const target = topic.target_minutes || 1;
+  const studied = Math.min(100, (topic.completed_minutes / target) * 100);
+  const planned = Math.min(
+    100 - studied,
+    (topic.planned_minutes / target) * 100
+  );
+  const minutes = `${formatMinutes(topic.completed_minutes)} / ${formatMinutes(
+    topic.target_minutes
+  )}`;
+
+  return `
+    <li class="exam-topic">
+      <span class="exam-topic-title">${escapeHtml(topic.title)}</span>
+      <div class="exam-progress">
+        <div style="width: ${studied}%;"></div>
+        <div class="planned" style="width: ${planned}%;"></div>
+      </div>
+      <small>${minutes}</small>
+    </li>
+  `;
+};
+
+export function renderExamCard(exam) {
+  const past = exam.days_left < 0 ? 'past' : '';
+  const warning =
+    exam.unscheduled_minutes > 0
+      ? `<p class="exam-warning"><i class="fas fa-exclamation-triangle"></i> ${formatMinutes(
+          exam.unscheduled_minutes
+        )} belum muat di jadwal. Tambah anggaran harian atau kurangi target.</p>`
+      : '';
+
+  const totals = `${formatMinutes(exam.completed_minutes)} dari ${formatMinutes(
+    exam.study_minutes
+  )} dipelajari · ${formatMinutes(exam.planned_minutes)} terjadwal`;
+
+  return `
+    <div class="exam-card premium-card ${past}" data-exam-id="${exam.id}">
+      <div class="exam-card-header">
+        <div>
+          <h3>${escapeHtml(exam.title)}</h3>
+          <div class="exam-meta">
+            ${renderSubjectChip(exam)}
+            <span><i class="fas fa-calendar-day"></i> ${formatDate(
+              exam.exam_date
+            )}</span>
+            <span>${renderNextSession(exam)}</span>
+          </div>
+        </div>
+        <span class="exam-countdown-days">${formatCountdown(
+          exam.days_left
+        )}</span>
+      </div>
+      <ul class="exam-topics">${exam.topics.map(renderTopic).join('')}</ul>
+      ${warning}
+      <div class="exam-card-actions">
+        <small>${totals}</small>
+        <button class="action-btn edit-btn premium-action-btn" data-action="edit">
+          <i class="fas fa-edit"></i>
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+// One editable topic row; the id stays on the row so an edit keeps the sessions already linked to the topic
+export function renderTopicField(topic = {}) {
+  return `
+    <div class="exam-topic-field" data-topic-id="${topic.id || ''}">
+      <input type="text" class="premium-input topic-title" value="${escapeHtml(
+        topic.title || ''
+      )}" placeholder="Contoh: Bab 1 - Limit" required>
+      <input type="number" class="premium-input topic-weight" value="${
+        topic.weight || 1
+      }" min="1" max="${MAX_TOPIC_WEIGHT}" title="Bobot" required>
+      <button type="button" class="action-btn delete-btn premium-action-btn" data-action="remove-topic">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `;
+}
+
+// The topics of the exam form, in the order they were listed
+export const readTopicFields = container =>
+  [...container.querySelectorAll('.exam-topic-field')].map(field => ({
+    id: field.dataset.topicId ? Number(field.dataset.topicId) : undefined,
+    title: field.querySelector('.topic-title').value.trim(),
+    weight: parseInt(field.querySelector('.topic-weight').value),
+  }));
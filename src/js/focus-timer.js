@@ -0,0 +1,357 @@
+// focus-timer.js - The focus timer service shared by the app shell and the focus page
+import { Api } from '../data/api.js';
+import { DistractionTracker } from './distraction-tracker.js';
+import { NotificationManager } from './notification.js';
+import {
+  PHASES,
+  PHASE_LABELS,
+  PomodoroCycle,
+  PomodoroSettings,
+  SNOOZE_MINUTES,
+  getCompletionNotification,
+} from './pomodoro.js';
+import { TimerClock } from './timer-clock.js';
+
+const events = new EventTarget();
+let initPromise = null;
+
+const minutesOf = durationMs => Math.round(durationMs / 60000);
+
+const withInterruption = (meta, interruption) =>
+  interruption
+    ? { ...meta, interruptions: [...(meta.interruptions || []), interruption] }
+    : meta;
+
+export const FocusTimer = {
+  cycle: new PomodoroCycle(),
+
+  clock: new TimerClock({
+    onTick: remainingMs => FocusTimer.emit('tick', { remainingMs }),
+    onComplete: finished => FocusTimer.handleComplete(finished),
+  }),
+
+  // Shows a completion notification again after a snooze, kept apart from the phase countdown
+  snoozeClock: new TimerClock({
+    key: 'snoozedNotification',
+    tag: 'focus-timer-snooze',
+    onComplete: finished => {
+      if (!finished.notified) {
+        const { title, options } = finished.notification;
+        NotificationManager.show(title, {
+          ...options,
+          tag: 'focus-timer-snooze',
+          requireInteraction: true,
+          data: { url: '#/focus-mode' },
+        });
+      }
+    },
+  }),
+
+  tracker: new DistractionTracker(interruption =>
+    FocusTimer.addInterruption(interruption)
+  ),
+
+  // Events: start, tick, pause, reset, complete, interruption, and change (phase or settings)
+  on(type, handler) {
+    const listener = event => handler(event.detail);
+    events.addEventListener(type, listener);
+    return () => events.removeEventListener(type, listener);
+  },
+
+  emit(type, detail = {}) {
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+  },
+
+  // First call restores a countdown left by a reload; later calls refresh settings
+  init() {
+    initPromise = initPromise
+      ? initPromise.then(() => this.refreshSettings())
+      : this.restore();
+    return initPromise;
+  },
+
+  async restore() {
+    this.cycle = await PomodoroSettings.load();
+
+    const restored = await this.clock.restore();
+    if (restored) {
+      this.cycle.select(restored.meta.phase);
+      this.updateTracking();
+    }
+    await this.snoozeClock.restore();
+    this.emit('change', { phase: this.phase });
+  },
+
+  async refreshSettings() {
+    const phase = this.cycle.phase;
+    this.cycle = await PomodoroSettings.load();
+    this.cycle.select(phase);
+    this.emit('change', { phase });
+  },
+
+  get phase() {
+    return this.cycle.phase;
+  },
+
+  get isRunning() {
+    return this.clock.isRunning;
+  },
+
+  get isActive() {
+    return this.clock.isActive;
+  },
+
+  get remainingMs() {
+    return this.clock.remainingMs ?? this.cycle.getMinutes() * 60 * 1000;
+  },
+
+  get interruptionCount() {
+    return this.clock.meta.interruptions?.length || 0;
+  },
+
+  // The subject and task of the phase in progress, so the focus page can show them after a reload
+  get subjectId() {
+    return this.clock.meta.subjectId ?? null;
+  },
+
+  get taskId() {
+    return this.clock.meta.taskId ?? null;
+  },
+
+  // Distractions only count while a focus phase is actually running
+  updateTracking() {
+    if (this.clock.isRunning && this.phase === PHASES.FOCUS) {
+      this.tracker.start();
+    }
+  },
+
+  // Starts the current phase, or resumes it when paused
+  async start({ taskDescription = '', subjectId = null, taskId = null } = {}) {
+    if (this.clock.isRunning) return;
+
+    if (this.clock.isActive) {
+      await this.clock.resume();
+      this.updateTracking();
+      this.emit('start', { phase: this.phase, resumed: true });
+      return;
+    }
+
+    const phase = this.cycle.phase;
+    const minutes = this.cycle.getMinutes();
+    await this.clock.start(minutes * 60 * 1000, {
+      meta: { phase, taskDescription, subjectId, taskId },
+      notification: getCompletionNotification(phase),
+    });
+    this.updateTracking();
+    this.emit('start', { phase, resumed: false });
+
+    const records = await this.createRecords(phase, minutes, {
+      taskDescription,
+      subjectId,
+      taskId,
+    });
+    await this.clock.updateMeta(records);
+  },
+
+  async pause() {
+    if (!this.clock.isRunning) return;
+
+    const interruption = this.tracker.stop();
+    if (interruption) await this.addInterruption(interruption);
+
+    await this.clock.pause();
+    this.emit('pause', { phase: this.phase });
+  },
+
+  async reset() {
+    const interruption = this.tracker.stop();
+    const abandoned = this.clock.isActive
+      ? withInterruption(this.clock.meta, interruption)
+      : null;
+
+    await this.clock.reset();
+    this.emit('reset', { phase: this.phase });
+
+    if (abandoned) {
+      await this.cancelRecords(abandoned);
+    }
+  },
+
+  async selectPhase(phase) {
+    this.cycle.select(phase);
+    await this.reset();
+    this.emit('change', { phase });
+  },
+
+  async updateSettings(changes) {
+    await PomodoroSettings.save(this.cycle, changes);
+    this.emit('change', { phase: this.phase });
+  },
+
+  async addInterruption(interruption) {
+    if (!this.clock.isActive) return;
+
+    const interruptions = [
+      ...(this.clock.meta.interruptions || []),
+      interruption,
+    ];
+    await this.clock.updateMeta({ interruptions });
+    this.emit('interruption', { interruption, count: interruptions.length });
+  },
+
+  // Commands from notification buttons: "restart" starts a focus round, "break" the break due next,
+  // "snooze" shows the completion notification again after SNOOZE_MINUTES
+  async runCommand(command, details = {}) {
+    if (!['restart', 'break', 'snooze'].includes(command)) return false;
+    await (initPromise || this.init());
+
+    if (command === 'snooze') {
+      await this.snooze();
+      return true;
+    }
+
+    let phase = PHASES.FOCUS;
+    if (command === 'break') {
+      phase = this.phase === PHASES.FOCUS ? PHASES.SHORT_BREAK : this.phase;
+    }
+
+    // A click on an old notification leaves the phase it asks for running
+    if (this.isRunning && this.phase === phase) return true;
+
+    if (this.isActive || this.phase !== phase) {
+      await this.selectPhase(phase);
+    }
+    await this.start(details);
+    return true;
+  },
+
+  // The cycle has already advanced past the phase that ended, so a focus phase means a break ended
+  async snooze() {
+    const ended =
+      this.phase === PHASES.FOCUS ? PHASES.SHORT_BREAK : PHASES.FOCUS;
+    await this.snoozeClock.start(SNOOZE_MINUTES * 60 * 1000, {
+      notification: getCompletionNotification(ended),
+    });
+  },
+
+  // Manual "I got distracted" entry; returns false when no focus phase is running
+  async logDistraction(reason) {
+    if (!this.clock.isRunning || this.phase !== PHASES.FOCUS) return false;
+
+    await this.addInterruption({
+      source: 'manual',
+      reason,
+      duration_seconds: 0,
+      occurred_at: new Date().toISOString(),
+    });
+    return true;
+  },
+
+  async handleComplete(finished) {
+    const meta = withInterruption(finished.meta, this.tracker.stop());
+    const { phase, taskDescription, subjectId, taskId } = meta;
+    const minutes = minutesOf(finished.durationMs);
+
+    // Only set when a notification trigger was scheduled for the end of the phase
+    if (!finished.notified) {
+      if (phase === PHASES.FOCUS) {
+        NotificationManager.showTimerComplete();
+      } else {
+        NotificationManager.showBreakComplete();
+      }
+    }
+
+    await this.completeRecords(meta, minutes);
+
+    // Move the cycle forward and persist the counter
+    this.cycle.select(phase);
+    const nextPhase = this.cycle.advance();
+    await PomodoroSettings.save(this.cycle);
+
+    const autoStart = this.cycle.shouldAutoStart(nextPhase);
+    this.emit('complete', { phase, minutes, nextPhase, autoStart });
+    this.emit('change', { phase: nextPhase });
+
+    if (autoStart) {
+      await this.start({ taskDescription, subjectId, taskId });
+    }
+  },
+
+  // Every phase gets a focus_timers row; focus rounds also get a study session
+  async createRecords(phase, minutes, { taskDescription, subjectId, taskId }) {
+    if (!Api.auth.isLoggedIn()) return {};
+
+    const records = {};
+    try {
+      const timer = await Api.timers.create({
+        timer_type: phase,
+        duration: minutes,
+        task_description: taskDescription || PHASE_LABELS[phase],
+        subject_id: subjectId,
+        task_id: taskId,
+      });
+      records.timerId = timer.id;
+
+      if (phase === PHASES.FOCUS) {
+        const session = {
+          title: `Sesi Fokus ${minutes} menit`,
+          description: taskDescription || 'Sesi fokus belajar',
+          subject_id: subjectId,
+          duration: minutes,
+          status: 'inprogress',
+        };
+        const result = await Api.sessions.create(session);
+        await Api.sessions.start(result.id);
+        records.session = { ...session, id: result.id };
+      }
+    } catch (error) {
+      console.warn('Failed to record focus timer start:', error.message);
+    }
+
+    return records;
+  },
+
+  async completeRecords(meta, minutes) {
+    if (!Api.auth.isLoggedIn()) return;
+
+    try {
+      // Rows that could not be created when the phase started are created now
+      const records = meta.timerId
+        ? meta
+        : await this.createRecords(meta.phase, minutes, meta);
+
+      if (records.timerId) {
+        await Api.timers.complete(records.timerId);
+      }
+
+      // Completing the session is the only path that adds to study_stats
+      if (records.session) {
+        await this.sendInterruptions(records.session.id, meta.interruptions);
+        await Api.sessions.complete(records.session.id, minutes);
+      }
+    } catch (error) {
+      console.warn('Failed to record focus timer completion:', error.message);
+    }
+  },
+
+  async cancelRecords({ session, interruptions }) {
+    if (!session || !Api.auth.isLoggedIn()) return;
+
+    try {
+      await this.sendInterruptions(session.id, interruptions);
+      await Api.sessions.update(session.id, {
+        ...session,
+        status: 'cancelled',
+      });
+    } catch (error) {
+      console.warn('Failed to cancel focus session:', error.message);
+    }
+  },
+
+  // Interruptions are kept with the countdown and sent once the session ends
+  async sendInterruptions(sessionId, interruptions = []) {
+    for (const interruption of interruptions) {
+      await Api.sessions.addInterruption(sessionId, interruption);
+    }
+  },
+};
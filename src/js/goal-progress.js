@@ -0,0 +1,46 @@
+// goal-progress.js - Labels and progress rings for study goals
+import escapeHtml from '../utils/escape.js';
+
+export const GOAL_METRIC_LABELS = {
+  minutes: 'Menit belajar',
+  sessions: 'Sesi selesai',
+  books: 'Buku selesai',
+  notes: 'Catatan baru',
+};
+
+export const GOAL_PERIOD_LABELS = {
+  daily: 'Hari ini',
+  weekly: 'Minggu ini',
+  monthly: 'Bulan ini',
+  custom: 'Rentang khusus',
+};
+
+const RING_RADIUS = 34;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+const formatPeriod = goal =>
+  goal.period === 'custom'
+    ? `${goal.period_start} – ${goal.period_end}`
+    : GOAL_PERIOD_LABELS[goal.period];
+
+// One ring per goal; the goal id is kept on the element so callers can open it for editing
+export function renderGoalRing(goal) {
+  const offset = RING_CIRCUMFERENCE * (1 - goal.percent / 100);
+  const unit = GOAL_METRIC_LABELS[goal.metric].toLowerCase();
+  const scope = goal.subject ? ` · ${escapeHtml(goal.subject)}` : '';
+  const state = goal.completed ? 'completed' : '';
+
+  return `
+    <div class="goal-ring ${state}" data-goal-id="${goal.id}">
+      <svg viewBox="0 0 80 80" aria-hidden="true">
+        <circle class="goal-ring-track" cx="40" cy="40" r="${RING_RADIUS}"></circle>
+        <circle class="goal-ring-value" cx="40" cy="40" r="${RING_RADIUS}"
+          stroke-dasharray="${RING_CIRCUMFERENCE}" stroke-dashoffset="${offset}"></circle>
+        <text x="40" y="45" text-anchor="middle">${goal.percent}%</text>
+      </svg>
+      <h4>${escapeHtml(goal.title)}</h4>
+      <p>${goal.progress} / ${goal.target} ${unit}</p>
+      <small>${formatPeriod(goal)}${scope}</small>
+    </div>
+  `;
+}
@@ -0,0 +1,47 @@
+// markdown.js - Note Markdown (GFM tables and checklists, LaTeX math) rendered to sanitized HTML
+import DOMPurify from 'dompurify';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+import { Marked } from 'marked';
+
+// Bad TeX is shown in red in place of the formula rather than breaking the whole note
+const renderMath = (tex, displayMode) =>
+  katex.renderToString(tex, { displayMode, throwOnError: false });
+
+// $$ ... $$ on lines of its own is a display formula
+const mathBlock = {
+  name: 'mathBlock',
+  level: 'block',
+  start: src => src.match(/^\$\$/m)?.index,
+  tokenizer(src) {
+    const match = /^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n|$)/.exec(src);
+    if (match) {
+      return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+    }
+  },
+  renderer: token => renderMath(token.text, true),
+};
+
+// $...$ inside a line; the delimiters must hug the formula so prices like $5 and $10 stay text
+const mathInline = {
+  name: 'mathInline',
+  level: 'inline',
+  start: src => src.indexOf('$'),
+  tokenizer(src) {
+    const match = /^\$([^\s$](?:[^$\n]*[^\s$])?)\$(?!\d)/.exec(src);
+    if (match) {
+      return { type: 'mathInline', raw: match[0], text: match[1] };
+    }
+  },
+  renderer: token => renderMath(token.text, false),
+};
+
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: [mathBlock, mathInline],
+});
+
+// Everything goes through DOMPurify, so HTML typed into a note can never run script
+export const renderMarkdown = source =>
+  DOMPurify.sanitize(marked.parse(source || ''));
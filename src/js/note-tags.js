@@ -0,0 +1,120 @@
+// note-tags.js - Tag chips on note cards, the tag cloud of the notes page, and the tag field of the note form
+import escapeHtml from '../utils/escape.js';
+
+// The cloud scales tags between the least and the most used one over this many sizes
+const CLOUD_LEVELS = 5;
+
+// Same rules as the server: surrounding spaces and a leading # are dropped
+const normalizeTag = name => name.trim().replace(/^#+/, '').trim();
+
+export const renderTagChips = (tags = []) =>
+  tags.length
+    ? `<div class="note-tags">${tags
+        .map(tag => `<span class="tag-chip">#${escapeHtml(tag.name)}</span>`)
+        .join('')}</div>`
+    : '';
+
+export function renderTagCloud(tags, activeIds = []) {
+  if (tags.length === 0) {
+    return '<p class="tag-cloud-empty">Belum ada tag. Tambahkan tag saat menulis catatan.</p>';
+  }
+
+  const counts = tags.map(tag => tag.note_count);
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+
+  return tags
+    .map(tag => {
+      const level =
+        max === min
+          ? 1
+          : 1 +
+            Math.round(
+              ((tag.note_count - min) / (max - min)) * (CLOUD_LEVELS - 1)
+            );
+      const active = activeIds.includes(tag.id) ? 'active' : '';
+
+      return `
+        <button type="button" class="tag-cloud-item tag-level-${level} ${active}" data-tag-id="${
+        tag.id
+      }" title="${tag.note_count} catatan">#${escapeHtml(tag.name)}</button>
+      `;
+    })
+    .join('');
+}
+
+const renderFieldChip = (name, index) => `
+  <span class="tag-chip">
+    #${escapeHtml(name)}
+    <button type="button" data-remove="${index}" title="Hapus tag">&times;</button>
+  </span>
+`;
+
+// Chips for the tags of the note and an input suggesting the other tags of the user
+export function renderTagField(names = [], allTags = []) {
+  return `
+    <div class="tag-field">
+      <div class="tag-field-chips">${names.map(renderFieldChip).join('')}</div>
+      <input type="text" class="tag-field-input" list="noteTagSuggestions" maxlength="50" placeholder="Ketik tag lalu Enter">
+      <datalist id="noteTagSuggestions">
+        ${allTags
+          .map(tag => `<option value="${escapeHtml(tag.name)}">`)
+          .join('')}
+      </datalist>
+    </div>
+  `;
+}
+
+// Enter or a comma adds what was typed, Backspace in the empty input removes the last tag.
+// Returns a function giving the chosen names, including anything still typed in the input.
+export function bindTagField(field, initialNames = []) {
+  const input = field.querySelector('.tag-field-input');
+  const chips = field.querySelector('.tag-field-chips');
+  const names = [...initialNames];
+
+  const redraw = () => {
+    chips.innerHTML = names.map(renderFieldChip).join('');
+  };
+
+  const addTyped = () => {
+    input.value
+      .split(',')
+      .map(normalizeTag)
+      .filter(Boolean)
+      .forEach(name => {
+        const lower = name.toLowerCase();
+        if (!names.some(existing => existing.toLowerCase() === lower)) {
+          names.push(name);
+        }
+      });
+    input.value = '';
+    redraw();
+  };
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTyped();
+    } else if (e.key === 'Backspace' && !input.value && names.length) {
+      names.pop();
+      redraw();
+    }
+  });
+
+  // Picking a suggestion replaces the text without any key being pressed
+  input.addEventListener('input', e => {
+    if (!e.inputType || e.inputType === 'insertReplacementText') addTyped();
+  });
+
+  chips.addEventListener('click', e => {
+    const button = e.target.closest('[data-remove]');
+    if (!button) return;
+    names.splice(Number(button.dataset.remove), 1);
+    redraw();
+  });
+
+  return () => {
+    addTyped();
+    return [...names];
+  };
+}
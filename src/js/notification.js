@@ -1,4 +1,7 @@
 // notification.js - Enhanced Notification Manager with Web Push Support
+import { Api } from "../data/api.js"
+import { TIMER_ACTIONS } from "./pomodoro.js"
+
 export class NotificationManager {
   static VAPID_PUBLIC_KEY = null // Will be fetched from server
 
@@ -6,15 +9,9 @@ export class NotificationManager {
     if (this.VAPID_PUBLIC_KEY) return // Already initialized
 
     try {
-      const response = await fetch("/api/vapid-public-key")
-      if (response.ok) {
-        const data = await response.json()
-        this.VAPID_PUBLIC_KEY = data.publicKey
-        console.log("[Notification] VAPID key initialized")
-      } else {
-        console.warn("[Notification] Failed to fetch VAPID key from server")
-        console.log("[Notification] Push notifications will be disabled")
-      }
+      const data = await Api.push.getPublicKey()
+      this.VAPID_PUBLIC_KEY = data.publicKey
+      console.log("[Notification] VAPID key initialized")
     } catch (error) {
       console.warn("[Notification] Could not fetch VAPID key:", error)
       console.log("[Notification] Push notifications will be disabled")
@@ -61,19 +58,15 @@ export class NotificationManager {
 
       const registration = await navigator.serviceWorker.ready
 
-      // Check if already subscribed
+      // An existing subscription is sent again, since the server may not know it for this account
       let subscription = await registration.pushManager.getSubscription()
-      if (subscription) {
-        console.log("Already subscribed to push notifications")
-        return subscription
+      if (!subscription) {
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: this.urlBase64ToUint8Array(this.VAPID_PUBLIC_KEY),
+        })
       }
 
-      // Subscribe to push notifications
-      subscription = await registration.pushManager.subscribe({
-        userVisibleOnly: true,
-        applicationServerKey: this.urlBase64ToUint8Array(this.VAPID_PUBLIC_KEY),
-      })
-
       // Send subscription to server
       await this.sendSubscriptionToServer(subscription)
 
@@ -94,6 +87,11 @@ export class NotificationManager {
       const subscription = await registration.pushManager.getSubscription()
 
       if (subscription) {
+        if (Api.auth.isLoggedIn()) {
+          await Api.push.unsubscribe(subscription.endpoint).catch((error) => {
+            console.warn("Failed to remove subscription from server:", error.message)
+          })
+        }
         await subscription.unsubscribe()
         console.log("Unsubscribed from push notifications")
         return true
@@ -106,24 +104,11 @@ export class NotificationManager {
   }
 
   static async sendSubscriptionToServer(subscription) {
-    // Simulate API call
-    try {
-      const response = await fetch("/api/push-subscriptions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          subscription: subscription,
-          userId: localStorage.getItem("currentUser")
-            ? JSON.parse(localStorage.getItem("currentUser")).id
-            : "anonymous",
-        }),
-      })
+    if (!Api.auth.isLoggedIn()) return
 
-      if (response.ok) {
-        console.log("Subscription saved on server")
-      }
+    try {
+      await Api.push.subscribe(subscription.toJSON())
+      console.log("Subscription saved on server")
     } catch (error) {
       console.error("Failed to save subscription on server:", error)
     }
@@ -146,12 +131,19 @@ export class NotificationManager {
       return null
     }
 
-    const notification = new Notification(title, {
+    const notificationOptions = {
       icon: "/icons/icon-192x192.png",
       badge: "/icons/icon-72x72.png",
       vibrate: [200, 100, 200],
       ...options,
-    })
+    }
+
+    // Action buttons only exist on notifications shown by the service worker, which handles their clicks
+    if (options.actions) {
+      return this.showFromServiceWorker(title, notificationOptions)
+    }
+
+    const notification = new Notification(title, notificationOptions)
 
     notification.onclick = () => {
       window.focus()
@@ -170,6 +162,18 @@ export class NotificationManager {
     return notification
   }
 
+  static async showFromServiceWorker(title, options) {
+    const registration = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null
+
+    if (!registration) {
+      const { actions, ...pageOptions } = options
+      return this.show(title, pageOptions)
+    }
+
+    await registration.showNotification(title, options)
+    return null
+  }
+
   // Specialized notification methods
   static showTimerComplete() {
     return this.show("🎯 Focus Mode - Timer Selesai", {
@@ -177,10 +181,7 @@ export class NotificationManager {
       tag: "timer-complete",
       requireInteraction: true,
       data: { url: "#/focus-mode" },
-      actions: [
-        { action: "restart", title: "Mulai Lagi" },
-        { action: "break", title: "Istirahat" },
-      ],
+      actions: [TIMER_ACTIONS.RESTART, TIMER_ACTIONS.BREAK, TIMER_ACTIONS.SNOOZE],
     })
   }
 
@@ -190,6 +191,7 @@ export class NotificationManager {
       tag: "break-complete",
       requireInteraction: true,
       data: { url: "#/focus-mode" },
+      actions: [TIMER_ACTIONS.RESTART, TIMER_ACTIONS.SNOOZE],
     })
   }
 
@@ -257,26 +259,7 @@ export class NotificationManager {
     })
   }
 
-  // Schedule notifications
-  static scheduleDailyReminder(hour = 8, minute = 0) {
-    const now = new Date()
-    const scheduledTime = new Date()
-    scheduledTime.setHours(hour, minute, 0, 0)
-
-    if (scheduledTime <= now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1)
-    }
-
-    const delay = scheduledTime.getTime() - now.getTime()
-
-    return setTimeout(() => {
-      this.showDailyReminder()
-      // Reschedule for next day
-      this.scheduleDailyReminder(hour, minute)
-    }, delay)
-  }
-
-  // Test notification
+  // Test notification; with push enabled the server also sends one, resolving with its result
   static async testNotification() {
     const permission = await this.requestPermission()
     if (permission) {
@@ -286,7 +269,12 @@ export class NotificationManager {
         requireInteraction: true,
         data: { url: "#/" },
       })
+
+      if (this.getSettings().isPushEnabled && Api.auth.isLoggedIn()) {
+        return Api.push.test()
+      }
     }
+    return null
   }
 
   // Notification settings
@@ -297,10 +285,44 @@ export class NotificationManager {
       dailyReminders: localStorage.getItem("dailyReminders") === "true",
       sessionReminders: localStorage.getItem("sessionReminders") === "true",
       achievementAlerts: localStorage.getItem("achievementAlerts") === "true",
+      dailyReminderTime: localStorage.getItem("dailyReminderTime") || "08:00",
+    }
+  }
+
+  // Reminders are sent by the server, so the stored user_settings row is the source of truth
+  static async loadSettings() {
+    if (!Api.auth.isLoggedIn()) return this.getSettings()
+
+    try {
+      const settings = await Api.user.getSettings()
+      localStorage.setItem("pushEnabled", String(settings.push_enabled))
+      localStorage.setItem("dailyReminders", String(settings.daily_reminders))
+      localStorage.setItem("sessionReminders", String(settings.session_reminders))
+      localStorage.setItem("achievementAlerts", String(settings.achievement_alerts))
+      if (settings.daily_reminder_time) {
+        localStorage.setItem("dailyReminderTime", settings.daily_reminder_time.slice(0, 5))
+      }
+    } catch (error) {
+      console.warn("[Notification] Could not load settings from server:", error.message)
     }
+    return this.getSettings()
   }
 
-  static updateSettings(settings) {
+  static async saveSettingsToServer() {
+    if (!Api.auth.isLoggedIn()) return
+
+    const settings = this.getSettings()
+    await Api.user.updateSettings({
+      push_enabled: settings.isPushEnabled,
+      daily_reminders: settings.dailyReminders,
+      session_reminders: settings.sessionReminders,
+      achievement_alerts: settings.achievementAlerts,
+      daily_reminder_time: settings.dailyReminderTime,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    })
+  }
+
+  static async updateSettings(settings) {
     if (settings.dailyReminders !== undefined) {
       localStorage.setItem("dailyReminders", settings.dailyReminders.toString())
     }
@@ -310,13 +332,18 @@ export class NotificationManager {
     if (settings.achievementAlerts !== undefined) {
       localStorage.setItem("achievementAlerts", settings.achievementAlerts.toString())
     }
+    if (settings.dailyReminderTime !== undefined) {
+      localStorage.setItem("dailyReminderTime", settings.dailyReminderTime)
+    }
     if (settings.pushEnabled !== undefined) {
       localStorage.setItem("pushEnabled", settings.pushEnabled.toString())
       if (settings.pushEnabled) {
-        this.subscribeToPush()
+        await this.subscribeToPush()
       } else {
-        this.unsubscribeFromPush()
+        await this.unsubscribeFromPush()
       }
     }
+
+    await this.saveSettingsToServer()
   }
 }
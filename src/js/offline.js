@@ -1,12 +1,60 @@
-import { DB, initDB } from './db.js';
+import { Api } from '../data/api.js';
+import { DB, Outbox, SYNCED_STORES, initDB, isTempId } from './db.js';
+
+// Maps each synced IndexedDB store to its REST resource
+const SYNC_RESOURCES = {
+  sessions: {
+    endpoint: '/sessions',
+    toPayload: session => ({
+      title: session.title,
+      description: session.description || session.notes || '',
+      subject_id: session.subject_id ?? session.subjectId,
+      duration: session.duration,
+      status: session.status,
+    }),
+  },
+  notes: {
+    endpoint: '/notes',
+    toPayload: note => ({
+      title: note.title,
+      content: note.content || note.body,
+      category: note.category || 'study',
+      subject_id: note.subject_id ?? note.subjectId,
+      version: note.version,
+    }),
+  },
+  books: {
+    endpoint: '/books',
+    toPayload: book => ({
+      title: book.title,
+      author: book.author,
+      description: book.description || '',
+      category: book.category || 'academic',
+      subject_id: book.subject_id ?? book.subjectId,
+      is_complete: Boolean(book.is_complete ?? book.isComplete),
+    }),
+  },
+};
+
+// Client errors that will never succeed on retry
+const isPermanentFailure = error =>
+  error.status >= 400 && error.status < 500 && error.status !== 408;
+
+const CONFLICT_PREFIX = 'conflict:';
 
 export class OfflineManager {
+  static isSyncing = false;
+
   static async initialize() {
     try {
       await initDB();
       this.setupOnlineHandler();
       this.setupServiceWorkerListener();
-      await this.checkConnectivity();
+      this.setupOutboxListener();
+      const isOnline = await this.checkConnectivity();
+      if (isOnline) {
+        this.syncData();
+      }
       console.log('Offline Manager initialized');
     } catch (error) {
       console.error('Failed to initialize Offline Manager:', error);
@@ -25,6 +73,21 @@ export class OfflineManager {
     }
   }
 
+  static setupOutboxListener() {
+    let syncTimeout = null;
+
+    document.addEventListener('outbox-changed', () => {
+      if (!navigator.onLine) {
+        this.queueSync();
+        return;
+      }
+
+      // Debounce bursts of local writes into a single replay
+      clearTimeout(syncTimeout);
+      syncTimeout = setTimeout(() => this.syncData(), 2000);
+    });
+  }
+
   static async checkConnectivity() {
     if (!navigator.onLine) {
       this.showOfflineStatus();
@@ -41,42 +104,175 @@ export class OfflineManager {
       return;
     }
 
-    try {
-      console.log('Starting data sync...');
+    if (!Api.auth.isLoggedIn()) {
+      console.log('Not logged in - keeping changes in the outbox');
+      return;
+    }
 
-      // Sync sessions
-      const sessions = await DB.getAll('sessions');
-      await this.syncToServer('sessions', sessions);
+    if (this.isSyncing) return;
+    this.isSyncing = true;
 
-      // Sync notes
-      const notes = await DB.getAll('notes');
-      await this.syncToServer('notes', notes);
+    try {
+      console.log('Starting data sync...');
 
-      // Sync books
-      const books = await DB.getAll('books');
-      await this.syncToServer('books', books);
+      let replayed = 0;
+      for (const storeName of SYNCED_STORES) {
+        replayed += await this.syncToServer(storeName);
+      }
+      await this.pullFromServer();
 
-      console.log('Data synced successfully');
+      console.log(`Data synced successfully (${replayed} changes sent)`);
 
-      // Show success notification
-      this.showSyncSuccess();
+      if (replayed > 0) {
+        this.showSyncSuccess();
+      }
     } catch (error) {
       console.error('Sync failed:', error);
       this.queueSync();
       this.showSyncError();
+    } finally {
+      this.isSyncing = false;
     }
   }
 
-  static async syncToServer(type, items) {
-    console.log(`Syncing ${items.length} ${type} to server`);
+  // Replay pending outbox operations for one store, oldest first
+  static async syncToServer(type) {
+    const resource = SYNC_RESOURCES[type];
+    const operations = await Outbox.getAll(type);
+    let replayed = 0;
+
+    console.log(`Syncing ${operations.length} ${type} changes to server`);
+
+    for (const operation of operations) {
+      try {
+        await this.replayOperation(resource, operation);
+        await Outbox.remove(operation.id);
+        replayed++;
+      } catch (error) {
+        if (!isPermanentFailure(error)) {
+          // Network or server error: keep this and later operations for the next sync
+          throw error;
+        }
 
-    // Simulate API call - replace with actual API endpoints
-    return new Promise(resolve => {
-      setTimeout(() => {
-        console.log(`Successfully synced ${items.length} ${type}`);
-        resolve();
-      }, 1000);
-    });
+        if (error.status === 409 && error.data?.current) {
+          // Stale offline edit: keep both copies until the user merges them
+          await this.saveConflict(type, operation.payload, error.data.current);
+          await Outbox.remove(operation.id);
+          continue;
+        }
+
+        console.warn(`Dropping rejected ${type} ${operation.action}:`, error);
+        await Outbox.remove(operation.id);
+      }
+    }
+
+    return replayed;
+  }
+
+  static async replayOperation(resource, operation) {
+    const { store, action, payload } = operation;
+    const recordId = await Outbox.resolveId(store, operation.recordId);
+
+    if (action === 'create') {
+      const result = await Api.post(
+        resource.endpoint,
+        resource.toPayload(payload)
+      );
+      await Outbox.remapId(store, recordId, result.id);
+      return;
+    }
+
+    if (isTempId(recordId)) {
+      // The create for this record was rejected, so there is nothing to change
+      return;
+    }
+
+    if (action === 'update') {
+      await Api.put(
+        `${resource.endpoint}/${recordId}`,
+        resource.toPayload(payload)
+      );
+      return;
+    }
+
+    if (action === 'delete') {
+      try {
+        await Api.delete(`${resource.endpoint}/${recordId}`);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+  }
+
+  static async saveConflict(type, local, current) {
+    await DB.set(
+      'settings',
+      { id: `${CONFLICT_PREFIX}${type}:${current.id}`, type, local, current },
+      { track: false }
+    );
+
+    document.dispatchEvent(
+      new CustomEvent('sync-conflict', { detail: { type, id: current.id } })
+    );
+  }
+
+  // Conflicts left by offline edits that the server rejected as stale
+  static async getConflicts(type) {
+    const settings = await DB.getAll('settings');
+    return settings.filter(
+      item =>
+        typeof item.id === 'string' &&
+        item.id.startsWith(`${CONFLICT_PREFIX}${type}:`)
+    );
+  }
+
+  static async clearConflict(conflict) {
+    await DB.delete('settings', conflict.id, { track: false });
+  }
+
+  // Pull only what changed on the server since the last stored cursor
+  static async pullFromServer() {
+    const cursorKey = `syncCursor:${Api.auth.getCurrentUser()?.id}`;
+    const storedCursor = await DB.get('settings', cursorKey);
+    const changes = await Api.sync.getChanges(storedCursor?.value || null);
+
+    for (const type of SYNCED_STORES) {
+      const pendingIds = new Set(
+        (await Outbox.getAll(type)).map(op => op.recordId)
+      );
+
+      if (changes.full) {
+        // A full snapshot replaces everything that is not waiting to be sent
+        const serverIds = new Set(changes[type].map(item => item.id));
+        const localItems = await DB.getAll(type);
+        for (const item of localItems) {
+          if (!serverIds.has(item.id) && !pendingIds.has(item.id)) {
+            await DB.delete(type, item.id, { track: false });
+          }
+        }
+      }
+
+      for (const item of changes[type]) {
+        if (!pendingIds.has(item.id)) {
+          await DB.set(type, item, { track: false });
+        }
+      }
+
+      const deletedIds = changes.deleted
+        .filter(tombstone => tombstone.entity === type)
+        .map(tombstone => tombstone.id);
+      for (const id of deletedIds) {
+        if (!pendingIds.has(id)) {
+          await DB.delete(type, id, { track: false });
+        }
+      }
+    }
+
+    await DB.set(
+      'settings',
+      { id: cursorKey, value: changes.cursor },
+      { track: false }
+    );
   }
 
   static queueSync() {
@@ -102,7 +298,7 @@ export class OfflineManager {
       this.showOfflineStatus();
     });
 
-    // Periodic sync every 5 minutes when online
+    // Periodic delta sync every 5 minutes when online
     setInterval(() => {
       if (navigator.onLine) {
         this.syncData();
@@ -0,0 +1,175 @@
+// pomodoro.js - Pomodoro cycle state machine and per-user timer settings
+import { Api } from '../data/api.js';
+import { DB } from './db.js';
+
+export const PHASES = {
+  FOCUS: 'pomodoro',
+  SHORT_BREAK: 'short-break',
+  LONG_BREAK: 'long-break',
+};
+
+export const PHASE_LABELS = {
+  [PHASES.FOCUS]: 'Fokus',
+  [PHASES.SHORT_BREAK]: 'Istirahat Pendek',
+  [PHASES.LONG_BREAK]: 'Istirahat Panjang',
+};
+
+export const DEFAULT_POMODORO_SETTINGS = {
+  focus_minutes: 25,
+  short_break_minutes: 5,
+  long_break_minutes: 15,
+  long_break_interval: 4,
+  auto_start_breaks: false,
+  auto_start_focus: false,
+};
+
+// Notification buttons; sw.js passes them to FocusTimer.runCommand
+export const TIMER_ACTIONS = {
+  RESTART: { action: 'restart', title: 'Mulai Lagi' },
+  BREAK: { action: 'break', title: 'Istirahat' },
+  SNOOZE: { action: 'snooze', title: 'Tunda 5 menit' },
+};
+
+export const SNOOZE_MINUTES = 5;
+
+// Shown by the service worker when a phase runs out
+export const getCompletionNotification = phase =>
+  phase === PHASES.FOCUS
+    ? {
+        title: '🎯 Focus Mode - Timer Selesai',
+        options: {
+          body: 'Waktu fokus Anda telah habis! Saatnya untuk istirahat sejenak.',
+          actions: [
+            TIMER_ACTIONS.RESTART,
+            TIMER_ACTIONS.BREAK,
+            TIMER_ACTIONS.SNOOZE,
+          ],
+        },
+      }
+    : {
+        title: '⏰ Focus Mode - Istirahat Selesai',
+        options: {
+          body: 'Waktu istirahat telah habis! Kembali fokus untuk sesi berikutnya.',
+          actions: [TIMER_ACTIONS.RESTART, TIMER_ACTIONS.SNOOZE],
+        },
+      };
+
+// Cached copy so the timer keeps the user's lengths while offline
+const SETTINGS_CACHE_KEY = 'pomodoroSettings';
+
+const pickPomodoroSettings = source => {
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_POMODORO_SETTINGS)) {
+    if (source[key] !== undefined && source[key] !== null) {
+      settings[key] = source[key];
+    }
+  }
+  return settings;
+};
+
+// focus -> short break -> focus ... -> long break after every N focus rounds
+export class PomodoroCycle {
+  constructor(settings = {}, completedRounds = 0) {
+    this.settings = { ...DEFAULT_POMODORO_SETTINGS, ...settings };
+    this.completedRounds = completedRounds;
+    this.phase = PHASES.FOCUS;
+  }
+
+  getMinutes(phase = this.phase) {
+    if (phase === PHASES.SHORT_BREAK) return this.settings.short_break_minutes;
+    if (phase === PHASES.LONG_BREAK) return this.settings.long_break_minutes;
+    return this.settings.focus_minutes;
+  }
+
+  // 1-based focus round within the current cycle
+  get round() {
+    return Math.min(
+      this.completedRounds + 1,
+      this.settings.long_break_interval
+    );
+  }
+
+  select(phase) {
+    this.phase = phase;
+  }
+
+  // Called when the current phase runs out; returns the phase that follows
+  advance() {
+    if (this.phase === PHASES.FOCUS) {
+      this.completedRounds++;
+      this.phase =
+        this.completedRounds >= this.settings.long_break_interval
+          ? PHASES.LONG_BREAK
+          : PHASES.SHORT_BREAK;
+    } else {
+      if (this.phase === PHASES.LONG_BREAK) {
+        this.completedRounds = 0;
+      }
+      this.phase = PHASES.FOCUS;
+    }
+
+    return this.phase;
+  }
+
+  shouldAutoStart(phase = this.phase) {
+    return phase === PHASES.FOCUS
+      ? this.settings.auto_start_focus
+      : this.settings.auto_start_breaks;
+  }
+
+  applySettings(settings) {
+    this.settings = { ...this.settings, ...pickPomodoroSettings(settings) };
+  }
+}
+
+export const PomodoroSettings = {
+  // Builds a cycle from the server settings, falling back to the cached copy
+  async load() {
+    const cached = await DB.get('settings', SETTINGS_CACHE_KEY);
+    let stored = cached?.value || {};
+
+    if (Api.auth.isLoggedIn()) {
+      try {
+        const remote = await Api.user.getSettings();
+        stored = {
+          ...pickPomodoroSettings(remote),
+          pomodoro_cycle: remote.pomodoro_cycle || 0,
+        };
+        await this.cache(stored);
+      } catch (error) {
+        console.warn('Using cached Pomodoro settings:', error.message);
+      }
+    }
+
+    return new PomodoroCycle(
+      pickPomodoroSettings(stored),
+      stored.pomodoro_cycle || 0
+    );
+  },
+
+  async save(cycle, changes = {}) {
+    cycle.applySettings(changes);
+    const values = {
+      ...cycle.settings,
+      pomodoro_cycle: cycle.completedRounds,
+    };
+
+    await this.cache(values);
+
+    if (Api.auth.isLoggedIn()) {
+      try {
+        await Api.user.updateSettings(values);
+      } catch (error) {
+        console.warn('Failed to save Pomodoro settings:', error.message);
+      }
+    }
+  },
+
+  async cache(values) {
+    await DB.set(
+      'settings',
+      { id: SETTINGS_CACHE_KEY, value: values },
+      { track: false }
+    );
+  },
+};
@@ -0,0 +1,56 @@
+// search-results.js - Rows of the header search box, each linking to the page that shows the result
+import escapeHtml from '../utils/escape.js';
+
+// page is the route listing the entity, card the data attribute its cards carry the id in
+export const SEARCH_ENTITIES = {
+  notes: {
+    label: 'Catatan',
+    icon: 'fa-sticky-note',
+    page: 'catatan',
+    card: 'note',
+  },
+  books: { label: 'Buku', icon: 'fa-book', page: 'rak-buku', card: 'book' },
+  sessions: {
+    label: 'Sesi Belajar',
+    icon: 'fa-clock',
+    page: 'sesi-belajar',
+    card: 'session',
+  },
+};
+
+// The page opens with ?focus=<id> and scrolls to the card of the result
+export const searchResultHref = result =>
+  `#/${SEARCH_ENTITIES[result.entity].page}?focus=${result.id}`;
+
+// Matched words come as separate parts from the server, so all text is escaped and only <mark> is added
+const renderParts = parts =>
+  parts
+    .map(({ text, match }) =>
+      match ? `<mark>${escapeHtml(text)}</mark>` : escapeHtml(text)
+    )
+    .join('');
+
+export function renderSearchResult(result, active = false) {
+  const { label, icon } = SEARCH_ENTITIES[result.entity];
+  const title = result.title_parts.length
+    ? renderParts(result.title_parts)
+    : escapeHtml(result.title);
+  const snippet = result.snippet.length
+    ? `<p>${renderParts(result.snippet)}</p>`
+    : '';
+
+  return `
+    <li role="option" aria-selected="${active}">
+      <a href="${searchResultHref(result)}" class="search-result ${
+    active ? 'active' : ''
+  }">
+        <i class="fas ${icon}" title="${label}"></i>
+        <div>
+          <strong>${title}</strong>
+          <small>${label}</small>
+          ${snippet}
+        </div>
+      </a>
+    </li>
+  `;
+}
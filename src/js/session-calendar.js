@@ -0,0 +1,381 @@
+// session-calendar.js - Week and month calendar of scheduled study sessions
+import { Api } from '../data/api.js';
+import escapeHtml from '../utils/escape.js';
+
+// ISO weekday order (1 = Monday), matching days_of_week on the server
+export const WEEKDAYS = [
+  { value: 1, label: 'Sen' },
+  { value: 2, label: 'Sel' },
+  { value: 3, label: 'Rab' },
+  { value: 4, label: 'Kam' },
+  { value: 5, label: 'Jum' },
+  { value: 6, label: 'Sab' },
+  { value: 7, label: 'Min' },
+];
+
+// Hours shown in the week view; sessions outside them sit in the first or last row
+const FIRST_HOUR = 6;
+const LAST_HOUR = 22;
+
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+export const startOfWeek = date => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+const pad = number => number.toString().padStart(2, '0');
+
+export const toDateKey = date =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const fromDateKey = key => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Value for <input type="datetime-local">, which works in local time
+export const toLocalInputValue = date =>
+  `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+export const formatTime = date =>
+  date.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+
+// Sessions and recurrence occurrences share one shape on the calendar
+export const toCalendarEntries = ({ sessions, occurrences }) => [
+  ...sessions
+    .filter(session => session.status !== 'cancelled')
+    .map(session => ({
+      key: `session-${session.id}`,
+      sessionId: session.id,
+      recurrenceId: session.recurrence_id,
+      title: session.title,
+      subject: session.subject,
+      duration: session.duration,
+      status: session.status,
+      start: new Date(session.scheduled_at),
+    })),
+  ...occurrences.map(occurrence => ({
+    key: `occurrence-${occurrence.recurrence_id}-${occurrence.occurrence_date}`,
+    sessionId: null,
+    recurrenceId: occurrence.recurrence_id,
+    occurrenceDate: occurrence.occurrence_date,
+    title: occurrence.title,
+    subject: occurrence.subject,
+    duration: occurrence.duration,
+    status: 'planned',
+    start: new Date(occurrence.scheduled_at),
+  })),
+];
+
+// Moving an occurrence turns it into its own session so the rule stays intact
+export const rescheduleEntry = async (entry, start) => {
+  if (entry.sessionId) {
+    return Api.sessions.reschedule(entry.sessionId, start.toISOString());
+  }
+
+  return Api.recurrences.createOccurrence(entry.recurrenceId, {
+    occurrence_date: entry.occurrenceDate,
+    scheduled_at: start.toISOString(),
+  });
+};
+
+// Saves the .ics export through a temporary download link
+export const downloadCalendarExport = async () => {
+  const blob = await Api.calendar.exportIcs();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'sesi-belajar.ics';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// webcal:// makes the browser hand the feed to the default calendar app
+export const toWebcalUrl = url => url.replace(/^https?:/, 'webcal:');
+
+export class SessionCalendar {
+  constructor(
+    container,
+    { onSelect = () => {}, onRescheduled = () => {}, onError = () => {} } = {}
+  ) {
+    this.container = container;
+    this.onSelect = onSelect;
+    this.onRescheduled = onRescheduled;
+    this.onError = onError;
+    this.view = 'week';
+    this.anchor = new Date();
+    this.entries = [];
+    this.draggedKey = null;
+
+    container.addEventListener('click', event => this.handleClick(event));
+    container.addEventListener('dragstart', event =>
+      this.handleDragStart(event)
+    );
+    container.addEventListener('dragover', event => {
+      if (this.draggedKey && event.target.closest('[data-drop-date]')) {
+        event.preventDefault();
+      }
+    });
+    container.addEventListener('drop', event => this.handleDrop(event));
+  }
+
+  // Week view shows Monday to Sunday; month view shows six full weeks
+  get range() {
+    if (this.view === 'month') {
+      const firstOfMonth = new Date(
+        this.anchor.getFullYear(),
+        this.anchor.getMonth(),
+        1
+      );
+      const from = startOfWeek(firstOfMonth);
+      return { from, to: addDays(from, 42) };
+    }
+
+    const from = startOfWeek(this.anchor);
+    return { from, to: addDays(from, 7) };
+  }
+
+  async load() {
+    const { from, to } = this.range;
+
+    try {
+      const schedule = await Api.schedule.get(from, to);
+      this.entries = toCalendarEntries(schedule).sort(
+        (a, b) => a.start - b.start
+      );
+    } catch (error) {
+      this.entries = [];
+      this.onError(error);
+    }
+
+    this.render();
+  }
+
+  setView(view) {
+    this.view = view;
+    return this.load();
+  }
+
+  move(step) {
+    if (step === 0) {
+      this.anchor = new Date();
+    } else if (this.view === 'month') {
+      this.anchor = new Date(
+        this.anchor.getFullYear(),
+        this.anchor.getMonth() + step,
+        1
+      );
+    } else {
+      this.anchor = addDays(this.anchor, step * 7);
+    }
+    return this.load();
+  }
+
+  entriesOn(day) {
+    return this.entries.filter(
+      entry => toDateKey(entry.start) === toDateKey(day)
+    );
+  }
+
+  render() {
+    const { from, to } = this.range;
+    const title =
+      this.view === 'month'
+        ? this.anchor.toLocaleDateString('id-ID', {
+            month: 'long',
+            year: 'numeric',
+          })
+        : `${from.toLocaleDateString('id-ID', {
+            day: 'numeric',
+            month: 'short',
+          })} - ${addDays(to, -1).toLocaleDateString('id-ID', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+          })}`;
+
+    this.container.innerHTML = `
+      <div class="calendar-toolbar">
+        <div class="calendar-nav">
+          <button type="button" class="calendar-btn" data-calendar-move="-1" aria-label="Sebelumnya">&lsaquo;</button>
+          <button type="button" class="calendar-btn" data-calendar-move="0">Hari Ini</button>
+          <button type="button" class="calendar-btn" data-calendar-move="1" aria-label="Berikutnya">&rsaquo;</button>
+        </div>
+        <h3 class="calendar-title">${title}</h3>
+        <div class="calendar-views">
+          <button type="button" class="calendar-btn ${
+            this.view === 'week' ? 'active' : ''
+          }" data-calendar-view="week">Minggu</button>
+          <button type="button" class="calendar-btn ${
+            this.view === 'month' ? 'active' : ''
+          }" data-calendar-view="month">Bulan</button>
+        </div>
+      </div>
+      ${this.view === 'month' ? this.renderMonth() : this.renderWeek()}
+    `;
+  }
+
+  renderWeek() {
+    const { from } = this.range;
+    const days = WEEKDAYS.map((weekday, index) => addDays(from, index));
+    const today = toDateKey(new Date());
+    const hours = [];
+    for (let hour = FIRST_HOUR; hour <= LAST_HOUR; hour++) hours.push(hour);
+
+    const hourOf = entry =>
+      Math.min(LAST_HOUR, Math.max(FIRST_HOUR, entry.start.getHours()));
+
+    return `
+      <div class="calendar-week">
+        <div class="calendar-corner"></div>
+        ${days
+          .map(
+            (day, index) => `
+          <div class="calendar-day-label ${
+            toDateKey(day) === today ? 'today' : ''
+          }">${WEEKDAYS[index].label} ${day.getDate()}</div>
+        `
+          )
+          .join('')}
+        ${hours
+          .map(
+            hour => `
+          <div class="calendar-hour">${pad(hour)}:00</div>
+          ${days
+            .map(
+              day => `
+            <div class="calendar-slot" data-drop-date="${toDateKey(
+              day
+            )}" data-drop-hour="${hour}">
+              ${this.entriesOn(day)
+                .filter(entry => hourOf(entry) === hour)
+                .map(entry => this.renderEntry(entry))
+                .join('')}
+            </div>
+          `
+            )
+            .join('')}
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  renderMonth() {
+    const { from } = this.range;
+    const month = this.anchor.getMonth();
+    const today = toDateKey(new Date());
+    const days = Array.from({ length: 42 }, (_, index) => addDays(from, index));
+
+    return `
+      <div class="calendar-month">
+        ${WEEKDAYS.map(
+          weekday => `<div class="calendar-day-label">${weekday.label}</div>`
+        ).join('')}
+        ${days
+          .map(
+            day => `
+          <div class="calendar-cell ${
+            day.getMonth() !== month ? 'outside' : ''
+          } ${
+              toDateKey(day) === today ? 'today' : ''
+            }" data-drop-date="${toDateKey(day)}">
+            <span class="calendar-date">${day.getDate()}</span>
+            ${this.entriesOn(day)
+              .map(entry => this.renderEntry(entry))
+              .join('')}
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  renderEntry(entry) {
+    // Only sessions that have not started yet can be moved
+    const draggable = entry.status === 'planned';
+
+    return `
+      <div class="calendar-entry ${entry.status} ${
+      entry.sessionId ? '' : 'recurring'
+    }" data-entry-key="${
+      entry.key
+    }" draggable="${draggable}" title="${escapeHtml(
+      entry.subject || entry.title
+    )}">
+        <span class="calendar-entry-time">${formatTime(entry.start)}</span>
+        ${escapeHtml(entry.title)}
+      </div>
+    `;
+  }
+
+  findEntry(element) {
+    const key = element?.closest('[data-entry-key]')?.dataset.entryKey;
+    return this.entries.find(entry => entry.key === key);
+  }
+
+  handleClick(event) {
+    const moveBtn = event.target.closest('[data-calendar-move]');
+    if (moveBtn) {
+      this.move(Number(moveBtn.dataset.calendarMove));
+      return;
+    }
+
+    const viewBtn = event.target.closest('[data-calendar-view]');
+    if (viewBtn) {
+      this.setView(viewBtn.dataset.calendarView);
+      return;
+    }
+
+    const entry = this.findEntry(event.target);
+    if (entry) this.onSelect(entry);
+  }
+
+  handleDragStart(event) {
+    const entry = this.findEntry(event.target);
+    if (!entry) return;
+
+    this.draggedKey = entry.key;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', entry.key);
+  }
+
+  // Dropping on a week slot sets day and hour; a month cell only changes the day
+  async handleDrop(event) {
+    const target = event.target.closest('[data-drop-date]');
+    const entry = this.entries.find(item => item.key === this.draggedKey);
+    this.draggedKey = null;
+    if (!target || !entry) return;
+    event.preventDefault();
+
+    const start = fromDateKey(target.dataset.dropDate);
+    const hour = target.dataset.dropHour;
+    start.setHours(
+      hour === undefined ? entry.start.getHours() : Number(hour),
+      entry.start.getMinutes()
+    );
+    if (start.getTime() === entry.start.getTime()) return;
+
+    try {
+      await rescheduleEntry(entry, start);
+      this.onRescheduled(entry, start);
+    } catch (error) {
+      this.onError(error);
+    }
+
+    await this.load();
+  }
+}
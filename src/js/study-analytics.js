@@ -0,0 +1,136 @@
+// study-analytics.js - Cards and charts for the analytics page
+import escapeHtml from '../utils/escape.js';
+import { WEEKDAYS } from './session-calendar.js';
+
+export const ANALYTICS_RANGES = [7, 30, 90];
+
+// Arrow and sign for a change against the previous period; nothing when it cannot be compared
+const renderTrend = (change, unit = '%') => {
+  if (change === null || change === undefined) return '';
+
+  const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+  const arrow = { up: '▲', down: '▼', flat: '•' }[direction];
+  const sign = change > 0 ? '+' : '';
+
+  return `<span class="analytics-trend ${direction}">${arrow} ${sign}${change}${unit}</span>`;
+};
+
+const renderCard = (icon, value, label, detail = '') => `
+  <div class="stat-card premium-card">
+    <div class="stat-icon"><i class="fas ${icon}"></i></div>
+    <div class="stat-info">
+      <h3>${value}</h3>
+      <p>${label}</p>
+      <small>${detail}</small>
+    </div>
+  </div>
+`;
+
+export function renderAnalyticsCards(analytics) {
+  const { trend, drift } = analytics;
+  const difference = drift.average_difference;
+
+  return [
+    renderCard(
+      'fa-clock',
+      `${analytics.minutes} menit`,
+      'Total Waktu Belajar',
+      renderTrend(trend.minutes)
+    ),
+    renderCard(
+      'fa-check-circle',
+      analytics.sessions,
+      'Sesi Selesai',
+      renderTrend(trend.sessions)
+    ),
+    renderCard(
+      'fa-stopwatch',
+      `${analytics.average_minutes} menit`,
+      'Rata-rata Durasi Sesi',
+      renderTrend(trend.average_minutes)
+    ),
+    renderCard(
+      'fa-flag-checkered',
+      analytics.completion_rate === null
+        ? '-'
+        : `${analytics.completion_rate}%`,
+      'Tingkat Penyelesaian',
+      `${analytics.cancelled} dibatalkan · ${
+        analytics.abandoned
+      } ditinggalkan ${renderTrend(trend.completion_rate, ' poin')}`
+    ),
+    renderCard(
+      'fa-balance-scale',
+      difference === null
+        ? '-'
+        : `${difference > 0 ? '+' : ''}${difference} menit`,
+      'Selisih Rencana vs Aktual',
+      difference === null
+        ? 'Belum ada sesi dengan durasi aktual'
+        : `Rencana ${drift.average_planned} · aktual ${drift.average_actual} menit (${drift.sessions} sesi)`
+    ),
+  ].join('');
+}
+
+// Horizontal bars in each subject's colour, largest first
+export function renderSubjectBreakdown(bySubject) {
+  if (bySubject.length === 0) {
+    return '<p class="analytics-empty">Belum ada sesi selesai pada periode ini.</p>';
+  }
+
+  const max = Math.max(...bySubject.map(entry => entry.minutes), 1);
+
+  return bySubject
+    .map(
+      entry => `
+      <div class="analytics-subject" title="${entry.sessions} sesi">
+        <span class="analytics-subject-name">${escapeHtml(
+          entry.subject || 'Tanpa mata pelajaran'
+        )}</span>
+        <div class="analytics-subject-track">
+          <div style="width: ${(entry.minutes / max) * 100}%; background: ${
+        entry.color || '#b2bec3'
+      };"></div>
+        </div>
+        <span class="analytics-subject-value">${entry.minutes}m</span>
+      </div>
+    `
+    )
+    .join('');
+}
+
+// Vertical bars; the busiest column is highlighted as the best time to focus
+const renderColumns = (entries, getLabel) => {
+  const max = Math.max(...entries.map(entry => entry.minutes), 0);
+
+  return `
+    <div class="analytics-columns">
+      ${entries
+        .map(
+          entry => `
+        <div class="analytics-column ${
+          max > 0 && entry.minutes === max ? 'best' : ''
+        }" title="${entry.sessions} sesi, ${entry.minutes} menit">
+          <div class="analytics-column-bar" style="height: ${
+            max > 0 ? (entry.minutes / max) * 100 : 0
+          }%;"></div>
+          <span>${getLabel(entry)}</span>
+        </div>
+      `
+        )
+        .join('')}
+    </div>
+  `;
+};
+
+export const renderWeekdayChart = byWeekday =>
+  renderColumns(
+    byWeekday,
+    entry => WEEKDAYS.find(weekday => weekday.value === entry.weekday).label
+  );
+
+// Every third hour is labelled so 24 columns stay readable
+export const renderHourChart = byHour =>
+  renderColumns(byHour, entry =>
+    entry.hour % 3 === 0 ? String(entry.hour).padStart(2, '0') : ''
+  );
@@ -0,0 +1,43 @@
+// subject-picker.js - Colour and icon choices for subjects, and the <select> used to pick one
+import escapeHtml from '../utils/escape.js';
+
+export const SUBJECT_COLORS = [
+  '#0984e3',
+  '#00b894',
+  '#6c5ce7',
+  '#e17055',
+  '#fdcb6e',
+  '#e84393',
+  '#00cec9',
+  '#636e72',
+];
+
+export const SUBJECT_ICONS = [
+  'fa-book',
+  'fa-calculator',
+  'fa-flask',
+  'fa-atom',
+  'fa-globe-asia',
+  'fa-language',
+  'fa-landmark',
+  'fa-laptop-code',
+  'fa-palette',
+  'fa-music',
+];
+
+// Options for a subject <select>; the empty option leaves the row without a subject
+export function renderSubjectOptions(subjects, selectedId = null) {
+  const options = subjects.map(
+    subject =>
+      `<option value="${subject.id}" ${
+        subject.id === selectedId ? 'selected' : ''
+      }>${escapeHtml(subject.name)}</option>`
+  );
+
+  const empty = '<option value="">Tanpa mata pelajaran</option>';
+  return [empty, ...options].join('');
+}
+
+// The chosen subject id, or null for the empty option
+export const readSubjectSelect = select =>
+  select && select.value ? Number(select.value) : null;
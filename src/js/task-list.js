@@ -0,0 +1,92 @@
+// task-list.js - Task rows and the estimate-vs-actual summary for the task page
+import escapeHtml from '../utils/escape.js';
+
+// A task is over its estimate once it took more focus rounds than planned
+const estimateState = task => {
+  if (task.actual_pomodoros > task.estimated_pomodoros) return 'over';
+  if (task.actual_pomodoros === task.estimated_pomodoros) return 'exact';
+  return 'under';
+};
+
+// One mark per estimated round, filled as rounds are credited; extra rounds are added after them
+const renderPomodoros = task => {
+  const total = Math.max(task.estimated_pomodoros, task.actual_pomodoros);
+
+  return Array.from({ length: total }, (_, index) => {
+    const state =
+      index >= task.estimated_pomodoros
+        ? 'extra'
+        : index < task.actual_pomodoros
+        ? 'done'
+        : 'planned';
+    return `<span class="task-pomodoro ${state}"></span>`;
+  }).join('');
+};
+
+export function renderTaskItem(task) {
+  const overdue =
+    !task.is_done &&
+    task.due_date &&
+    task.due_date < new Date().toLocaleDateString('en-CA');
+  const done = task.is_done ? 'done' : '';
+  const estimate = estimateState(task);
+
+  return `
+    <li class="task-item ${done}" data-task-id="${task.id}">
+      <input type="checkbox" data-action="toggle" ${
+        task.is_done ? 'checked' : ''
+      } aria-label="Tandai selesai">
+      <div class="task-body">
+        <strong>${escapeHtml(task.title)}</strong>
+        <div class="task-meta">
+          ${
+            task.subject
+              ? `<span class="subject-chip" style="--subject-color: ${
+                  task.subject_color
+                }">${escapeHtml(task.subject)}</span>`
+              : ''
+          }
+          ${
+            task.due_date
+              ? `<span class="task-due ${overdue ? 'overdue' : ''}">
+                  <i class="fas fa-calendar-day"></i> ${new Date(
+                    `${task.due_date}T00:00`
+                  ).toLocaleDateString('id-ID', {
+                    day: 'numeric',
+                    month: 'short',
+                  })}
+                </span>`
+              : ''
+          }
+        </div>
+      </div>
+      <div class="task-estimate ${estimate}" title="Aktual / perkiraan Pomodoro">
+        <div class="task-pomodoros">${renderPomodoros(task)}</div>
+        <small>${task.actual_pomodoros} / ${task.estimated_pomodoros}</small>
+      </div>
+      <button class="action-btn edit-btn premium-action-btn" data-action="edit">
+        <i class="fas fa-edit"></i>
+      </button>
+    </li>
+  `;
+}
+
+// How finished tasks compared with their estimates, so students can calibrate the next ones
+export function renderEstimateSummary(tasks) {
+  const finished = tasks.filter(task => task.is_done);
+  if (finished.length === 0) {
+    return 'Selesaikan tugas untuk melihat seberapa tepat perkiraan Anda.';
+  }
+
+  const estimated = finished.reduce(
+    (sum, task) => sum + task.estimated_pomodoros,
+    0
+  );
+  const actual = finished.reduce((sum, task) => sum + task.actual_pomodoros, 0);
+  const onTarget = finished.filter(
+    task => estimateState(task) !== 'over'
+  ).length;
+  const ratio = Math.round((actual / estimated) * 100);
+
+  return `${finished.length} tugas selesai memakai <strong>${actual}</strong> dari <strong>${estimated}</strong> Pomodoro yang diperkirakan (${ratio}%). ${onTarget} di antaranya sesuai perkiraan atau lebih cepat.`;
+}
@@ -0,0 +1,218 @@
+// timer-clock.js - Countdown anchored to a persisted end timestamp
+import { DB } from './db.js';
+
+// One active countdown per key, kept in the IndexedDB settings store
+const STATE_KEY = 'activeTimer';
+
+// Tag of the scheduled notification, so each countdown replaces and cancels only its own
+const NOTIFICATION_TAG = 'focus-timer';
+
+// Repaint often enough that a throttled tab catches up as soon as it wakes
+const TICK_INTERVAL = 250;
+
+const postToServiceWorker = async message => {
+  if (!('serviceWorker' in navigator)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) return false;
+    registration.active.postMessage(message);
+    return true;
+  } catch (error) {
+    console.warn('Could not reach service worker:', error);
+    return false;
+  }
+};
+
+// Notification Triggers let the browser show a notification at a time even after the worker stops
+const supportsNotificationTriggers = () =>
+  typeof TimestampTrigger !== 'undefined' &&
+  'showTrigger' in Notification.prototype;
+
+export const formatRemaining = remainingMs => {
+  const totalSeconds = Math.ceil(Math.max(0, remainingMs) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes.toString().padStart(2, '0')}:${seconds
+    .toString()
+    .padStart(2, '0')}`;
+};
+
+// Time left is always endsAt - now, so throttled intervals never stretch a session
+export class TimerClock {
+  constructor({
+    key = STATE_KEY,
+    tag = NOTIFICATION_TAG,
+    onTick = () => {},
+    onComplete = () => {},
+  } = {}) {
+    this.key = key;
+    this.tag = tag;
+    this.onTick = onTick;
+    this.onComplete = onComplete;
+    this.state = null;
+    this.tickInterval = null;
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') this.tick();
+    };
+  }
+
+  // Started and not yet reset or completed, whether running or paused
+  get isActive() {
+    return this.state !== null;
+  }
+
+  get isRunning() {
+    return Boolean(this.state?.endsAt);
+  }
+
+  get remainingMs() {
+    if (!this.state) return null;
+    if (!this.state.endsAt) return this.state.remainingMs;
+    return Math.max(0, this.state.endsAt - Date.now());
+  }
+
+  get meta() {
+    return this.state?.meta || {};
+  }
+
+  async start(durationMs, { meta = {}, notification = null } = {}) {
+    this.state = {
+      id: this.key,
+      durationMs,
+      remainingMs: durationMs,
+      endsAt: Date.now() + durationMs,
+      startedAt: new Date().toISOString(),
+      meta,
+      notification,
+      notified: false,
+    };
+
+    await this.schedule();
+    await this.save();
+    this.startTicking();
+  }
+
+  async resume() {
+    if (!this.state || this.state.endsAt) return;
+
+    this.state.endsAt = Date.now() + this.state.remainingMs;
+    await this.schedule();
+    await this.save();
+    this.startTicking();
+  }
+
+  async pause() {
+    if (!this.isRunning) return;
+
+    this.state.remainingMs = this.remainingMs;
+    this.state.endsAt = null;
+    this.stopTicking();
+    await this.cancelSchedule();
+    await this.save();
+  }
+
+  async reset() {
+    this.stopTicking();
+    if (!this.state) return;
+
+    this.state = null;
+    await this.cancelSchedule();
+    await DB.delete('settings', this.key, { track: false });
+  }
+
+  async updateMeta(changes) {
+    if (!this.state) return;
+
+    this.state.meta = { ...this.state.meta, ...changes };
+    await this.save();
+  }
+
+  // Picks up a countdown left by a reload or a closed tab; returns its state
+  async restore() {
+    const stored = await DB.get('settings', this.key);
+    if (!stored) return null;
+
+    this.state = stored;
+    if (this.isRunning) {
+      this.startTicking();
+    } else {
+      this.onTick(this.remainingMs);
+    }
+
+    return this.state;
+  }
+
+  startTicking() {
+    this.stopTicking();
+    this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.tick();
+  }
+
+  stopTicking() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+    document.removeEventListener(
+      'visibilitychange',
+      this.handleVisibilityChange
+    );
+  }
+
+  tick() {
+    if (!this.isRunning) return;
+
+    const remainingMs = this.remainingMs;
+    this.onTick(remainingMs);
+
+    if (remainingMs <= 0) {
+      this.complete();
+    }
+  }
+
+  async complete() {
+    this.stopTicking();
+    const finished = this.state;
+    if (!finished) return;
+    this.state = null;
+
+    // Another tab may have finished the same countdown already
+    const stored = await DB.get('settings', this.key);
+    if (!stored || stored.endsAt !== finished.endsAt) return;
+
+    await DB.delete('settings', this.key, { track: false });
+    await this.onComplete(finished);
+  }
+
+  async save() {
+    await DB.set('settings', this.state, { track: false });
+  }
+
+  // With a notification trigger the browser shows the completion notification even if this tab
+  // is frozen; without one, notified stays false and the tab shows it when the countdown ends
+  async schedule() {
+    const { notification, endsAt } = this.state;
+    this.state.notified = false;
+
+    if (
+      !notification ||
+      !('Notification' in window) ||
+      Notification.permission !== 'granted' ||
+      !supportsNotificationTriggers()
+    ) {
+      return;
+    }
+
+    this.state.notified = await postToServiceWorker({
+      type: 'SCHEDULE_TIMER',
+      endsAt,
+      tag: this.tag,
+      title: notification.title,
+      options: notification.options,
+    });
+  }
+
+  async cancelSchedule() {
+    await postToServiceWorker({ type: 'CANCEL_TIMER', tag: this.tag });
+  }
+}
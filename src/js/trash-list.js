@@ -0,0 +1,46 @@
+// trash-list.js - Rows of the trash page, for sessions, notes and books waiting to be purged
+import escapeHtml from '../utils/escape.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_ENTITIES = {
+  sessions: { label: 'Sesi Belajar', icon: 'fa-clock' },
+  notes: { label: 'Catatan', icon: 'fa-sticky-note' },
+  books: { label: 'Buku', icon: 'fa-book' },
+};
+
+// Whole days until the purge, so an item deleted today shows the full retention
+const daysUntilPurge = (item, now) =>
+  Math.max(0, Math.ceil((new Date(item.purge_at) - now) / DAY_MS));
+
+export function renderTrashItem(item, now = new Date()) {
+  const { label, icon } = TRASH_ENTITIES[item.entity];
+  const days = daysUntilPurge(item, now);
+  const deletedOn = new Date(item.deleted_at).toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+  const expiry =
+    days > 0 ? `Terhapus permanen dalam ${days} hari` : 'Segera terhapus';
+
+  return `
+    <li class="trash-item" data-entity="${item.entity}" data-id="${item.id}">
+      <i class="fas ${icon} trash-icon"></i>
+      <div class="trash-body">
+        <strong>${escapeHtml(item.title)}</strong>
+        <div class="trash-meta">
+          <span>${label}</span>
+          <span>Dihapus ${deletedOn}</span>
+          <span class="${days <= 3 ? 'trash-expiring' : ''}">${expiry}</span>
+        </div>
+      </div>
+      <button class="action-btn premium-action-btn" data-action="restore">
+        <i class="fas fa-undo"></i> Pulihkan
+      </button>
+      <button class="action-btn delete-btn premium-action-btn" data-action="purge">
+        <i class="fas fa-times"></i> Hapus Permanen
+      </button>
+    </li>
+  `;
+}
@@ -0,0 +1,97 @@
+// word-diff.js - Word-level differences between two versions of a note, for the revision history
+import escapeHtml from '../utils/escape.js';
+
+// Beyond this many word pairs the changed middle is shown as one replaced block instead of being aligned
+const MAX_DIFF_CELLS = 4000000;
+
+// Words and the whitespace between them, so joining the tokens gives back the text
+const tokenize = text => (text || '').split(/(\s+)/).filter(Boolean);
+
+// Longest common subsequence of the two token lists, walked back into kept, removed and added runs
+const alignTokens = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        before[i] === after[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      parts.push({ type: 'same', text: before[i++] });
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      parts.push({ type: 'removed', text: before[i++] });
+    } else {
+      parts.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) parts.push({ type: 'removed', text: before[i++] });
+  while (j < after.length) parts.push({ type: 'added', text: after[j++] });
+  return parts;
+};
+
+// [{ type: 'same' | 'removed' | 'added', text }], neighbouring tokens of the same type merged into one part
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Edits are usually local, so only what lies between the shared start and end needs aligning
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const oldMiddle = a.slice(start, a.length - end);
+  const newMiddle = b.slice(start, b.length - end);
+  const middle =
+    oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS
+      ? [
+          ...oldMiddle.map(text => ({ type: 'removed', text })),
+          ...newMiddle.map(text => ({ type: 'added', text })),
+        ]
+      : alignTokens(oldMiddle, newMiddle);
+
+  const parts = [
+    ...a.slice(0, start).map(text => ({ type: 'same', text })),
+    ...middle,
+    ...a.slice(a.length - end).map(text => ({ type: 'same', text })),
+  ];
+
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+      last.text += part.text;
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+}
+
+const DIFF_TAGS = { same: 'span', removed: 'del', added: 'ins' };
+
+const renderPart = ({ type, text }) => {
+  const tag = DIFF_TAGS[type];
+  return `<${tag}>${escapeHtml(text)}</${tag}>`;
+};
+
+export const renderWordDiff = (before, after) =>
+  diffWords(before, after).map(renderPart).join('');
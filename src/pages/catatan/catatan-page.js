@@ -1,11 +1,15 @@
 import { Api } from '../../data/api.js';
 import { DB } from '../../js/db.js';
+import { renderMarkdown } from '../../js/markdown.js';
+import { renderTagChips } from '../../js/note-tags.js';
+import { OfflineManager } from '../../js/offline.js';
 
 export class CatatanPage {
   constructor() {
     this.name = 'catatan';
     this.notes = [];
     this.currentFilter = 'all';
+    this.activeConflict = null;
   }
 
   async render() {
@@ -73,12 +77,54 @@ export class CatatanPage {
           </form>
         </div>
       </div>
+
+      <div id="noteConflictModal" class="modal">
+        <div class="modal-content modal-wide">
+          <div class="modal-header">
+            <h3>Catatan Diubah di Perangkat Lain</h3>
+            <span class="close-modal">&times;</span>
+          </div>
+          <p class="conflict-hint">
+            Catatan ini sudah diperbarui di perangkat lain sejak Anda mulai mengedit.
+            Bandingkan kedua versi, lalu pilih salah satu atau gabungkan isinya.
+          </p>
+          <div class="conflict-columns">
+            <div class="conflict-version">
+              <h4>Versi Anda</h4>
+              <div class="conflict-title" id="conflictLocalTitle"></div>
+              <pre id="conflictLocalContent"></pre>
+              <button type="button" class="btn btn-secondary" id="useLocalVersion">Pakai Versi Ini</button>
+            </div>
+            <div class="conflict-version">
+              <h4>Versi di Server</h4>
+              <div class="conflict-title" id="conflictServerTitle"></div>
+              <pre id="conflictServerContent"></pre>
+              <button type="button" class="btn btn-secondary" id="useServerVersion">Pakai Versi Ini</button>
+            </div>
+          </div>
+          <form id="conflictForm">
+            <div class="form-group">
+              <label for="mergedTitle">Judul</label>
+              <input type="text" id="mergedTitle" required>
+            </div>
+            <div class="form-group">
+              <label for="mergedBody">Hasil Gabungan</label>
+              <textarea id="mergedBody" rows="8" required></textarea>
+            </div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" id="cancelConflict">Nanti Saja</button>
+              <button type="submit" class="btn">Simpan Gabungan</button>
+            </div>
+          </form>
+        </div>
+      </div>
     `;
   }
 
   async afterRender() {
     await this.loadNotes();
     this.setupEventListeners();
+    await this.showNextConflict();
   }
 
   async loadNotes() {
@@ -130,9 +176,10 @@ export class CatatanPage {
           note.category
         )}</span>
         </div>
-        <div class="note-content">
-          <p>${this.escapeHtml(note.content || note.body)}</p>
+        <div class="note-content markdown-body">
+          ${renderMarkdown(note.content || note.body)}
         </div>
+        ${renderTagChips(note.tags)}
         <div class="note-footer">
           <span class="note-date">
             ${new Date(note.created_at || note.createdAt).toLocaleDateString(
@@ -200,6 +247,41 @@ export class CatatanPage {
       .getElementById('noteForm')
       .addEventListener('submit', e => this.handleNoteSubmit(e));
 
+    // Conflict modal events
+    document
+      .querySelector('#noteConflictModal .close-modal')
+      .addEventListener('click', () => this.closeConflictModal());
+    document
+      .getElementById('cancelConflict')
+      .addEventListener('click', () => this.closeConflictModal());
+    document
+      .getElementById('useLocalVersion')
+      .addEventListener('click', () =>
+        this.fillMergeForm(this.activeConflict.local)
+      );
+    document
+      .getElementById('useServerVersion')
+      .addEventListener('click', () =>
+        this.fillMergeForm(this.activeConflict.server)
+      );
+    document
+      .getElementById('conflictForm')
+      .addEventListener('submit', e => this.handleConflictSubmit(e));
+
+    // Offline edits rejected during sync. The listener is on the document, so it is removed once the
+    // route changes and this page instance is left behind.
+    const handleSyncConflict = e => {
+      if (e.detail.type === 'notes' && !this.activeConflict) {
+        this.showNextConflict();
+      }
+    };
+    document.addEventListener('sync-conflict', handleSyncConflict);
+    window.addEventListener(
+      'hashchange',
+      () => document.removeEventListener('sync-conflict', handleSyncConflict),
+      { once: true }
+    );
+
     // Event delegation for note actions
     document.getElementById('notesGrid').addEventListener('click', e => {
       const target = e.target.closest('button');
@@ -261,6 +343,7 @@ export class CatatanPage {
     if (note) {
       title.textContent = 'Edit Catatan';
       form.dataset.editId = note.id;
+      form.dataset.version = note.version || '';
       document.getElementById('noteTitle').value = note.title;
       document.getElementById('noteBody').value = note.content || note.body;
       document.getElementById('noteCategory').value = note.category || 'study';
@@ -268,6 +351,7 @@ export class CatatanPage {
       title.textContent = 'Tambah Catatan';
       form.reset();
       delete form.dataset.editId;
+      delete form.dataset.version;
     }
 
     modal.style.display = 'flex';
@@ -286,6 +370,10 @@ export class CatatanPage {
       content: document.getElementById('noteBody').value,
       category: document.getElementById('noteCategory').value,
     };
+    if (form.dataset.version) {
+      // The server rejects the update if someone saved a newer version
+      noteData.version = parseInt(form.dataset.version);
+    }
 
     try {
       if (Api.auth.isLoggedIn()) {
@@ -312,6 +400,12 @@ export class CatatanPage {
         this.showSuccess('Catatan berhasil disimpan (offline)');
       }
     } catch (error) {
+      if (error.status === 409 && error.data?.current) {
+        this.closeModal();
+        this.openConflictModal(noteData, error.data.current);
+        return;
+      }
+
       console.error('Error saving note:', error);
       // Fallback to local DB
       try {
@@ -329,6 +423,85 @@ export class CatatanPage {
     }
   }
 
+  openConflictModal(local, server, conflict = null) {
+    this.activeConflict = { local, server, conflict };
+
+    document.getElementById('conflictLocalTitle').textContent = local.title;
+    document.getElementById('conflictLocalContent').textContent =
+      local.content || local.body || '';
+    document.getElementById('conflictServerTitle').textContent = server.title;
+    document.getElementById('conflictServerContent').textContent =
+      server.content || '';
+    this.fillMergeForm(local);
+
+    document.getElementById('noteConflictModal').style.display = 'flex';
+  }
+
+  fillMergeForm(note) {
+    document.getElementById('mergedTitle').value = note.title;
+    document.getElementById('mergedBody').value =
+      note.content || note.body || '';
+  }
+
+  closeConflictModal() {
+    document.getElementById('noteConflictModal').style.display = 'none';
+    this.activeConflict = null;
+  }
+
+  // Offline edits that lost a race are kept until the user merges them
+  async showNextConflict() {
+    if (!Api.auth.isLoggedIn()) return;
+
+    const [conflict] = await OfflineManager.getConflicts('notes');
+    if (conflict) {
+      this.openConflictModal(conflict.local, conflict.current, conflict);
+    }
+  }
+
+  async handleConflictSubmit(e) {
+    e.preventDefault();
+
+    const { local, server, conflict } = this.activeConflict;
+    const merged = {
+      title: document.getElementById('mergedTitle').value,
+      content: document.getElementById('mergedBody').value,
+      category: local.category || server.category,
+    };
+
+    try {
+      const unchanged =
+        merged.title === server.title &&
+        merged.content === server.content &&
+        merged.category === server.category;
+
+      if (!unchanged) {
+        await Api.notes.update(server.id, {
+          ...merged,
+          version: server.version,
+        });
+      }
+
+      if (conflict) {
+        await OfflineManager.clearConflict(conflict);
+      }
+
+      this.closeConflictModal();
+      await this.loadNotes();
+      this.showSuccess('Catatan berhasil digabungkan');
+      await this.showNextConflict();
+    } catch (error) {
+      if (error.status === 409 && error.data?.current) {
+        // Saved again elsewhere while merging: compare against the newest copy
+        this.openConflictModal(merged, error.data.current, conflict);
+        this.showError('Catatan berubah lagi, periksa versi terbaru');
+        return;
+      }
+
+      console.error('Error merging note:', error);
+      this.showError('Gagal menyimpan catatan');
+    }
+  }
+
   async editNote(id) {
     const note = this.notes.find(n => n.id === id);
     if (note) {
@@ -1,14 +1,14 @@
 import { Api } from '../../data/api.js';
-import { NotificationManager } from '../../js/notification.js';
+import { DISTRACTION_REASONS } from '../../js/distraction-tracker.js';
+import { FocusTimer } from '../../js/focus-timer.js';
+import { PHASES, PHASE_LABELS } from '../../js/pomodoro.js';
+import { formatRemaining } from '../../js/timer-clock.js';
 
 export class FocusModePage {
   constructor() {
     this.name = 'focus-mode';
-    this.timerInterval = null;
-    this.timerSeconds = 25 * 60;
-    this.isTimerRunning = false;
     this.isFocusMode = false;
-    this.currentSession = null;
+    this.unsubscribers = [];
   }
 
   async render() {
@@ -19,10 +19,15 @@ export class FocusModePage {
           <p>Atur waktu fokus belajar Anda dengan teknik Pomodoro</p>
           
           <div class="timer-controls">
-            <button class="timer-btn active" data-time="25">Pomodoro (25m)</button>
-            <button class="timer-btn" data-time="15">Pendek (15m)</button>
-            <button class="timer-btn" data-time="45">Panjang (45m)</button>
+            ${Object.values(PHASES)
+              .map(
+                phase => `
+              <button class="timer-btn" data-phase="${phase}">${PHASE_LABELS[phase]}</button>
+            `
+              )
+              .join('')}
           </div>
+          <p class="pomodoro-cycle" id="pomodoroCycle"></p>
           
           <div class="timer-display" id="timerDisplay">25:00</div>
           
@@ -37,6 +42,17 @@ export class FocusModePage {
               <label for="taskDescription">Deskripsi Tugas</label>
               <input type="text" id="taskDescription" placeholder="Apa yang akan Anda kerjakan?">
             </div>
+            <div class="distraction-log">
+              <p>Gangguan sesi ini: <strong id="interruptionCount">0</strong></p>
+              <div class="distraction-form">
+                <select id="distractionReason">
+                  ${DISTRACTION_REASONS.map(
+                    reason => `<option value="${reason}">${reason}</option>`
+                  ).join('')}
+                </select>
+                <button class="btn btn-secondary" id="logDistraction" disabled>Saya Terdistraksi</button>
+              </div>
+            </div>
           </div>
 
           <div class="focus-stats">
@@ -58,7 +74,13 @@ export class FocusModePage {
 
   async afterRender() {
     this.setupEventListeners();
+    this.subscribeToTimer();
     this.loadStats();
+
+    // Resumes a countdown left running before a reload
+    await FocusTimer.init();
+    if (FocusTimer.isRunning) this.enterFocusMode();
+    this.refresh();
   }
 
   setupEventListeners() {
@@ -66,147 +88,121 @@ export class FocusModePage {
     const pauseBtn = document.getElementById('pauseTimer');
     const resetBtn = document.getElementById('resetTimer');
     const exitBtn = document.getElementById('exitFocus');
+    const distractionBtn = document.getElementById('logDistraction');
     const timerBtns = document.querySelectorAll('.timer-btn');
 
     startBtn.addEventListener('click', () => this.startTimer());
-    pauseBtn.addEventListener('click', () => this.pauseTimer());
-    resetBtn.addEventListener('click', () => this.resetTimer());
+    pauseBtn.addEventListener('click', () => FocusTimer.pause());
+    resetBtn.addEventListener('click', () => FocusTimer.reset());
     exitBtn.addEventListener('click', () => this.exitFocusMode());
+    distractionBtn.addEventListener('click', () => this.logDistraction());
 
     timerBtns.forEach(btn => {
       btn.addEventListener('click', () => {
-        timerBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        const minutes = parseInt(btn.getAttribute('data-time'));
-        this.resetTimer(minutes);
+        FocusTimer.selectPhase(btn.getAttribute('data-phase'));
       });
     });
   }
 
-  async startTimer() {
-    if (this.isTimerRunning) return;
-
-    this.isTimerRunning = true;
-    this.enterFocusMode();
+  subscribeToTimer() {
+    // Re-rendering the page must not stack listeners on the shared service
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+    this.unsubscribers = [
+      FocusTimer.on('tick', () => this.updateTimerDisplay()),
+      FocusTimer.on('change', () => this.refresh()),
+      FocusTimer.on('start', () => {
+        this.updateDistractionLog();
+        this.enterFocusMode();
+      }),
+      FocusTimer.on('pause', () => this.updateDistractionLog()),
+      FocusTimer.on('interruption', () => this.updateDistractionLog()),
+      FocusTimer.on('reset', () => {
+        this.refresh();
+        this.exitFocusMode();
+      }),
+      FocusTimer.on('complete', detail => this.onTimerComplete(detail)),
+    ];
+  }
 
-    // Create session in database
-    await this.createSession();
+  startTimer() {
+    const taskDescription = document.getElementById('taskDescription').value;
+    return FocusTimer.start({ taskDescription });
+  }
 
-    this.timerInterval = setInterval(() => {
-      this.timerSeconds--;
-      this.updateTimerDisplay();
+  async logDistraction() {
+    const reason = document.getElementById('distractionReason').value;
+    if (await FocusTimer.logDistraction(reason)) {
+      this.showSuccess('Gangguan dicatat. Kembali fokus!');
+    }
+  }
 
-      if (this.timerSeconds <= 0) {
-        clearInterval(this.timerInterval);
-        this.isTimerRunning = false;
-        this.onTimerComplete();
-      }
-    }, 1000);
+  refresh() {
+    this.updateTimerDisplay();
+    this.updatePhaseDisplay();
+    this.updateDistractionLog();
   }
 
-  pauseTimer() {
-    if (!this.isTimerRunning) return;
+  updateDistractionLog() {
+    const count = document.getElementById('interruptionCount');
+    const distractionBtn = document.getElementById('logDistraction');
+    if (!count || !distractionBtn) return;
 
-    clearInterval(this.timerInterval);
-    this.isTimerRunning = false;
+    count.textContent = FocusTimer.interruptionCount;
+    distractionBtn.disabled = !(
+      FocusTimer.isRunning && FocusTimer.phase === PHASES.FOCUS
+    );
   }
 
-  resetTimer(minutes = null) {
-    clearInterval(this.timerInterval);
-    this.isTimerRunning = false;
+  updatePhaseDisplay() {
+    const { cycle } = FocusTimer;
 
-    if (minutes) {
-      this.timerSeconds = minutes * 60;
-    } else {
-      const activeTimer = document.querySelector('.timer-btn.active');
-      const minutes = parseInt(activeTimer.getAttribute('data-time'));
-      this.timerSeconds = minutes * 60;
-    }
+    document.querySelectorAll('.timer-btn[data-phase]').forEach(btn => {
+      const phase = btn.getAttribute('data-phase');
+      btn.classList.toggle('active', phase === cycle.phase);
+      btn.textContent = `${PHASE_LABELS[phase]} (${cycle.getMinutes(phase)}m)`;
+    });
 
-    this.updateTimerDisplay();
-    this.exitFocusMode();
+    const cycleInfo = document.getElementById('pomodoroCycle');
+    if (cycleInfo) {
+      cycleInfo.textContent = `Putaran ${cycle.round} dari ${cycle.settings.long_break_interval}`;
+    }
   }
 
   updateTimerDisplay() {
-    const minutes = Math.floor(this.timerSeconds / 60);
-    const seconds = this.timerSeconds % 60;
     const timerDisplay = document.getElementById('timerDisplay');
-    timerDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds
-      .toString()
-      .padStart(2, '0')}`;
+    if (!timerDisplay) return;
+
+    timerDisplay.textContent = formatRemaining(FocusTimer.remainingMs);
   }
 
   enterFocusMode() {
+    const exitBtn = document.getElementById('exitFocus');
+    if (!exitBtn) return;
+
     this.isFocusMode = true;
     document.body.classList.add('focus-mode-active');
-    document.getElementById('exitFocus').classList.remove('hidden');
+    exitBtn.classList.remove('hidden');
   }
 
   exitFocusMode() {
+    const exitBtn = document.getElementById('exitFocus');
+    if (!exitBtn) return;
+
     this.isFocusMode = false;
     document.body.classList.remove('focus-mode-active');
-    document.getElementById('exitFocus').classList.add('hidden');
+    exitBtn.classList.add('hidden');
   }
 
-  async onTimerComplete() {
-    await NotificationManager.requestPermission();
-    NotificationManager.showTimerComplete();
-
-    // Complete session in database
-    await this.completeSession();
+  onTimerComplete({ phase, nextPhase, autoStart }) {
     this.loadStats();
+    this.refresh();
 
-    alert('Waktu fokus telah habis! Istirahat sejenak.');
-    this.resetTimer();
-  }
-
-  async createSession() {
-    const activeTimer = document.querySelector('.timer-btn.active');
-    const duration = parseInt(activeTimer.getAttribute('data-time'));
-    const taskDescription = document.getElementById('taskDescription').value;
-
-    try {
-      if (Api.auth.isLoggedIn()) {
-        const sessionData = {
-          title: `Sesi Fokus ${duration} menit`,
-          description: taskDescription || 'Sesi fokus belajar',
-          subject: 'Belajar',
-          duration: duration,
-          status: 'inprogress',
-        };
-
-        const result = await Api.sessions.create(sessionData);
-        this.currentSession = result.id;
-
-        // Start the session
-        await Api.sessions.start(result.id);
-      }
-    } catch (error) {
-      console.error('Error creating session:', error);
-    }
-  }
-
-  async completeSession() {
-    if (!this.currentSession) return;
-
-    try {
-      if (Api.auth.isLoggedIn()) {
-        await Api.sessions.complete(this.currentSession);
-
-        // Save timer to focus_timers table
-        const activeTimer = document.querySelector('.timer-btn.active');
-        const duration = parseInt(activeTimer.getAttribute('data-time'));
-        const taskDescription =
-          document.getElementById('taskDescription').value;
-
-        await Api.timers.create({
-          timer_type: 'pomodoro',
-          duration: duration,
-          task_description: taskDescription,
-        });
-      }
-    } catch (error) {
-      console.error('Error completing session:', error);
+    if (!autoStart) {
+      this.exitFocusMode();
+      this.showSuccess(
+        `${PHASE_LABELS[phase]} selesai! Berikutnya: ${PHASE_LABELS[nextPhase]}`
+      );
     }
   }
 
@@ -224,4 +220,11 @@ export class FocusModePage {
       console.error('Error loading stats:', error);
     }
   }
+
+  showSuccess(message) {
+    const event = new CustomEvent('show-toast', {
+      detail: { message, type: 'success' },
+    });
+    document.dispatchEvent(event);
+  }
 }
@@ -1,5 +1,13 @@
 import { Api } from '../../data/api.js';
 import { DB } from '../../js/db.js';
+import { summarizeFocusQuality } from '../../js/distraction-tracker.js';
+import {
+  SessionCalendar,
+  WEEKDAYS,
+  downloadCalendarExport,
+  toLocalInputValue,
+  toWebcalUrl,
+} from '../../js/session-calendar.js';
 
 export class SesiBelajarPage {
   constructor() {
@@ -25,6 +33,9 @@ export class SesiBelajarPage {
           
           <div class="session-actions">
             <button class="btn" id="addSessionBtn">Tambah Sesi Baru</button>
+            <button class="btn btn-secondary" id="addRecurrenceBtn">Jadwal Berulang</button>
+            <button class="btn btn-secondary" id="exportCalendarBtn">Ekspor .ics</button>
+            <button class="btn btn-secondary" id="calendarFeedBtn">Langganan Kalender</button>
             <div class="filter-controls">
               <select id="sessionFilter">
                 <option value="all">Semua Sesi</option>
@@ -39,6 +50,22 @@ export class SesiBelajarPage {
             </div>
           </div>
           
+          <div class="calendar-feed hidden" id="calendarFeed">
+            <p>Tambahkan URL ini ke aplikasi kalender Anda. Perubahan jadwal dan pembatalan sesi akan ikut diperbarui.</p>
+            <div class="calendar-feed-url">
+              <input type="text" id="calendarFeedUrl" readonly>
+              <button class="btn btn-secondary" id="copyFeedUrl">Salin</button>
+            </div>
+            <div class="calendar-feed-actions">
+              <a href="#" id="calendarFeedLink">Buka di aplikasi kalender</a>
+              <button class="btn btn-secondary" id="resetFeedUrl">Buat URL Baru</button>
+            </div>
+          </div>
+
+          <p class="focus-quality-summary" id="focusQualitySummary"></p>
+          
+          <div class="session-calendar" id="sessionCalendar"></div>
+          
           <div class="session-list" id="sessionList">
             <div class="loading-indicator">
               <p>Memuat sesi belajar...</p>
@@ -66,6 +93,10 @@ export class SesiBelajarPage {
               <label for="sessionDuration">Durasi (menit)</label>
               <input type="number" id="sessionDuration" placeholder="Durasi sesi dalam menit" required>
             </div>
+            <div class="form-group">
+              <label for="sessionScheduledAt">Jadwal Mulai</label>
+              <input type="datetime-local" id="sessionScheduledAt">
+            </div>
             <div class="form-group">
               <label for="sessionStatus">Status</label>
               <select id="sessionStatus" required>
@@ -85,18 +116,182 @@ export class SesiBelajarPage {
           </form>
         </div>
       </div>
+
+      <div id="recurrenceModal" class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3 id="recurrenceModalTitle">Jadwal Berulang</h3>
+            <span class="close-modal" id="closeRecurrence">&times;</span>
+          </div>
+          <form id="recurrenceForm">
+            <div class="form-group">
+              <label for="recurrenceTitle">Judul Sesi</label>
+              <input type="text" id="recurrenceTitle" placeholder="Contoh: Kalkulus" required>
+            </div>
+            <div class="form-group">
+              <label for="recurrenceSubject">Mata Pelajaran</label>
+              <input type="text" id="recurrenceSubject" placeholder="Masukkan mata pelajaran">
+            </div>
+            <div class="form-group">
+              <label>Hari</label>
+              <div class="recurrence-days">
+                ${WEEKDAYS.map(
+                  weekday => `
+                  <label class="recurrence-day">
+                    <input type="checkbox" name="recurrenceDays" value="${weekday.value}">
+                    <span>${weekday.label}</span>
+                  </label>
+                `
+                ).join('')}
+              </div>
+            </div>
+            <div class="recurrence-grid">
+              <div class="form-group">
+                <label for="recurrenceTime">Jam Mulai</label>
+                <input type="time" id="recurrenceTime" required>
+              </div>
+              <div class="form-group">
+                <label for="recurrenceDuration">Durasi (menit)</label>
+                <input type="number" id="recurrenceDuration" min="5" max="180" value="25" required>
+              </div>
+              <div class="form-group">
+                <label for="recurrenceStartsOn">Mulai Tanggal</label>
+                <input type="date" id="recurrenceStartsOn">
+              </div>
+              <div class="form-group">
+                <label for="recurrenceEndsOn">Sampai Tanggal</label>
+                <input type="date" id="recurrenceEndsOn">
+              </div>
+            </div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary hidden" id="deleteRecurrence">Hapus Jadwal</button>
+              <button type="button" class="btn btn-secondary" id="cancelRecurrence">Batal</button>
+              <button type="submit" class="btn">Simpan Jadwal</button>
+            </div>
+          </form>
+        </div>
+      </div>
     `;
   }
 
   async afterRender() {
     await this.loadSessions();
     this.setupEventListeners();
+    this.setupCalendar();
+  }
+
+  // The calendar reads the schedule from the server, so it needs a login
+  setupCalendar() {
+    const container = document.getElementById('sessionCalendar');
+    if (!container || !Api.auth.isLoggedIn()) return;
+
+    this.calendar = new SessionCalendar(container, {
+      onSelect: entry => this.selectCalendarEntry(entry),
+      onRescheduled: async () => {
+        this.showSuccess('Jadwal sesi dipindahkan');
+        this.sessions = await Api.sessions.getAll();
+        this.renderSessions();
+      },
+      onError: error => {
+        console.error('Calendar error:', error);
+        this.showError('Gagal memperbarui kalender');
+      },
+    });
+    this.calendar.load();
+  }
+
+  async exportCalendar() {
+    if (!Api.auth.isLoggedIn()) {
+      this.showError('Masuk terlebih dahulu untuk mengekspor jadwal');
+      return;
+    }
+
+    try {
+      await downloadCalendarExport();
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      this.showError('Gagal mengekspor jadwal');
+    }
+  }
+
+  async toggleCalendarFeed() {
+    const panel = document.getElementById('calendarFeed');
+    if (!panel.classList.contains('hidden')) {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    if (!Api.auth.isLoggedIn()) {
+      this.showError('Masuk terlebih dahulu untuk berlangganan kalender');
+      return;
+    }
+
+    try {
+      const { url } = await Api.calendar.getFeed();
+      this.showCalendarFeedUrl(url);
+      panel.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      this.showError('Gagal memuat URL kalender');
+    }
+  }
+
+  showCalendarFeedUrl(url) {
+    document.getElementById('calendarFeedUrl').value = url;
+    document.getElementById('calendarFeedLink').href = toWebcalUrl(url);
+  }
+
+  async copyCalendarFeedUrl() {
+    try {
+      await navigator.clipboard.writeText(
+        document.getElementById('calendarFeedUrl').value
+      );
+      this.showSuccess('URL kalender disalin');
+    } catch (error) {
+      document.getElementById('calendarFeedUrl').select();
+    }
+  }
+
+  async resetCalendarFeed() {
+    if (
+      !confirm(
+        'Buat URL baru? Kalender yang berlangganan URL lama tidak akan diperbarui lagi.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const { url } = await Api.calendar.resetFeed();
+      this.showCalendarFeedUrl(url);
+      this.showSuccess('URL kalender baru dibuat');
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+      this.showError('Gagal membuat URL kalender baru');
+    }
+  }
+
+  async selectCalendarEntry(entry) {
+    if (entry.sessionId) {
+      this.editSession(entry.sessionId);
+      return;
+    }
+
+    try {
+      const recurrences = await Api.recurrences.getAll();
+      const recurrence = recurrences.find(r => r.id === entry.recurrenceId);
+      if (recurrence) this.openRecurrenceModal(recurrence);
+    } catch (error) {
+      console.error('Error loading recurrence:', error);
+      this.showError('Gagal memuat jadwal berulang');
+    }
   }
 
   async loadSessions() {
     try {
       if (Api.auth.isLoggedIn()) {
         this.sessions = await Api.sessions.getAll();
+        this.renderFocusQualitySummary();
         this.renderSessions();
         return;
       }
@@ -116,6 +311,20 @@ export class SesiBelajarPage {
     }
   }
 
+  renderFocusQualitySummary() {
+    const summary = document.getElementById('focusQualitySummary');
+    const { recent, change, sessions } = summarizeFocusQuality(this.sessions);
+    if (!summary || recent === null) return;
+
+    const trend =
+      change === null
+        ? ''
+        : change >= 0
+        ? ` (naik ${change} poin)`
+        : ` (turun ${Math.abs(change)} poin)`;
+    summary.textContent = `Kualitas fokus ${sessions} sesi terakhir: ${recent}%${trend}`;
+  }
+
   renderSessions() {
     const sessionList = document.getElementById('sessionList');
     const filter = document.getElementById('sessionFilter')?.value || 'all';
@@ -158,6 +367,8 @@ export class SesiBelajarPage {
               ? `<p><strong>Deskripsi:</strong> ${this.escapeHtml(session.description)}</p>`
               : ''
           }
+          ${this.getScheduleText(session)}
+          ${this.getFocusQualityText(session)}
           ${
             session.notes
               ? `<p><strong>Catatan:</strong> ${this.escapeHtml(session.notes)}</p>`
@@ -188,6 +399,23 @@ export class SesiBelajarPage {
       .join('');
   }
 
+  getScheduleText(session) {
+    if (!session.scheduled_at) return '';
+    return `<p><strong>Jadwal:</strong> ${new Date(
+      session.scheduled_at
+    ).toLocaleString('id-ID', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    })}</p>`;
+  }
+
+  getFocusQualityText(session) {
+    if (session.status !== 'completed' || session.focus_quality == null) {
+      return '';
+    }
+    return `<p class="focus-quality"><strong>Gangguan:</strong> ${session.interruption_count} · <strong>Kualitas fokus:</strong> ${session.focus_quality}%</p>`;
+  }
+
   getStatusText(status) {
     const statusMap = {
       planned: 'Direncanakan',
@@ -253,6 +481,8 @@ export class SesiBelajarPage {
               ? `<p><strong>Deskripsi:</strong> ${this.escapeHtml(session.description)}</p>`
               : ''
           }
+          ${this.getScheduleText(session)}
+          ${this.getFocusQualityText(session)}
         </div>
         <div class="session-actions">
           <button class="action-btn edit-btn" data-id="${
@@ -283,6 +513,23 @@ export class SesiBelajarPage {
     document
       .getElementById('addSessionBtn')
       .addEventListener('click', () => this.openSessionModal());
+    document
+      .getElementById('addRecurrenceBtn')
+      .addEventListener('click', () => this.openRecurrenceModal());
+
+    // Calendar export and subscription
+    document
+      .getElementById('exportCalendarBtn')
+      .addEventListener('click', () => this.exportCalendar());
+    document
+      .getElementById('calendarFeedBtn')
+      .addEventListener('click', () => this.toggleCalendarFeed());
+    document
+      .getElementById('copyFeedUrl')
+      .addEventListener('click', () => this.copyCalendarFeedUrl());
+    document
+      .getElementById('resetFeedUrl')
+      .addEventListener('click', () => this.resetCalendarFeed());
 
     // Search functionality
     document.getElementById('sessionSearch').addEventListener('input', e => {
@@ -304,6 +551,18 @@ export class SesiBelajarPage {
     document
       .getElementById('sessionForm')
       .addEventListener('submit', e => this.handleSessionSubmit(e));
+    document
+      .getElementById('closeRecurrence')
+      .addEventListener('click', () => this.closeRecurrenceModal());
+    document
+      .getElementById('cancelRecurrence')
+      .addEventListener('click', () => this.closeRecurrenceModal());
+    document
+      .getElementById('deleteRecurrence')
+      .addEventListener('click', () => this.deleteRecurrence());
+    document
+      .getElementById('recurrenceForm')
+      .addEventListener('submit', e => this.handleRecurrenceSubmit(e));
 
     // Event delegation for session actions
     document.getElementById('sessionList').addEventListener('click', e => {
@@ -345,6 +604,9 @@ export class SesiBelajarPage {
       document.getElementById('sessionStatus').value = session.status;
       document.getElementById('sessionNotes').value =
         session.description || session.notes || '';
+      document.getElementById('sessionScheduledAt').value = session.scheduled_at
+        ? toLocalInputValue(new Date(session.scheduled_at))
+        : '';
     } else {
       title.textContent = 'Tambah Sesi Belajar';
       form.reset();
@@ -358,6 +620,99 @@ export class SesiBelajarPage {
     document.getElementById('sessionModal').style.display = 'none';
   }
 
+  openRecurrenceModal(recurrence = null) {
+    const form = document.getElementById('recurrenceForm');
+    form.reset();
+
+    document.getElementById('recurrenceModalTitle').textContent = recurrence
+      ? 'Edit Jadwal Berulang'
+      : 'Jadwal Berulang';
+    document
+      .getElementById('deleteRecurrence')
+      .classList.toggle('hidden', !recurrence);
+
+    if (recurrence) {
+      form.dataset.editId = recurrence.id;
+      document.getElementById('recurrenceTitle').value = recurrence.title;
+      document.getElementById('recurrenceSubject').value =
+        recurrence.subject || '';
+      document.getElementById('recurrenceTime').value = recurrence.start_time;
+      document.getElementById('recurrenceDuration').value = recurrence.duration;
+      document.getElementById('recurrenceStartsOn').value =
+        recurrence.starts_on || '';
+      document.getElementById('recurrenceEndsOn').value =
+        recurrence.ends_on || '';
+      form.querySelectorAll('[name="recurrenceDays"]').forEach(checkbox => {
+        checkbox.checked = recurrence.days_of_week.includes(
+          Number(checkbox.value)
+        );
+      });
+    } else {
+      delete form.dataset.editId;
+    }
+
+    document.getElementById('recurrenceModal').style.display = 'flex';
+  }
+
+  closeRecurrenceModal() {
+    document.getElementById('recurrenceModal').style.display = 'none';
+  }
+
+  async handleRecurrenceSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const daysOfWeek = [
+      ...form.querySelectorAll('[name="recurrenceDays"]:checked'),
+    ].map(checkbox => Number(checkbox.value));
+
+    if (daysOfWeek.length === 0) {
+      this.showError('Pilih minimal satu hari');
+      return;
+    }
+
+    const recurrenceData = {
+      title: document.getElementById('recurrenceTitle').value,
+      subject: document.getElementById('recurrenceSubject').value,
+      duration: parseInt(document.getElementById('recurrenceDuration').value),
+      days_of_week: daysOfWeek,
+      start_time: document.getElementById('recurrenceTime').value,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      starts_on: document.getElementById('recurrenceStartsOn').value || null,
+      ends_on: document.getElementById('recurrenceEndsOn').value || null,
+    };
+
+    try {
+      if (form.dataset.editId) {
+        await Api.recurrences.update(form.dataset.editId, recurrenceData);
+      } else {
+        await Api.recurrences.create(recurrenceData);
+      }
+
+      this.closeRecurrenceModal();
+      this.showSuccess('Jadwal berulang disimpan');
+      await this.calendar?.load();
+    } catch (error) {
+      console.error('Error saving recurrence:', error);
+      this.showError(error.data?.message || 'Gagal menyimpan jadwal berulang');
+    }
+  }
+
+  async deleteRecurrence() {
+    const { editId } = document.getElementById('recurrenceForm').dataset;
+    if (!editId || !confirm('Hapus jadwal berulang ini?')) return;
+
+    try {
+      await Api.recurrences.delete(editId);
+      this.closeRecurrenceModal();
+      this.showSuccess('Jadwal berulang dihapus');
+      await this.calendar?.load();
+    } catch (error) {
+      console.error('Error deleting recurrence:', error);
+      this.showError('Gagal menghapus jadwal berulang');
+    }
+  }
+
   async handleSessionSubmit(e) {
     e.preventDefault();
 
@@ -369,12 +724,20 @@ export class SesiBelajarPage {
       status: document.getElementById('sessionStatus').value,
       description: document.getElementById('sessionNotes').value,
     };
+    const scheduledAt = document.getElementById('sessionScheduledAt').value;
+    sessionData.scheduled_at = scheduledAt
+      ? new Date(scheduledAt).toISOString()
+      : null;
 
     try {
       if (Api.auth.isLoggedIn()) {
         if (form.dataset.editId) {
-          // Update existing session
+          // Update existing session; the schedule has its own endpoint
           await Api.sessions.update(form.dataset.editId, sessionData);
+          await Api.sessions.reschedule(
+            form.dataset.editId,
+            sessionData.scheduled_at
+          );
           
           // Reload sessions from API to get updated data
           this.sessions = await Api.sessions.getAll();
@@ -409,6 +772,7 @@ export class SesiBelajarPage {
 
       // Re-render with updated data
       this.renderSessions();
+      this.calendar?.load();
       this.closeModal();
       this.showSuccess(form.dataset.editId ? 'Sesi berhasil diperbarui' : 'Sesi berhasil dibuat');
     } catch (error) {
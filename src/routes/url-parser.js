@@ -11,7 +11,8 @@ const UrlParser = {
   },
 
   _urlSplitter(url) {
-    const urlsSplits = url.split('/');
+    // Query parameters, like ?command= from notification buttons, are not part of the route
+    const urlsSplits = url.split('?')[0].split('/');
     return {
       resource: urlsSplits[1] || null,
       id: urlsSplits[2] || null,
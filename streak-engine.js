@@ -0,0 +1,62 @@
+// streak-engine.js - Current and longest study streaks, derived from the daily study_stats history
+
+// One freeze is earned for every run of this many qualifying days, up to MAX_FREEZES held at once
+export const FREEZE_EVERY_DAYS = 7
+export const MAX_FREEZES = 2
+
+const nextDate = (date) => {
+  const day = new Date(`${date}T00:00:00Z`)
+  day.setUTCDate(day.getUTCDate() + 1)
+  return day.toISOString().slice(0, 10)
+}
+
+// Walks every day from the first study day to today (the user's local date, YYYY-MM-DD).
+// A day counts when it reaches minMinutes; a missed day spends a freeze if one is held,
+// otherwise the streak ends. Today only counts once reached, and missing it so far breaks nothing.
+export const computeStreak = ({ days, today, minMinutes }) => {
+  const minutesByDate = new Map(days.map((day) => [day.date, Number(day.minutes) || 0]))
+  const calendar = []
+  let current = 0
+  let longest = 0
+  let freezes = 0
+  let sinceFreeze = 0
+
+  const firstDate = days.length > 0 ? days[0].date : today
+  for (let date = firstDate; date <= today; date = nextDate(date)) {
+    const minutes = minutesByDate.get(date) || 0
+    const qualified = minutes >= minMinutes
+    let frozen = false
+
+    if (qualified) {
+      current++
+      longest = Math.max(longest, current)
+      sinceFreeze++
+      if (sinceFreeze === FREEZE_EVERY_DAYS) {
+        freezes = Math.min(MAX_FREEZES, freezes + 1)
+        sinceFreeze = 0
+      }
+    } else if (date !== today && current > 0) {
+      if (freezes > 0) {
+        freezes--
+        frozen = true
+      } else {
+        current = 0
+        sinceFreeze = 0
+      }
+    }
+
+    calendar.push({ date, minutes, qualified, frozen })
+  }
+
+  const todayQualified = calendar.length > 0 && calendar[calendar.length - 1].qualified
+
+  return {
+    current,
+    longest,
+    freezes_available: freezes,
+    today_qualified: todayQualified,
+    at_risk: current > 0 && !todayQualified,
+    min_minutes: minMinutes,
+    calendar,
+  }
+}
@@ -0,0 +1,112 @@
+// study-planner.js - Proposes study sessions for upcoming exams, counting back from each exam date to today
+
+// Planned time is cut into blocks of this length, none shorter than MIN_BLOCK_MINUTES unless the topic needs less
+export const PLAN_BLOCK_MINUTES = 50
+export const MIN_BLOCK_MINUTES = 15
+const BREAK_MINUTES = 10
+const DAY_MINUTES = 24 * 60
+
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`)
+  day.setUTCDate(day.getUTCDate() + days)
+  return day.toISOString().slice(0, 10)
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000))
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`
+
+// Earliest start from cursor on where length minutes fit between the day's sessions (sorted by start), or null
+// when the block would run past midnight
+const findSlot = (taken, cursor, length) => {
+  let start = cursor
+  for (const slot of taken) {
+    if (slot.start + slot.duration + BREAK_MINUTES <= start) continue
+    if (slot.start >= start + length + BREAK_MINUTES) break
+    start = slot.start + slot.duration + BREAK_MINUTES
+  }
+  return start + length <= DAY_MINUTES ? start : null
+}
+
+// exams: [{ id, title, subject_id, exam_date, topics: [{ id, title, remaining }] }], remaining being the minutes
+// a topic still needs. busy: sessions already on the calendar as { date, start, duration }, start in minutes past
+// local midnight. today (YYYY-MM-DD) and now (minutes past midnight) are on the user's own clock.
+// Every day before an exam gets at most dailyMinutes, less what is already scheduled on it, starting at startTime.
+// Each exam asks for an even share of what it still needs over the days left, the exams needing most per day
+// going first, and its topics are covered in order. What does not fit before an exam is returned as unscheduled.
+export const planStudySessions = ({ exams, busy, today, now, dailyMinutes, startTime }) => {
+  const pending = exams
+    .filter((exam) => exam.exam_date > today)
+    .map((exam) => ({
+      ...exam,
+      topics: exam.topics.map((topic) => ({ ...topic, remaining: Math.max(0, topic.remaining) })),
+    }))
+  const remainingOf = (exam) => exam.topics.reduce((sum, topic) => sum + topic.remaining, 0)
+  const lastDate = pending.reduce((last, exam) => (exam.exam_date > last ? exam.exam_date : last), today)
+  const sessions = []
+
+  for (let date = today; date < lastDate; date = addDays(date, 1)) {
+    const taken = busy.filter((slot) => slot.date === date).sort((a, b) => a.start - b.start)
+    let capacity = dailyMinutes - taken.reduce((sum, slot) => sum + slot.duration, 0)
+    let cursor = toMinutes(startTime)
+    if (date === today) cursor = Math.max(cursor, Math.ceil(now / 5) * 5)
+
+    // Places one block on this day; false once the day has no room left for it
+    const place = (exam, topic, length) => {
+      if (length > capacity) return false
+      const start = findSlot(taken, cursor, length)
+      if (start === null) return false
+
+      sessions.push({
+        exam_id: exam.id,
+        exam_topic_id: topic.id,
+        subject_id: exam.subject_id,
+        title: `${exam.title}: ${topic.title}`,
+        date,
+        start_time: toTime(start),
+        duration: length,
+      })
+      taken.push({ date, start, duration: length })
+      taken.sort((a, b) => a.start - b.start)
+      cursor = start + length + BREAK_MINUTES
+      capacity -= length
+      topic.remaining -= length
+      return true
+    }
+
+    const queue = pending
+      .filter((exam) => exam.exam_date > date && remainingOf(exam) > 0)
+      .map((exam) => ({ exam, share: Math.ceil(remainingOf(exam) / daysBetween(date, exam.exam_date)) }))
+      .sort((a, b) => b.share - a.share)
+
+    for (const { exam, share } of queue) {
+      let quota = share
+      for (const topic of exam.topics) {
+        while (topic.remaining > 0 && quota > 0) {
+          let length = Math.min(topic.remaining, Math.max(MIN_BLOCK_MINUTES, Math.min(PLAN_BLOCK_MINUTES, quota)))
+          // A remainder too short for a block of its own is folded into this one
+          if (topic.remaining - length < MIN_BLOCK_MINUTES) length = topic.remaining
+          if (!place(exam, topic, length)) {
+            quota = 0
+            break
+          }
+          quota -= length
+        }
+        if (quota <= 0) break
+      }
+    }
+  }
+
+  return {
+    sessions,
+    unscheduled: pending
+      .map((exam) => ({ exam_id: exam.id, minutes: remainingOf(exam) }))
+      .filter((exam) => exam.minutes > 0),
+  }
+}
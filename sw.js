@@ -135,8 +135,59 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SYNC_DATA') {
     event.waitUntil(syncData());
   }
+
+  if (event.data && event.data.type === 'SCHEDULE_TIMER') {
+    event.waitUntil(scheduleTimerNotification(event.data));
+  }
+
+  if (event.data && event.data.type === 'CANCEL_TIMER') {
+    event.waitUntil(cancelTimerNotification(event.data));
+  }
 });
 
+// Focus timer completion, scheduled with a notification trigger so a frozen tab cannot delay it.
+// Without triggers the tab notifies itself: the browser stops a worker long before a timer ends
+const TIMER_NOTIFICATION_TAG = 'focus-timer';
+
+async function scheduleTimerNotification({
+  endsAt,
+  title,
+  tag = TIMER_NOTIFICATION_TAG,
+  options = {},
+}) {
+  if (
+    typeof TimestampTrigger === 'undefined' ||
+    !('showTrigger' in Notification.prototype)
+  ) {
+    return;
+  }
+
+  const notificationOptions = {
+    icon: '/icons/icon-192x192.png',
+    badge: '/icons/icon-96x96.png',
+    tag,
+    requireInteraction: true,
+    data: { url: '#/focus-mode' },
+    ...options,
+  };
+
+  await self.registration.showNotification(title, {
+    ...notificationOptions,
+    showTrigger: new TimestampTrigger(endsAt),
+  });
+}
+
+async function cancelTimerNotification({ tag = TIMER_NOTIFICATION_TAG }) {
+  // Only pending triggered notifications; one already shown stays visible
+  const scheduled = await self.registration.getNotifications({
+    tag,
+    includeTriggered: false,
+  });
+  scheduled
+    .filter(notification => notification.showTrigger)
+    .forEach(notification => notification.close());
+}
+
 // Push notification event
 self.addEventListener('push', event => {
   console.log('[SW] Push notification received');
@@ -165,46 +216,60 @@ self.addEventListener('push', event => {
       body: notificationData.body,
       icon: notificationData.icon,
       badge: notificationData.badge,
-      tag: 'focusmode-notification',
-      requireInteraction: false,
+      tag: notificationData.tag || 'focusmode-notification',
+      requireInteraction: Boolean(notificationData.requireInteraction),
+      data: { url: notificationData.url || '#/' },
     })
   );
 });
 
 // Notification click event
+// Buttons run in the app through FocusTimer.runCommand, which also schedules the snooze reminder
+const CLIENT_COMMANDS = ['restart', 'break', 'snooze'];
+
 self.addEventListener('notificationclick', event => {
-  console.log('[SW] Notification clicked');
+  console.log('[SW] Notification clicked:', event.action || 'body');
 
-  event.notification.close();
+  const notification = event.notification;
+  notification.close();
 
-  event.waitUntil(
-    clients
-      .matchAll({
-        type: 'window',
-        includeUncontrolled: true,
-      })
-      .then(clientList => {
-        // If a window is already open, focus it
-        for (let i = 0; i < clientList.length; i++) {
-          const client = clientList[i];
-          if (client.url === '/' && 'focus' in client) {
-            return client.focus();
-          }
-        }
-        // Otherwise open a new window
-        if (clients.openWindow) {
-          return clients.openWindow('/');
-        }
-      })
-  );
+  const command = CLIENT_COMMANDS.includes(event.action) ? event.action : null;
+  event.waitUntil(openApp(notification.data?.url || '#/', command));
 });
 
+// Hands the command to an open window, focused unless it snoozes, or opens the route with it in the query
+async function openApp(route, command) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  const client = clientList.find(item =>
+    item.url.startsWith(self.registration.scope)
+  );
+
+  if (client) {
+    if (command !== 'snooze') await client.focus();
+    client.postMessage({ type: 'NOTIFICATION_ACTION', url: route, command });
+    return;
+  }
+
+  if (self.clients.openWindow) {
+    const target = command ? `${route}?command=${command}` : route;
+    await self.clients.openWindow(`${self.registration.scope}${target}`);
+  }
+}
+
 // Helper function to sync data
 async function syncData() {
   try {
-    // Get IndexedDB data from clients
+    // The outbox lives in IndexedDB and is replayed by an open client
     const clients = await self.clients.matchAll();
-    
+
+    if (clients.length === 0) {
+      // Rejecting makes the browser retry the sync tag later
+      throw new Error('No open client to replay the outbox');
+    }
+
     // Request sync from clients
     clients.forEach(client => {
       client.postMessage({